@@ -0,0 +1,24 @@
+import splitStringIntoLines from "./utils/splitStringIntoLines";
+import { createAlignmentResult } from "./utils/alignmentTracks";
+
+/**
+ * parses aligned (multi record) fasta, keeping each sequence's gaps
+ * @param  {string} string  the fasta file contents
+ * @param  {object} options - {isProtein (detected from the residues when left out), name}
+ * @return {array} a single parsing result, its parsedAlignment holding {name, isProtein, alignmentTracks}
+ */
+export default function alignedFastaToJson(string, options = {}) {
+  const rows = [];
+  splitStringIntoLines(string).forEach(line => {
+    const trimmedLine = line.trim();
+    if (trimmedLine.startsWith(">")) {
+      rows.push({
+        name: trimmedLine.slice(1).trim() || `Sequence_${rows.length + 1}`,
+        sequence: ""
+      });
+    } else if (rows.length && !trimmedLine.startsWith(";")) {
+      rows[rows.length - 1].sequence += trimmedLine.replace(/\s/g, "");
+    }
+  });
+  return [createAlignmentResult(options.name, rows, options)];
+}
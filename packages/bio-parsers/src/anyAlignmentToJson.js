@@ -0,0 +1,50 @@
+import clustalToJson from "./clustalToJson";
+import stockholmToJson from "./stockholmToJson";
+import phylipToJson from "./phylipToJson";
+import alignedFastaToJson from "./alignedFastaToJson";
+import extractFileExtension from "./utils/extractFileExtension";
+
+/**
+ * takes in an alignment file's contents and picks the parser for it from the file name's
+ * extension, or failing that from how the file starts
+ * (Clustal .aln, Stockholm .sto, PHYLIP .phy or aligned fasta)
+ * @param  {string} string  the alignment file contents
+ * @param  {object} options - {fileName (also names alignments that don't name themselves),
+ *   isProtein, name}
+ * @return {array} parsing results, their parsedAlignment holding {name, isProtein, alignmentTracks}
+ */
+export default function anyAlignmentToJson(string, options = {}) {
+  const { fileName = "" } = options;
+  const ext = extractFileExtension(fileName).toLowerCase();
+  const optionsToUse = {
+    ...options,
+    name: options.name || fileName.replace(/\.\w+$/, "") || undefined
+  };
+  const start = string.trimStart();
+  if (
+    /^(aln|clustal|clw)$/.test(ext) ||
+    /^(CLUSTAL|MUSCLE|PROBCONS)/i.test(start)
+  ) {
+    return clustalToJson(string, optionsToUse);
+  } else if (
+    /^(sto|stk|stockholm)$/.test(ext) ||
+    start.startsWith("# STOCKHOLM")
+  ) {
+    return stockholmToJson(string, optionsToUse);
+  } else if (/^(phy|phylip)$/.test(ext) || /^\d+\s+\d+/.test(start)) {
+    return phylipToJson(string, optionsToUse);
+  } else if (
+    /^(fasta|fas|fa|afa|afasta|mfa)$/.test(ext) ||
+    start.startsWith(">")
+  ) {
+    return alignedFastaToJson(string, optionsToUse);
+  }
+  return [
+    {
+      success: false,
+      messages: [
+        "Unable to parse file as a Clustal, Stockholm, PHYLIP or aligned FASTA alignment"
+      ]
+    }
+  ];
+}
@@ -1,5 +1,6 @@
 import fastaToJson from "./fastaToJson";
 import genbankToJson from "./genbankToJson";
+import emblToJson from "./emblToJson";
 import sbolXmlToJson from "./sbolXmlToJson";
 import extractFileExtension from "./utils/extractFileExtension.js";
 import snapgeneToJson from "./snapgeneToJson";
@@ -80,6 +81,9 @@ async function anyToJson(fileContentStringOrFileObj, options) {
   } else if (/^(gb|gbk)$/.test(ext)) {
     // GENBANK
     return genbankToJson(fileContentString, options);
+  } else if (/^(embl|ebl|emb)$/.test(ext)) {
+    // EMBL
+    return emblToJson(fileContentString, options);
   } else if (
     /^(seq)$/.test(ext) ||
     (/^(xml)$/.test(ext) &&
@@ -108,15 +112,15 @@ async function anyToJson(fileContentStringOrFileObj, options) {
   } else if (/^(gp|genpep)$/.test(ext)) {
     // PROTEIN GENBANK
     return genbankToJson(fileContentString, { ...options, isProtein: true });
-  } else if (/^(xml|rdf)$/.test(ext)) {
-    // XML/RDF
+  } else if (/^(xml|rdf|sbol|ttl|nt|jsonld)$/.test(ext)) {
+    // XML/RDF (SBOL2 and SBOL3 can also be Turtle or JSON-LD)
     return sbolXmlToJson(
       fileContentString || fileContentStringOrFileObj,
       options
     );
   } else if (/^(gff|gff3)$/.test(ext)) {
     // GFF
-    return gffToJson(fileContentStringOrFileObj, options);
+    return gffToJson(fileContentString, options);
   } else {
     // console.warn(
     //   "TNR: No filename passed to anyToJson so we're going through the list of parsers. Make sure you're passing the filename when using anyToJson!"
@@ -129,6 +133,10 @@ async function anyToJson(fileContentStringOrFileObj, options) {
       {
         fn: fastaToJson,
         name: "Fasta Parser"
+      },
+      {
+        fn: emblToJson,
+        name: "EMBL Parser"
       }
     ];
     const firstChar = fileContentString[fileContentString.search(/\S|$/)];
@@ -139,6 +147,12 @@ async function anyToJson(fileContentStringOrFileObj, options) {
         if (a.name === "Fasta Parser") return -1;
         return 1;
       });
+    } else if (/^ID {3}/.test(fileContentString.trimStart())) {
+      //EMBL files start with an "ID   " line
+      parsersToTry = parsersToTry.sort(a => {
+        if (a.name === "EMBL Parser") return -1;
+        return 1;
+      });
     } else if (firstChar === "L") {
       parsersToTry = parsersToTry.sort(a => {
         if (a.name === "Genbank Parser") return -1;
@@ -161,7 +175,7 @@ async function anyToJson(fileContentStringOrFileObj, options) {
     return [
       {
         messages: [
-          "Unable to parse file as FASTA, genbank, JBEI, or SBOL formats"
+          "Unable to parse file as FASTA, genbank, EMBL, JBEI, or SBOL formats"
         ],
         success: false
       }
@@ -0,0 +1,38 @@
+import splitStringIntoLines from "./utils/splitStringIntoLines";
+import { createAlignmentResult } from "./utils/alignmentTracks";
+
+/**
+ * parses a Clustal (.aln) alignment, also written by MUSCLE, T-Coffee and the like
+ * - each block holds a slice of every sequence, lines read "name  sequence  [residue count]"
+ * - the header line and the conservation lines under each block are skipped
+ * @param  {string} string  the Clustal file contents
+ * @param  {object} options - {isProtein (detected from the residues when left out), name}
+ * @return {array} a single parsing result, its parsedAlignment holding {name, isProtein, alignmentTracks}
+ */
+export default function clustalToJson(string, options = {}) {
+  const lines = splitStringIntoLines(string);
+  if (!/^\s*(CLUSTAL|MUSCLE|PROBCONS)/i.test(lines[0] || "")) {
+    return [
+      {
+        success: false,
+        messages: [
+          "Import Error: Invalid Clustal file, it should start with CLUSTAL"
+        ]
+      }
+    ];
+  }
+  const rowsByName = {};
+  const rows = [];
+  lines.slice(1).forEach(line => {
+    // conservation lines start with spaces and blank lines separate the blocks
+    if (!line.trim() || /^\s/.test(line)) return;
+    const [name, sequence] = line.trim().split(/\s+/);
+    if (!sequence) return;
+    if (!rowsByName[name]) {
+      rowsByName[name] = { name, sequence: "" };
+      rows.push(rowsByName[name]);
+    }
+    rowsByName[name].sequence += sequence;
+  });
+  return [createAlignmentResult(options.name, rows, options)];
+}
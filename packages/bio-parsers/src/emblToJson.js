@@ -0,0 +1,232 @@
+import { parseFeatureLocation } from "./genbankToJson";
+import { gbDivisions, untitledSequenceName } from "./utils/constants";
+import flattenSequenceArray from "./utils/flattenSequenceArray";
+import validateSequenceArray from "./utils/validateSequenceArray";
+import splitStringIntoLines from "./utils/splitStringIntoLines.js";
+import createInitialSequence from "./utils/createInitialSequence";
+
+/**
+ * parses an EMBL flat file (one or more records) into our teselagen json
+ * feature locations use the same grammar as genbank so they go through genbankToJson's parseFeatureLocation
+ * @param  {string} string  the EMBL file contents
+ * @param  {object} options same options as genbankToJson (inclusive1BasedStart, inclusive1BasedEnd, primersAsFeatures...)
+ * @return {array} array of parsing results
+ */
+function emblToJson(string, options = {}) {
+  const resultsArray = [];
+  let result;
+  let currentFeature;
+  let currentQualifier;
+  let inSequence = false;
+
+  try {
+    const lines = splitStringIntoLines(string);
+    lines.some(line => {
+      if (line.trim() === "") return false;
+      const lineCode = line.slice(0, 2);
+      if (!result && lineCode !== "ID") {
+        // 'EMBL files must start with an ID line so this must not be an EMBL file'
+        return true; //break the some loop
+      }
+      const content = line.slice(5);
+      if (inSequence && lineCode !== "//") {
+        result.parsedSequence.sequence += line.replace(/[\s\d]/g, "");
+        return false;
+      }
+      switch (lineCode) {
+        case "ID":
+          parseIdLine(content);
+          break;
+        case "AC":
+          if (!result.parsedSequence.accession) {
+            result.parsedSequence.accession = content.split(";")[0].trim();
+          }
+          break;
+        case "SV":
+          result.parsedSequence.version = content.trim();
+          break;
+        case "DE":
+          result.parsedSequence.description = result.parsedSequence.description
+            ? result.parsedSequence.description + " " + content.trim()
+            : content.trim();
+          break;
+        case "CC":
+          result.parsedSequence.comments.push(content.trim());
+          break;
+        case "FT":
+          parseFeatureTableLine(line);
+          break;
+        case "SQ":
+          inSequence = true;
+          break;
+        case "//":
+          endRecord();
+          break;
+        default:
+          //XX spacer lines, FH headers and the bibliographic lines carry nothing we keep
+          break;
+      }
+      return false;
+    });
+    if (result && resultsArray[resultsArray.length - 1] !== result) {
+      //the file didn't end with a // so close the last record ourselves
+      endRecord();
+    }
+    if (!resultsArray.length) {
+      resultsArray.push({
+        success: false,
+        messages: ["Import Error: EMBL files must start with an ID line"]
+      });
+    }
+  } catch (e) {
+    console.error("Error trying to parse file as .embl:", e);
+    return [
+      {
+        success: false,
+        messages: ["Import Error: Invalid File"]
+      }
+    ];
+  }
+
+  const results = validateSequenceArray(
+    flattenSequenceArray(resultsArray, options),
+    options
+  );
+  results.forEach(result => {
+    if (result.success && !options.primersAsFeatures) {
+      const sequence = result.parsedSequence;
+      sequence.primers = sequence.features.filter(
+        feat => feat.type === "primer_bind"
+      );
+      sequence.features = sequence.features.filter(
+        feat => feat.type !== "primer_bind"
+      );
+    }
+  });
+  return results;
+
+  // ID   X56734; SV 1; linear; mRNA; STD; PLN; 1859 BP.
+  // or the pre-2006 style
+  // ID   TRBG361    standard; circular DNA; SYN; 1859 BP.
+  function parseIdLine(content) {
+    result = createInitialSequence(options);
+    result.parsedSequence.comments = [];
+    currentFeature = undefined;
+    currentQualifier = undefined;
+    inSequence = false;
+
+    const fields = content.split(";").map(f => f.trim());
+    const name = fields[0].split(/\s+/)[0];
+    if (name || result.parsedSequence.name === untitledSequenceName) {
+      result.parsedSequence.name = name || untitledSequenceName;
+    }
+    result.parsedSequence.circular = /\bcircular\b/i.test(content);
+    fields.forEach(field => {
+      if (gbDivisions[field.toUpperCase()]) {
+        result.parsedSequence.gbDivision = field.toUpperCase();
+      }
+    });
+    const moleculeType = fields.find(f => /(DNA|RNA)/i.test(f)) || "";
+    if (/RNA/i.test(moleculeType)) {
+      result.parsedSequence.isRna = true;
+    } else {
+      result.parsedSequence.isDNA = true;
+    }
+  }
+
+  function parseFeatureTableLine(line) {
+    const newFeatureMatch = line.match(/^FT {3}(\S+)\s+(.*)$/);
+    if (newFeatureMatch) {
+      currentQualifier = undefined;
+      currentFeature = {
+        type: newFeatureMatch[1],
+        locationString: newFeatureMatch[2].trim()
+      };
+      result.parsedSequence.features.push(currentFeature);
+      return;
+    }
+    if (!currentFeature) return;
+    const text = line.slice(2).trim();
+    if (currentQualifier && isQuoteOpen(currentQualifier.rawValue)) {
+      currentQualifier.rawValue +=
+        (currentQualifier.key === "translation" ? "" : " ") + text;
+    } else if (text.charAt(0) === "/") {
+      const [key, ...rest] = text.slice(1).split("=");
+      currentQualifier = {
+        key,
+        rawValue: rest.join("=")
+      };
+      currentFeature.qualifiers = currentFeature.qualifiers || [];
+      currentFeature.qualifiers.push(currentQualifier);
+    } else if (currentQualifier) {
+      //unquoted run-on value
+      currentQualifier.rawValue += text;
+    } else {
+      //run-on location, eg. a long join(...) split across lines
+      currentFeature.locationString += text;
+    }
+  }
+
+  function endRecord() {
+    inSequence = false;
+    const { parsedSequence } = result;
+    parsedSequence.features = parsedSequence.features.map(feat =>
+      postProcessEmblFeature(feat, parsedSequence)
+    );
+    resultsArray.push(result);
+  }
+
+  function postProcessEmblFeature(feat, parsedSequence) {
+    const { inclusive1BasedStart, inclusive1BasedEnd } = options;
+    const { locationString, qualifiers = [], ...rest } = feat;
+    const notes = {};
+    qualifiers.forEach(({ key, rawValue }) => {
+      let val = rawValue;
+      if (/^"[\s\S]*"$/.test(val)) {
+        val = val.slice(1, -1).replace(/""/g, '"');
+      } else if (/^\d+$/.test(val)) {
+        val = parseInt(val, 10);
+      }
+      notes[key] = (notes[key] || []).concat(val);
+    });
+    const newFeat = {
+      ...rest,
+      notes,
+      strand: /complement/.test(locationString) ? -1 : 1,
+      locations: parseFeatureLocation(
+        locationString,
+        false,
+        inclusive1BasedStart,
+        inclusive1BasedEnd,
+        parsedSequence.circular,
+        parsedSequence.sequence.length
+      )
+    };
+    newFeat.forward = newFeat.strand === 1;
+    const nameKey = [
+      "label",
+      "gene",
+      "ApEinfo_label",
+      "name",
+      "organism",
+      "locus_tag",
+      "note"
+    ].find(key => notes[key] && notes[key].length);
+    newFeat.name = nameKey
+      ? String(notes[nameKey][0]).substr(0, 100)
+      : "Untitled Feature";
+    if (notes.direction) {
+      const direction = String(notes.direction[0]).toUpperCase();
+      newFeat.arrowheadType =
+        direction === "BOTH" || direction === "NONE" ? direction : undefined;
+      delete notes.direction;
+    }
+    return newFeat;
+  }
+}
+
+function isQuoteOpen(rawValue) {
+  return (rawValue.match(/"/g) || []).length % 2 === 1;
+}
+
+export default emblToJson;
@@ -1,43 +1,170 @@
 import gff from "@gmod/gff";
-import { get } from "lodash-es";
+import { get, maxBy, minBy } from "lodash-es";
+import flattenSequenceArray from "./utils/flattenSequenceArray";
+import validateSequenceArray from "./utils/validateSequenceArray";
 
-function gffToJson(string) {
-  const arrayOfThings = gff.parseStringSync(string);
-  const results = [];
+/**
+ * parses a GFF3 file into our teselagen json (one result per sequence id)
+ * - coordinates are converted from GFF's 1-based inclusive positions to our 0-based ones
+ * - every attribute is kept as a feature note (including ID and Parent so the hierarchy survives)
+ * - lines sharing an ID (eg. the segments of a spliced CDS) become a single multi-location feature
+ * - sequences come from the ##FASTA section, or are filled with N's using the ##sequence-region length
+ * @param  {string} string  the GFF3 file contents
+ * @param  {object} options
+ * @return {array} array of parsing results
+ */
+function gffToJson(string, options = {}) {
+  let arrayOfThings;
+  try {
+    arrayOfThings = gff.parseStringSync(string, {
+      parseFeatures: true,
+      parseDirectives: true,
+      parseSequences: true
+    });
+  } catch (e) {
+    console.error("Error trying to parse file as .gff:", e);
+    return [
+      {
+        success: false,
+        messages: ["Import Error: Invalid File"]
+      }
+    ];
+  }
   const sequences = [];
-  const features = {};
+  const sequenceRegions = {};
+  const featuresBySeqId = {};
+  const seqIdOrder = [];
+  const seenFeatures = new Set();
+  const addSeqId = seqId => {
+    if (!seqIdOrder.includes(seqId)) seqIdOrder.push(seqId);
+  };
+  const addFeature = locations => {
+    //a child with several parents is listed under each one of them
+    if (seenFeatures.has(locations[0])) return;
+    seenFeatures.add(locations[0]);
+    const seqId = locations[0].seq_id;
+    addSeqId(seqId);
+    if (!featuresBySeqId[seqId]) featuresBySeqId[seqId] = [];
+    featuresBySeqId[seqId].push(locations);
+    //children come after their parents so that the hierarchy reads top down
+    locations.forEach(loc => {
+      (loc.child_features || []).forEach(addFeature);
+    });
+  };
+
   arrayOfThings.forEach(featureOrSeq => {
-    if (featureOrSeq.sequence) {
+    if (Array.isArray(featureOrSeq)) {
+      addFeature(featureOrSeq);
+    } else if (featureOrSeq.sequence !== undefined) {
       sequences.push(featureOrSeq);
-    } else {
-      const feature = featureOrSeq[0];
-      if (!features[feature.seq_id]) features[feature.seq_id] = [];
-      const attributes = feature.attributes || {};
-      const name = get(attributes, "ID[0]");
-      features[feature.seq_id].push({
-        name,
-        start: feature.start,
-        end: feature.end,
-        strand: feature.strand === "+" ? 1 : -1,
-        type: feature.type
-      });
+    } else if (featureOrSeq.directive === "sequence-region") {
+      sequenceRegions[featureOrSeq.seq_id] = {
+        start: Number(featureOrSeq.start),
+        end: Number(featureOrSeq.end)
+      };
+      addSeqId(featureOrSeq.seq_id);
     }
   });
-  sequences.forEach(sequence => {
-    const sequenceId = sequence.id;
-    const result = {
-      messages: [],
+
+  const results = [];
+  const sequenceIds = seqIdOrder.concat(
+    sequences.map(s => s.id).filter(id => !seqIdOrder.includes(id))
+  );
+  sequenceIds.forEach(seqId => {
+    const messages = [];
+    const fasta = sequences.find(s => s.id === seqId);
+    const region = sequenceRegions[seqId];
+    let sequence;
+    //when there is no sequence we offset the features so they sit within the sequence-region
+    let offset = 0;
+    if (fasta) {
+      sequence = fasta.sequence;
+    } else if (region) {
+      offset = region.start - 1;
+      sequence = "n".repeat(region.end - region.start + 1);
+      messages.push(
+        `No ##FASTA sequence found for ${seqId}, the ##sequence-region length was used to create a placeholder sequence`
+      );
+    } else {
+      messages.push(`No sequence found for ${seqId}`);
+      results.push({ success: false, messages });
+      return;
+    }
+    let circular = false;
+    const features = [];
+    (featuresBySeqId[seqId] || []).forEach(locations => {
+      const attributes = locations[0].attributes || {};
+      if (get(attributes, "Is_circular[0]") === "true") {
+        circular = true;
+        if (locations[0].type === "region") return; //this line only carries the topology of the sequence
+      }
+      features.push(
+        gffLocationsToFeature(locations, {
+          offset,
+          sequenceLength: sequence.length
+        })
+      );
+    });
+    results.push({
+      messages,
       success: true,
       parsedSequence: {
-        name: sequenceId,
-        sequence: sequence.sequence,
-        circular: false,
-        features: features[sequence.id]
+        name: seqId,
+        sequence,
+        circular,
+        ...(fasta && fasta.description && { description: fasta.description }),
+        features
       }
-    };
-    results.push(result);
+    });
   });
-  return results;
+  if (!results.length) {
+    return [
+      {
+        success: false,
+        messages: ["Import Error: No sequences found in the GFF file"]
+      }
+    ];
+  }
+  return validateSequenceArray(flattenSequenceArray(results, options), options);
+}
+
+function gffLocationsToFeature(locations, { offset, sequenceLength }) {
+  const first = locations[0];
+  const attributes = first.attributes || {};
+  const notes = {};
+  Object.keys(attributes).forEach(key => {
+    //the Name becomes the feature name so it doesn't need to be kept as a note as well
+    if (key === "Name" && attributes.Name.length === 1) return;
+    notes[key] = attributes[key];
+  });
+  const toLocation = ({ start, end }) => {
+    const loc = {
+      start: start - 1 - offset,
+      end: end - 1 - offset
+    };
+    //features wrapping the origin of circular sequences run past the sequence length in GFF
+    if (loc.start >= sequenceLength) loc.start -= sequenceLength;
+    if (loc.end >= sequenceLength) loc.end -= sequenceLength;
+    return loc;
+  };
+  const sortedLocations = [...locations]
+    .sort((a, b) => a.start - b.start)
+    .map(toLocation);
+  const isDirectional = first.strand === "+" || first.strand === "-";
+  return {
+    name:
+      get(attributes, "Name[0]") ||
+      get(attributes, "ID[0]") ||
+      get(attributes, "gene[0]") ||
+      first.type,
+    type: first.type,
+    strand: first.strand === "-" ? -1 : 1,
+    ...(!isDirectional && { arrowheadType: "NONE" }),
+    start: toLocation(minBy(locations, "start")).start,
+    end: toLocation(maxBy(locations, "end")).end,
+    ...(sortedLocations.length > 1 && { locations: sortedLocations }),
+    notes
+  };
 }
 
 export default gffToJson;
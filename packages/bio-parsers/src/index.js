@@ -2,16 +2,33 @@ export { default as anyToJson } from "./anyToJson";
 export { default as fastaToJson } from "./fastaToJson";
 export { default as genbankToJson, parseFeatureLocation } from "./genbankToJson";
 export { default as sbolXmlToJson } from "./sbolXmlToJson";
+export { default as jsonToSbol } from "./jsonToSbol";
 export { default as geneiousXmlToJson } from "./geneiousXmlToJson";
 export { default as jbeiXmlToJson } from "./jbeiXmlToJson";
 export { default as jsonToGenbank } from "./jsonToGenbank";
+export { default as emblToJson } from "./emblToJson";
+export { default as jsonToEmbl } from "./jsonToEmbl";
 export {
   default as ab1ToJson,
   convertBasePosTraceToPerBpTrace
 } from "./ab1ToJson";
 export { default as jsonToFasta } from "./jsonToFasta";
+export { default as jsonsToZip } from "./jsonsToZip";
 export { default as snapgeneToJson } from "./snapgeneToJson";
+export { default as jsonToSnapgene } from "./jsonToSnapgene";
 export { default as jsonToBed } from "./jsonToBed";
+export { default as gffToJson } from "./gffToJson";
+export { default as jsonToGff } from "./jsonToGff";
+export { default as anyAlignmentToJson } from "./anyAlignmentToJson";
+export { default as clustalToJson } from "./clustalToJson";
+export { default as jsonToClustal } from "./jsonToClustal";
+export { default as stockholmToJson } from "./stockholmToJson";
+export { default as jsonToStockholm } from "./jsonToStockholm";
+export { default as phylipToJson } from "./phylipToJson";
+export { default as jsonToPhylip } from "./jsonToPhylip";
+export { default as alignedFastaToJson } from "./alignedFastaToJson";
+export { default as jsonToAlignedFasta } from "./jsonToAlignedFasta";
+export { default as jsonToVcf } from "./jsonToVcf";
 export { default as cleanUpTeselagenJsonForExport } from "./utils/cleanUpTeselagenJsonForExport";
 export {
   default as searchWholeObjByName,
@@ -0,0 +1,20 @@
+import { getAlignmentRows } from "./utils/alignmentTracks";
+
+/**
+ * writes an alignment as aligned fasta, each sequence with its gaps
+ * @param  {array|object} alignment - AlignmentView tracks, or {name, alignmentTracks}
+ * @param  {object} options - {lineLength (default 80, 0 to keep each sequence on one line)}
+ * @return {string} the fasta file contents
+ */
+export default function jsonToAlignedFasta(alignment, options = {}) {
+  const { lineLength = 80 } = options;
+  const { rows } = getAlignmentRows(alignment);
+  const lineRegex = new RegExp(`.{1,${lineLength}}`, "g");
+  return rows
+    .map(({ name, sequence }) => {
+      const lines = lineLength ? sequence.match(lineRegex) || [] : [sequence];
+      return `>${name}\n${lines.join("\n")}`;
+    })
+    .join("\n")
+    .concat("\n");
+}
@@ -0,0 +1,75 @@
+import {
+  getAlignmentRows,
+  getUniqueAlignmentNames
+} from "./utils/alignmentTracks";
+
+// clustal's conservation groups, a column of residues all from one of these gets a : (strong) or . (weak)
+const strongGroups = [
+  "STA",
+  "NEQK",
+  "NHQK",
+  "NDEQ",
+  "QHRK",
+  "MILV",
+  "MILF",
+  "HY",
+  "FYW"
+];
+const weakGroups = [
+  "CSA",
+  "ATV",
+  "SAG",
+  "STNK",
+  "STPA",
+  "SGND",
+  "SNDEQK",
+  "NDEQHK",
+  "NEQHRK",
+  "FVLIM",
+  "HFY"
+];
+
+function getConservationChar(residues, isProtein) {
+  if (residues.some(r => r === "-")) return " ";
+  if (residues.every(r => r === residues[0])) return "*";
+  if (!isProtein) return " ";
+  const inGroup = group => residues.every(r => group.includes(r));
+  if (strongGroups.some(inGroup)) return ":";
+  if (weakGroups.some(inGroup)) return ".";
+  return " ";
+}
+
+/**
+ * writes an alignment as a Clustal (.aln) file
+ * @param  {array|object} alignment - AlignmentView tracks, or {name, alignmentTracks}
+ * @param  {object} options - {lineLength (default 60), isProtein (adds clustal's : and .
+ *   conservation marks, defaults to whether the first track is a protein)}
+ * @return {string} the Clustal file contents
+ */
+export default function jsonToClustal(alignment, options = {}) {
+  const alignmentRows = getAlignmentRows(alignment);
+  const { rows, length } = alignmentRows;
+  const { lineLength = 60, isProtein = alignmentRows.isProtein } = options;
+  const names = getUniqueAlignmentNames(rows);
+  const nameWidth = Math.max(16, ...names.map(name => name.length + 6));
+  const residueCounts = rows.map(() => 0);
+  let outString = "CLUSTAL W multiple sequence alignment\n\n";
+
+  for (let start = 0; start < length; start += lineLength) {
+    outString += "\n";
+    rows.forEach(({ sequence }, i) => {
+      const line = sequence.slice(start, start + lineLength);
+      residueCounts[i] += line.replace(/-/g, "").length;
+      outString += `${names[i].padEnd(nameWidth)}${line} ${residueCounts[i]}\n`;
+    });
+    let conservationLine = "";
+    for (let col = start; col < Math.min(start + lineLength, length); col++) {
+      conservationLine += getConservationChar(
+        rows.map(({ sequence }) => sequence[col].toUpperCase()),
+        isProtein
+      );
+    }
+    outString += `${"".padEnd(nameWidth)}${conservationLine}\n`;
+  }
+  return outString;
+}
@@ -0,0 +1,166 @@
+import { cloneDeep, each } from "lodash-es";
+import {
+  featureToGenbankString,
+  getFeaturesWithPragmaAnnotations
+} from "./jsonToGenbank.js";
+import { mangleOrStripUrls } from "./utils/unmangleUrls.js";
+import { reformatName } from "./utils/NameUtils.js";
+
+const LINE_WIDTH = 80;
+// feature locations and qualifiers start at column 22, the same as in genbank files
+const FEATURE_VALUE_INDENT = 21;
+const FT_CONTINUATION_PREFIX = "FT" + " ".repeat(FEATURE_VALUE_INDENT - 2);
+
+/**
+ * converts our teselagen json into an EMBL flat file string
+ * only nucleotide sequences can be represented in EMBL
+ * @param  {object} _serSeq teselagen sequence json
+ * @param  {object} options same options as jsonToGenbank (reformatSeqName, inclusive1BasedStart...)
+ * @return {string|false} the EMBL file contents (false if the conversion failed)
+ */
+export default function jsonToEmbl(_serSeq, options) {
+  options = options || {};
+  options.reformatSeqName = options.reformatSeqName !== false;
+  const serSeq = cloneDeep(_serSeq);
+  if (!serSeq) return false;
+
+  try {
+    if (Array.isArray(serSeq.sequence)) {
+      serSeq.sequence = serSeq.sequence.join("");
+    }
+    const sequence = serSeq.sequence || "";
+    let name = serSeq.name || "Untitled_Sequence";
+    name = options.reformatSeqName ? reformatName(name) : name;
+    const isRna = serSeq.isRna || serSeq.type === "RNA";
+
+    const lines = [];
+    lines.push(
+      `ID   ${name}; SV 1; ${serSeq.circular ? "circular" : "linear"}; ${
+        isRna ? "other RNA" : "other DNA"
+      }; STD; ${serSeq.gbDivision || "SYN"}; ${sequence.length} BP.`
+    );
+    lines.push("XX");
+    if (serSeq.accession) {
+      lines.push(`AC   ${serSeq.accession};`);
+      lines.push("XX");
+    }
+    const description = serSeq.definition || serSeq.description;
+    if (description) {
+      wrapText(mangleOrStripUrls(description, options), LINE_WIDTH - 5, " ")
+        .map(l => "DE   " + l)
+        .forEach(l => lines.push(l));
+      lines.push("XX");
+    }
+    const comments = [...(serSeq.comments || [])];
+    if (serSeq.teselagen_unique_id) {
+      comments.push("teselagen_unique_id: " + serSeq.teselagen_unique_id);
+    }
+    if (serSeq.library) {
+      comments.push("library: " + serSeq.library);
+    }
+    if (comments.length) {
+      comments.forEach(comment => lines.push("CC   " + comment));
+      lines.push("XX");
+    }
+
+    const features = getFeaturesWithPragmaAnnotations(serSeq);
+    if (features.length) {
+      lines.push("FH   Key             Location/Qualifiers");
+      lines.push("FH");
+      each(features, feat => {
+        featureToGenbankString(feat, {
+          ...options,
+          featurePadLength: FEATURE_VALUE_INDENT - 5
+        })
+          .split("\r\n")
+          .forEach((gbLine, i) => {
+            lines.push(...featureLineToEmbl(gbLine, i === 0));
+          });
+      });
+      lines.push("XX");
+    }
+
+    lines.push(getSequenceHeader(sequence));
+    for (let i = 0; i < sequence.length; i += 60) {
+      const chunks = [];
+      for (let j = i; j < Math.min(i + 60, sequence.length); j += 10) {
+        chunks.push(sequence.slice(j, j + 10));
+      }
+      lines.push(
+        "     " +
+          chunks.join(" ").padEnd(66, " ") +
+          String(Math.min(i + 60, sequence.length)).padStart(9, " ")
+      );
+    }
+    lines.push("//");
+    return lines.join("\n");
+  } catch (e) {
+    console.warn("Error processing sequence << Check jsonToEmbl.js");
+    console.warn(serSeq);
+    console.warn(e.stack);
+    return false;
+  }
+}
+
+// converts a line coming from featureToGenbankString into one or more EMBL FT lines
+function featureLineToEmbl(gbLine, isLocationLine) {
+  let value = gbLine.trim();
+  let firstPrefix = FT_CONTINUATION_PREFIX;
+  if (isLocationLine) {
+    const [, type, location] = gbLine.match(/^\s*(\S+)\s+(.*)$/);
+    firstPrefix = "FT   " + type.padEnd(FEATURE_VALUE_INDENT - 6, " ") + " ";
+    value = location;
+  }
+  const width = LINE_WIDTH - FEATURE_VALUE_INDENT;
+  let wrapped;
+  if (isLocationLine) {
+    //locations are split after a comma and joined back together without any whitespace
+    wrapped = wrapText(value, width, ",", true);
+  } else if (value.startsWith("/translation=")) {
+    //translations have no spaces so they are simply cut at the line width
+    wrapped = value.match(new RegExp(`.{1,${width}}`, "g")) || [""];
+  } else {
+    wrapped = wrapText(value, width, " ");
+  }
+  return wrapped.map(
+    (text, i) => (i === 0 ? firstPrefix : FT_CONTINUATION_PREFIX) + text
+  );
+}
+
+// splits text on the separator so that each line fits within width when possible
+// words longer than the width are never cut so that parsing the file back gives the same value
+function wrapText(text, width, separator, keepSeparator) {
+  const words = text.split(separator);
+  const lines = [];
+  let current;
+  words.forEach((word, i) => {
+    const token =
+      keepSeparator && i < words.length - 1 ? word + separator : word;
+    if (current === undefined) {
+      current = token;
+    } else if (
+      (current + (keepSeparator ? "" : separator) + token).length <= width
+    ) {
+      current += (keepSeparator ? "" : separator) + token;
+    } else {
+      lines.push(current);
+      current = token;
+    }
+  });
+  lines.push(current || "");
+  return lines;
+}
+
+function getSequenceHeader(sequence) {
+  const counts = { a: 0, c: 0, g: 0, t: 0, other: 0 };
+  for (const base of sequence.toLowerCase()) {
+    if (base === "u") {
+      counts.t++;
+    } else if ("acgt".includes(base)) {
+      counts[base]++;
+    } else {
+      counts.other++;
+    }
+  }
+  return `SQ   Sequence ${sequence.length} BP; ${counts.a} A; ${counts.c} C; ${counts.g} G; ${counts.t} T; ${counts.other} other;`;
+}
@@ -2,6 +2,10 @@ import { tidyUpSequenceData } from "@teselagen/sequence-utils";
 import { mangleOrStripUrls } from "./utils/unmangleUrls";
 
 export default function jsonToFasta(jsonSequence, options) {
+  if (Array.isArray(jsonSequence)) {
+    //several sequences are written one after the other as a multi-record fasta file
+    return jsonSequence.map(seq => jsonToFasta(seq, options)).join("\n");
+  }
   const cleanedData = tidyUpSequenceData(jsonSequence);
   const {
     name,
@@ -75,7 +75,22 @@ function cutUpStr(val, start, end) {
   return val.slice(start, end);
 }
 
-export default function (_serSeq, options) {
+export default function jsonToGenbank(_serSeq, options) {
+  if (Array.isArray(_serSeq)) {
+    //several sequences are written one after the other as a multi-record genbank file
+    //(a record that can't be converted throws, the same as in jsonsToZip)
+    return _serSeq
+      .map(seq => {
+        const record = jsonToGenbank(seq, { ...options });
+        if (record === false) {
+          throw new Error(
+            `Unable to convert ${(seq && seq.name) || "Untitled Sequence"} to genbank`
+          );
+        }
+        return record;
+      })
+      .join("\n");
+  }
   options = options || {};
   options.reformatSeqName = options.reformatSeqName !== false;
   const serSeq = cloneDeep(_serSeq);
@@ -127,28 +142,7 @@ export default function (_serSeq, options) {
 
     let longestFeatureTypeLength = 15;
 
-    serSeq.features = map(serSeq.features).concat(
-      flatMap(pragmasAndTypes, ({ pragma, type }) => {
-        return flatMap(serSeq[type], ann => {
-          if (!isObject(ann)) {
-            return [];
-          }
-          if (type === "primers") {
-            ann.type = "primer_bind";
-          }
-          if (type === "parts" && ann.isDigestPart) {
-            addDigestPartFieldsToNotes(ann);
-          }
-          ann.notes = pragma
-            ? {
-                ...ann.notes,
-                pragma: [pragma]
-              }
-            : ann.notes;
-          return ann;
-        });
-      })
-    );
+    serSeq.features = getFeaturesWithPragmaAnnotations(serSeq);
     serSeq.features.forEach(({ type }) => {
       if (type && type.length > longestFeatureTypeLength) {
         longestFeatureTypeLength = type.length;
@@ -195,6 +189,37 @@ export default function (_serSeq, options) {
   }
 }
 
+/**
+ * combines the features with the primers, parts, warnings etc. of a sequence.
+ * The non-feature annotations get a pragma note so that they can be split back out when parsed
+ * @param  {object} serSeq a (cloned) teselagen sequence json, its annotations will be mutated
+ * @return {array} features
+ */
+export function getFeaturesWithPragmaAnnotations(serSeq) {
+  return map(serSeq.features).concat(
+    flatMap(pragmasAndTypes, ({ pragma, type }) => {
+      return flatMap(serSeq[type], ann => {
+        if (!isObject(ann)) {
+          return [];
+        }
+        if (type === "primers") {
+          ann.type = "primer_bind";
+        }
+        if (type === "parts" && ann.isDigestPart) {
+          addDigestPartFieldsToNotes(ann);
+        }
+        ann.notes = pragma
+          ? {
+              ...ann.notes,
+              pragma: [pragma]
+            }
+          : ann.notes;
+        return ann;
+      });
+    })
+  );
+}
+
 function createGenbankLocus(serSeq, options) {
   if (serSeq.sequence.symbols) {
     serSeq.sequence = serSeq.sequence.symbols.split("");
@@ -267,7 +292,7 @@ function featureNoteInDataToGenbankString(name, value, options) {
   );
 }
 
-function featureToGenbankString(feat, options) {
+export function featureToGenbankString(feat, options) {
   const lines = [];
   if (feat.type === "primer") {
     feat.type = "primer_bind";
@@ -0,0 +1,168 @@
+import gff from "@gmod/gff";
+import color from "color";
+import { cloneDeep, flatMap, isObject, map } from "lodash-es";
+import { getFeatureToColorMap } from "@teselagen/sequence-utils";
+import { reformatName } from "./utils/NameUtils.js";
+
+/**
+ * converts our teselagen json into a GFF3 string that genome browsers can load
+ * - features, parts and primers are written with 1-based inclusive coordinates
+ * - notes are written as attributes (ID and Parent notes keep their meaning)
+ * - multi-location features are written as one line per location sharing the same ID
+ * @param  {object|array} jsonSequences a teselagen sequence json or an array of them (one GFF file can hold several sequences)
+ * @param  {object} options
+ * @param  {boolean} options.includeSequence set to false to leave out the ##FASTA section
+ * @param  {string} options.source the value to use in the source column (defaults to ".")
+ * @return {string} the GFF3 file contents
+ */
+export default function jsonToGff(jsonSequences, options = {}) {
+  const { includeSequence = true, source = null } = options;
+  const sequences = map([].concat(jsonSequences), seq => cloneDeep(seq));
+  const lines = [
+    gff.util.formatDirective({ directive: "gff-version", value: "3" })
+  ];
+  const fastaLines = [];
+
+  sequences.forEach(seqData => {
+    const sequence = Array.isArray(seqData.sequence)
+      ? seqData.sequence.join("")
+      : seqData.sequence || "";
+    const size = sequence.length;
+    const seqId = reformatName(seqData.name || "Untitled_Sequence");
+    lines.push(
+      gff.util.formatDirective({
+        directive: "sequence-region",
+        value: `${seqId} 1 ${size}`
+      })
+    );
+    if (seqData.circular) {
+      lines.push(
+        gff.util.formatFeature(
+          createGffFeature({
+            seqId,
+            source,
+            type: "region",
+            start: 1,
+            end: size,
+            strand: "+",
+            attributes: { ID: [seqId], Is_circular: ["true"] }
+          })
+        )
+      );
+    }
+    const annotations = map(seqData.features).concat(
+      flatMap(["parts", "primers"], type =>
+        map(seqData[type], ann => ({
+          ...ann,
+          type:
+            ann.type || (type === "primers" ? "primer_bind" : "misc_feature")
+        }))
+      )
+    );
+    annotations.forEach((ann, i) => {
+      if (!isObject(ann)) return;
+      lines.push(
+        gff.util.formatFeature(
+          annotationToGffFeature(ann, {
+            seqId,
+            source,
+            size,
+            circular: seqData.circular,
+            index: i
+          })
+        )
+      );
+    });
+    if (includeSequence) {
+      fastaLines.push(`>${seqId}`);
+      fastaLines.push(...(sequence.match(/.{1,80}/g) || []));
+    }
+  });
+  if (fastaLines.length) {
+    lines.push("##FASTA\n");
+    lines.push(...fastaLines.map(l => l + "\n"));
+  }
+  return lines.join("");
+}
+
+function annotationToGffFeature(ann, { seqId, source, size, circular, index }) {
+  const locations =
+    ann.locations && ann.locations.length > 1 ? ann.locations : [ann];
+  const notes = ann.notes || {};
+  const attributes = {};
+  if (notes.ID || locations.length > 1) {
+    //an ID is needed to tie the locations of a joined feature together
+    attributes.ID = notes.ID || [ann.id || `${ann.type}${index + 1}`];
+  }
+  attributes.Name = [String(ann.name || "Untitled Feature")];
+  Object.keys(notes).forEach(key => {
+    if (key === "ID" || key === "Name") return;
+    const values = [].concat(notes[key]).filter(v => v !== undefined);
+    if (values.length) attributes[key] = values.map(String);
+  });
+  if (
+    ann.color &&
+    color.rgb(ann.color).string() !==
+      color
+        .rgb(
+          getFeatureToColorMap({ includeHidden: true })[ann.type] || "#cccccc"
+        )
+        .string()
+  ) {
+    attributes.color = [ann.color];
+  }
+  const arrowhead = ann.arrowheadType && ann.arrowheadType.toUpperCase();
+  const strand = arrowhead === "NONE" ? "." : ann.strand === -1 ? "-" : "+";
+
+  let wrapped = false;
+  const rows = locations.map((loc, i) => {
+    //locations after the origin of circular sequences are written running past the sequence end
+    if (circular && i > 0 && loc.start < locations[i - 1].start) wrapped = true;
+    const start = loc.start + 1 + (wrapped ? size : 0);
+    const end =
+      loc.end + 1 + (wrapped || (circular && loc.end < loc.start) ? size : 0);
+    return createGffFeature({
+      seqId,
+      source,
+      type: ann.type,
+      start,
+      end,
+      strand,
+      attributes
+    });
+  });
+  if (ann.type === "CDS") {
+    //the phase counts the bases of the CDS read so far from its 5' end, which is the last location on the minus strand
+    let cdsLengthSoFar = 0;
+    (ann.strand === -1 ? [...rows].reverse() : rows).forEach(row => {
+      row.phase = String((3 - (cdsLengthSoFar % 3)) % 3);
+      cdsLengthSoFar += row.end - row.start + 1;
+    });
+  }
+  return rows;
+}
+
+function createGffFeature({
+  seqId,
+  source = null,
+  type,
+  start,
+  end,
+  strand,
+  phase = null,
+  attributes
+}) {
+  return {
+    seq_id: seqId,
+    source,
+    type,
+    start,
+    end,
+    score: null,
+    strand,
+    phase,
+    attributes,
+    child_features: [],
+    derived_features: []
+  };
+}
@@ -0,0 +1,36 @@
+import {
+  getAlignmentRows,
+  getUniqueAlignmentNames
+} from "./utils/alignmentTracks";
+
+/**
+ * writes an alignment as a sequential PHYLIP file
+ * @param  {array|object} alignment - AlignmentView tracks, or {name, alignmentTracks}
+ * @param  {object} options - {strict (default false) pads or cuts names to PHYLIP's
+ *   original 10 characters, otherwise (relaxed PHYLIP, as read by RAxML, PhyML, IQ-TREE...)
+ *   names are kept whole and followed by a space}
+ * @return {string} the PHYLIP file contents
+ */
+export default function jsonToPhylip(alignment, options = {}) {
+  const { rows, length } = getAlignmentRows(alignment);
+  let names = getUniqueAlignmentNames(rows);
+  let nameWidth = Math.max(...names.map(name => name.length)) + 1;
+  if (options.strict) {
+    // names that are the same once cut get numbered, still within the 10 characters
+    const seen = {};
+    names = names.map(name => {
+      let strictName = name.slice(0, 10);
+      for (let i = 2; seen[strictName]; i++) {
+        strictName = `${name.slice(0, 10 - String(i).length)}${i}`;
+      }
+      seen[strictName] = true;
+      return strictName;
+    });
+    nameWidth = 10;
+  }
+  let outString = ` ${rows.length} ${length}\n`;
+  rows.forEach(({ sequence }, i) => {
+    outString += `${names[i].padEnd(nameWidth)}${sequence}\n`;
+  });
+  return outString;
+}
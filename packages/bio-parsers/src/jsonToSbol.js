@@ -0,0 +1,227 @@
+import { cloneDeep, map } from "lodash-es";
+import { serializeRdf, XSD_NS } from "./utils/rdf.js";
+import { getSoUriForFeatureType } from "./utils/sequenceOntology.js";
+
+export const SBOL3_NS = "http://sbols.org/v3#";
+// SBOL has no place for some of our annotation data so it is written with our own namespace
+export const TESELAGEN_SBOL_NS = "https://teselagen.com/sbol#";
+
+const SBO_DNA = "https://identifiers.org/SBO:0000251";
+const SBO_RNA = "https://identifiers.org/SBO:0000250";
+const SBO_PROTEIN = "https://identifiers.org/SBO:0000252";
+const SO_CIRCULAR = "https://identifiers.org/SO:0000988";
+const SO_LINEAR = "https://identifiers.org/SO:0000987";
+const NUCLEIC_ACID_ENCODING = "https://identifiers.org/edam:format_1207";
+const PROTEIN_ENCODING = "https://identifiers.org/edam:format_1208";
+
+/**
+ * converts our teselagen json into an SBOL3 document
+ * - each sequence becomes a Component with its own Sequence
+ * - features, parts and primers become SequenceFeatures whose role is the matching Sequence Ontology term
+ * - multi-location and origin spanning annotations get one Range per location
+ * @param  {object|array} jsonSequences a teselagen sequence json or an array of them
+ * @param  {object} options
+ * @param  {string} options.format "rdfxml" (default), "turtle" or "jsonld"
+ * @param  {string} options.namespace the namespace the SBOL identities are created in (defaults to https://teselagen.com)
+ * @return {string} the SBOL3 document
+ */
+export default function jsonToSbol(jsonSequences, options = {}) {
+  const { format = "rdfxml", namespace = "https://teselagen.com" } = options;
+  const usedDisplayIds = {};
+  const nodes = [];
+  [].concat(jsonSequences).forEach(_seqData => {
+    const seqData = cloneDeep(_seqData);
+    let displayId = toDisplayId(seqData.name || "Untitled_Sequence");
+    if (usedDisplayIds[displayId]) {
+      displayId += `_${++usedDisplayIds[displayId]}`;
+    } else {
+      usedDisplayIds[displayId] = 1;
+    }
+    nodes.push(...sequenceToSbolNodes(seqData, { namespace, displayId }));
+  });
+  return serializeRdf(nodes, {
+    format,
+    prefixes: { sbol: SBOL3_NS, tg: TESELAGEN_SBOL_NS }
+  });
+}
+
+function sequenceToSbolNodes(seqData, { namespace, displayId }) {
+  const isProtein = !!seqData.isProtein;
+  const rawSequence = isProtein
+    ? seqData.proteinSequence || seqData.sequence
+    : seqData.sequence;
+  const elements = Array.isArray(rawSequence)
+    ? rawSequence.join("")
+    : rawSequence || "";
+  const componentUri = `${namespace}/${displayId}`;
+  const sequenceUri = `${namespace}/${displayId}_sequence`;
+
+  const sequenceNode = {
+    id: sequenceUri,
+    types: [SBOL3_NS + "Sequence"],
+    properties: [
+      ...topLevelProperties(namespace, `${displayId}_sequence`),
+      [SBOL3_NS + "elements", { value: elements }],
+      [
+        SBOL3_NS + "encoding",
+        { id: isProtein ? PROTEIN_ENCODING : NUCLEIC_ACID_ENCODING }
+      ]
+    ]
+  };
+
+  const componentProperties = [
+    ...topLevelProperties(namespace, displayId),
+    [SBOL3_NS + "name", { value: seqData.name || displayId }]
+  ];
+  const description = seqData.description || seqData.definition;
+  if (description) {
+    componentProperties.push([
+      SBOL3_NS + "description",
+      { value: description }
+    ]);
+  }
+  componentProperties.push([
+    SBOL3_NS + "type",
+    {
+      id: isProtein
+        ? SBO_PROTEIN
+        : seqData.isRna || seqData.type === "RNA"
+          ? SBO_RNA
+          : SBO_DNA
+    }
+  ]);
+  if (!isProtein) {
+    componentProperties.push([
+      SBOL3_NS + "type",
+      { id: seqData.circular ? SO_CIRCULAR : SO_LINEAR }
+    ]);
+  }
+  componentProperties.push([SBOL3_NS + "hasSequence", { id: sequenceUri }]);
+
+  const annotations = [
+    ...map(seqData.features, feat => ({ feat, annotationType: "feature" })),
+    ...map(seqData.parts, feat => ({ feat, annotationType: "part" })),
+    ...map(seqData.primers, feat => ({
+      feat: { type: "primer_bind", ...feat },
+      annotationType: "primer"
+    }))
+  ];
+  annotations.forEach(({ feat, annotationType }, i) => {
+    const featureDisplayId = `SequenceFeature${i + 1}`;
+    const featureUri = `${componentUri}/${featureDisplayId}`;
+    const type = feat.type || "misc_feature";
+    const properties = [
+      [SBOL3_NS + "displayId", { value: featureDisplayId }],
+      [SBOL3_NS + "name", { value: feat.name || "Untitled Feature" }]
+    ];
+    const notes = feat.notes || {};
+    if (notes.note && notes.note.length) {
+      properties.push([
+        SBOL3_NS + "description",
+        { value: notes.note.join("\n") }
+      ]);
+    }
+    properties.push([SBOL3_NS + "role", { id: getSoUriForFeatureType(type) }]);
+    getRanges(feat, { size: elements.length, isProtein }).forEach(
+      (range, j) => {
+        const rangeDisplayId = `Range${j + 1}`;
+        const rangeProperties = [
+          [SBOL3_NS + "displayId", { value: rangeDisplayId }],
+          [SBOL3_NS + "hasSequence", { id: sequenceUri }],
+          [SBOL3_NS + "start", integer(range.start)],
+          [SBOL3_NS + "end", integer(range.end)]
+        ];
+        if (
+          !feat.arrowheadType ||
+          feat.arrowheadType.toUpperCase() !== "NONE"
+        ) {
+          rangeProperties.push([
+            SBOL3_NS + "orientation",
+            {
+              id:
+                SBOL3_NS +
+                (feat.strand === -1 || feat.forward === false
+                  ? "reverseComplement"
+                  : "inline")
+            }
+          ]);
+        }
+        properties.push([
+          SBOL3_NS + "hasLocation",
+          {
+            node: {
+              id: `${featureUri}/${rangeDisplayId}`,
+              types: [SBOL3_NS + "Range"],
+              properties: rangeProperties
+            }
+          }
+        ]);
+      }
+    );
+    //these let us read our own files back without losing anything
+    properties.push([TESELAGEN_SBOL_NS + "featureType", { value: type }]);
+    if (annotationType !== "feature") {
+      properties.push([
+        TESELAGEN_SBOL_NS + "annotationType",
+        { value: annotationType }
+      ]);
+    }
+    if (feat.color) {
+      properties.push([TESELAGEN_SBOL_NS + "color", { value: feat.color }]);
+    }
+    componentProperties.push([
+      SBOL3_NS + "hasFeature",
+      {
+        node: {
+          id: featureUri,
+          types: [SBOL3_NS + "SequenceFeature"],
+          properties
+        }
+      }
+    ]);
+  });
+
+  return [
+    {
+      id: componentUri,
+      types: [SBOL3_NS + "Component"],
+      properties: componentProperties
+    },
+    sequenceNode
+  ];
+}
+
+// SBOL ranges are 1-based and inclusive, and can't run past the end of the sequence
+function getRanges(feat, { size, isProtein }) {
+  const locations =
+    feat.locations && feat.locations.length ? feat.locations : [feat];
+  const toSequenceIndex = i => (isProtein ? Math.floor(i / 3) : i);
+  const ranges = [];
+  locations.forEach(loc => {
+    const start = toSequenceIndex(Number(loc.start)) + 1;
+    const end = toSequenceIndex(Number(loc.end)) + 1;
+    if (end < start) {
+      ranges.push({ start, end: size }, { start: 1, end });
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+  return ranges;
+}
+
+function topLevelProperties(namespace, displayId) {
+  return [
+    [SBOL3_NS + "displayId", { value: displayId }],
+    [SBOL3_NS + "hasNamespace", { id: namespace }]
+  ];
+}
+
+function integer(value) {
+  return { value: String(value), datatype: XSD_NS + "integer" };
+}
+
+// SBOL displayIds may only contain alphanumerics and underscores and can't start with a number
+function toDisplayId(name) {
+  const displayId = String(name).replace(/[^A-Za-z0-9_]/g, "_");
+  return /^[0-9]/.test(displayId) ? `_${displayId}` : displayId;
+}
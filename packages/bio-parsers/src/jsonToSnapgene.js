@@ -0,0 +1,206 @@
+import { Buffer } from "buffer";
+import { flatMap, isObject, map } from "lodash-es";
+import { getSequenceWithinRange } from "@teselagen/range-utils";
+import {
+  calculateTm,
+  getFeatureToColorMap,
+  getReverseComplementSequenceString,
+  tidyUpSequenceData
+} from "@teselagen/sequence-utils";
+import pragmasAndTypes from "./utils/pragmasAndTypes.js";
+
+// SnapGene packet ids (see snapgeneToJson for the full table)
+const COOKIE_PACKET = 9;
+const DNA_PACKET = 0;
+const PROTEIN_PACKET = 21;
+const PRIMERS_PACKET = 5;
+const NOTES_PACKET = 6;
+const FEATURES_PACKET = 10;
+
+// [strand, arrowheadType] -> directionality attribute used by SnapGene
+// 0: non-directional, 1: forward, 2: reverse, 3: bi-directional
+function getDirectionality({ strand, arrowheadType }) {
+  const arrowhead = arrowheadType && arrowheadType.toUpperCase();
+  if (arrowhead === "NONE") return 0;
+  if (arrowhead === "BOTH") return 3;
+  return strand === -1 ? 2 : 1;
+}
+
+/**
+ * converts our teselagen json into a binary SnapGene (.dna or .prot) file
+ * @param  {object} jsonSequence teselagen sequence json
+ * @param  {object} options
+ * @return {Buffer} the SnapGene file contents, ready to be saved to disk
+ */
+export default function jsonToSnapgene(jsonSequence, options = {}) {
+  const seqData = tidyUpSequenceData(jsonSequence);
+  const isProtein = !!(seqData.isProtein || options.isProtein);
+  const sequence = isProtein
+    ? seqData.proteinSequence || seqData.sequence
+    : seqData.sequence;
+
+  const packets = [
+    createCookiePacket(isProtein),
+    createSequencePacket(seqData, sequence, isProtein),
+    createPacket(
+      FEATURES_PACKET,
+      createFeaturesXml(getFeaturesToExport(seqData), isProtein)
+    )
+  ];
+  if (!isProtein && seqData.primers && seqData.primers.length) {
+    packets.push(
+      createPacket(PRIMERS_PACKET, createPrimersXml(seqData.primers, seqData))
+    );
+  }
+  packets.push(createPacket(NOTES_PACKET, createNotesXml(seqData)));
+  return Buffer.concat(packets);
+}
+
+function createPacket(packetId, content) {
+  const body = Buffer.isBuffer(content)
+    ? content
+    : Buffer.from(content, "utf8");
+  const header = Buffer.alloc(5);
+  header.writeUInt8(packetId, 0);
+  header.writeUInt32BE(body.length, 1);
+  return Buffer.concat([header, body]);
+}
+
+function createCookiePacket(isProtein) {
+  const body = Buffer.alloc(14);
+  body.write("SnapGene", 0, "ascii");
+  body.writeUInt16BE(isProtein ? 2 : 1, 8); // sequence type
+  body.writeUInt16BE(15, 10); // export version
+  body.writeUInt16BE(16, 12); // import version
+  return createPacket(COOKIE_PACKET, body);
+}
+
+function createSequencePacket(seqData, sequence, isProtein) {
+  // bit 0: circular, bit 1: double stranded
+  let props = 0;
+  if (seqData.circular && !isProtein) props |= 0x01;
+  if (!isProtein && seqData.isSingleStrandedDNA !== true) props |= 0x02;
+  const seqBuffer = Buffer.from(sequence || "", "utf8");
+  const body = Buffer.alloc(seqBuffer.length + 1);
+  body.writeUInt8(props, 0);
+  seqBuffer.copy(body, 1);
+  return createPacket(isProtein ? PROTEIN_PACKET : DNA_PACKET, body);
+}
+
+// snapgene has no notion of parts, warnings etc. so we save them as features
+// with a pragma note (the same way jsonToGenbank does) so they survive a round trip
+function getFeaturesToExport(seqData) {
+  return map(seqData.features).concat(
+    flatMap(pragmasAndTypes, ({ pragma, type }) => {
+      if (!pragma) return [];
+      return flatMap(seqData[type], ann => {
+        if (!isObject(ann)) return [];
+        return {
+          ...ann,
+          notes: {
+            ...ann.notes,
+            pragma: [pragma]
+          }
+        };
+      });
+    })
+  );
+}
+
+function createFeaturesXml(features, isProtein) {
+  const featureToColorMap = getFeatureToColorMap({ includeHidden: true });
+  let xml = `<?xml version="1.0"?><Features nextValidID="${features.length}">`;
+  features.forEach((feat, i) => {
+    const directionality = getDirectionality(feat);
+    const type = feat.type || "misc_feature";
+    const color = feat.color || featureToColorMap[type] || "#cccccc";
+    const locations =
+      feat.locations && feat.locations.length > 1 ? feat.locations : [feat];
+    xml += `<Feature recentID="${i}" name="${escapeXml(
+      feat.name || "Untitled Feature"
+    )}"${
+      directionality ? ` directionality="${directionality}"` : ""
+    } type="${escapeXml(type)}" allowSegmentOverlaps="0" consecutiveTranslationNumbering="1">`;
+    locations.forEach(loc => {
+      xml += `<Segment range="${getRangeString(
+        loc,
+        isProtein
+      )}" color="${escapeXml(color)}" type="standard"/>`;
+    });
+    Object.keys(feat.notes || {}).forEach(key => {
+      const values = [].concat(feat.notes[key]).filter(v => v !== undefined);
+      if (!values.length) return;
+      xml += `<Q name="${escapeXml(key)}">`;
+      values.forEach(value => {
+        xml += `<V text="${escapeXml(value)}"/>`;
+      });
+      xml += "</Q>";
+    });
+    xml += "</Feature>";
+  });
+  xml += "</Features>";
+  return xml;
+}
+
+function createPrimersXml(primers, seqData) {
+  let xml = `<?xml version="1.0"?><Primers nextValidID="${primers.length}">`;
+  xml += `<HybridizationParams minContinuousMatchLen="10" allowMismatch="1" minMeltingTemperature="40"/>`;
+  primers.forEach((primer, i) => {
+    const boundStrand = primer.strand === -1 ? 1 : 0;
+    let annealedBases = getSequenceWithinRange(primer, seqData.sequence);
+    if (boundStrand) {
+      annealedBases = getReverseComplementSequenceString(annealedBases);
+    }
+    const bases = primer.bases || annealedBases;
+    const range = getRangeString(primer);
+    const tm = calculateTm(annealedBases);
+    // we write the full binding site plus its simplified copy, as snapgene does
+    const bindingSite = simplified =>
+      `<BindingSite${
+        simplified ? ` simplified="1"` : ""
+      } location="${range}" boundStrand="${boundStrand}" annealedBases="${annealedBases}"${
+        isFinite(tm) ? ` meltingTemperature="${Math.round(tm)}"` : ""
+      }><Component hybridizedRange="${range}" bases="${annealedBases}"/></BindingSite>`;
+    xml += `<Primer recentID="${i}" name="${escapeXml(
+      primer.name || "Untitled Primer"
+    )}" sequence="${escapeXml(bases)}" description="">${bindingSite()}${bindingSite(
+      true
+    )}</Primer>`;
+  });
+  xml += "</Primers>";
+  return xml;
+}
+
+function createNotesXml({ name, description }) {
+  const date = new Date();
+  const dateString = `${date.getUTCFullYear()}.${
+    date.getUTCMonth() + 1
+  }.${date.getUTCDate()}`;
+  return [
+    "<Notes>",
+    "<Type>Synthetic</Type>",
+    `<CustomMapLabel>${escapeXml(name || "Untitled Sequence")}</CustomMapLabel>`,
+    "<UseCustomMapLabel>1</UseCustomMapLabel>",
+    description ? `<Description>${escapeXml(description)}</Description>` : "",
+    `<Created>${dateString}</Created>`,
+    `<LastModified>${dateString}</LastModified>`,
+    "</Notes>"
+  ].join("");
+}
+
+// snapgene ranges are 1-based and inclusive, origin spanning ranges have start > end
+function getRangeString({ start, end }, isProtein) {
+  if (isProtein) {
+    return `${Math.floor(start / 3) + 1}-${Math.floor(end / 3) + 1}`;
+  }
+  return `${start + 1}-${end + 1}`;
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
@@ -0,0 +1,24 @@
+import {
+  getAlignmentRows,
+  getUniqueAlignmentNames
+} from "./utils/alignmentTracks";
+
+/**
+ * writes an alignment as a Stockholm file, one line per sequence
+ * @param  {array|object} alignment - AlignmentView tracks, or {name, alignmentTracks} (the
+ *   name is written as the #=GF ID)
+ * @return {string} the Stockholm file contents
+ */
+export default function jsonToStockholm(alignment) {
+  const { name, rows } = getAlignmentRows(alignment);
+  const names = getUniqueAlignmentNames(rows);
+  const nameWidth = Math.max(...names.map(name => name.length)) + 2;
+  let outString = "# STOCKHOLM 1.0\n";
+  if (name) outString += `#=GF ID ${name.trim().replace(/\s+/g, "_")}\n`;
+  outString += "\n";
+  rows.forEach(({ sequence }, i) => {
+    outString += `${names[i].padEnd(nameWidth)}${sequence}\n`;
+  });
+  outString += "//\n";
+  return outString;
+}
@@ -0,0 +1,104 @@
+// VCF INFO values can't hold whitespace, commas, semicolons or =
+const toInfoValue = value => String(value ?? "").replace(/[\s,;=]+/g, "_");
+
+/**
+ * writes the variants of a sequence against its reference (see sequence-utils'
+ * getAlignmentVariants) as a VCF 4.2 file
+ *
+ * Positions become 1-based and indels get the reference base before them as their anchor
+ * (or the one after them when they're at the very start of the reference), as VCF wants.
+ * Each variant's INFO has its TYPE (snp, ins or del) and an EFFECT per CDS it falls in,
+ * written as consequence|feature name|amino acid change
+ * @param  {array} variants - [{type: "SNP" | "insertion" | "deletion", position (0-based),
+ *   referenceBases, alternateBases, effects}]
+ * @param  {object} referenceSequenceData - the reference the variants were called against, {name, sequence}
+ * @param  {object} options - {sampleName (adds a genotype column for that sample)}
+ * @return {string} the vcf file contents
+ */
+export default function jsonToVcf(
+  variants,
+  referenceSequenceData,
+  options = {}
+) {
+  const { sampleName } = options;
+  const { name, sequence = "" } = referenceSequenceData;
+  const chrom = toInfoValue(name || "Untitled_Sequence");
+  const header = [
+    "##fileformat=VCFv4.2",
+    "##source=TeselaGen",
+    `##contig=<ID=${chrom},length=${sequence.length}>`,
+    '##INFO=<ID=TYPE,Number=1,Type=String,Description="Type of variant: snp, ins or del">',
+    '##INFO=<ID=EFFECT,Number=.,Type=String,Description="Effect on each CDS it falls in: consequence|feature|amino acid change">',
+    ...(sampleName
+      ? ['##FORMAT=<ID=GT,Number=1,Type=String,Description="Genotype">']
+      : []),
+    [
+      "#CHROM",
+      "POS",
+      "ID",
+      "REF",
+      "ALT",
+      "QUAL",
+      "FILTER",
+      "INFO",
+      ...(sampleName ? ["FORMAT", toInfoValue(sampleName)] : [])
+    ].join("\t")
+  ];
+
+  const records = variants.map(variant => {
+    const { pos, ref, alt } = getVcfAlleles(variant, sequence);
+    const info = [
+      `TYPE=${{ insertion: "ins", deletion: "del" }[variant.type] || "snp"}`
+    ];
+    if (variant.effects?.length) {
+      info.push(
+        `EFFECT=${variant.effects
+          .map(effect =>
+            [
+              effect.consequence,
+              effect.featureName || effect.featureId,
+              effect.aminoAcidChange
+            ]
+              .map(toInfoValue)
+              .join("|")
+          )
+          .join(",")}`
+      );
+    }
+    return [
+      chrom,
+      pos,
+      ".",
+      ref.toUpperCase(),
+      alt.toUpperCase(),
+      ".",
+      "PASS",
+      info.join(";"),
+      ...(sampleName ? ["GT", "1"] : [])
+    ].join("\t");
+  });
+
+  return [...header, ...records].join("\n").concat("\n");
+}
+
+function getVcfAlleles(variant, sequence) {
+  const { type, position, referenceBases, alternateBases } = variant;
+  if (type === "insertion") {
+    // insertions come after the reference base at their position
+    const anchor = sequence[position] || "N";
+    return {
+      pos: position + 1,
+      ref: anchor,
+      alt: anchor + alternateBases
+    };
+  }
+  if (type === "deletion") {
+    if (position === 0) {
+      const anchor = sequence[referenceBases.length] || "N";
+      return { pos: 1, ref: referenceBases + anchor, alt: anchor };
+    }
+    const anchor = sequence[position - 1];
+    return { pos: position, ref: anchor + referenceBases, alt: anchor };
+  }
+  return { pos: position + 1, ref: referenceBases, alt: alternateBases };
+}
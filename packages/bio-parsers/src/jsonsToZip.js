@@ -0,0 +1,61 @@
+import { strToU8, zipSync } from "fflate";
+import jsonToGenbank from "./jsonToGenbank";
+import jsonToFasta from "./jsonToFasta";
+import jsonToEmbl from "./jsonToEmbl";
+import jsonToGff from "./jsonToGff";
+import jsonToSnapgene from "./jsonToSnapgene";
+import jsonToSbol from "./jsonToSbol";
+import jsonToJsonString from "./jsonToJsonString";
+
+export const zipExportFormats = {
+  genbank: {
+    convert: jsonToGenbank,
+    getExtension: seq => (seq.isProtein ? "gp" : "gb")
+  },
+  fasta: { convert: jsonToFasta, getExtension: () => "fasta" },
+  embl: { convert: jsonToEmbl, getExtension: () => "embl" },
+  gff: { convert: jsonToGff, getExtension: () => "gff3" },
+  snapgene: {
+    convert: jsonToSnapgene,
+    getExtension: seq => (seq.isProtein ? "prot" : "dna")
+  },
+  sbol: { convert: jsonToSbol, getExtension: () => "xml" },
+  teselagenJson: { convert: jsonToJsonString, getExtension: () => "json" }
+};
+
+/**
+ * bundles several sequences into a zip archive holding one file per sequence
+ * @param  {array} jsonSequences teselagen sequence jsons
+ * @param  {object} options passed on to the converter as well
+ * @param  {string} options.format one of genbank (default), fasta, embl, gff, snapgene, sbol or teselagenJson
+ * @return {Uint8Array} the zip file contents
+ */
+export default function jsonsToZip(jsonSequences, options = {}) {
+  const { format = "genbank", ...convertOptions } = options;
+  const exportFormat = zipExportFormats[format];
+  if (!exportFormat) {
+    throw new Error(`Invalid export format: '${format}'`);
+  }
+  const files = {};
+  jsonSequences.forEach(seq => {
+    const contents = exportFormat.convert(seq, { ...convertOptions });
+    if (contents === false) {
+      throw new Error(`Unable to convert ${seq.name} to ${format}`);
+    }
+    const baseName = (seq.name || "Untitled_Sequence").replace(
+      /[\\/:*?"<>|]/g,
+      "_"
+    );
+    const extension = exportFormat.getExtension(seq);
+    //tabs can share a name so make sure no file gets overwritten
+    let fileName = `${baseName}.${extension}`;
+    for (let i = 2; files[fileName]; i++) {
+      fileName = `${baseName}_${i}.${extension}`;
+    }
+    files[fileName] =
+      typeof contents === "string"
+        ? strToU8(contents)
+        : new Uint8Array(contents);
+  });
+  return zipSync(files);
+}
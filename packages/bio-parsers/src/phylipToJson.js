@@ -0,0 +1,85 @@
+import splitStringIntoLines from "./utils/splitStringIntoLines";
+import { createAlignmentResult } from "./utils/alignmentTracks";
+
+// a name runs to the first whitespace (relaxed PHYLIP) or, with none, is the first 10 characters (strict PHYLIP)
+function splitNameAndSequence(line, strict) {
+  const nameLength = strict || !/\s/.test(line) ? 10 : line.search(/\s/);
+  return {
+    name: line.slice(0, nameLength).trim(),
+    sequence: line.slice(nameLength).replace(/\s/g, "")
+  };
+}
+
+function parseInterleaved(lines, sequenceCount, strict) {
+  const rows = lines
+    .slice(0, sequenceCount)
+    .map(line => splitNameAndSequence(line, strict));
+  lines.slice(sequenceCount).forEach((line, i) => {
+    if (rows[i % sequenceCount]) {
+      rows[i % sequenceCount].sequence += line.replace(/\s/g, "");
+    }
+  });
+  return rows;
+}
+
+function parseSequential(lines, sequenceCount, length, strict) {
+  const rows = [];
+  let lineIndex = 0;
+  while (rows.length < sequenceCount && lineIndex < lines.length) {
+    const row = splitNameAndSequence(lines[lineIndex++], strict);
+    while (row.sequence.length < length && lineIndex < lines.length) {
+      row.sequence += lines[lineIndex++].replace(/\s/g, "");
+    }
+    rows.push(row);
+  }
+  return lineIndex === lines.length ? rows : [];
+}
+
+/**
+ * parses a PHYLIP alignment, interleaved or sequential, strict (10 character names) or relaxed
+ * @param  {string} string  the PHYLIP file contents
+ * @param  {object} options - {isProtein (detected from the residues when left out), name,
+ *   strict (always read the first 10 characters of a line as the name, needed for strict
+ *   files with spaces in their names)}
+ * @return {array} a single parsing result, its parsedAlignment holding {name, isProtein, alignmentTracks}
+ */
+export default function phylipToJson(string, options = {}) {
+  const lines = splitStringIntoLines(string).filter(line => line.trim());
+  const header = (lines[0] || "").match(/^\s*(\d+)\s+(\d+)/);
+  if (!header) {
+    return [
+      {
+        success: false,
+        messages: [
+          "Import Error: Invalid PHYLIP file, it should start with the number of sequences and their length"
+        ]
+      }
+    ];
+  }
+  const sequenceCount = Number(header[1]);
+  const length = Number(header[2]);
+  const sequenceLines = lines.slice(1);
+  const isComplete = rows =>
+    rows.length === sequenceCount &&
+    rows.every(({ sequence }) => sequence.length === length);
+  // whichever way of reading the file gives every sequence its full length
+  let rows;
+  (options.strict ? [true] : [false, true]).some(strict => {
+    rows = parseInterleaved(sequenceLines, sequenceCount, strict);
+    if (!isComplete(rows)) {
+      rows = parseSequential(sequenceLines, sequenceCount, length, strict);
+    }
+    return isComplete(rows);
+  });
+  if (!isComplete(rows)) {
+    return [
+      {
+        success: false,
+        messages: [
+          `Import Error: Expected ${sequenceCount} sequences of length ${length} in the PHYLIP file`
+        ]
+      }
+    ];
+  }
+  return [createAlignmentResult(options.name, rows, options)];
+}
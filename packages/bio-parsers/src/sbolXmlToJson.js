@@ -6,7 +6,14 @@ import searchWholeObjByName, {
 } from "./utils/searchWholeObjByName";
 
 import { XMLParser } from "fast-xml-parser";
-import { flatMap, get } from "lodash-es";
+import { flatMap, get, sortBy } from "lodash-es";
+import flattenSequenceArray from "./utils/flattenSequenceArray";
+import { getIds, getLiteral, getTypes, parseRdf } from "./utils/rdf.js";
+import { getFeatureTypeFromSoUri } from "./utils/sequenceOntology.js";
+import { SBOL3_NS, TESELAGEN_SBOL_NS } from "./jsonToSbol.js";
+
+const SBOL2_NS = "http://sbols.org/v2#";
+const DCTERMS_NS = "http://purl.org/dc/terms/";
 
 //Here's what should be in the callback:
 // {
@@ -16,6 +23,10 @@ import { flatMap, get } from "lodash-es";
 // }
 async function sbolXmlToJson(string, options) {
   options = options || {};
+  if (/sbols\.org\/v[23]#/.test(string)) {
+    //SBOL2 and SBOL3 can also come as Turtle or JSON-LD so they are read as generic RDF
+    return sbolRdfToJson(string, options);
+  }
   const onFileParsed = function (sequences) {
     //before we call the onFileParsed callback, we need to validate the sequence
     return validateSequenceArray(sequences, options);
@@ -132,4 +143,245 @@ function parseSbolJson(sbolJson, options) {
   };
 }
 
+// SBOL2 and SBOL3 share the same overall structure, only the names of the terms differ
+const sbolVersionTerms = {
+  3: {
+    ns: SBOL3_NS,
+    component: "Component",
+    sequence: "hasSequence",
+    feature: "hasFeature",
+    location: "hasLocation"
+  },
+  2: {
+    ns: SBOL2_NS,
+    component: "ComponentDefinition",
+    sequence: "sequence",
+    feature: "sequenceAnnotation",
+    location: "location"
+  }
+};
+
+function sbolRdfToJson(string, options) {
+  let graph;
+  try {
+    graph = parseRdf(string);
+  } catch (e) {
+    console.error("Error trying to parse file as SBOL:", e);
+    return [
+      {
+        success: false,
+        messages: ["Error parsing SBOL file"]
+      }
+    ];
+  }
+  const ids = Object.keys(graph);
+  const version = ids.some(id =>
+    getTypes(graph, id).includes(SBOL3_NS + "Component")
+  )
+    ? 3
+    : 2;
+  const terms = sbolVersionTerms[version];
+  const { ns } = terms;
+  const components = ids.filter(id =>
+    getTypes(graph, id).includes(ns + terms.component)
+  );
+  // in SBOL3 a SubComponent is itself a feature, in SBOL2 the annotation points to a Component
+  const getSubComponentDefinition = featureId => {
+    if (version === 3) return getIds(graph, featureId, ns + "instanceOf")[0];
+    const component = getIds(graph, featureId, ns + "component")[0];
+    return component && getIds(graph, component, ns + "definition")[0];
+  };
+  const getName = id =>
+    getLiteral(graph, id, ns + "name") ||
+    getLiteral(graph, id, DCTERMS_NS + "title") ||
+    getLiteral(graph, id, ns + "displayId") ||
+    id.split(/[/#]/).pop();
+  const getDescription = id =>
+    getLiteral(graph, id, ns + "description") ||
+    getLiteral(graph, id, DCTERMS_NS + "description");
+  const getElements = id => {
+    const sequenceId = getIds(graph, id, ns + terms.sequence)[0];
+    return sequenceId && getLiteral(graph, sequenceId, ns + "elements");
+  };
+
+  const usedAsSubComponent = new Set();
+  components.forEach(id => {
+    getIds(graph, id, ns + terms.feature).forEach(featureId => {
+      const definition = getSubComponentDefinition(featureId);
+      if (definition) usedAsSubComponent.add(definition);
+    });
+    if (version === 2) {
+      getIds(graph, id, ns + "component").forEach(componentId => {
+        usedAsSubComponent.add(
+          getIds(graph, componentId, ns + "definition")[0]
+        );
+      });
+    }
+  });
+  const withSequence = components.filter(id => getElements(id));
+  let toConvert = withSequence.filter(id => !usedAsSubComponent.has(id));
+  if (!toConvert.length) toConvert = withSequence;
+  if (!toConvert.length) {
+    return [
+      {
+        success: false,
+        messages: ["No SBOL components with a sequence were found"]
+      }
+    ];
+  }
+
+  const results = toConvert.map(id => {
+    const messages = [];
+    const sequenceId = getIds(graph, id, ns + terms.sequence)[0];
+    const elements = getElements(id);
+    const types = getTypes(graph, id).concat(getIds(graph, id, ns + "type"));
+    const encoding = getIds(graph, sequenceId, ns + "encoding")[0] || "";
+    const isProtein =
+      types.some(t => /SBO[:_]0000252|ProteinRegion/.test(t)) ||
+      /format_1208|AminoAcid/.test(encoding);
+    const circular = types.some(t => /SO[:_]0000988/.test(t));
+    const size = elements.length;
+
+    const features = [];
+    getIds(graph, id, ns + terms.feature).forEach(featureId => {
+      const locations = [];
+      let hasOrientation = false;
+      let isReverse = false;
+      getIds(graph, featureId, ns + terms.location).forEach(locationId => {
+        const locationTypes = getTypes(graph, locationId);
+        let start, end;
+        if (locationTypes.includes(ns + "EntireSequence")) {
+          start = 1;
+          end = size;
+        } else if (getLiteral(graph, locationId, ns + "start") !== undefined) {
+          start = parseInt(getLiteral(graph, locationId, ns + "start"), 10);
+          end = parseInt(getLiteral(graph, locationId, ns + "end"), 10);
+        } else {
+          return; //cuts have no length so there's nothing to show for them
+        }
+        const orientation = getIds(graph, locationId, ns + "orientation")[0];
+        if (orientation) {
+          hasOrientation = true;
+          if (/reverseComplement$/.test(orientation)) isReverse = true;
+        }
+        locations.push(
+          isProtein
+            ? { start: (start - 1) * 3, end: end * 3 - 1 }
+            : { start: start - 1, end: end - 1 }
+        );
+      });
+      if (!locations.length) {
+        messages.push(
+          `SBOL feature ${getName(featureId)} has no location and was not imported`
+        );
+        return;
+      }
+      const definition = getSubComponentDefinition(featureId);
+      const roles = getIds(graph, featureId, ns + "role").concat(
+        definition ? getIds(graph, definition, ns + "role") : []
+      );
+      const annotationType = getLiteral(
+        graph,
+        featureId,
+        TESELAGEN_SBOL_NS + "annotationType"
+      );
+      let type =
+        getLiteral(graph, featureId, TESELAGEN_SBOL_NS + "featureType") ||
+        roles.map(getFeatureTypeFromSoUri).find(t => t) ||
+        "misc_feature";
+      if (annotationType === "primer") type = "primer_bind";
+      const notes = {};
+      const description = getDescription(featureId);
+      if (description) notes.note = [description];
+      const color = getLiteral(graph, featureId, TESELAGEN_SBOL_NS + "color");
+      if (color) notes.color = [color];
+      if (definition || annotationType === "part") {
+        //sub-components show up as parts on their parent sequence
+        notes.pragma = ["Teselagen_Part"];
+      }
+      const orderedLocations = orderLocations(
+        locations,
+        circular ? (isProtein ? size * 3 : size) : undefined
+      );
+      features.push({
+        name:
+          getLiteral(graph, featureId, ns + "name") ||
+          getLiteral(graph, featureId, DCTERMS_NS + "title") ||
+          (definition && getName(definition)) ||
+          getName(featureId),
+        type,
+        strand: isReverse ? -1 : 1,
+        ...(!hasOrientation && { arrowheadType: "NONE" }),
+        start: orderedLocations[0].start,
+        end: orderedLocations[orderedLocations.length - 1].end,
+        ...(orderedLocations.length > 1 && { locations: orderedLocations }),
+        notes
+      });
+    });
+
+    const description = getDescription(id);
+    return {
+      success: true,
+      messages,
+      parsedSequence: {
+        name: getName(id),
+        ...(description && { description }),
+        circular,
+        sequence: elements,
+        ...(isProtein && { isProtein: true }),
+        features
+      }
+    };
+  });
+
+  return validateSequenceArray(
+    flattenSequenceArray(results, options),
+    options
+  ).map(result => {
+    if (result.success && !options.primersAsFeatures) {
+      const sequence = result.parsedSequence;
+      sequence.primers = sequence.features.filter(
+        feat => feat.type === "primer_bind"
+      );
+      sequence.features = sequence.features.filter(
+        feat => feat.type !== "primer_bind"
+      );
+    }
+    return result;
+  });
+}
+
+// SBOL locations are an unordered set, so we put them back in order (starting after the
+// largest gap for circular sequences so that origin spanning features come out right)
+// and merge the ranges that were split at the origin
+function orderLocations(locations, circularSequenceLength) {
+  let sorted = sortBy(locations, "start");
+  if (circularSequenceLength && sorted.length > 1) {
+    let startIndex = 0;
+    let largestGap = -1;
+    sorted.forEach((loc, i) => {
+      const previous = sorted[(i + sorted.length - 1) % sorted.length];
+      const gap =
+        (loc.start - previous.end - 1 + circularSequenceLength) %
+        circularSequenceLength;
+      if (gap > largestGap) {
+        largestGap = gap;
+        startIndex = i;
+      }
+    });
+    sorted = [...sorted.slice(startIndex), ...sorted.slice(0, startIndex)];
+    const merged = [];
+    sorted.forEach(loc => {
+      const last = merged[merged.length - 1];
+      if (last && last.end === circularSequenceLength - 1 && loc.start === 0) {
+        merged[merged.length - 1] = { start: last.start, end: loc.end };
+      } else {
+        merged.push({ ...loc });
+      }
+    });
+    sorted = merged;
+  }
+  return sorted;
+}
+
 export default sbolXmlToJson;
@@ -59,6 +59,8 @@ async function snapgeneToJson(fileObj, options = {}) {
       importVersion: await unpack(2, "H"),
       features: []
     };
+    //the primers packet can come before the features packet so they're added once every packet is read
+    const primerFeatures = [];
     while (offset <= arrayBuffer.byteLength) {
       // # READ THE WHOLE FILE, BLOCK BY BLOCK, UNTIL THE END
       const next_byte = await read(1);
@@ -113,13 +115,17 @@ async function snapgeneToJson(fileObj, options = {}) {
         const b = new XMLParser({
           ignoreAttributes: false,
           attributeNamePrefix: "",
-          isArray: name => name === "Feature" || name === "Segment"
+          isArray: name =>
+            name === "Feature" ||
+            name === "Segment" ||
+            name === "Q" ||
+            name === "V"
         }).parse(xml);
         const { Features: { Feature = [] } = {} } = b;
         data.features = [];
         Feature.forEach(feat => {
-          const { directionality, Segment = [], name, type } = feat;
-          // let color;
+          const { directionality, Segment = [], Q = [], name, type } = feat;
+          let color;
           let maxStart = 0;
           let maxEnd = 0;
           const locations =
@@ -127,7 +133,7 @@ async function snapgeneToJson(fileObj, options = {}) {
             Segment.map(seg => {
               if (!seg) throw new Error("invalid feature definition");
               const { range } = seg;
-              // color = seg.color;
+              color = color || seg.color;
               let { start, end } = getStartAndEndFromRangeString(range);
               start = isProtein ? start * 3 : start;
               end = isProtein ? end * 3 + 2 : end;
@@ -148,10 +154,42 @@ async function snapgeneToJson(fileObj, options = {}) {
               ? strand_dict[directionality][1]
               : "NONE",
             start: maxStart,
-            end: maxEnd
-            // color,
+            end: maxEnd,
+            ...(color && { color }),
+            ...(Q.length && { notes: getNotesFromQualifiers(Q) })
           });
         });
+      } else if (ord(next_byte) === 5) {
+        //   # READ THE PRIMERS
+        const xml = await read(block_size, "utf8");
+        const b = new XMLParser({
+          ignoreAttributes: false,
+          attributeNamePrefix: "",
+          isArray: name => name === "Primer" || name === "BindingSite"
+        }).parse(xml);
+        const { Primers: { Primer = [] } = {} } = b;
+        Primer.forEach(primer => {
+          const { BindingSite = [], name, sequence } = primer;
+          //snapgene stores each binding site twice, the "simplified" copy is the one it displays
+          const simplifiedSites = BindingSite.filter(
+            site => site.simplified === "1"
+          );
+          (simplifiedSites.length ? simplifiedSites : BindingSite).forEach(
+            site => {
+              const { start, end } = getStartAndEndFromRangeString(
+                site.location
+              );
+              primerFeatures.push({
+                name: String(name),
+                type: "primer_bind",
+                strand: site.boundStrand === "1" ? -1 : 1,
+                start,
+                end,
+                ...(sequence && { bases: String(sequence) })
+              });
+            }
+          );
+        });
       } else if (ord(next_byte) === 6) {
         //       # READ THE NOTES
 
@@ -173,11 +211,25 @@ async function snapgeneToJson(fileObj, options = {}) {
         await read(block_size); //we don't do anything with this
       }
     }
+    data.features = [...data.features, ...primerFeatures];
     returnVal.parsedSequence = data;
-    return validateSequenceArray(
+    const results = validateSequenceArray(
       flattenSequenceArray([returnVal], options),
       options
     );
+    //primers are read in as primer_bind features, split them out unless asked not to (same as genbankToJson)
+    results.forEach(result => {
+      if (result.success && !options.primersAsFeatures) {
+        const sequence = result.parsedSequence;
+        sequence.primers = sequence.features.filter(
+          feat => feat.type === "primer_bind"
+        );
+        sequence.features = sequence.features.filter(
+          feat => feat.type !== "primer_bind"
+        );
+      }
+    });
+    return results;
   } catch (e) {
     console.error("Error trying to parse file as snapgene:", e);
     return [
@@ -189,6 +241,18 @@ async function snapgeneToJson(fileObj, options = {}) {
   }
 }
 
+function getNotesFromQualifiers(qualifiers) {
+  const notes = {};
+  qualifiers.forEach(({ name, V = [] }) => {
+    if (!name) return;
+    notes[name] = V.map(v => {
+      const val = v.text !== undefined ? v.text : v.int;
+      return val === undefined ? "" : String(val);
+    });
+  });
+  return notes;
+}
+
 function getStartAndEndFromRangeString(rangestring) {
   const [start, end] = rangestring.split("-");
   return {
@@ -0,0 +1,62 @@
+import splitStringIntoLines from "./utils/splitStringIntoLines";
+import { createAlignmentResult } from "./utils/alignmentTracks";
+
+/**
+ * parses a Stockholm file (eg. from Pfam or HMMER), which can hold several alignments
+ * - the #=GF ID line names the alignment, other markup (#=GS, #=GR, #=GC...) is skipped
+ * - sequences can be split over several blocks and use . or - for gaps
+ * @param  {string} string  the Stockholm file contents
+ * @param  {object} options - {isProtein (detected from the residues when left out), name
+ *   (used when an alignment has no ID)}
+ * @return {array} one parsing result per alignment, its parsedAlignment holding {name, isProtein, alignmentTracks}
+ */
+export default function stockholmToJson(string, options = {}) {
+  const lines = splitStringIntoLines(string);
+  if (!/^# STOCKHOLM/.test(lines[0] || "")) {
+    return [
+      {
+        success: false,
+        messages: [
+          "Import Error: Invalid Stockholm file, it should start with # STOCKHOLM"
+        ]
+      }
+    ];
+  }
+  const results = [];
+  let name;
+  let rows = [];
+  let rowsByName = {};
+  const addAlignment = () => {
+    if (rows.length) {
+      results.push(createAlignmentResult(name || options.name, rows, options));
+    }
+    name = undefined;
+    rows = [];
+    rowsByName = {};
+  };
+  lines.forEach(line => {
+    const trimmedLine = line.trim();
+    if (trimmedLine === "//") return addAlignment();
+    const idMatch = trimmedLine.match(/^#=GF\s+ID\s+(.+)$/);
+    if (idMatch) name = idMatch[1].trim();
+    if (!trimmedLine || trimmedLine.startsWith("#")) return;
+    const [seqName, sequence] = trimmedLine.split(/\s+/);
+    if (!sequence) return;
+    if (!rowsByName[seqName]) {
+      rowsByName[seqName] = { name: seqName, sequence: "" };
+      rows.push(rowsByName[seqName]);
+    }
+    rowsByName[seqName].sequence += sequence;
+  });
+  // a missing // at the end of the file shouldn't lose the last alignment
+  addAlignment();
+  if (!results.length) {
+    return [
+      {
+        success: false,
+        messages: ["Import Error: No aligned sequences found"]
+      }
+    ];
+  }
+  return results;
+}
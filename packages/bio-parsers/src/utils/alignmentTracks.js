@@ -0,0 +1,104 @@
+/**
+ * Helpers shared by the alignment importers and exporters (clustal, stockholm, phylip and
+ * aligned fasta). Alignments are kept the way ove's AlignmentView takes them: a list of
+ * tracks, each with its ungapped sequenceData and its gapped alignmentData
+ */
+
+// stockholm uses . for gaps in inserts, some tools write ~
+const gapChars = /[.~]/g;
+const nonDnaChars = /[^ACGTURYKMSWBDHVN-]/i;
+
+/**
+ * Normalizes an alignment (its tracks, or {name, alignmentTracks}) to a name and a list of
+ * {name, sequence (gapped)} rows, all padded with gaps to the same length
+ */
+export function getAlignmentRows(alignment) {
+  const { name, alignmentTracks = [] } = Array.isArray(alignment)
+    ? { alignmentTracks: alignment }
+    : alignment;
+  const rows = alignmentTracks.map((track, i) => {
+    const { alignmentData, sequenceData } = track;
+    return {
+      name: alignmentData?.name || sequenceData?.name || `Sequence_${i + 1}`,
+      sequence:
+        alignmentData?.sequence ??
+        (sequenceData?.isProtein
+          ? sequenceData.proteinSequence
+          : sequenceData?.sequence) ??
+        ""
+    };
+  });
+  const length = Math.max(0, ...rows.map(({ sequence }) => sequence.length));
+  rows.forEach(row => {
+    row.sequence = row.sequence.padEnd(length, "-");
+  });
+  const isProtein = !!alignmentTracks[0]?.sequenceData?.isProtein;
+  return { name, rows, length, isProtein };
+}
+
+/**
+ * Most alignment formats end a name at the first space and key sequences by name, so
+ * spaces become underscores and repeated names get a _2, _3... suffix
+ */
+export function getUniqueAlignmentNames(rows) {
+  const seen = {};
+  return rows.map(({ name }) => {
+    let safeName = name.trim().replace(/\s+/g, "_") || "Sequence";
+    if (seen[safeName]) {
+      let i = 2;
+      while (seen[`${safeName}_${i}`]) i++;
+      safeName = `${safeName}_${i}`;
+    }
+    seen[safeName] = true;
+    return safeName;
+  });
+}
+
+/**
+ * Turns parsed {name, sequence (gapped)} rows into a parsing result holding the alignment
+ * as AlignmentView tracks, failing if the rows aren't all the same length. Unless
+ * options.isProtein says otherwise, alignments with any letters that aren't (ambiguous)
+ * bases are taken to be protein alignments
+ */
+export function createAlignmentResult(name, rows, options = {}, messages = []) {
+  if (!rows.length) {
+    return {
+      success: false,
+      messages: ["Import Error: No aligned sequences found"]
+    };
+  }
+  const tracks = rows.map(row => ({
+    name: row.name,
+    sequence: row.sequence.replace(gapChars, "-")
+  }));
+  const length = tracks[0].sequence.length;
+  const unevenTrack = tracks.find(({ sequence }) => sequence.length !== length);
+  if (unevenTrack) {
+    return {
+      success: false,
+      messages: [
+        `Import Error: ${unevenTrack.name} is ${unevenTrack.sequence.length} characters long, not ${length} like the other aligned sequences`
+      ]
+    };
+  }
+  const isProtein =
+    options.isProtein ??
+    tracks.some(({ sequence }) => nonDnaChars.test(sequence));
+  return {
+    success: true,
+    messages,
+    parsedAlignment: {
+      name,
+      isProtein,
+      alignmentTracks: tracks.map(({ name, sequence }) => {
+        const ungappedSequence = sequence.replace(/-/g, "");
+        return {
+          sequenceData: isProtein
+            ? { name, isProtein, proteinSequence: ungappedSequence }
+            : { name, sequence: ungappedSequence },
+          alignmentData: { name, sequence }
+        };
+      })
+    }
+  };
+}
@@ -0,0 +1,659 @@
+// A minimal RDF toolkit covering what SBOL files need: RDF/XML, Turtle and JSON-LD
+// are all read into the same graph shape and written out from the same list of nodes.
+//
+// graph: { [subjectUri]: { [predicateUri]: [term] } }
+// term:  { id: uri } for resources, { value: string, datatype?: uri } for literals
+import { XMLParser } from "fast-xml-parser";
+
+export const RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+export const XSD_NS = "http://www.w3.org/2001/XMLSchema#";
+export const RDF_TYPE = RDF_NS + "type";
+
+export function getTypes(graph, id) {
+  return getIds(graph, id, RDF_TYPE);
+}
+
+export function getIds(graph, id, predicate) {
+  return ((graph[id] || {})[predicate] || [])
+    .filter(term => term.id !== undefined)
+    .map(term => term.id);
+}
+
+export function getLiteral(graph, id, predicate) {
+  const term = ((graph[id] || {})[predicate] || []).find(
+    term => term.value !== undefined
+  );
+  return term && term.value;
+}
+
+function addTriple(graph, subject, predicate, term) {
+  if (!graph[subject]) graph[subject] = {};
+  if (!graph[subject][predicate]) graph[subject][predicate] = [];
+  graph[subject][predicate].push(term);
+}
+
+/**
+ * guesses the serialization from the first characters of the string
+ * @param  {string} string RDF/XML, Turtle or JSON-LD
+ * @return {object} the parsed graph
+ */
+export function parseRdf(string) {
+  const trimmed = string.trimStart();
+  if (trimmed.startsWith("<")) return parseRdfXml(string);
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    return parseJsonLd(string);
+  }
+  return parseTurtle(string);
+}
+
+// ---------- RDF/XML ----------
+
+export function parseRdfXml(string) {
+  const xml = new XMLParser({
+    ignoreAttributes: false,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    isArray: (name, jPath, isLeafNode, isAttribute) => !isAttribute
+  }).parse(string);
+  const graph = {};
+  let blankNodeCount = 0;
+  const newBlankNode = () => `_:b${blankNodeCount++}`;
+
+  const getNamespaces = (el, parentNamespaces) => {
+    const namespaces = { ...parentNamespaces };
+    Object.keys(el).forEach(key => {
+      if (key === "@_xmlns") namespaces[""] = el[key];
+      else if (key.startsWith("@_xmlns:")) namespaces[key.slice(8)] = el[key];
+    });
+    return namespaces;
+  };
+  const expand = (qname, namespaces) => {
+    const i = qname.indexOf(":");
+    const prefix = i === -1 ? "" : qname.slice(0, i);
+    const local = i === -1 ? qname : qname.slice(i + 1);
+    return namespaces[prefix] === undefined
+      ? qname
+      : namespaces[prefix] + local;
+  };
+  const getAttributes = (el, namespaces) => {
+    const attributes = {};
+    if (typeof el !== "object") return attributes;
+    Object.keys(el).forEach(key => {
+      if (!key.startsWith("@_") || key.startsWith("@_xmlns")) return;
+      attributes[expand(key.slice(2), namespaces)] = el[key];
+    });
+    return attributes;
+  };
+  const childElementKeys = el =>
+    typeof el === "object"
+      ? Object.keys(el).filter(k => !k.startsWith("@_") && k !== "#text")
+      : [];
+
+  const parseNodeElement = (qname, el, parentNamespaces) => {
+    const namespaces = getNamespaces(el, parentNamespaces);
+    const attributes = getAttributes(el, namespaces);
+    const id =
+      attributes[RDF_NS + "about"] !== undefined
+        ? attributes[RDF_NS + "about"].trim()
+        : attributes[RDF_NS + "nodeID"] !== undefined
+          ? "_:" + attributes[RDF_NS + "nodeID"]
+          : attributes[RDF_NS + "ID"] !== undefined
+            ? "#" + attributes[RDF_NS + "ID"]
+            : newBlankNode();
+    const type = expand(qname, namespaces);
+    if (type !== RDF_NS + "Description") {
+      addTriple(graph, id, RDF_TYPE, { id: type });
+    }
+    Object.keys(attributes).forEach(attr => {
+      if (attr.startsWith(RDF_NS)) return;
+      addTriple(graph, id, attr, { value: attributes[attr] });
+    });
+    parsePropertyElements(id, el, namespaces);
+    return id;
+  };
+
+  const parsePropertyElements = (id, el, namespaces) => {
+    childElementKeys(el).forEach(key => {
+      el[key].forEach(propEl => {
+        const propNamespaces =
+          typeof propEl === "object"
+            ? getNamespaces(propEl, namespaces)
+            : namespaces;
+        const predicate = expand(key, propNamespaces);
+        const attributes = getAttributes(propEl, propNamespaces);
+        if (attributes[RDF_NS + "resource"] !== undefined) {
+          addTriple(graph, id, predicate, {
+            id: attributes[RDF_NS + "resource"].trim()
+          });
+        } else if (attributes[RDF_NS + "nodeID"] !== undefined) {
+          addTriple(graph, id, predicate, {
+            id: "_:" + attributes[RDF_NS + "nodeID"]
+          });
+        } else if (attributes[RDF_NS + "parseType"] === "Resource") {
+          const blankNode = newBlankNode();
+          addTriple(graph, id, predicate, { id: blankNode });
+          parsePropertyElements(blankNode, propEl, propNamespaces);
+        } else if (childElementKeys(propEl).length) {
+          childElementKeys(propEl).forEach(nodeKey => {
+            propEl[nodeKey].forEach(nodeEl => {
+              addTriple(graph, id, predicate, {
+                id: parseNodeElement(nodeKey, nodeEl, propNamespaces)
+              });
+            });
+          });
+        } else {
+          const value =
+            typeof propEl === "object" ? propEl["#text"] || "" : propEl;
+          addTriple(graph, id, predicate, {
+            value: String(value),
+            ...(attributes[RDF_NS + "datatype"] && {
+              datatype: attributes[RDF_NS + "datatype"]
+            })
+          });
+        }
+      });
+    });
+  };
+
+  Object.keys(xml).forEach(rootKey => {
+    if (rootKey.startsWith("?")) return;
+    (Array.isArray(xml[rootKey]) ? xml[rootKey] : [xml[rootKey]]).forEach(
+      rootEl => {
+        const namespaces = getNamespaces(rootEl, {});
+        if (expand(rootKey, namespaces) === RDF_NS + "RDF") {
+          childElementKeys(rootEl).forEach(key => {
+            rootEl[key].forEach(el => parseNodeElement(key, el, namespaces));
+          });
+        } else {
+          parseNodeElement(rootKey, rootEl, namespaces);
+        }
+      }
+    );
+  });
+  return graph;
+}
+
+// ---------- Turtle ----------
+
+export function parseTurtle(string) {
+  const graph = {};
+  const prefixes = {};
+  let base = "";
+  let pos = 0;
+  let blankNodeCount = 0;
+
+  const error = message => {
+    throw new Error(`Turtle parse error at character ${pos}: ${message}`);
+  };
+  const skipWhitespace = () => {
+    while (pos < string.length) {
+      const char = string[pos];
+      if (/\s/.test(char)) {
+        pos++;
+      } else if (char === "#") {
+        while (pos < string.length && string[pos] !== "\n") pos++;
+      } else {
+        break;
+      }
+    }
+  };
+  const expect = char => {
+    skipWhitespace();
+    if (string[pos] !== char) error(`expected "${char}"`);
+    pos++;
+  };
+  const readIri = () => {
+    const end = string.indexOf(">", pos);
+    if (end === -1) error("unterminated IRI");
+    const iri = unescapeString(string.slice(pos + 1, end));
+    pos = end + 1;
+    return base && !/^[a-z][\w+.-]*:/i.test(iri) ? base + iri : iri;
+  };
+  const prefixedNameRegex =
+    /([A-Za-z][\w.-]*)?:((?:[\w\-:%]|\\.|\.(?=[\w\-:%]))*)/y;
+  const readPrefixedName = () => {
+    prefixedNameRegex.lastIndex = pos;
+    const match = prefixedNameRegex.exec(string);
+    if (!match) error("expected a prefixed name");
+    pos = prefixedNameRegex.lastIndex;
+    const prefix = match[1] || "";
+    if (prefixes[prefix] === undefined) error(`unknown prefix "${prefix}:"`);
+    return prefixes[prefix] + match[2].replace(/\\(.)/g, "$1");
+  };
+  const readLiteral = () => {
+    const quote = string[pos];
+    const isLong = string.startsWith(quote.repeat(3), pos);
+    const delimiter = isLong ? quote.repeat(3) : quote;
+    pos += delimiter.length;
+    let raw = "";
+    while (!string.startsWith(delimiter, pos)) {
+      if (pos >= string.length) error("unterminated string");
+      if (string[pos] === "\\") {
+        raw += string.slice(pos, pos + 2);
+        pos += 2;
+      } else {
+        raw += string[pos++];
+      }
+    }
+    pos += delimiter.length;
+    const term = { value: unescapeString(raw) };
+    if (string[pos] === "@") {
+      const match = /@[A-Za-z]+(?:-[A-Za-z0-9]+)*/y;
+      match.lastIndex = pos;
+      match.exec(string);
+      pos = match.lastIndex;
+    } else if (string.startsWith("^^", pos)) {
+      pos += 2;
+      term.datatype = string[pos] === "<" ? readIri() : readPrefixedName();
+    }
+    return term;
+  };
+  const readTerm = isSubjectOrPredicate => {
+    skipWhitespace();
+    const char = string[pos];
+    if (char === "<") return { id: readIri() };
+    if (char === '"' || char === "'") return readLiteral();
+    if (string.startsWith("_:", pos)) {
+      const match = /_:([\w.-]*\w)/y;
+      match.lastIndex = pos;
+      const label = match.exec(string);
+      if (!label) error("invalid blank node label");
+      pos = match.lastIndex;
+      return { id: label[0] };
+    }
+    if (char === "[") {
+      pos++;
+      const blankNode = `_:t${blankNodeCount++}`;
+      skipWhitespace();
+      if (string[pos] !== "]") readPredicateObjectList(blankNode);
+      expect("]");
+      return { id: blankNode };
+    }
+    if (char === "(") error("RDF collections are not supported");
+    const numberMatch = /[+-]?(?:\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)/y;
+    numberMatch.lastIndex = pos;
+    const number = /[+-.\d]/.test(char) && numberMatch.exec(string);
+    if (number) {
+      let value = number[0];
+      //a trailing dot ends the statement rather than being part of the number
+      if (value.endsWith(".")) value = value.slice(0, -1);
+      pos += value.length;
+      return {
+        value,
+        datatype:
+          XSD_NS +
+          (/[eE]/.test(value)
+            ? "double"
+            : value.includes(".")
+              ? "decimal"
+              : "integer")
+      };
+    }
+    const booleanMatch = /(true|false)\b/y;
+    booleanMatch.lastIndex = pos;
+    const boolean = !isSubjectOrPredicate && booleanMatch.exec(string);
+    if (boolean) {
+      pos = booleanMatch.lastIndex;
+      return { value: boolean[1], datatype: XSD_NS + "boolean" };
+    }
+    return { id: readPrefixedName() };
+  };
+  const readPredicateObjectList = subject => {
+    for (;;) {
+      skipWhitespace();
+      let predicate;
+      if (string[pos] === "a" && /[\s<"'[_]/.test(string[pos + 1])) {
+        pos++;
+        predicate = RDF_TYPE;
+      } else {
+        predicate = readTerm(true).id;
+        if (predicate === undefined) error("invalid predicate");
+      }
+      for (;;) {
+        addTriple(graph, subject, predicate, readTerm());
+        skipWhitespace();
+        if (string[pos] !== ",") break;
+        pos++;
+      }
+      skipWhitespace();
+      if (string[pos] !== ";") return;
+      while (string[pos] === ";") {
+        pos++;
+        skipWhitespace();
+      }
+      if (string[pos] === "." || string[pos] === "]") return;
+    }
+  };
+  const readDirective = () => {
+    const match = /(@prefix|PREFIX|@base|BASE)\b/iy;
+    match.lastIndex = pos;
+    const directive = match.exec(string);
+    if (!directive) return false;
+    pos = match.lastIndex;
+    const isSparqlStyle = !directive[1].startsWith("@");
+    skipWhitespace();
+    if (/prefix/i.test(directive[1])) {
+      const prefixMatch = /([A-Za-z][\w.-]*)?:/y;
+      prefixMatch.lastIndex = pos;
+      const prefix = prefixMatch.exec(string);
+      if (!prefix) error("invalid prefix declaration");
+      pos = prefixMatch.lastIndex;
+      skipWhitespace();
+      prefixes[prefix[1] || ""] = readIri();
+    } else {
+      base = readIri();
+    }
+    if (!isSparqlStyle) expect(".");
+    return true;
+  };
+
+  for (;;) {
+    skipWhitespace();
+    if (pos >= string.length) break;
+    if (readDirective()) continue;
+    const subject = readTerm(true);
+    if (subject.id === undefined) error("invalid subject");
+    skipWhitespace();
+    //a blank node property list can stand on its own
+    if (string[pos] !== ".") readPredicateObjectList(subject.id);
+    expect(".");
+  }
+  return graph;
+}
+
+function unescapeString(raw) {
+  return raw.replace(
+    /\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g,
+    (whole, escape) => {
+      if (escape.length > 1) {
+        return String.fromCodePoint(parseInt(escape.slice(1), 16));
+      }
+      return { t: "\t", n: "\n", r: "\r", b: "\b", f: "\f" }[escape] !==
+        undefined
+        ? { t: "\t", n: "\n", r: "\r", b: "\b", f: "\f" }[escape]
+        : escape;
+    }
+  );
+}
+
+// ---------- JSON-LD ----------
+
+export function parseJsonLd(jsonOrString) {
+  const doc =
+    typeof jsonOrString === "string" ? JSON.parse(jsonOrString) : jsonOrString;
+  const graph = {};
+  let blankNodeCount = 0;
+
+  const mergeContext = (context, newContext) => {
+    if (!newContext) return context;
+    return []
+      .concat(newContext)
+      .reduce(
+        (acc, ctx) =>
+          typeof ctx === "object" && ctx ? { ...acc, ...ctx } : acc,
+        context
+      );
+  };
+  const expand = (term, context, useVocab) => {
+    const definition = context[term];
+    if (typeof definition === "string" && definition !== term) {
+      return expand(definition, context, false);
+    }
+    if (definition && typeof definition === "object" && definition["@id"]) {
+      return expand(definition["@id"], context, false);
+    }
+    const i = term.indexOf(":");
+    if (i > 0 && !term.startsWith("_:") && term[i + 1] !== "/") {
+      const prefix = context[term.slice(0, i)];
+      const prefixIri =
+        typeof prefix === "string"
+          ? prefix
+          : prefix && typeof prefix === "object" && prefix["@id"];
+      if (prefixIri) return prefixIri + term.slice(i + 1);
+    }
+    if (useVocab && i === -1 && context["@vocab"]) {
+      return context["@vocab"] + term;
+    }
+    return term;
+  };
+  const parseNode = (node, parentContext) => {
+    const context = mergeContext(parentContext, node["@context"]);
+    const id =
+      node["@id"] !== undefined
+        ? expand(node["@id"], context)
+        : `_:j${blankNodeCount++}`;
+    [].concat(node["@type"] || []).forEach(type => {
+      addTriple(graph, id, RDF_TYPE, { id: expand(type, context, true) });
+    });
+    Object.keys(node).forEach(key => {
+      if (key.startsWith("@")) return;
+      const predicate = expand(key, context, true);
+      const definition = context[key];
+      const isIdType =
+        definition &&
+        typeof definition === "object" &&
+        (definition["@type"] === "@id" || definition["@type"] === "@vocab");
+      const datatype =
+        definition &&
+        typeof definition === "object" &&
+        definition["@type"] &&
+        !isIdType
+          ? expand(definition["@type"], context)
+          : undefined;
+      [].concat(node[key]).forEach(function addValue(value) {
+        if (value === null || value === undefined) return;
+        if (Array.isArray(value)) return value.forEach(addValue);
+        if (typeof value === "object") {
+          if (value["@value"] !== undefined) {
+            addTriple(graph, id, predicate, {
+              value: String(value["@value"]),
+              ...(value["@type"] && {
+                datatype: expand(value["@type"], context)
+              })
+            });
+          } else if (value["@list"]) {
+            value["@list"].forEach(addValue);
+          } else if (Object.keys(value).every(k => k === "@id")) {
+            addTriple(graph, id, predicate, {
+              id: expand(value["@id"], context)
+            });
+          } else {
+            addTriple(graph, id, predicate, { id: parseNode(value, context) });
+          }
+        } else if (isIdType) {
+          addTriple(graph, id, predicate, {
+            id: expand(String(value), context)
+          });
+        } else {
+          addTriple(graph, id, predicate, {
+            value: String(value),
+            ...(datatype && { datatype })
+          });
+        }
+      });
+    });
+    return id;
+  };
+
+  const rootContext = mergeContext({}, !Array.isArray(doc) && doc["@context"]);
+  const nodes = Array.isArray(doc)
+    ? doc
+    : doc["@graph"]
+      ? [].concat(doc["@graph"])
+      : [doc];
+  nodes.forEach(node => parseNode(node, doc["@graph"] ? rootContext : {}));
+  return graph;
+}
+
+// ---------- writing ----------
+//
+// nodes: [{ id, types: [uri], properties: [[predicateUri, term]] }]
+// a term of { node } is a child node, nested under its parent in RDF/XML
+
+/**
+ * @param  {array} nodes the nodes to write (child nodes are reached through { node } terms)
+ * @param  {object} options
+ * @param  {string} options.format "rdfxml" (default), "turtle" or "jsonld"
+ * @param  {object} options.prefixes map of prefix -> namespace uri
+ * @return {string}
+ */
+export function serializeRdf(nodes, { format = "rdfxml", prefixes = {} } = {}) {
+  prefixes = { rdf: RDF_NS, xsd: XSD_NS, ...prefixes };
+  if (format === "turtle" || format === "ttl") {
+    return toTurtle(flattenNodes(nodes), prefixes);
+  }
+  if (format === "jsonld" || format === "json-ld") {
+    return toJsonLd(flattenNodes(nodes), prefixes);
+  }
+  return toRdfXml(nodes, prefixes);
+}
+
+function flattenNodes(nodes) {
+  const flat = [];
+  const addNode = node => {
+    flat.push(node);
+    node.properties.forEach(([, term]) => term.node && addNode(term.node));
+  };
+  nodes.forEach(addNode);
+  return flat;
+}
+
+function compactUri(uri, prefixes) {
+  const prefix = Object.keys(prefixes).find(
+    p =>
+      uri.startsWith(prefixes[p]) &&
+      /^[A-Za-z_][\w-]*$/.test(uri.slice(prefixes[p].length))
+  );
+  return prefix === undefined
+    ? undefined
+    : `${prefix}:${uri.slice(prefixes[prefix].length)}`;
+}
+
+function termId(term) {
+  return term.node ? term.node.id : term.id;
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toRdfXml(nodes, prefixes) {
+  const qname = uri => {
+    const compacted = compactUri(uri, prefixes);
+    if (!compacted) throw new Error(`No prefix declared for ${uri}`);
+    return compacted;
+  };
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(
+    `<rdf:RDF ${Object.keys(prefixes)
+      .map(p => `xmlns:${p}="${escapeXml(prefixes[p])}"`)
+      .join(" ")}>`
+  );
+  const writeNode = (node, depth) => {
+    const indent = "  ".repeat(depth);
+    const [type, ...otherTypes] = node.types;
+    const tag = qname(type);
+    lines.push(`${indent}<${tag} rdf:about="${escapeXml(node.id)}">`);
+    otherTypes.forEach(t => {
+      lines.push(`${indent}  <rdf:type rdf:resource="${escapeXml(t)}"/>`);
+    });
+    node.properties.forEach(([predicate, term]) => {
+      const prop = qname(predicate);
+      if (term.node) {
+        lines.push(`${indent}  <${prop}>`);
+        writeNode(term.node, depth + 2);
+        lines.push(`${indent}  </${prop}>`);
+      } else if (term.id !== undefined) {
+        lines.push(
+          `${indent}  <${prop} rdf:resource="${escapeXml(term.id)}"/>`
+        );
+      } else {
+        lines.push(
+          `${indent}  <${prop}${
+            term.datatype ? ` rdf:datatype="${escapeXml(term.datatype)}"` : ""
+          }>${escapeXml(term.value)}</${prop}>`
+        );
+      }
+    });
+    lines.push(`${indent}</${tag}>`);
+  };
+  nodes.forEach(node => writeNode(node, 1));
+  lines.push("</rdf:RDF>");
+  return lines.join("\n") + "\n";
+}
+
+function toTurtle(nodes, prefixes) {
+  const uriToTurtle = uri => compactUri(uri, prefixes) || `<${uri}>`;
+  const literalToTurtle = ({ value, datatype }) => {
+    if (datatype === XSD_NS + "integer" && /^-?\d+$/.test(value)) return value;
+    const escaped = String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r");
+    return `"${escaped}"${datatype ? "^^" + uriToTurtle(datatype) : ""}`;
+  };
+  const lines = Object.keys(prefixes).map(
+    p => `@prefix ${p}: <${prefixes[p]}> .`
+  );
+  nodes.forEach(node => {
+    lines.push("");
+    lines.push(uriToTurtle(node.id));
+    const statements = [`a ${node.types.map(uriToTurtle).join(", ")}`];
+    const byPredicate = groupByPredicate(node.properties);
+    Object.keys(byPredicate).forEach(predicate => {
+      statements.push(
+        `${uriToTurtle(predicate)} ${byPredicate[predicate]
+          .map(term =>
+            term.value !== undefined
+              ? literalToTurtle(term)
+              : uriToTurtle(termId(term))
+          )
+          .join(", ")}`
+      );
+    });
+    statements.forEach((statement, i) => {
+      lines.push(`    ${statement} ${i === statements.length - 1 ? "." : ";"}`);
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+function toJsonLd(nodes, prefixes) {
+  const compact = uri => compactUri(uri, prefixes) || uri;
+  const graph = nodes.map(node => {
+    const json = {
+      "@id": node.id,
+      "@type":
+        node.types.length === 1
+          ? compact(node.types[0])
+          : node.types.map(compact)
+    };
+    const byPredicate = groupByPredicate(node.properties);
+    Object.keys(byPredicate).forEach(predicate => {
+      const values = byPredicate[predicate].map(term =>
+        term.value !== undefined
+          ? term.datatype && term.datatype !== XSD_NS + "string"
+            ? { "@value": term.value, "@type": compact(term.datatype) }
+            : term.value
+          : { "@id": termId(term) }
+      );
+      json[compact(predicate)] = values.length === 1 ? values[0] : values;
+    });
+    return json;
+  });
+  return JSON.stringify({ "@context": prefixes, "@graph": graph }, null, 2);
+}
+
+function groupByPredicate(properties) {
+  const byPredicate = {};
+  properties.forEach(([predicate, term]) => {
+    if (!byPredicate[predicate]) byPredicate[predicate] = [];
+    byPredicate[predicate].push(term);
+  });
+  return byPredicate;
+}
@@ -0,0 +1,97 @@
+// maps our (genbank style) feature types to Sequence Ontology terms, used as SBOL roles
+// where several types share a term, the first one listed is used when importing
+export const featureTypeToSoTerm = {
+  misc_feature: "SO:0000001", // region
+  promoter: "SO:0000167",
+  CDS: "SO:0000316",
+  terminator: "SO:0000141",
+  RBS: "SO:0000139", // ribosome_entry_site
+  rep_origin: "SO:0000296", // origin_of_replication
+  primer_bind: "SO:0005850", // primer_binding_site
+  gene: "SO:0000704",
+  operator: "SO:0000057",
+  enhancer: "SO:0000165",
+  "-10_signal": "SO:0000175",
+  "-35_signal": "SO:0000176",
+  "3'UTR": "SO:0000205",
+  "5'UTR": "SO:0000204",
+  attenuator: "SO:0000140",
+  CAAT_signal: "SO:0000172",
+  centromere: "SO:0000577",
+  conserved: "SO:0000330",
+  D_segment: "SO:0000458",
+  exon: "SO:0000147",
+  gap: "SO:0000730",
+  assembly_gap: "SO:0000730",
+  GC_signal: "SO:0000173",
+  intron: "SO:0000188",
+  J_region: "SO:0000470",
+  LTR: "SO:0000286",
+  mat_peptide: "SO:0000419",
+  misc_binding: "SO:0000409",
+  misc_difference: "SO:0000413",
+  misc_recomb: "SO:0000298",
+  misc_RNA: "SO:0000673",
+  misc_structure: "SO:0000002",
+  mobile_element: "SO:0001037",
+  modified_base: "SO:0000305",
+  mRNA: "SO:0000234",
+  ncRNA: "SO:0000655",
+  operon: "SO:0000178",
+  oriT: "SO:0000724",
+  plasmid: "SO:0000155",
+  polyA_signal: "SO:0000551",
+  polyA_site: "SO:0000553",
+  prim_transcript: "SO:0000185",
+  precursor_RNA: "SO:0000185",
+  protein_bind: "SO:0000410",
+  regulatory: "SO:0005836",
+  repeat_region: "SO:0000657",
+  repeat_unit: "SO:0000726",
+  rRNA: "SO:0000252",
+  satellite: "SO:0000005",
+  scRNA: "SO:0000013",
+  sig_peptide: "SO:0000418",
+  snoRNA: "SO:0000275",
+  snRNA: "SO:0000274",
+  stem_loop: "SO:0000313",
+  STS: "SO:0000331",
+  tag: "SO:0000324",
+  TATA_signal: "SO:0000174",
+  telomere: "SO:0000624",
+  tmRNA: "SO:0000584",
+  transit_peptide: "SO:0000725",
+  tRNA: "SO:0000253",
+  V_segment: "SO:0000466",
+  variation: "SO:0001060"
+};
+
+const soTermToFeatureType = {
+  "SO:0000804": "misc_feature", // engineered_region
+  "SO:0000627": "misc_feature", // insulator
+  "SO:0000552": "RBS" // Shine_Dalgarno_sequence
+};
+Object.keys(featureTypeToSoTerm).forEach(type => {
+  const term = featureTypeToSoTerm[type];
+  if (!soTermToFeatureType[term]) soTermToFeatureType[term] = type;
+});
+
+/**
+ * @param  {string} type our feature type
+ * @return {string} the identifiers.org uri of the matching SO term (region if there is no better match)
+ */
+export function getSoUriForFeatureType(type) {
+  return `https://identifiers.org/${
+    featureTypeToSoTerm[type] || featureTypeToSoTerm.misc_feature
+  }`;
+}
+
+/**
+ * accepts both identifiers.org (SO:0000167) and obolibrary (SO_0000167) style uris
+ * @param  {string} uri a role uri
+ * @return {string|undefined} our feature type for that SO term
+ */
+export function getFeatureTypeFromSoUri(uri) {
+  const match = /SO[:_](\d{7})/.exec(uri || "");
+  return match ? soTermToFeatureType[`SO:${match[1]}`] : undefined;
+}
@@ -0,0 +1,75 @@
+import * as chai from "chai";
+import alignedFastaToJson from "../src/alignedFastaToJson";
+import jsonToAlignedFasta from "../src/jsonToAlignedFasta";
+import anyAlignmentToJson from "../src/anyAlignmentToJson";
+import jsonToClustal from "../src/jsonToClustal";
+import jsonToStockholm from "../src/jsonToStockholm";
+import jsonToPhylip from "../src/jsonToPhylip";
+
+chai.should();
+
+const alignmentTracks = [
+  {
+    sequenceData: { name: "pUC19 fwd read", sequence: "ACGTTGCA" },
+    alignmentData: { sequence: "--ACGT-TGCA" }
+  },
+  {
+    sequenceData: { name: "pUC19 rev read", sequence: "GGACGTATGCA" },
+    alignmentData: { sequence: "GGACGTATGCA" }
+  }
+];
+
+describe("alignedFastaToJson", () => {
+  it("writes and parses aligned fasta keeping names and gaps", () => {
+    const string = jsonToAlignedFasta(alignmentTracks, { lineLength: 6 });
+    string.should.equal(
+      ">pUC19 fwd read\n--ACGT\n-TGCA\n>pUC19 rev read\nGGACGT\nATGCA\n"
+    );
+    const [result] = alignedFastaToJson(string, { name: "reads" });
+    result.parsedAlignment.name.should.equal("reads");
+    result.parsedAlignment.alignmentTracks.should.deep.equal([
+      {
+        sequenceData: { name: "pUC19 fwd read", sequence: "ACGTTGCA" },
+        alignmentData: { name: "pUC19 fwd read", sequence: "--ACGT-TGCA" }
+      },
+      {
+        sequenceData: { name: "pUC19 rev read", sequence: "GGACGTATGCA" },
+        alignmentData: { name: "pUC19 rev read", sequence: "GGACGTATGCA" }
+      }
+    ]);
+  });
+
+  it("fails on sequences that aren't aligned", () => {
+    const [result] = alignedFastaToJson(">a\nACGT\n>b\nACG\n");
+    result.success.should.equal(false);
+  });
+});
+
+describe("anyAlignmentToJson", () => {
+  it("picks the parser from the file extension or contents", () => {
+    [
+      [jsonToClustal(alignmentTracks), "reads.aln"],
+      [jsonToStockholm(alignmentTracks), "reads.sto"],
+      [jsonToPhylip(alignmentTracks), "reads.phy"],
+      [jsonToAlignedFasta(alignmentTracks), "reads.fasta"],
+      [jsonToClustal(alignmentTracks)],
+      [jsonToStockholm(alignmentTracks)],
+      [jsonToPhylip(alignmentTracks)],
+      [jsonToAlignedFasta(alignmentTracks)]
+    ].forEach(([string, fileName]) => {
+      const [result] = anyAlignmentToJson(string, { fileName });
+      result.success.should.equal(true);
+      if (fileName) result.parsedAlignment.name.should.equal("reads");
+      result.parsedAlignment.alignmentTracks
+        .map(({ alignmentData }) => alignmentData.sequence)
+        .should.deep.equal(["--ACGT-TGCA", "GGACGTATGCA"]);
+    });
+  });
+
+  it("fails on files that aren't alignments", () => {
+    const [result] = anyAlignmentToJson("LOCUS something", {
+      fileName: "seq.gb"
+    });
+    result.success.should.equal(false);
+  });
+});
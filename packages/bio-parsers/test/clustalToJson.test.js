@@ -0,0 +1,91 @@
+import * as chai from "chai";
+import clustalToJson from "../src/clustalToJson";
+import jsonToClustal from "../src/jsonToClustal";
+
+chai.should();
+
+const alignmentTracks = [
+  {
+    sequenceData: { name: "seq one", sequence: "ATGCATGCAAGT" },
+    alignmentData: { sequence: "ATGCATGC--AAGT" }
+  },
+  {
+    sequenceData: { name: "seq2", sequence: "ATGAATGCTTAAG" },
+    alignmentData: { sequence: "ATGAATGCTTAAG-" }
+  }
+];
+
+describe("clustalToJson", () => {
+  it("parses the blocks of a clustal file into alignment tracks", () => {
+    const [result] = clustalToJson(`CLUSTAL W (1.83) multiple sequence alignment
+
+
+seqA            MKV-LAGG 7
+seqB            MRVAL--G 6
+                *:* *  *
+
+seqA            DE 9
+seqB            -E 7
+                 *
+`);
+    result.success.should.equal(true);
+    const { isProtein, alignmentTracks } = result.parsedAlignment;
+    isProtein.should.equal(true);
+    alignmentTracks.should.deep.equal([
+      {
+        sequenceData: {
+          name: "seqA",
+          isProtein: true,
+          proteinSequence: "MKVLAGGDE"
+        },
+        alignmentData: { name: "seqA", sequence: "MKV-LAGGDE" }
+      },
+      {
+        sequenceData: {
+          name: "seqB",
+          isProtein: true,
+          proteinSequence: "MRVALGE"
+        },
+        alignmentData: { name: "seqB", sequence: "MRVAL--G-E" }
+      }
+    ]);
+  });
+
+  it("writes blocks with residue counts and conservation marks that parse back", () => {
+    const string = jsonToClustal(alignmentTracks, { lineLength: 10 });
+    const lines = string.split("\n");
+    lines[0].should.equal("CLUSTAL W multiple sequence alignment");
+    lines[3].should.equal("seq_one         ATGCATGC-- 8");
+    lines[4].should.equal("seq2            ATGAATGCTT 10");
+    lines[5].should.equal("                *** ****  ");
+    lines[7].should.equal("seq_one         AAGT 12");
+
+    const [result] = clustalToJson(string);
+    result.parsedAlignment.isProtein.should.equal(false);
+    result.parsedAlignment.alignmentTracks
+      .map(({ alignmentData }) => alignmentData)
+      .should.deep.equal([
+        { name: "seq_one", sequence: "ATGCATGC--AAGT" },
+        { name: "seq2", sequence: "ATGAATGCTTAAG-" }
+      ]);
+  });
+
+  it("marks conserved protein columns like clustal does", () => {
+    const string = jsonToClustal([
+      {
+        sequenceData: { isProtein: true, proteinSequence: "MSIAC" },
+        alignmentData: { sequence: "MSIAC" }
+      },
+      {
+        sequenceData: { isProtein: true, proteinSequence: "MTVGW" },
+        alignmentData: { sequence: "MTVGW" }
+      }
+    ]);
+    string.split("\n")[5].should.equal("                *::. ");
+  });
+
+  it("fails on files that aren't clustal", () => {
+    const [result] = clustalToJson(">seq\nACGT");
+    result.success.should.equal(false);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * testing file for the EMBL parser, which should be able to handle multiple records in the same file, run-on locations and qualifiers and any other sort of valid EMBL format
+ */
+import emblToJson from "../src/emblToJson";
+import anyToJson from "../src/anyToJson";
+import path from "path";
+import fs from "fs";
+import * as chai from "chai";
+import chaiSubset from "chai-subset";
+chai.use(chaiSubset);
+chai.should();
+
+const exampleEmbl = fs.readFileSync(
+  path.join(__dirname, "./testData/embl/pEX001.embl"),
+  "utf8"
+);
+
+describe("emblToJson", function () {
+  it("should parse the header lines of an EMBL record", function () {
+    const result = emblToJson(exampleEmbl);
+    result[0].success.should.equal(true);
+    const parsed = result[0].parsedSequence;
+    parsed.name.should.equal("pEX001");
+    parsed.circular.should.equal(true);
+    parsed.accession.should.equal("AB123456");
+    parsed.gbDivision.should.equal("SYN");
+    parsed.description.should.equal(
+      "Synthetic construct pEX001, an example plasmid used to test the EMBL parser."
+    );
+    parsed.comments.should.deep.equal(["Example record written by hand."]);
+    parsed.sequence.length.should.equal(300);
+    parsed.sequence.slice(0, 10).should.equal("gctaaagaca");
+  });
+
+  it("should parse the features, including run-on locations and qualifiers", function () {
+    const result = emblToJson(exampleEmbl);
+    const { features, primers } = result[0].parsedSequence;
+    features.should.containSubset([
+      {
+        name: "synthetic construct",
+        type: "source",
+        start: 0,
+        end: 299,
+        strand: 1
+      },
+      {
+        name: "gfpFrag",
+        type: "CDS",
+        start: 20,
+        end: 46,
+        strand: 1,
+        notes: {
+          codon_start: [1],
+          note: [
+            "a short open reading frame that spans more than one line of qualifier text"
+          ],
+          translation: ["MASKGEEL"]
+        }
+      },
+      {
+        name: "joined feature",
+        type: "misc_feature",
+        start: 59,
+        end: 269,
+        strand: -1,
+        notes: { note: ['he said "hello"'] }
+      },
+      {
+        name: "wrapping origin",
+        type: "rep_origin",
+        start: 289,
+        end: 9
+      }
+    ]);
+    features
+      .find(f => f.name === "joined feature")
+      .locations.length.should.equal(6);
+    primers.should.containSubset([
+      {
+        name: "rev primer",
+        type: "primer_bind",
+        start: 120,
+        end: 138,
+        strand: -1
+      }
+    ]);
+  });
+
+  it("should parse multiple records in the same file", function () {
+    const result = emblToJson(
+      exampleEmbl + "\n" + exampleEmbl.replace(/pEX001/g, "pEX002")
+    );
+    result.length.should.equal(2);
+    result[0].parsedSequence.name.should.equal("pEX001");
+    result[1].parsedSequence.name.should.equal("pEX002");
+    result[1].parsedSequence.features.length.should.equal(4);
+  });
+
+  it("should parse an old style ID line", function () {
+    const result = emblToJson(`ID   TRBG361    standard; linear RNA; PLN; 12 BP.
+XX
+SQ   Sequence 12 BP; 3 A; 3 C; 3 G; 3 T; 0 other;
+     acgtacgtac gt                                                        12
+//`);
+    result[0].parsedSequence.name.should.equal("TRBG361");
+    result[0].parsedSequence.circular.should.equal(false);
+    result[0].parsedSequence.gbDivision.should.equal("PLN");
+    result[0].parsedSequence.sequence.length.should.equal(12);
+  });
+
+  it("should fail gracefully for a file that isn't EMBL", function () {
+    const result = emblToJson("LOCUS       not_embl");
+    result[0].success.should.equal(false);
+  });
+
+  it("anyToJson should use the EMBL parser based on the file extension", async function () {
+    const result = await anyToJson(exampleEmbl, { fileName: "pEX001.embl" });
+    result[0].parsedSequence.name.should.equal("pEX001");
+    result[0].parsedSequence.features.length.should.equal(4);
+  });
+
+  it("anyToJson should sniff EMBL content when the file extension is unknown", async function () {
+    const result = await anyToJson(exampleEmbl, { fileName: "pEX001.txt" });
+    result[0].success.should.equal(true);
+    result[0].parsedSequence.features.length.should.equal(4);
+    result[0].messages.should.include("Parsed using EMBL Parser.");
+  });
+});
@@ -16,60 +16,130 @@ describe("gffToJson tests", () => {
     );
 
     const result = await gffToJson(string);
-    const expectedResult = [
+    result.length.should.equal(2);
+    result[0].success.should.equal(true);
+    result[0].parsedSequence.name.should.equal("P1:B01");
+    result[0].parsedSequence.sequence.length.should.equal(1455);
+    result[0].parsedSequence.circular.should.equal(false);
+    //child features are kept along with their parents
+    result[0].parsedSequence.features.length.should.equal(7);
+    result[0].parsedSequence.features.should.containSubset([
       {
-        messages: [],
-        success: true,
-        parsedSequence: {
-          name: "P1:B01",
-          sequence:
-            "AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA",
-          circular: false,
-          features: [
-            {
-              name: "amplicon01",
-              start: 1,
-              end: 1455,
-              strand: 1,
-              type: "amplicon"
-            },
-            {
-              name: "gene01",
-              start: 27,
-              end: 1321,
-              strand: 1,
-              type: "gene"
-            }
-          ]
+        name: "amplicon01",
+        start: 0,
+        end: 1454,
+        strand: 1,
+        type: "amplicon",
+        notes: { ID: ["amplicon01"], AnnotationPipelineScore: ["1.0"] }
+      },
+      {
+        name: "gene01",
+        start: 26,
+        end: 1320,
+        strand: 1,
+        type: "gene",
+        notes: { ID: ["gene01"] }
+      },
+      {
+        name: "cds01",
+        start: 175,
+        end: 1320,
+        type: "CDS",
+        notes: { ID: ["cds01"], Parent: ["gene01"] }
+      },
+      {
+        name: "PREFERENZ01-0001",
+        start: 493,
+        end: 1320,
+        type: "mat_peptide",
+        notes: {
+          ID: ["PREFERENZ01-0001"],
+          Parent: ["cds01"],
+          DesignID: ["HDD_PREFERENZ01_LDS_001"],
+          Parent_Molecule: ["PREFERENZ01"]
         }
+      }
+    ]);
+    result[1].parsedSequence.name.should.equal("P1:C01");
+    result[1].parsedSequence.features.should.containSubset([
+      {
+        name: "amplicon02",
+        start: 0,
+        end: 1454,
+        type: "amplicon",
+        notes: { AnnotationPipelineScore: ["1231.0"] }
       },
+      { name: "gene02", start: 26, end: 1320, type: "gene" }
+    ]);
+  });
+
+  it("joins the segments of a feature sharing an ID into a single multi-location feature", () => {
+    const result = gffToJson(`##gff-version 3
+seq1\t.\tgene\t1\t60\t.\t-\t.\tID=gene1;Name=myGene
+seq1\t.\tCDS\t41\t60\t.\t-\t0\tID=cds1;Parent=gene1;Name=myCds;product=some%20protein
+seq1\t.\tCDS\t1\t20\t.\t-\t1\tID=cds1;Parent=gene1;Name=myCds;product=some%20protein
+seq1\t.\tmisc_feature\t5\t10\t.\t.\t.\tnote=no strand
+##FASTA
+>seq1 my test sequence
+${"gattaca".repeat(10)}
+`);
+    result[0].success.should.equal(true);
+    const { features, description } = result[0].parsedSequence;
+    description.should.equal("my test sequence");
+    features.length.should.equal(3);
+    features.should.containSubset([
+      { name: "myGene", type: "gene", start: 0, end: 59, strand: -1 },
       {
-        messages: [],
-        success: true,
-        parsedSequence: {
-          name: "P1:C01",
-          sequence:
-            "AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA",
-          circular: false,
-          features: [
-            {
-              name: "amplicon02",
-              start: 1,
-              end: 1455,
-              strand: 1,
-              type: "amplicon"
-            },
-            {
-              name: "gene02",
-              start: 27,
-              end: 1321,
-              strand: 1,
-              type: "gene"
-            }
-          ]
+        name: "myCds",
+        type: "CDS",
+        start: 0,
+        end: 59,
+        strand: -1,
+        locations: [
+          { start: 0, end: 19 },
+          { start: 40, end: 59 }
+        ],
+        notes: {
+          ID: ["cds1"],
+          Parent: ["gene1"],
+          product: ["some protein"]
         }
+      },
+      {
+        name: "misc_feature",
+        start: 4,
+        end: 9,
+        arrowheadType: "NONE",
+        notes: { note: ["no strand"] }
       }
-    ];
-    result.should.deep.equal(expectedResult);
+    ]);
+  });
+
+  it("uses the ##sequence-region when there is no ##FASTA section", () => {
+    const result = gffToJson(`##gff-version 3
+##sequence-region chr1 101 200
+chr1\t.\tgene\t111\t150\t.\t+\t.\tID=gene1
+`);
+    result[0].success.should.equal(true);
+    result[0].parsedSequence.sequence.length.should.equal(100);
+    result[0].parsedSequence.features.should.containSubset([
+      { name: "gene1", start: 10, end: 49 }
+    ]);
+    result[0].messages.length.should.equal(1);
+  });
+
+  it("reads the topology from Is_circular and handles features wrapping the origin", () => {
+    const result = gffToJson(`##gff-version 3
+##sequence-region pCirc 1 40
+pCirc\t.\tregion\t1\t40\t.\t+\t.\tID=pCirc;Is_circular=true
+pCirc\t.\trep_origin\t31\t45\t.\t+\t.\tName=ori
+##FASTA
+>pCirc
+${"acgt".repeat(10)}
+`);
+    const { circular, features } = result[0].parsedSequence;
+    circular.should.equal(true);
+    features.length.should.equal(1);
+    features[0].should.containSubset({ name: "ori", start: 30, end: 4 });
   });
 });
@@ -0,0 +1,102 @@
+import emblToJson from "../src/emblToJson";
+import jsonToEmbl from "../src/jsonToEmbl";
+import genbankToJson from "../src/genbankToJson";
+import path from "path";
+import fs from "fs";
+import * as chai from "chai";
+import chaiSubset from "chai-subset";
+chai.use(chaiSubset);
+chai.should();
+
+describe("EMBL exporter/parser conversion", function () {
+  it("should write a well formed EMBL record", function () {
+    const string = jsonToEmbl({
+      name: "my seq",
+      circular: true,
+      description: "a description",
+      sequence: "gattacagattaca",
+      features: [
+        {
+          name: "feat1",
+          type: "misc_feature",
+          start: 2,
+          end: 5,
+          strand: -1
+        }
+      ]
+    });
+    const lines = string.split("\n");
+    lines[0].should.equal(
+      "ID   my_seq; SV 1; circular; other DNA; STD; SYN; 14 BP."
+    );
+    string.should.include("DE   a description");
+    string.should.include("FT   misc_feature    complement(3..6)");
+    string.should.include('FT                   /label="feat1"');
+    string.should.include("SQ   Sequence 14 BP; 6 A; 2 C; 2 G; 4 T; 0 other;");
+    string.should.include("     gattacagat taca");
+    lines[lines.length - 1].should.equal("//");
+    lines.forEach(line => {
+      line.length.should.be.at.most(80);
+    });
+  });
+
+  it("should wrap long qualifiers and locations within 80 columns and parse them back", function () {
+    const longNote =
+      "this is a very long note that will definitely need to be wrapped over more than one line of the feature table";
+    const locations = [];
+    for (let i = 0; i < 20; i++) {
+      locations.push({ start: i * 10, end: i * 10 + 4 });
+    }
+    const string = jsonToEmbl({
+      sequence: "a".repeat(300),
+      features: [
+        {
+          name: "multi",
+          type: "misc_feature",
+          start: 0,
+          end: 194,
+          locations,
+          notes: { note: [longNote] }
+        }
+      ]
+    });
+    string.split("\n").forEach(line => {
+      line.length.should.be.at.most(80);
+    });
+    const [{ parsedSequence }] = emblToJson(string);
+    parsedSequence.features[0].notes.note.should.deep.equal([longNote]);
+    parsedSequence.features[0].locations.should.deep.equal(locations);
+  });
+
+  it("should round trip a genbank file through EMBL", function () {
+    const string = fs.readFileSync(
+      path.join(__dirname, "./testData/pBbS0c-RFP.gb"),
+      "utf8"
+    );
+    const [{ parsedSequence: fromGenbank }] = genbankToJson(string);
+    const [{ parsedSequence: fromEmbl }] = emblToJson(jsonToEmbl(fromGenbank));
+    fromEmbl.name.should.equal(fromGenbank.name);
+    fromEmbl.circular.should.equal(fromGenbank.circular);
+    fromEmbl.sequence.should.equal(fromGenbank.sequence);
+    fromEmbl.features.length.should.equal(fromGenbank.features.length);
+    fromEmbl.features.forEach((feat, i) => {
+      const { name, type, start, end, strand, notes } = fromGenbank.features[i];
+      feat.should.containSubset({ name, type, start, end, strand, notes });
+    });
+  });
+
+  it("should round trip primers and parts", function () {
+    const string = jsonToEmbl({
+      sequence: "gattacagattacagattacagattaca",
+      primers: [{ name: "p1", start: 0, end: 9, strand: 1 }],
+      parts: [{ name: "part1", start: 4, end: 20, strand: -1 }]
+    });
+    const [{ parsedSequence }] = emblToJson(string);
+    parsedSequence.primers.should.containSubset([
+      { name: "p1", start: 0, end: 9, strand: 1 }
+    ]);
+    parsedSequence.parts.should.containSubset([
+      { name: "part1", start: 4, end: 20, strand: -1 }
+    ]);
+  });
+});
@@ -159,4 +159,17 @@ gccagccccgacacccgccaacacccgctgacgcgccctgacgggcttgtctgctcccggcatccgcttacagacaagct
 gtgaccgtctccgggagctgcatgtgtcagaggttttcaccgtcatcaccgaaacgcgcga`
     );
   });
+  it("should write several sequences as a multi-record fasta file", async () => {
+    const string = jsonToFasta([
+      { name: "seq1", sequence: "gattaca" },
+      { name: "seq2", sequence: "cccc" }
+    ]);
+    string.should.equal(`>seq1||7|linear
+gattaca
+>seq2||4|linear
+cccc`);
+    const result = await fastaToJson(string);
+    result.length.should.equal(2);
+    result[1].parsedSequence.sequence.should.equal("cccc");
+  });
 });
@@ -775,4 +775,30 @@ describe("genbank exporter/parser conversion", function () {
     );
     result[0].parsedSequence.comments[1].should.equal("I am alive!");
   });
+  it(`should write several sequences as a multi-record genbank file`, () => {
+    const string = jsonToGenbank([
+      { name: "seq1", sequence: "gattaca", circular: true },
+      {
+        name: "seq2",
+        sequence: "ccccggggaaaatttt",
+        features: [{ name: "feat1", start: 2, end: 8, type: "promoter" }]
+      }
+    ]);
+    const result = parseGenbank(string);
+    result.length.should.equal(2);
+    result[0].parsedSequence.name.should.equal("seq1");
+    result[0].parsedSequence.circular.should.equal(true);
+    result[1].parsedSequence.name.should.equal("seq2");
+    result[1].parsedSequence.sequence.should.equal("ccccggggaaaatttt");
+    result[1].parsedSequence.features.should.containSubset([
+      { name: "feat1", start: 2, end: 8, type: "promoter" }
+    ]);
+  });
+  it(`should throw instead of writing records that can't be converted into a multi-record genbank file`, () => {
+    (() =>
+      jsonToGenbank([
+        { name: "seq1", sequence: "gattaca" },
+        null
+      ])).should.throw("Unable to convert Untitled Sequence to genbank");
+  });
 });
@@ -0,0 +1,152 @@
+import path from "path";
+import fs from "fs";
+import * as chai from "chai";
+import chaiSubset from "chai-subset";
+import gffToJson from "../src/gffToJson";
+import jsonToGff from "../src/jsonToGff";
+
+chai.use(chaiSubset);
+chai.should();
+
+describe("jsonToGff", () => {
+  it("writes features with 1-based coordinates, attributes and the sequence", () => {
+    const string = jsonToGff({
+      name: "pTest",
+      circular: true,
+      sequence: "gattaca".repeat(20),
+      features: [
+        {
+          name: "myCds",
+          type: "CDS",
+          start: 9,
+          end: 99,
+          strand: -1,
+          locations: [
+            { start: 9, end: 20 },
+            { start: 30, end: 99 }
+          ],
+          notes: { product: ["my protein; the best"] }
+        },
+        {
+          name: "wrapping ori",
+          type: "rep_origin",
+          start: 130,
+          end: 9,
+          strand: 1,
+          color: "#ff0000"
+        }
+      ],
+      primers: [{ name: "fwd", start: 0, end: 19, strand: 1 }]
+    });
+    const lines = string.split("\n");
+    lines[0].should.equal("##gff-version 3");
+    lines[1].should.equal("##sequence-region pTest 1 140");
+    lines[2].should.equal(
+      "pTest\t.\tregion\t1\t140\t.\t+\t.\tID=pTest;Is_circular=true"
+    );
+    lines[3].should.match(
+      /^pTest\t\.\tCDS\t10\t21\t\.\t-\t2\tID=.+;Name=myCds;product=my protein%3B the best$/
+    );
+    lines[4].should.match(/^pTest\t\.\tCDS\t31\t100\t\.\t-\t0\t/);
+    lines[5].should.equal(
+      "pTest\t.\trep_origin\t131\t150\t.\t+\t.\tName=wrapping ori;color=#ff0000"
+    );
+    lines[6].should.equal("pTest\t.\tprimer_bind\t1\t20\t.\t+\t.\tName=fwd");
+    lines[7].should.equal("##FASTA");
+    lines[8].should.equal(">pTest");
+    lines[9].length.should.equal(80);
+  });
+
+  it("counts the CDS phase from the 5' end of minus strand CDSs", () => {
+    const string = jsonToGff({
+      name: "pMinus",
+      sequence: "acgt".repeat(20),
+      features: [
+        {
+          name: "splicedCds",
+          type: "CDS",
+          start: 0,
+          end: 50,
+          strand: -1,
+          locations: [
+            { start: 0, end: 9 },
+            { start: 20, end: 27 },
+            { start: 40, end: 50 }
+          ]
+        }
+      ]
+    });
+    const cdsLines = string
+      .split("\n")
+      .filter(line => line.split("\t")[2] === "CDS");
+    cdsLines
+      .map(line => line.split("\t").slice(3, 8))
+      .should.deep.equal([
+        ["1", "10", ".", "-", "2"],
+        ["21", "28", ".", "-", "1"],
+        ["41", "51", ".", "-", "0"]
+      ]);
+  });
+
+  it("can leave out the sequence", () => {
+    const string = jsonToGff(
+      { name: "seq", sequence: "acgt" },
+      { includeSequence: false }
+    );
+    string.should.not.contain("##FASTA");
+  });
+
+  it("round trips a gff file through gffToJson", () => {
+    const original = gffToJson(
+      fs.readFileSync(
+        path.join(__dirname, "./testData/gff/example.gff3"),
+        "utf8"
+      )
+    ).map(r => r.parsedSequence);
+    const roundTripped = gffToJson(jsonToGff(original)).map(
+      r => r.parsedSequence
+    );
+    roundTripped.length.should.equal(original.length);
+    roundTripped.forEach((seq, i) => {
+      seq.sequence.should.equal(original[i].sequence);
+      seq.features.should.deep.equal(original[i].features);
+    });
+  });
+
+  it("round trips multi-location and circular sequences", () => {
+    const [{ parsedSequence }] = gffToJson(
+      jsonToGff({
+        name: "pCirc",
+        circular: true,
+        sequence: "acgt".repeat(25),
+        features: [
+          {
+            name: "joined",
+            type: "CDS",
+            start: 90,
+            end: 20,
+            strand: 1,
+            locations: [
+              { start: 90, end: 99 },
+              { start: 0, end: 20 }
+            ]
+          },
+          { name: "wrapping", type: "misc_feature", start: 95, end: 4 }
+        ]
+      })
+    );
+    parsedSequence.circular.should.equal(true);
+    parsedSequence.features.should.containSubset([
+      {
+        name: "joined",
+        start: 90,
+        end: 20,
+        locations: [
+          { start: 90, end: 99 },
+          { start: 0, end: 20 }
+        ]
+      },
+      { name: "wrapping", start: 95, end: 4 }
+    ]);
+  });
+});
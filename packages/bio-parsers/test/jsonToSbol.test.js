@@ -0,0 +1,142 @@
+import jsonToSbol from "../src/jsonToSbol";
+import sbolXmlToJson from "../src/sbolXmlToJson";
+import path from "path";
+import fs from "fs";
+import * as chai from "chai";
+import chaiSubset from "chai-subset";
+import genbankToJson from "../src/genbankToJson";
+chai.use(chaiSubset);
+chai.should();
+
+const sequenceData = {
+  name: "pTest 1",
+  description: "a <circular> test & plasmid",
+  circular: true,
+  sequence: "gattaca".repeat(15),
+  features: [
+    {
+      name: "myPromoter",
+      type: "promoter",
+      start: 4,
+      end: 30,
+      strand: 1,
+      color: "#ff0000",
+      notes: { note: ["a note"] }
+    },
+    {
+      name: "split cds",
+      type: "CDS",
+      start: 40,
+      end: 80,
+      strand: -1,
+      locations: [
+        { start: 40, end: 50 },
+        { start: 70, end: 80 }
+      ]
+    },
+    {
+      name: "wrapping ori",
+      type: "rep_origin",
+      start: 100,
+      end: 9,
+      strand: 1
+    },
+    {
+      name: "no direction",
+      type: "misc_feature",
+      start: 60,
+      end: 65,
+      arrowheadType: "NONE"
+    }
+  ],
+  parts: [{ name: "myPart", type: "terminator", start: 10, end: 20 }],
+  primers: [{ name: "fwd", start: 0, end: 19, strand: 1 }]
+};
+
+describe("jsonToSbol", function () {
+  ["rdfxml", "turtle", "jsonld"].forEach(format => {
+    it(`should round trip a sequence as SBOL3 ${format}`, async function () {
+      const string = jsonToSbol(sequenceData, { format });
+      string.should.contain("http://sbols.org/v3#");
+      const result = await sbolXmlToJson(string);
+      result.length.should.equal(1);
+      result[0].success.should.equal(true);
+      const parsed = result[0].parsedSequence;
+      parsed.name.should.equal("pTest 1");
+      parsed.description.should.equal("a <circular> test & plasmid");
+      parsed.circular.should.equal(true);
+      parsed.sequence.should.equal(sequenceData.sequence);
+      parsed.features.length.should.equal(4);
+      parsed.features.should.containSubset([
+        {
+          name: "myPromoter",
+          type: "promoter",
+          start: 4,
+          end: 30,
+          strand: 1,
+          color: "#ff0000",
+          notes: { note: ["a note"] }
+        },
+        {
+          name: "split cds",
+          type: "CDS",
+          start: 40,
+          end: 80,
+          strand: -1,
+          locations: [
+            { start: 40, end: 50 },
+            { start: 70, end: 80 }
+          ]
+        },
+        { name: "wrapping ori", start: 100, end: 9 },
+        { name: "no direction", arrowheadType: "NONE" }
+      ]);
+      parsed.parts.should.containSubset([
+        { name: "myPart", type: "terminator", start: 10, end: 20 }
+      ]);
+      parsed.primers.should.containSubset([
+        { name: "fwd", type: "primer_bind", start: 0, end: 19 }
+      ]);
+    });
+  });
+
+  it("should write SO roles for the feature types", function () {
+    const string = jsonToSbol(sequenceData, { format: "turtle" });
+    string.should.contain("sbol:role <https://identifiers.org/SO:0000167>");
+    string.should.contain("sbol:role <https://identifiers.org/SO:0005850>");
+    string.should.contain("<https://identifiers.org/SO:0000988>");
+    string.should.contain("<https://teselagen.com/pTest_1>");
+  });
+
+  it("should round trip protein sequences", async function () {
+    const string = jsonToSbol({
+      name: "myProtein",
+      isProtein: true,
+      proteinSequence: "MTCAGRRAYL",
+      features: [{ name: "domain", start: 3, end: 29 }]
+    });
+    const [{ parsedSequence }] = await sbolXmlToJson(string);
+    parsedSequence.isProtein.should.equal(true);
+    parsedSequence.proteinSequence.should.equal("MTCAGRRAYL");
+    parsedSequence.features.should.containSubset([
+      { name: "domain", start: 3, end: 29 }
+    ]);
+  });
+
+  it("should write several sequences to the same document", async function () {
+    const string = fs.readFileSync(
+      path.join(__dirname, "./testData/pBbE0c-RFP.gb"),
+      "utf8"
+    );
+    const [{ parsedSequence }] = await genbankToJson(string);
+    const result = await sbolXmlToJson(
+      jsonToSbol([parsedSequence, { ...parsedSequence, circular: false }])
+    );
+    result.length.should.equal(2);
+    result[1].parsedSequence.name.should.equal(parsedSequence.name);
+    result[1].parsedSequence.circular.should.equal(false);
+    result[0].parsedSequence.features.length.should.equal(
+      parsedSequence.features.length
+    );
+  });
+});
@@ -0,0 +1,214 @@
+import jsonToSnapgene from "../src/jsonToSnapgene";
+import snapgeneToJson from "../src/snapgeneToJson";
+import path from "path";
+import fs from "fs";
+import * as chai from "chai";
+import chaiSubset from "chai-subset";
+chai.use(chaiSubset);
+chai.should();
+
+describe("snapgene exporter/parser conversion", function () {
+  it(`should round trip a circular dna sequence with features, primers, parts and notes`, async () => {
+    const sequence =
+      "ATGGCTAGCAAAGGAGAAGAACTTTTCACTGGAGTTGTCCCAATTCTTGTTGAATTA";
+    const buffer = jsonToSnapgene({
+      name: "pTest",
+      description: "A <test> plasmid & friends",
+      circular: true,
+      sequence,
+      features: [
+        {
+          name: "GFP fragment",
+          type: "CDS",
+          start: 0,
+          end: 29,
+          strand: 1,
+          color: "#ff7f50",
+          notes: { note: ["some note"], product: ["GFP"] }
+        },
+        {
+          name: "rev feat",
+          type: "terminator",
+          start: 35,
+          end: 44,
+          strand: -1
+        },
+        {
+          name: "wrapping feat",
+          type: "misc_feature",
+          start: 50,
+          end: 4,
+          strand: 1,
+          arrowheadType: "NONE"
+        },
+        {
+          name: "joined feat",
+          type: "misc_feature",
+          start: 2,
+          end: 20,
+          strand: 1,
+          locations: [
+            { start: 2, end: 5 },
+            { start: 10, end: 20 }
+          ]
+        }
+      ],
+      primers: [
+        {
+          name: "fwd primer",
+          start: 0,
+          end: 19,
+          strand: 1
+        },
+        {
+          name: "rev primer",
+          start: 37,
+          end: 56,
+          strand: -1
+        }
+      ],
+      parts: [
+        {
+          name: "my part",
+          start: 5,
+          end: 15,
+          strand: 1
+        }
+      ]
+    });
+    const result = await snapgeneToJson(buffer, { fileName: "pTest.dna" });
+    result[0].success.should.equal(true);
+    const parsed = result[0].parsedSequence;
+    parsed.name.should.equal("pTest");
+    parsed.description.should.equal("A <test> plasmid & friends");
+    parsed.circular.should.equal(true);
+    parsed.sequence.should.equal(sequence);
+    parsed.features.length.should.equal(4);
+    parsed.features.should.containSubset([
+      {
+        name: "GFP fragment",
+        type: "CDS",
+        start: 0,
+        end: 29,
+        strand: 1,
+        color: "#ff7f50",
+        notes: { note: ["some note"], product: ["GFP"] }
+      },
+      {
+        name: "rev feat",
+        type: "terminator",
+        start: 35,
+        end: 44,
+        strand: -1
+      },
+      {
+        name: "wrapping feat",
+        start: 50,
+        end: 4,
+        arrowheadType: "NONE"
+      },
+      {
+        name: "joined feat",
+        start: 2,
+        end: 20,
+        locations: [
+          { start: 2, end: 5 },
+          { start: 10, end: 20 }
+        ]
+      }
+    ]);
+    parsed.primers.should.containSubset([
+      {
+        name: "fwd primer",
+        type: "primer_bind",
+        start: 0,
+        end: 19,
+        strand: 1,
+        bases: "ATGGCTAGCAAAGGAGAAGA"
+      },
+      {
+        name: "rev primer",
+        type: "primer_bind",
+        start: 37,
+        end: 56,
+        strand: -1,
+        bases: "TAATTCAACAAGAATTGGGA"
+      }
+    ]);
+    parsed.parts.should.containSubset([
+      {
+        name: "my part",
+        start: 5,
+        end: 15
+      }
+    ]);
+  });
+
+  it(`should round trip a linear sequence`, async () => {
+    const buffer = jsonToSnapgene({
+      name: "linearSeq",
+      sequence: "gattacagattaca"
+    });
+    const result = await snapgeneToJson(buffer);
+    result[0].parsedSequence.circular.should.equal(false);
+    result[0].parsedSequence.sequence.should.equal("gattacagattaca");
+    result[0].parsedSequence.name.should.equal("linearSeq");
+  });
+
+  it(`should round trip a protein sequence as a .prot file`, async () => {
+    const buffer = jsonToSnapgene({
+      name: "myProtein",
+      isProtein: true,
+      proteinSequence: "MTCAGRRAYL",
+      features: [
+        {
+          name: "testFeat",
+          start: 3, //features are dna-indexed when in tgen json form
+          end: 29
+        }
+      ]
+    });
+    const result = await snapgeneToJson(buffer, { fileName: "myProtein.prot" });
+    const parsed = result[0].parsedSequence;
+    parsed.isProtein.should.equal(true);
+    parsed.proteinSequence.should.equal("MTCAGRRAYL");
+    parsed.features.should.containSubset([
+      {
+        name: "testFeat",
+        start: 3,
+        end: 29
+      }
+    ]);
+  });
+
+  it(`should keep the features and primers of an existing snapgene file after a round trip`, async () => {
+    const fileObj = fs.readFileSync(
+      path.join(__dirname, "./testData/dna/pIB2-SEC13-mEGFP.dna")
+    );
+    const [{ parsedSequence: original }] = await snapgeneToJson(fileObj, {
+      fileName: "pIB2-SEC13-mEGFP.dna"
+    });
+    original.primers.length.should.be.above(0);
+
+    const [{ parsedSequence: roundTripped }] = await snapgeneToJson(
+      jsonToSnapgene(original),
+      { fileName: "pIB2-SEC13-mEGFP.dna" }
+    );
+    roundTripped.sequence.should.equal(original.sequence);
+    roundTripped.circular.should.equal(original.circular);
+    roundTripped.features.length.should.equal(original.features.length);
+    roundTripped.features.forEach((feat, i) => {
+      const { name, type, start, end, strand, color } = original.features[i];
+      feat.should.containSubset({ name, type, start, end, strand, color });
+    });
+    roundTripped.primers.should.containSubset(
+      original.primers.map(({ name, start, end, strand, bases }) => ({
+        name,
+        start,
+        end,
+        strand,
+        bases
+      }))
+    );
+  });
+});
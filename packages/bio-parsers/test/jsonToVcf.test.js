@@ -0,0 +1,99 @@
+import * as chai from "chai";
+import jsonToVcf from "../src/jsonToVcf";
+
+chai.should();
+
+const reference = { name: "pTest 1", sequence: "CCATGAAACTGGGCTAAGG" };
+
+describe("jsonToVcf", () => {
+  it("writes snps and indels with 1-based positions and anchor bases", () => {
+    const vcf = jsonToVcf(
+      [
+        {
+          type: "deletion",
+          position: 0,
+          referenceBases: "CC",
+          alternateBases: "",
+          effects: []
+        },
+        {
+          type: "SNP",
+          position: 9,
+          referenceBases: "T",
+          alternateBases: "g",
+          effects: [
+            {
+              featureName: "my gene",
+              consequence: "missense",
+              aminoAcidChange: "L3R"
+            }
+          ]
+        },
+        {
+          type: "insertion",
+          position: 10,
+          referenceBases: "",
+          alternateBases: "TA",
+          effects: [
+            {
+              featureName: "my gene",
+              consequence: "frameshift",
+              aminoAcidChange: "L3fs"
+            }
+          ]
+        },
+        {
+          type: "deletion",
+          position: 11,
+          referenceBases: "GGC",
+          alternateBases: "",
+          effects: [
+            {
+              featureName: "my gene",
+              consequence: "in-frame deletion",
+              aminoAcidChange: "G4del"
+            }
+          ]
+        }
+      ],
+      reference
+    );
+    const lines = vcf.trim().split("\n");
+    lines[0].should.equal("##fileformat=VCFv4.2");
+    lines.should.include("##contig=<ID=pTest_1,length=19>");
+    lines
+      .filter(line => !line.startsWith("##"))
+      .should.deep.equal([
+        "#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO",
+        "pTest_1\t1\t.\tCCA\tA\t.\tPASS\tTYPE=del",
+        "pTest_1\t10\t.\tT\tG\t.\tPASS\tTYPE=snp;EFFECT=missense|my_gene|L3R",
+        "pTest_1\t11\t.\tG\tGTA\t.\tPASS\tTYPE=ins;EFFECT=frameshift|my_gene|L3fs",
+        "pTest_1\t11\t.\tGGGC\tG\t.\tPASS\tTYPE=del;EFFECT=in-frame_deletion|my_gene|G4del"
+      ]);
+  });
+
+  it("adds a genotype column when given a sample name", () => {
+    const vcf = jsonToVcf(
+      [
+        {
+          type: "SNP",
+          position: 2,
+          referenceBases: "A",
+          alternateBases: "T"
+        }
+      ],
+      reference,
+      { sampleName: "read 1" }
+    );
+    const lines = vcf.trim().split("\n");
+    lines.should.include(
+      '##FORMAT=<ID=GT,Number=1,Type=String,Description="Genotype">'
+    );
+    lines
+      .slice(-2)
+      .should.deep.equal([
+        "#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\tFORMAT\tread_1",
+        "pTest_1\t3\t.\tA\tT\t.\tPASS\tTYPE=snp\tGT\t1"
+      ]);
+  });
+});
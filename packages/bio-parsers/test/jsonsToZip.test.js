@@ -0,0 +1,54 @@
+import jsonsToZip from "../src/jsonsToZip";
+import anyToJson from "../src/anyToJson";
+import { unzipSync } from "fflate";
+import { Buffer } from "buffer";
+import * as chai from "chai";
+import chaiSubset from "chai-subset";
+chai.use(chaiSubset);
+chai.should();
+
+const sequences = [
+  {
+    name: "pTab1",
+    circular: true,
+    sequence: "gattacagattacagattaca",
+    features: [{ name: "feat1", type: "promoter", start: 2, end: 10 }]
+  },
+  { name: "pTab2", sequence: "ccccggggaaaatttt" },
+  { name: "pTab2", sequence: "atatatatat" }
+];
+
+describe("jsonsToZip", function () {
+  [
+    "genbank",
+    "fasta",
+    "embl",
+    "gff",
+    "snapgene",
+    "sbol",
+    "teselagenJson"
+  ].forEach(format => {
+    it(`should zip one ${format} file per sequence that can be read back in`, async () => {
+      const files = unzipSync(jsonsToZip(sequences, { format }));
+      const fileNames = Object.keys(files);
+      fileNames.length.should.equal(3);
+      //sequences sharing a name don't overwrite each other
+      fileNames[1].should.not.equal(fileNames[2]);
+      const results = await Promise.all(
+        fileNames.map(fileName =>
+          anyToJson(Buffer.from(files[fileName]), { fileName })
+        )
+      );
+      results.forEach(([result], i) => {
+        result.success.should.equal(true);
+        result.parsedSequence.sequence
+          .toLowerCase()
+          .should.equal(sequences[i].sequence);
+      });
+    });
+  });
+
+  it("should throw for an unknown format", () => {
+    (() => jsonsToZip(sequences, { format: "doc" })).should.throw();
+  });
+});
@@ -0,0 +1,72 @@
+import * as chai from "chai";
+import phylipToJson from "../src/phylipToJson";
+import jsonToPhylip from "../src/jsonToPhylip";
+
+chai.should();
+
+const getAlignedSequences = ([result]) =>
+  result.parsedAlignment.alignmentTracks.map(
+    ({ alignmentData }) => `${alignmentData.name}:${alignmentData.sequence}`
+  );
+
+describe("phylipToJson", () => {
+  it("parses interleaved strict phylip", () => {
+    getAlignedSequences(
+      phylipToJson(`  3  14
+Turkey    AAGCTNGGGC
+Salmo gairAAGCCTTGGC
+H. SapiensACCGGTTGGC
+
+ATGC
+ATGC
+AT-C
+`)
+    ).should.deep.equal([
+      "Turkey:AAGCTNGGGCATGC",
+      "Salmo gair:AAGCCTTGGCATGC",
+      "H. Sapiens:ACCGGTTGGCAT-C"
+    ]);
+  });
+
+  it("parses sequential phylip with sequences over several lines", () => {
+    getAlignedSequences(
+      phylipToJson(` 2 12
+seq_one ACGTAC
+GTAC-T
+seq_two ACGTACGTACGT
+`)
+    ).should.deep.equal(["seq_one:ACGTACGTAC-T", "seq_two:ACGTACGTACGT"]);
+  });
+
+  it("writes relaxed or strict phylip that parses back", () => {
+    const alignmentTracks = [
+      {
+        sequenceData: { name: "a long sequence name", sequence: "ACGT" },
+        alignmentData: { sequence: "AC-GT" }
+      },
+      {
+        sequenceData: { name: "a long sequence name too", sequence: "ACCGT" },
+        alignmentData: { sequence: "ACCGT" }
+      }
+    ];
+    const relaxed = jsonToPhylip(alignmentTracks);
+    relaxed.should.equal(
+      " 2 5\na_long_sequence_name     AC-GT\na_long_sequence_name_too ACCGT\n"
+    );
+    getAlignedSequences(phylipToJson(relaxed)).should.deep.equal([
+      "a_long_sequence_name:AC-GT",
+      "a_long_sequence_name_too:ACCGT"
+    ]);
+    const strict = jsonToPhylip(alignmentTracks, { strict: true });
+    strict.should.equal(" 2 5\na_long_seqAC-GT\na_long_se2ACCGT\n");
+    getAlignedSequences(phylipToJson(strict)).should.deep.equal([
+      "a_long_seq:AC-GT",
+      "a_long_se2:ACCGT"
+    ]);
+  });
+
+  it("fails when the sequences don't match the header", () => {
+    const [result] = phylipToJson(" 2 10\na ACGT\nb ACGT\n");
+    result.success.should.equal(false);
+  });
+});
@@ -44,6 +44,53 @@ describe("sbolXmlToJson", function () {
     const results = await sbolXmlToJson(string);
     results[0].success.should.equal(false);
   });
+  it("should parse an SBOL2 file, turning sub components into parts", async function () {
+    const string = fs.readFileSync(
+      path.join(__dirname, "./testData/sbol/sbol2_pTet_GFP.xml"),
+      "utf8"
+    );
+    const result = await sbolXmlToJson(string);
+    //the promoter is only used as a sub component so it isn't returned on its own
+    result.length.should.equal(1);
+    const parsed = result[0].parsedSequence;
+    parsed.name.should.equal("pTet GFP cassette");
+    parsed.description.should.equal("TetR repressible GFP expression");
+    parsed.circular.should.equal(true);
+    parsed.sequence.length.should.equal(64);
+    parsed.parts.should.containSubset([
+      { name: "pTet promoter", type: "promoter", start: 0, end: 19, strand: 1 }
+    ]);
+    parsed.features.should.containSubset([
+      { name: "GFP", type: "CDS", start: 24, end: 53, strand: -1 }
+    ]);
+  });
+  it("should parse an SBOL3 turtle file", async function () {
+    const string = fs.readFileSync(
+      path.join(__dirname, "./testData/sbol/sbol3_toggle.ttl"),
+      "utf8"
+    );
+    const result = await sbolXmlToJson(string);
+    result.length.should.equal(1);
+    const parsed = result[0].parsedSequence;
+    parsed.name.should.equal("toggle switch");
+    parsed.description.should.equal('Two "mutually" repressing\ngenes');
+    parsed.circular.should.equal(false);
+    parsed.sequence.should.equal("aattgtgagcgcaaggaggtacgatcgatcgttttttttt");
+    parsed.parts.length.should.equal(2);
+    parsed.parts.should.containSubset([
+      { name: "pLac", type: "promoter", start: 0, end: 11, strand: 1 },
+      {
+        name: "lacI terminator",
+        type: "terminator",
+        start: 30,
+        end: 39,
+        strand: -1
+      }
+    ]);
+    parsed.features.should.containSubset([
+      { type: "RBS", start: 14, end: 19, arrowheadType: "NONE" }
+    ]);
+  });
 });
 // describe('test of sbol from SBOL site', function () {
 //     it('tests the parsing of toggle switches', function () {
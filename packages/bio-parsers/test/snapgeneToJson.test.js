@@ -275,4 +275,33 @@ describe("snapgene file parser", function () {
       }
     ]);
   });
+  it(`primers read before the features packet are kept`, async () => {
+    const fileObj = fs.readFileSync(
+      path.join(__dirname, "./testData/dna/addgene-plasmid.dna")
+    );
+    const result = await snapgeneToJson(fileObj, {
+      fileName: "addgene-plasmid.dna"
+    });
+    const { primers, features } = result[0].parsedSequence;
+    new Set(primers.map(p => p.name)).size.should.equal(13);
+    primers.length.should.equal(18);
+    features.length.should.be.above(0);
+    primers.should.containSubset([
+      {
+        name: "CMV-F",
+        type: "primer_bind",
+        strand: 1,
+        start: 668,
+        end: 688,
+        bases: "CGCAAATGGGCGGTAGGCGTG"
+      },
+      {
+        name: "EGFP-N",
+        type: "primer_bind",
+        strand: -1,
+        start: 807,
+        end: 828
+      }
+    ]);
+  });
 });
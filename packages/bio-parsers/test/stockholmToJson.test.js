@@ -0,0 +1,77 @@
+import * as chai from "chai";
+import stockholmToJson from "../src/stockholmToJson";
+import jsonToStockholm from "../src/jsonToStockholm";
+
+chai.should();
+
+describe("stockholmToJson", () => {
+  it("parses each alignment in a stockholm file, skipping its markup", () => {
+    const results = stockholmToJson(`# STOCKHOLM 1.0
+#=GF ID   Kazal_1
+#=GF AC   PF00050
+#=GS O43520/1-30 DE protein
+
+O43520/1-30     CP..EYRPV
+#=GR O43520/1-30 SS  CCCC.HHHH
+P12345/5-34     CPRTEY.PV
+#=GC SS_cons    CCCCCHHHH
+
+O43520/1-30     CG
+P12345/5-34     C-
+//
+# STOCKHOLM 1.0
+
+a  ACGT
+b  AC-T
+//
+`);
+    results.should.have.length(2);
+    results[0].success.should.equal(true);
+    results[0].parsedAlignment.name.should.equal("Kazal_1");
+    results[0].parsedAlignment.isProtein.should.equal(true);
+    results[0].parsedAlignment.alignmentTracks
+      .map(({ alignmentData }) => alignmentData)
+      .should.deep.equal([
+        { name: "O43520/1-30", sequence: "CP--EYRPVCG" },
+        { name: "P12345/5-34", sequence: "CPRTEY-PVC-" }
+      ]);
+    results[1].parsedAlignment.isProtein.should.equal(false);
+    results[1].parsedAlignment.alignmentTracks[1].sequenceData.should.deep.equal(
+      { name: "b", sequence: "ACT" }
+    );
+  });
+
+  it("writes an alignment that parses back with its name, track names and gaps", () => {
+    const string = jsonToStockholm({
+      name: "my alignment",
+      alignmentTracks: [
+        {
+          sequenceData: { name: "read 1", sequence: "GATTACA" },
+          alignmentData: { sequence: "GAT-TACA" }
+        },
+        {
+          sequenceData: { name: "read 1", sequence: "GATTTAC" },
+          alignmentData: { sequence: "GATTTAC" }
+        }
+      ]
+    });
+    string.should.equal(`# STOCKHOLM 1.0
+#=GF ID my_alignment
+
+read_1    GAT-TACA
+read_1_2  GATTTAC-
+//
+`);
+    const [result] = stockholmToJson(string);
+    result.parsedAlignment.name.should.equal("my_alignment");
+    result.parsedAlignment.alignmentTracks
+      .map(({ alignmentData }) => alignmentData.sequence)
+      .should.deep.equal(["GAT-TACA", "GATTTAC-"]);
+  });
+
+  it("fails on rows of different lengths", () => {
+    const [result] = stockholmToJson("# STOCKHOLM 1.0\na ACGT\nb ACG\n//");
+    result.success.should.equal(false);
+    result.messages[0].should.include("b is 3 characters long");
+  });
+});
@@ -0,0 +1,57 @@
+import React from "react";
+import {
+  Button,
+  Intent,
+  Menu,
+  MenuItem,
+  Popover,
+  Tooltip
+} from "@blueprintjs/core";
+import { exportAlignmentToFile } from "../withEditorProps";
+
+const exportFormats = [
+  { format: "clustal", text: "Clustal (.aln)" },
+  { format: "stockholm", text: "Stockholm (.sto)" },
+  { format: "phylip", text: "PHYLIP (.phy)" },
+  { format: "alignedFasta", text: "Aligned FASTA (.fasta)" }
+];
+
+export default function AlignmentExportTool({
+  alignmentTracks,
+  alignmentName
+}) {
+  return (
+    <Popover
+      minimal
+      position="bottom"
+      content={
+        <Menu className="veAlignmentExportMenu">
+          {exportFormats.map(({ format, text }) => (
+            <MenuItem
+              key={format}
+              text={text}
+              onClick={() =>
+                exportAlignmentToFile(
+                  { name: alignmentName, alignmentTracks },
+                  format
+                )
+              }
+            />
+          ))}
+        </Menu>
+      }
+      target={
+        <Tooltip content="Export Alignment">
+          <Button
+            className="veAlignmentExportToggle"
+            small
+            rightIcon="caret-down"
+            intent={Intent.PRIMARY}
+            minimal
+            icon="export"
+          />
+        </Tooltip>
+      }
+    />
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from "react";
+import {
+  Button,
+  Checkbox,
+  FormGroup,
+  HTMLSelect,
+  Intent,
+  NumericInput,
+  Popover,
+  Tooltip
+} from "@blueprintjs/core";
+import { getAlignmentConsensus } from "@teselagen/sequence-utils";
+import { exportSequenceToFile } from "../withEditorProps";
+
+export default function ConsensusTool(props) {
+  return (
+    <Popover
+      minimal
+      position="bottom"
+      content={<ConsensusOptions {...props} />}
+      target={
+        <Tooltip content="Consensus Sequence">
+          <Button
+            className="veAlignmentConsensusToggle"
+            small
+            rightIcon="caret-down"
+            intent={Intent.PRIMARY}
+            minimal
+            icon="layers"
+          />
+        </Tooltip>
+      }
+    />
+  );
+}
+
+function ConsensusOptions({
+  alignmentTracks,
+  alignmentName,
+  hasTemplate,
+  onOpenSequenceInNewTab
+}) {
+  const [threshold, setThreshold] = useState(0.5);
+  const [gapMode, setGapMode] = useState("vote");
+  const [useQuality, setUseQuality] = useState(true);
+  const [includeTemplate, setIncludeTemplate] = useState(true);
+  const isProtein = !!alignmentTracks[0]?.sequenceData.isProtein;
+  const hasQuality = alignmentTracks.some(
+    track => track.chromatogramData?.qualNums?.length
+  );
+
+  const consensus = useMemo(() => {
+    const tracks =
+      hasTemplate && !includeTemplate
+        ? alignmentTracks.slice(1)
+        : alignmentTracks;
+    return getAlignmentConsensus(
+      tracks.map(({ alignmentData, chromatogramData }) => ({
+        sequence: alignmentData.sequence,
+        qualNums: chromatogramData?.qualNums,
+        trimmedRange: alignmentData.trimmedRange
+      })),
+      { threshold, gapMode, useQuality, isProtein }
+    );
+  }, [
+    alignmentTracks,
+    hasTemplate,
+    includeTemplate,
+    threshold,
+    gapMode,
+    useQuality,
+    isProtein
+  ]);
+
+  const getConsensusSequenceData = () => ({
+    name: `${alignmentName || "Alignment"} Consensus`,
+    circular: false,
+    ...(isProtein
+      ? { isProtein: true, proteinSequence: consensus }
+      : { sequence: consensus })
+  });
+
+  return (
+    <div className="veAlignmentConsensusOptions">
+      <FormGroup
+        inline
+        label="Threshold"
+        helperText="The share of the votes a column's consensus needs, more than one base makes it an ambiguity code"
+      >
+        <NumericInput
+          style={{ width: 60 }}
+          min={0.01}
+          max={1}
+          stepSize={0.05}
+          minorStepSize={0.01}
+          value={threshold}
+          onValueChange={val => val > 0 && val <= 1 && setThreshold(val)}
+        />
+      </FormGroup>
+      <FormGroup inline label="Gaps">
+        <HTMLSelect
+          value={gapMode}
+          onChange={e => setGapMode(e.target.value)}
+          options={[
+            { label: "Vote like bases", value: "vote" },
+            { label: "Ignore", value: "ignore" }
+          ]}
+        />
+      </FormGroup>
+      {hasTemplate && (
+        <Checkbox
+          checked={includeTemplate}
+          onChange={e => setIncludeTemplate(e.target.checked)}
+          label="Include the template"
+        />
+      )}
+      {hasQuality && (
+        <Checkbox
+          checked={useQuality}
+          onChange={e => setUseQuality(e.target.checked)}
+          label="Weight votes by base quality"
+        />
+      )}
+      <div className="veAlignmentConsensusSequence">
+        {consensus || "No consensus"}
+      </div>
+      <div className="veAlignmentConsensusLength">
+        {consensus.length} {isProtein ? "AAs" : "bps"}
+      </div>
+      <div className="veAlignmentConsensusButtons">
+        {onOpenSequenceInNewTab && (
+          <Button
+            small
+            intent={Intent.PRIMARY}
+            disabled={!consensus}
+            onClick={() => onOpenSequenceInNewTab(getConsensusSequenceData())}
+            text="Open In New Tab"
+          />
+        )}
+        <Button
+          small
+          icon="download"
+          disabled={!consensus}
+          onClick={() =>
+            exportSequenceToFile({
+              sequenceData: getConsensusSequenceData()
+            })("fasta")
+          }
+          text="Download FASTA"
+        />
+      </div>
+    </div>
+  );
+}
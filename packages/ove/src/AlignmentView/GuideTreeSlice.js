@@ -0,0 +1,96 @@
+import React from "react";
+import { getGuideTreeLeaves } from "@teselagen/sequence-utils";
+
+export const guideTreeWidth = 60;
+
+/**
+ * Lines of a guide tree (see buildGuideTree in sequence-utils) drawn as a dendrogram with
+ * the root on the left. x runs from 0 (root) to 1 (the deepest leaf) and y counts tracks, so
+ * leaf k sits in the middle of track k at y = k + 0.5
+ * Returns undefined unless the tree's leaves line up with the tracks (a leaf's trackId, when
+ * it has one, must match its track's sequenceData.id), eg. once tracks have been dragged
+ * into a different order
+ */
+export function getGuideTreeLines(guideTree, alignmentTracks) {
+  const leaves = getGuideTreeLeaves(guideTree);
+  if (
+    leaves.length < 2 ||
+    leaves.length !== alignmentTracks.length ||
+    leaves.some(
+      ({ trackId }, k) =>
+        trackId !== undefined && trackId !== alignmentTracks[k].sequenceData?.id
+    )
+  ) {
+    return;
+  }
+  const lines = [];
+  const depths = new Map();
+  const setDepths = (node, depth) => {
+    depths.set(node, depth);
+    (node.children || []).forEach(child =>
+      setDepths(child, depth + child.branchLength)
+    );
+  };
+  setDepths(guideTree, 0);
+  // identical sequences have no branch lengths, fall back to an evenly spaced cladogram
+  const maxDepth = Math.max(...depths.values());
+  const getX = maxDepth
+    ? node => depths.get(node) / maxDepth
+    : node => 1 - getHeight(node) / getHeight(guideTree);
+
+  let leafIndex = 0;
+  const addLines = node => {
+    const x = getX(node);
+    if (!node.children) return leafIndex++ + 0.5;
+    const childYs = node.children.map(child => {
+      const y = addLines(child);
+      lines.push({ x1: x, y1: y, x2: getX(child), y2: y });
+      return y;
+    });
+    lines.push({
+      x1: x,
+      y1: childYs[0],
+      x2: x,
+      y2: childYs[childYs.length - 1]
+    });
+    return (childYs[0] + childYs[childYs.length - 1]) / 2;
+  };
+  addLines(guideTree);
+  return lines;
+}
+
+function getHeight(node) {
+  return node.children ? 1 + Math.max(...node.children.map(getHeight)) : 0;
+}
+
+/**
+ * The part of the guide tree lying next to one track. Each track draws its own slice
+ * (stretched to the track's height) so the tree stays lined up however tall the tracks are
+ */
+export function GuideTreeSlice({ lines, trackIndex }) {
+  return (
+    <svg
+      className="veAlignmentGuideTree"
+      width={guideTreeWidth}
+      height="100%"
+      viewBox={`-0.05 ${trackIndex} 1.1 1`}
+      preserveAspectRatio="none"
+      style={{ position: "absolute", left: 0, top: 0 }}
+    >
+      {lines
+        .filter(
+          ({ y1, y2 }) =>
+            Math.max(y1, y2) >= trackIndex && Math.min(y1, y2) <= trackIndex + 1
+        )
+        .map((line, i) => (
+          <line
+            key={i}
+            {...line}
+            stroke="#5C7080"
+            strokeWidth={1.5}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+    </svg>
+  );
+}
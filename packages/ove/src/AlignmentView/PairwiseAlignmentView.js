@@ -1,12 +1,18 @@
 import React, { useState } from "react";
 import { getPairwiseOverviewLinearViewOptions } from "./getPairwiseOverviewLinearViewOptions";
 import { AlignmentView } from "./index";
+import { ReadMappingSummaryButton } from "./ReadMappingSummary";
 
 //this view is shown if we detect pairwise alignments
 export function PairwiseAlignmentView(props) {
   const [currentPairwiseAlignmentIndex, setCurrentPairwiseAlignmentIndex] =
     useState(undefined);
-  const { pairwiseAlignments, pairwiseOverviewAlignmentTracks } = props;
+  const {
+    pairwiseAlignments,
+    pairwiseOverviewAlignmentTracks,
+    readMappingSummary,
+    additionalTopEl
+  } = props;
 
   if (currentPairwiseAlignmentIndex > -1) {
     //we can render the AlignmentView directly
@@ -52,6 +58,15 @@ export function PairwiseAlignmentView(props) {
           isFullyZoomedOut: true,
           noClickDragHandlers: true,
           linearViewOptions: getPairwiseOverviewLinearViewOptions,
+          //sequencing reads mapped with mapSequencingReads come with their coverage and discrepancies
+          additionalTopEl: readMappingSummary ? (
+            <>
+              <ReadMappingSummaryButton summary={readMappingSummary} />
+              {additionalTopEl}
+            </>
+          ) : (
+            additionalTopEl
+          ),
           handleSelectTrack: trackIndex => {
             setCurrentPairwiseAlignmentIndex(trackIndex - 1);
           }
@@ -0,0 +1,184 @@
+import React from "react";
+import {
+  Button,
+  HTMLTable,
+  Intent,
+  Popover,
+  Tag,
+  Tooltip
+} from "@blueprintjs/core";
+
+/**
+ * What to keep of a mapSequencingReads result (from sequence-utils) to show in a
+ * ReadMappingSummary, leaving out the reads' sequences and the per base depths so it
+ * stays small enough to store with the alignment run
+ */
+export function getReadMappingSummary(
+  { reads, coverage, discrepancies },
+  referenceLength
+) {
+  const { depths, ...coverageWithoutDepths } = coverage;
+  return {
+    referenceLength,
+    coverage: coverageWithoutDepths,
+    reads: reads.map(
+      ({
+        name,
+        isUnmapped,
+        isReversed,
+        wasTrimmed,
+        trimmedRange,
+        referenceRange,
+        identity,
+        discrepancies
+      }) => ({
+        name,
+        isUnmapped,
+        isReversed,
+        wasTrimmed,
+        trimmedRange,
+        referenceRange,
+        identity,
+        discrepancyCount: discrepancies.length
+      })
+    ),
+    discrepancies
+  };
+}
+
+// 1-based like the rest of the editor, ranges across the origin read eg. 1801-300
+const formatRange = range =>
+  range ? `${range.start + 1}-${range.end + 1}` : "-";
+
+function formatChange({ type, referenceBases, readBases }) {
+  if (type === "insertion") return `+${readBases}`;
+  if (type === "deletion") return `-${referenceBases}`;
+  return `${referenceBases} > ${readBases}`;
+}
+
+export function ReadMappingSummary({ summary }) {
+  const { referenceLength, coverage, reads, discrepancies } = summary;
+  return (
+    <div className="veReadMappingSummary">
+      <HTMLTable condensed className="veReadMappingCoverage">
+        <tbody>
+          <tr>
+            <th>Coverage</th>
+            <td>
+              {coverage.coveredLength} of {referenceLength} bp (
+              {(coverage.fraction * 100).toFixed(1)}%)
+            </td>
+          </tr>
+          <tr>
+            <th>Depth</th>
+            <td>
+              mean {coverage.meanDepth.toFixed(1)}x, min {coverage.minDepth},
+              max {coverage.maxDepth}
+            </td>
+          </tr>
+          <tr>
+            <th>Not covered</th>
+            <td>
+              {coverage.uncoveredRanges.length
+                ? coverage.uncoveredRanges.map(formatRange).join(", ")
+                : "None"}
+            </td>
+          </tr>
+        </tbody>
+      </HTMLTable>
+
+      <HTMLTable condensed striped className="veReadMappingReads">
+        <thead>
+          <tr>
+            <th>Read</th>
+            <th>Strand</th>
+            <th>Kept</th>
+            <th>Mapped To</th>
+            <th>Identity</th>
+            <th>Discrepancies</th>
+          </tr>
+        </thead>
+        <tbody>
+          {reads.map((read, i) => (
+            <tr key={i}>
+              <td>{read.name}</td>
+              {read.isUnmapped ? (
+                <td colSpan={5}>
+                  <Tag minimal intent={Intent.WARNING}>
+                    {read.trimmedRange
+                      ? "Did not map to the reference"
+                      : "No good quality bases"}
+                  </Tag>
+                </td>
+              ) : (
+                <>
+                  <td>{read.isReversed ? "REV" : "FWD"}</td>
+                  <td>
+                    {formatRange(read.trimmedRange)}
+                    {read.wasTrimmed && " (trimmed)"}
+                  </td>
+                  <td>{formatRange(read.referenceRange)}</td>
+                  <td>{(read.identity * 100).toFixed(1)}%</td>
+                  <td>{read.discrepancyCount}</td>
+                </>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </HTMLTable>
+
+      {discrepancies.length ? (
+        <HTMLTable condensed striped className="veReadMappingDiscrepancies">
+          <thead>
+            <tr>
+              <th>Position</th>
+              <th>Type</th>
+              <th>Change</th>
+              <th>Reads</th>
+            </tr>
+          </thead>
+          <tbody>
+            {discrepancies.map((discrepancy, i) => (
+              <tr key={i}>
+                <td>{discrepancy.position + 1}</td>
+                <td>{discrepancy.type}</td>
+                <td className="veReadMappingChange">
+                  {formatChange(discrepancy)}
+                </td>
+                <td title={discrepancy.readNames.join(", ")}>
+                  {discrepancy.readNames.length}/{discrepancy.depth}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </HTMLTable>
+      ) : (
+        <div className="veReadMappingNoDiscrepancies">
+          No discrepancies with the reference
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function ReadMappingSummaryButton({ summary }) {
+  return (
+    <Popover
+      minimal
+      position="bottom"
+      content={<ReadMappingSummary summary={summary} />}
+      target={
+        <Tooltip content="Coverage and Discrepancies">
+          <Button
+            className="veReadMappingSummaryButton"
+            small
+            rightIcon="caret-down"
+            intent={Intent.PRIMARY}
+            minimal
+            icon="th-list"
+          />
+        </Tooltip>
+      }
+    />
+  );
+}
@@ -0,0 +1,172 @@
+import React, { useMemo, useState } from "react";
+import {
+  Button,
+  FormGroup,
+  HTMLSelect,
+  Intent,
+  Popover,
+  Tooltip
+} from "@blueprintjs/core";
+import { DataTable } from "@teselagen/ui";
+import {
+  getAlignmentVariants,
+  getReferenceSequenceData
+} from "@teselagen/sequence-utils";
+import { jsonToVcf } from "@teselagen/bio-parsers";
+import { unparse } from "papaparse";
+import downloadjs from "downloadjs";
+
+const schema = {
+  fields: [
+    { path: "type", displayName: "Type" },
+    { path: "position", displayName: "Position", type: "number" },
+    { path: "referenceBases", displayName: "Ref" },
+    { path: "alternateBases", displayName: "Alt" },
+    { path: "effect", displayName: "Effect" }
+  ]
+};
+
+const getTrackName = ({ alignmentData, sequenceData }, i) =>
+  alignmentData.name || sequenceData.name || `Track ${i + 1}`;
+
+// "myGene: missense L3R (CTG>CGG)", one per CDS the variant falls in
+const getEffectText = effects =>
+  effects
+    .map(
+      ({
+        featureName,
+        featureId,
+        consequence,
+        aminoAcidChange,
+        referenceCodon,
+        alternateCodon
+      }) =>
+        `${featureName || featureId}: ${consequence} ${aminoAcidChange}${
+          alternateCodon ? ` (${referenceCodon}>${alternateCodon})` : ""
+        }`
+    )
+    .join("; ");
+
+export default function VariantsTool(props) {
+  return (
+    <Popover
+      minimal
+      position="bottom"
+      content={<VariantsReport {...props} />}
+      target={
+        <Tooltip content="Variants">
+          <Button
+            className="veAlignmentVariantsToggle"
+            small
+            rightIcon="caret-down"
+            intent={Intent.PRIMARY}
+            minimal
+            icon="th-list"
+          />
+        </Tooltip>
+      }
+    />
+  );
+}
+
+function VariantsReport({ alignmentTracks, alignmentName }) {
+  const [trackIndex, setTrackIndex] = useState(1);
+  const referenceTrack = alignmentTracks[0];
+  const track = alignmentTracks[trackIndex] || alignmentTracks[1];
+  const trackName = getTrackName(track, trackIndex);
+
+  const variants = useMemo(
+    () => getAlignmentVariants(referenceTrack, track),
+    [referenceTrack, track]
+  );
+  // shown and exported with the 1-based positions used everywhere else in the editor
+  const entities = useMemo(
+    () =>
+      variants.map((variant, i) => ({
+        id: i,
+        type: variant.type,
+        position: variant.position + 1,
+        referenceBases: variant.referenceBases || "-",
+        alternateBases: variant.alternateBases || "-",
+        effect: getEffectText(variant.effects)
+      })),
+    [variants]
+  );
+
+  const fileName = `${alignmentName || "Alignment"}_${trackName}_variants`;
+  // the variant positions are in the reference's own numbering, even for templates rotated across the origin
+  const referenceSequenceData = useMemo(
+    () => ({
+      ...getReferenceSequenceData(referenceTrack),
+      name: getTrackName(referenceTrack, 0)
+    }),
+    [referenceTrack]
+  );
+
+  return (
+    <div className="veAlignmentVariantsReport">
+      {alignmentTracks.length > 2 && (
+        <FormGroup inline label="Track">
+          <HTMLSelect
+            value={trackIndex}
+            onChange={e => setTrackIndex(Number(e.target.value))}
+            options={alignmentTracks.slice(1).map((t, i) => ({
+              label: getTrackName(t, i + 1),
+              value: i + 1
+            }))}
+          />
+        </FormGroup>
+      )}
+      <div className="veAlignmentVariantsSummary">
+        {variants.length} variant{variants.length === 1 ? "" : "s"} of{" "}
+        {trackName} against {referenceSequenceData.name}. Insertions are placed
+        on the reference base they follow.
+      </div>
+      <DataTable
+        formName="alignmentVariantsTable"
+        isSimple
+        compact
+        noRouter
+        maxHeight={300}
+        schema={schema}
+        entities={entities}
+      />
+      <div className="veAlignmentVariantsButtons">
+        <Button
+          small
+          icon="download"
+          disabled={!variants.length}
+          onClick={() =>
+            downloadjs(
+              unparse(
+                entities.map(({ id, ...row }) => ({
+                  ...row,
+                  reference: referenceSequenceData.name,
+                  sequence: trackName
+                }))
+              ),
+              `${fileName}.csv`,
+              "text/plain"
+            )
+          }
+          text="Download CSV"
+        />
+        <Button
+          small
+          icon="download"
+          disabled={!variants.length}
+          onClick={() =>
+            downloadjs(
+              jsonToVcf(variants, referenceSequenceData, {
+                sampleName: trackName
+              }),
+              `${fileName}.vcf`,
+              "text/plain"
+            )
+          }
+          text="Download VCF"
+        />
+      </div>
+    </div>
+  );
+}
@@ -32,6 +32,9 @@ import { NonReduxEnhancedLinearView } from "../LinearView";
 import Minimap, { getTrimmedRangesToDisplay } from "./Minimap";
 import { compose, branch, renderComponent } from "recompose";
 import AlignmentVisibilityTool from "./AlignmentVisibilityTool";
+import ConsensusTool from "./ConsensusTool";
+import AlignmentExportTool from "./AlignmentExportTool";
+import VariantsTool from "./VariantsTool";
 import * as alignmentActions from "../redux/alignments";
 import _estimateRowHeight from "../RowView/estimateRowHeight";
 import prepareRowData from "../utils/prepareRowData";
@@ -73,6 +76,11 @@ import { EditTrackNameDialog } from "./EditTrackNameDialog";
 import { coerceInitialValue } from "./coerceInitialValue";
 import { tabHeight } from "../constants";
 import LabileSitesLayer from "./LabileSitesLayer";
+import {
+  GuideTreeSlice,
+  getGuideTreeLines,
+  guideTreeWidth
+} from "./GuideTreeSlice";
 import PropertySidePanel from "../PropertySidePanel";
 import {
   getAlignedAminoAcidSequenceProps,
@@ -120,6 +128,7 @@ export const AlignmentView = props => {
     additionalTopEl,
     additionalTopLeftEl,
     handleAlignmentRename,
+    onOpenSequenceInNewTab,
     stateTrackingId,
     style,
     unmappedSeqs
@@ -137,6 +146,7 @@ export const AlignmentView = props => {
     allowTrackNameEdit,
     allowTrackRearrange,
     currentPairwiseAlignmentIndex,
+    guideTree,
     handleSelectTrack,
     hasTemplate,
     isPairwise,
@@ -149,7 +159,9 @@ export const AlignmentView = props => {
   } = props;
 
   const [width, setWidth] = useState(0);
-  const [nameDivWidth, setNameDivWidth] = useState(140);
+  const [nameDivWidth, setNameDivWidth] = useState(
+    guideTree ? 140 + guideTreeWidth : 140
+  );
   const [charWidthInLinearView, _setCharWidthInLinearView] = useState(
     charWidthInLinearViewDefault
   );
@@ -310,9 +322,12 @@ export const AlignmentView = props => {
         delete togglableAlignmentAnnotationSettings[key];
       });
 
+      //amino acid annotations start hidden unless the alignment was added with them shown
       aminoAcidAnnotations.forEach(key => {
-        alignmentAnnotationVisibility[key] = false;
-        togglableAlignmentAnnotationSettings[key] = false;
+        alignmentAnnotationVisibility[key] =
+          !!alignmentAnnotationVisibility[key];
+        togglableAlignmentAnnotationSettings[key] =
+          alignmentAnnotationVisibility[key];
       });
 
       if (isPairwise) {
@@ -330,6 +345,14 @@ export const AlignmentView = props => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [alignmentTracks, isPairwise]);
 
+  const guideTreeLines = useMemo(
+    () =>
+      guideTree &&
+      alignmentAnnotationVisibility.guideTree &&
+      getGuideTreeLines(guideTree, alignmentTracks),
+    [guideTree, alignmentAnnotationVisibility.guideTree, alignmentTracks]
+  );
+
   const maxLength = useMemo(() => {
     const { sequenceData = { sequence: "" }, alignmentData } =
       alignmentTracks[0];
@@ -807,6 +830,7 @@ export const AlignmentView = props => {
             borderRight: `1px solid ${isTemplate ? "red" : "lightgray"}`,
             width: nameDivWidth - 3,
             padding: 2,
+            ...(guideTreeLines && { paddingLeft: guideTreeWidth }),
             marginRight: 3,
             paddingBottom: 0,
             minWidth: nameDivWidth - 3,
@@ -817,6 +841,9 @@ export const AlignmentView = props => {
           data-title={name}
           key={i}
         >
+          {guideTreeLines && (
+            <GuideTreeSlice lines={guideTreeLines} trackIndex={i} />
+          )}
           <div
             {...provided?.dragHandleProps}
             style={{
@@ -918,6 +945,21 @@ export const AlignmentView = props => {
                   TRIMMED
                 </span>
               )}
+              {!!alignmentData?.rotation && (
+                <span
+                  style={{
+                    backgroundColor: "#9179F2",
+                    padding: 2,
+                    paddingLeft: 4,
+                    color: "white",
+                    marginRight: 2,
+                    borderRadius: "5px"
+                  }}
+                  data-tip={`This circular sequence was rotated to line up with the others, it starts at its own bp ${alignmentData.rotation + 1} and is numbered from its own origin`}
+                >
+                  ROTATED
+                </span>
+              )}
               {sequenceData.isProtein ? (
                 <>
                   <span>{sequenceData.proteinSequence.length} AAs</span>
@@ -1747,6 +1789,28 @@ export const AlignmentView = props => {
                       {...alignmentVisibilityToolOptions}
                     />
                   )}
+                  {!isInPairwiseOverviewView && (
+                    <ConsensusTool
+                      alignmentTracks={alignmentTracks}
+                      alignmentName={alignmentName}
+                      hasTemplate={hasTemplate}
+                      onOpenSequenceInNewTab={onOpenSequenceInNewTab}
+                    />
+                  )}
+                  {!isInPairwiseOverviewView &&
+                    alignmentTracks.length > 1 &&
+                    !alignmentTracks[0].sequenceData.isProtein && (
+                      <VariantsTool
+                        alignmentTracks={alignmentTracks}
+                        alignmentName={alignmentName}
+                      />
+                    )}
+                  {!isInPairwiseOverviewView && (
+                    <AlignmentExportTool
+                      alignmentTracks={alignmentTracks}
+                      alignmentName={alignmentName}
+                    />
+                  )}
                   {additionalTopEl}
                   {saveMessage && (
                     <div
@@ -1922,6 +1986,8 @@ export default compose(
         alignmentType,
         scrollPercentageToJumpTo,
         pairwiseOverviewAlignmentTracks,
+        guideTree,
+        readMappingSummary,
         loading,
         name,
         alignmentAnnotationVisibility,
@@ -1966,7 +2032,8 @@ export default compose(
         "charged",
         "aliphatic",
         "aromatic",
-        "compactNames"
+        "compactNames",
+        ...(guideTree ? ["guideTree"] : [])
       ];
       const togglableAlignmentAnnotationSettings = {};
       map(alignmentAnnotationsToToggle, annotation => {
@@ -2031,6 +2098,8 @@ export default compose(
         pairwiseAlignments,
         alignmentType,
         alignmentTracks,
+        guideTree,
+        readMappingSummary,
         scrollPercentageToJumpTo,
         pairwiseOverviewAlignmentTracks,
         //manipulate the props coming in so we can pass a single clean prop to the visibility options tool
@@ -0,0 +1,143 @@
+import React, { useRef, useState } from "react";
+import { Button, ButtonGroup, HTMLSelect, Intent } from "@blueprintjs/core";
+import { anyToJson } from "@teselagen/bio-parsers";
+import shortid from "shortid";
+import { insertItem, removeItem } from "../utils/arrayUtils";
+
+/**
+ * Lets the user build an ordered list of sequences to assemble onto the current one,
+ * taken either from the other open sequences (eg. the other tabs of a MultiTabEditor) or from files
+ *
+ * @param {Object} props
+ * @param {Array} props.pieces - [{id, name, sequenceData}] in assembly order
+ * @param {Function} props.onChange - Called with the new pieces
+ * @param {Array} props.openSequences - [{id, name, sequenceData}] that can be picked from
+ * @param {string} props.label - Shown above the list
+ */
+export default function AssemblyPiecesPicker({
+  pieces,
+  onChange,
+  openSequences = [],
+  label = "Inserts (in order):"
+}) {
+  const [openSequenceId, setOpenSequenceId] = useState();
+  const fileInputRef = useRef();
+  const selectedOpenSequence =
+    openSequences.find(s => s.id === openSequenceId) || openSequences[0];
+
+  const addPiece = ({ name, sequenceData }) => {
+    onChange([
+      ...pieces,
+      { id: shortid(), name: name || sequenceData.name, sequenceData }
+    ]);
+  };
+
+  const addFromFiles = async files => {
+    const newPieces = [];
+    for (const file of files) {
+      const results = await anyToJson(file, { acceptParts: true });
+      results.forEach(result => {
+        if (result.success) {
+          newPieces.push({
+            id: shortid(),
+            name: result.parsedSequence.name || file.name,
+            sequenceData: result.parsedSequence
+          });
+        } else {
+          window.toastr.error(`Unable to read a sequence from ${file.name}`);
+        }
+      });
+    }
+    onChange([...pieces, ...newPieces]);
+  };
+
+  const movePiece = (index, by) => {
+    const piece = pieces[index];
+    onChange(insertItem(removeItem(pieces, index), piece, index + by));
+  };
+
+  return (
+    <div className="veAssemblyPiecesPicker">
+      <div style={{ fontWeight: "600", fontSize: 13 }}>{label}</div>
+      {pieces.length ? (
+        pieces.map((piece, i) => (
+          <div
+            key={piece.id}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              marginTop: 4
+            }}
+          >
+            <div>
+              {i + 1}. {piece.name}{" "}
+              <span style={{ fontStyle: "italic", color: "grey" }}>
+                ({piece.sequenceData.sequence.length} bps)
+              </span>
+            </div>
+            <ButtonGroup minimal>
+              <Button
+                icon="arrow-up"
+                disabled={i === 0}
+                onClick={() => movePiece(i, -1)}
+              />
+              <Button
+                icon="arrow-down"
+                disabled={i === pieces.length - 1}
+                onClick={() => movePiece(i, 1)}
+              />
+              <Button
+                icon="trash"
+                intent={Intent.DANGER}
+                onClick={() => onChange(removeItem(pieces, i))}
+              />
+            </ButtonGroup>
+          </div>
+        ))
+      ) : (
+        <div style={{ marginTop: 5, fontStyle: "italic", color: "grey" }}>
+          No sequences added yet
+        </div>
+      )}
+      <div style={{ display: "flex", marginTop: 10 }}>
+        {!!openSequences.length && (
+          <React.Fragment>
+            <HTMLSelect
+              value={selectedOpenSequence && selectedOpenSequence.id}
+              options={openSequences.map(({ id, name }) => ({
+                label: name,
+                value: id
+              }))}
+              onChange={e => setOpenSequenceId(e.target.value)}
+            />
+            <Button
+              icon="add"
+              style={{ marginLeft: 5 }}
+              onClick={() => addPiece(selectedOpenSequence)}
+            >
+              Add Open Sequence
+            </Button>
+          </React.Fragment>
+        )}
+        <Button
+          icon="upload"
+          style={{ marginLeft: openSequences.length ? 5 : 0 }}
+          onClick={() => fileInputRef.current.click()}
+        >
+          Add From File
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          style={{ display: "none" }}
+          onChange={e => {
+            addFromFiles(Array.from(e.target.files));
+            e.target.value = "";
+          }}
+        />
+      </div>
+    </div>
+  );
+}
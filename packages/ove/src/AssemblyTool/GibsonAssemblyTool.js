@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from "react";
+import { Button, Callout, Checkbox, Intent } from "@blueprintjs/core";
+import { DataTable } from "@teselagen/ui";
+import { simulateGibsonAssembly } from "@teselagen/sequence-utils";
+import withEditorInteractions from "../withEditorInteractions";
+import SimpleCircularOrLinearView from "../SimpleCircularOrLinearView";
+import AssemblyPiecesPicker from "./AssemblyPiecesPicker";
+
+const formatTm = tm => (isNaN(tm) ? "N/A" : tm.toFixed(1));
+
+export const GibsonAssemblyTool = props => {
+  const {
+    editorName,
+    sequenceData,
+    dimensions: { width, height },
+    getOpenSequences,
+    onOpenSequenceInNewTab
+  } = props;
+  const [inserts, setInserts] = useState([]);
+  const [circular, setCircular] = useState(true);
+
+  const openSequences = getOpenSequences ? getOpenSequences(editorName) : [];
+
+  const assembly = useMemo(() => {
+    if (!inserts.length) return;
+    try {
+      return simulateGibsonAssembly(
+        [sequenceData, ...inserts.map(i => i.sequenceData)],
+        { circular }
+      );
+    } catch (e) {
+      console.error(`Gibson assembly error:`, e);
+      return { error: e.message };
+    }
+  }, [sequenceData, inserts, circular]);
+
+  const pieceNames = [sequenceData.name, ...inserts.map(i => i.name)];
+  const junctionEntities = assembly?.junctions?.map((j, i) => ({
+    id: i,
+    junction: `${pieceNames[j.leftIndex]} -> ${pieceNames[j.rightIndex]}`,
+    overlap: j.overlapLength
+      ? `${j.overlapLength} bps`
+      : "Missing (added by primers)",
+    overlapSequence: j.overlapSequence || j.designedOverlapSequence,
+    tm: formatTm(j.tm)
+  }));
+  const primerEntities = assembly?.primers?.map((p, i) => ({
+    id: i,
+    name: p.name,
+    sequence: `${p.tail.toLowerCase()}${p.annealingSequence.toUpperCase()}`,
+    length: p.sequence.length,
+    tm: formatTm(p.tm)
+  }));
+
+  return (
+    <div
+      className="veGibsonAssemblyTool"
+      style={{ padding: 10, overflowY: "auto", height }}
+    >
+      <div style={{ marginBottom: 10 }}>
+        <span style={{ fontWeight: "600", fontSize: 13 }}>Backbone: </span>
+        {sequenceData.name} ({sequenceData.sequence.length} bps)
+      </div>
+      <AssemblyPiecesPicker
+        pieces={inserts}
+        onChange={setInserts}
+        openSequences={openSequences}
+      />
+      <Checkbox
+        style={{ marginTop: 10 }}
+        checked={circular}
+        onChange={() => setCircular(!circular)}
+        label="Circular product (last insert joins back onto the backbone)"
+      />
+      {assembly?.error && (
+        <Callout intent={Intent.DANGER}>{assembly.error}</Callout>
+      )}
+      {!!assembly?.warnings?.length && (
+        <Callout intent={Intent.WARNING} style={{ marginBottom: 10 }}>
+          {assembly.warnings.map((warning, i) => (
+            <div key={i}>{warning}</div>
+          ))}
+        </Callout>
+      )}
+      {junctionEntities && (
+        <React.Fragment>
+          <div style={{ fontWeight: "600", fontSize: 13 }}>Junctions:</div>
+          <DataTable
+            noRouter
+            isSimple
+            withSearch={false}
+            formName="gibsonAssemblyJunctions"
+            entities={junctionEntities}
+            schema={junctionSchema}
+          />
+        </React.Fragment>
+      )}
+      {!!primerEntities?.length && (
+        <React.Fragment>
+          <div style={{ fontWeight: "600", fontSize: 13, marginTop: 10 }}>
+            Proposed Primers (tails in lower case):
+          </div>
+          <DataTable
+            noRouter
+            isSimple
+            withSearch={false}
+            formName="gibsonAssemblyPrimers"
+            entities={primerEntities}
+            schema={primerSchema}
+          />
+        </React.Fragment>
+      )}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: 10
+        }}
+      >
+        <div style={{ fontWeight: "600", fontSize: 13 }}>
+          Assembled Product:
+        </div>
+        {onOpenSequenceInNewTab && (
+          <Button
+            intent={Intent.PRIMARY}
+            disabled={!assembly?.sequenceData}
+            onClick={() => {
+              onOpenSequenceInNewTab(assembly.sequenceData, {
+                fileName: assembly.sequenceData.name
+              });
+            }}
+          >
+            Open In New Tab
+          </Button>
+        )}
+      </div>
+      {assembly?.sequenceData ? (
+        <SimpleCircularOrLinearView
+          noWarnings
+          withZoomLinearView
+          withZoomCircularView
+          withChoosePreviewType
+          withDownload
+          smallSlider
+          withCaretEnabled
+          width={width - 50}
+          height={Math.max(height - 250, 400)}
+          sequenceData={assembly.sequenceData}
+        />
+      ) : (
+        <div style={{ marginTop: 5, fontStyle: "italic", color: "grey" }}>
+          Please add one or more inserts to see the assembled sequence
+        </div>
+      )}
+    </div>
+  );
+};
+
+const junctionSchema = {
+  fields: [
+    { path: "junction", displayName: "Junction", type: "string" },
+    { path: "overlap", displayName: "Overlap", type: "string" },
+    {
+      path: "overlapSequence",
+      displayName: "Overlap Sequence",
+      type: "string"
+    },
+    { width: 70, path: "tm", displayName: "Tm (°C)", type: "string" }
+  ]
+};
+
+const primerSchema = {
+  fields: [
+    { path: "name", displayName: "Name", type: "string" },
+    { path: "sequence", displayName: "Sequence (5'-3')", type: "string" },
+    { width: 70, path: "length", displayName: "Length", type: "string" },
+    {
+      width: 110,
+      path: "tm",
+      displayName: "Annealing Tm (°C)",
+      type: "string"
+    }
+  ]
+};
+
+export default withEditorInteractions(GibsonAssemblyTool);
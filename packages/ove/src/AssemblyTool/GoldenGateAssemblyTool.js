@@ -0,0 +1,163 @@
+import React, { useMemo, useState } from "react";
+import { Button, Callout, HTMLSelect, Intent } from "@blueprintjs/core";
+import { DataTable } from "@teselagen/ui";
+import { simulateGoldenGateAssembly } from "@teselagen/sequence-utils";
+import withEditorInteractions from "../withEditorInteractions";
+import SimpleCircularOrLinearView from "../SimpleCircularOrLinearView";
+import AssemblyPiecesPicker from "./AssemblyPiecesPicker";
+
+const goldenGateEnzymes = [
+  "BsaI",
+  "BsmBI",
+  "Esp3I",
+  "BbsI",
+  "SapI",
+  "AarI",
+  "BtgZI"
+];
+
+export const GoldenGateAssemblyTool = props => {
+  const {
+    editorName,
+    sequenceData,
+    dimensions: { width, height },
+    getOpenSequences,
+    onOpenSequenceInNewTab
+  } = props;
+  const [parts, setParts] = useState([]);
+  const [enzyme, setEnzyme] = useState(goldenGateEnzymes[0]);
+
+  const openSequences = getOpenSequences ? getOpenSequences(editorName) : [];
+
+  const assembly = useMemo(() => {
+    if (!parts.length) return;
+    return simulateGoldenGateAssembly(
+      [sequenceData, ...parts.map(p => p.sequenceData)],
+      { enzyme }
+    );
+  }, [sequenceData, parts, enzyme]);
+
+  const names = [sequenceData.name, ...parts.map(p => p.name)];
+  const orderEntities = assembly?.sequenceData
+    ? assembly.order.map((o, i) => ({
+        id: i,
+        name: names[o.sequenceIndex],
+        orientation: o.reverseComplement ? "Reverse" : "Forward",
+        leftOverhang: o.leftOverhang,
+        rightOverhang: o.rightOverhang
+      }))
+    : undefined;
+
+  return (
+    <div
+      className="veGoldenGateAssemblyTool"
+      style={{ padding: 10, overflowY: "auto", height }}
+    >
+      <div style={{ marginBottom: 10 }}>
+        <span style={{ fontWeight: "600", fontSize: 13 }}>
+          Destination Vector:{" "}
+        </span>
+        {sequenceData.name} ({sequenceData.sequence.length} bps)
+      </div>
+      <div style={{ marginBottom: 10 }}>
+        <span style={{ fontWeight: "600", fontSize: 13 }}>Enzyme: </span>
+        <HTMLSelect
+          className="veGoldenGateEnzyme"
+          value={enzyme}
+          options={goldenGateEnzymes}
+          onChange={e => setEnzyme(e.target.value)}
+        />
+      </div>
+      <AssemblyPiecesPicker
+        label="Parts:"
+        pieces={parts}
+        onChange={setParts}
+        openSequences={openSequences}
+      />
+      {!!assembly?.errors.length && (
+        <Callout intent={Intent.DANGER} style={{ marginTop: 10 }}>
+          {assembly.errors.map((error, i) => (
+            <div key={i}>{error}</div>
+          ))}
+        </Callout>
+      )}
+      {!!assembly?.warnings.length && (
+        <Callout intent={Intent.WARNING} style={{ marginTop: 10 }}>
+          {assembly.warnings.map((warning, i) => (
+            <div key={i}>{warning}</div>
+          ))}
+        </Callout>
+      )}
+      {orderEntities && (
+        <React.Fragment>
+          <div style={{ fontWeight: "600", fontSize: 13, marginTop: 10 }}>
+            Assembly Order:
+          </div>
+          <DataTable
+            noRouter
+            isSimple
+            withSearch={false}
+            formName="goldenGateAssemblyOrder"
+            entities={orderEntities}
+            schema={orderSchema}
+          />
+        </React.Fragment>
+      )}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: 10
+        }}
+      >
+        <div style={{ fontWeight: "600", fontSize: 13 }}>
+          Assembled Construct:
+        </div>
+        {onOpenSequenceInNewTab && (
+          <Button
+            intent={Intent.PRIMARY}
+            disabled={!assembly?.sequenceData}
+            onClick={() => {
+              onOpenSequenceInNewTab(assembly.sequenceData, {
+                fileName: assembly.sequenceData.name
+              });
+            }}
+          >
+            Open In New Tab
+          </Button>
+        )}
+      </div>
+      {assembly?.sequenceData ? (
+        <SimpleCircularOrLinearView
+          noWarnings
+          withZoomLinearView
+          withZoomCircularView
+          withChoosePreviewType
+          withDownload
+          smallSlider
+          withCaretEnabled
+          width={width - 50}
+          height={Math.max(height - 250, 400)}
+          sequenceData={assembly.sequenceData}
+        />
+      ) : (
+        <div style={{ marginTop: 5, fontStyle: "italic", color: "grey" }}>
+          Please add parts whose overhangs join up with the vector to see the
+          assembled construct
+        </div>
+      )}
+    </div>
+  );
+};
+
+const orderSchema = {
+  fields: [
+    { path: "name", displayName: "Name", type: "string" },
+    { path: "orientation", displayName: "Orientation", type: "string" },
+    { path: "leftOverhang", displayName: "5' Overhang", type: "string" },
+    { path: "rightOverhang", displayName: "3' Overhang", type: "string" }
+  ]
+};
+
+export default withEditorInteractions(GoldenGateAssemblyTool);
@@ -0,0 +1,347 @@
+import React, { useMemo, useState } from "react";
+import { flatMap, uniqBy } from "lodash-es";
+import {
+  Button,
+  Callout,
+  Checkbox,
+  HTMLSelect,
+  Intent
+} from "@blueprintjs/core";
+import { DataTable, TgSelect } from "@teselagen/ui";
+import {
+  aliasedEnzymesByName,
+  defaultEnzymesByName,
+  getCutsitesFromSequence,
+  getVirtualDigest,
+  simulateRestrictionLigation
+} from "@teselagen/sequence-utils";
+import withEditorInteractions from "../withEditorInteractions";
+import SimpleCircularOrLinearView from "../SimpleCircularOrLinearView";
+
+const THIS_SEQUENCE = "__thisSequence";
+
+const getFragmentOptions = fragments =>
+  fragments.map(f => ({
+    value: f.id,
+    label: `${f.name} (${f.start + 1}-${f.end + 1})`
+  }));
+
+const describeEnd = ({ type, sequence }) =>
+  type === "blunt" ? "Blunt" : `${type} ${sequence}`;
+
+export const RestrictionCloningTool = props => {
+  const {
+    editorName,
+    sequenceData,
+    sequenceLength,
+    digestTool: { selectedFragment } = {},
+    dimensions: { width, height },
+    getOpenSequences,
+    onOpenSequenceInNewTab
+  } = props;
+  const [vectorFragmentId, setVectorFragmentId] = useState(selectedFragment);
+  const [insertSource, setInsertSource] = useState(THIS_SEQUENCE);
+  const [insertFragmentId, setInsertFragmentId] = useState();
+  //undefined digests the insert with the same enzymes as the vector
+  const [insertEnzymeNames, setInsertEnzymeNames] = useState();
+  const [reverseInsert, setReverseInsert] = useState(false);
+  const [fillIn, setFillIn] = useState(false);
+
+  const openSequences = getOpenSequences ? getOpenSequences(editorName) : [];
+  const insertSequenceData =
+    insertSource === THIS_SEQUENCE
+      ? sequenceData
+      : openSequences.find(s => s.id === insertSource)?.sequenceData;
+
+  const { cutsites } = sequenceData;
+  const vectorFragments = useMemo(
+    () =>
+      getVirtualDigest({
+        cutsites,
+        sequenceLength,
+        isCircular: sequenceData.circular
+      }).fragments,
+    [cutsites, sequenceLength, sequenceData.circular]
+  );
+  const vectorEnzymes = useMemo(
+    () =>
+      uniqBy(
+        cutsites.map(c => c.restrictionEnzyme),
+        "name"
+      ),
+    [cutsites]
+  );
+  const enzymeOptions = useMemo(
+    () =>
+      uniqBy([...vectorEnzymes, ...Object.values(defaultEnzymesByName)], e =>
+        e.name.toLowerCase()
+      ).map(e => ({ label: e.name, value: e.name })),
+    [vectorEnzymes]
+  );
+  const insertEnzymes = useMemo(
+    () =>
+      insertEnzymeNames
+        ? insertEnzymeNames
+            .map(
+              name =>
+                vectorEnzymes.find(e => e.name === name) ||
+                aliasedEnzymesByName[name.toLowerCase()]
+            )
+            .filter(e => e)
+        : vectorEnzymes,
+    [insertEnzymeNames, vectorEnzymes]
+  );
+  const insertFragments = useMemo(() => {
+    if (!insertSequenceData) return [];
+    if (insertSequenceData === sequenceData && !insertEnzymeNames) {
+      return vectorFragments;
+    }
+    const insertCutsites = flatMap(
+      getCutsitesFromSequence(
+        insertSequenceData.sequence,
+        insertSequenceData.circular,
+        insertEnzymes
+      )
+    );
+    return getVirtualDigest({
+      cutsites: insertCutsites,
+      sequenceLength: insertSequenceData.sequence.length,
+      isCircular: insertSequenceData.circular
+    }).fragments;
+  }, [
+    insertSequenceData,
+    sequenceData,
+    insertEnzymeNames,
+    insertEnzymes,
+    vectorFragments
+  ]);
+
+  const vectorFragment =
+    vectorFragments.find(f => f.id === vectorFragmentId) || vectorFragments[0];
+  const insertFragment =
+    insertFragments.find(f => f.id === insertFragmentId) || insertFragments[0];
+
+  const ligations = useMemo(() => {
+    if (!vectorFragment || !insertFragment) return;
+    return [false, true].map(reverse =>
+      simulateRestrictionLigation(
+        { sequenceData, fragment: vectorFragment },
+        { sequenceData: insertSequenceData, fragment: insertFragment },
+        { reverseInsert: reverse, fillIn }
+      )
+    );
+  }, [
+    sequenceData,
+    vectorFragment,
+    insertSequenceData,
+    insertFragment,
+    fillIn
+  ]);
+  const ligation = ligations?.[reverseInsert ? 1 : 0];
+
+  const junctionEntities = ligation?.junctions.map((j, i) => ({
+    id: i,
+    junction: i === 0 ? "Vector -> Insert" : "Insert -> Vector",
+    leftEnd: describeEnd(j.leftEnd),
+    rightEnd: describeEnd(j.rightEnd),
+    compatibility: compatibilityLabels[j.compatibility]
+  }));
+
+  return (
+    <div
+      className="veRestrictionCloningTool"
+      style={{ padding: 10, overflowY: "auto", height }}
+    >
+      {!cutsites.length ? (
+        <Callout intent={Intent.WARNING}>
+          No cut sites found. Choose the enzymes to digest with in the Cut Site
+          Filter or the Digest Tool.
+        </Callout>
+      ) : (
+        <React.Fragment>
+          <div style={{ marginBottom: 10 }}>
+            <span style={{ fontWeight: "600", fontSize: 13 }}>
+              Vector Fragment ({sequenceData.name}):{" "}
+            </span>
+            <HTMLSelect
+              className="veRestrictionCloningVectorFragment"
+              value={vectorFragment?.id}
+              options={getFragmentOptions(vectorFragments)}
+              onChange={e => setVectorFragmentId(e.target.value)}
+            />
+          </div>
+          <div style={{ marginBottom: 10 }}>
+            <span style={{ fontWeight: "600", fontSize: 13 }}>
+              Insert Sequence:{" "}
+            </span>
+            <HTMLSelect
+              className="veRestrictionCloningInsertSequence"
+              value={insertSource}
+              options={[
+                { value: THIS_SEQUENCE, label: `${sequenceData.name} (this)` },
+                ...openSequences.map(s => ({ value: s.id, label: s.name }))
+              ]}
+              onChange={e => {
+                setInsertSource(e.target.value);
+                setInsertFragmentId(undefined);
+              }}
+            />
+          </div>
+          <div style={{ marginBottom: 10 }}>
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center"
+              }}
+            >
+              <span style={{ fontWeight: "600", fontSize: 13 }}>
+                Insert Digest Enzymes:
+              </span>
+              {insertEnzymeNames && (
+                <Button
+                  minimal
+                  small
+                  onClick={() => {
+                    setInsertEnzymeNames(undefined);
+                    setInsertFragmentId(undefined);
+                  }}
+                >
+                  Use The Vector's Enzymes
+                </Button>
+              )}
+            </div>
+            <TgSelect
+              className="veRestrictionCloningInsertEnzymes"
+              multi
+              value={insertEnzymes.map(e => ({ label: e.name, value: e.name }))}
+              options={enzymeOptions}
+              onChange={vals => {
+                setInsertEnzymeNames(vals.map(v => v.value));
+                setInsertFragmentId(undefined);
+              }}
+            />
+          </div>
+          <div style={{ marginBottom: 10 }}>
+            <span style={{ fontWeight: "600", fontSize: 13 }}>
+              Insert Fragment:{" "}
+            </span>
+            {insertFragments.length ? (
+              <HTMLSelect
+                className="veRestrictionCloningInsertFragment"
+                value={insertFragment?.id}
+                options={getFragmentOptions(insertFragments)}
+                onChange={e => setInsertFragmentId(e.target.value)}
+              />
+            ) : (
+              "The chosen enzymes don't cut the insert"
+            )}
+          </div>
+          {ligations && (
+            <div style={{ marginBottom: 10 }}>
+              <span style={{ fontWeight: "600", fontSize: 13 }}>
+                Insert Orientation:{" "}
+              </span>
+              <HTMLSelect
+                className="veRestrictionCloningOrientation"
+                value={reverseInsert ? "reverse" : "forward"}
+                options={["forward", "reverse"].map((value, i) => ({
+                  value,
+                  label: `${value === "forward" ? "Forward" : "Reverse"}${
+                    ligations[i].errors.length ? " (incompatible ends)" : ""
+                  }`
+                }))}
+                onChange={e => setReverseInsert(e.target.value === "reverse")}
+              />
+            </div>
+          )}
+          <Checkbox
+            checked={fillIn}
+            onChange={() => setFillIn(!fillIn)}
+            label="Blunt incompatible ends (fill in 5' overhangs, chew back 3' overhangs)"
+          />
+        </React.Fragment>
+      )}
+      {!!ligation?.errors.length && (
+        <Callout intent={Intent.DANGER} style={{ marginBottom: 10 }}>
+          {ligation.errors.map((error, i) => (
+            <div key={i}>{error}</div>
+          ))}
+        </Callout>
+      )}
+      {junctionEntities && (
+        <React.Fragment>
+          <div style={{ fontWeight: "600", fontSize: 13 }}>Junctions:</div>
+          <DataTable
+            noRouter
+            isSimple
+            withSearch={false}
+            formName="restrictionCloningJunctions"
+            entities={junctionEntities}
+            schema={junctionSchema}
+          />
+        </React.Fragment>
+      )}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: 10
+        }}
+      >
+        <div style={{ fontWeight: "600", fontSize: 13 }}>Ligated Product:</div>
+        {onOpenSequenceInNewTab && (
+          <Button
+            intent={Intent.PRIMARY}
+            disabled={!ligation?.sequenceData}
+            onClick={() => {
+              onOpenSequenceInNewTab(ligation.sequenceData, {
+                fileName: ligation.sequenceData.name
+              });
+            }}
+          >
+            Open In New Tab
+          </Button>
+        )}
+      </div>
+      {ligation?.sequenceData ? (
+        <SimpleCircularOrLinearView
+          noWarnings
+          withZoomLinearView
+          withZoomCircularView
+          withChoosePreviewType
+          withDownload
+          smallSlider
+          withCaretEnabled
+          width={width - 50}
+          height={Math.max(height - 250, 400)}
+          sequenceData={ligation.sequenceData}
+        />
+      ) : (
+        <div style={{ marginTop: 5, fontStyle: "italic", color: "grey" }}>
+          Please choose a vector and insert fragment with compatible ends to see
+          the ligated sequence
+        </div>
+      )}
+    </div>
+  );
+};
+
+const compatibilityLabels = {
+  sticky: "Sticky ends match",
+  blunt: "Blunt",
+  fillIn: "Blunted (fill-in/chew-back)",
+  incompatible: "Incompatible"
+};
+
+const junctionSchema = {
+  fields: [
+    { path: "junction", displayName: "Junction", type: "string" },
+    { path: "leftEnd", displayName: "Left End", type: "string" },
+    { path: "rightEnd", displayName: "Right End", type: "string" },
+    { path: "compatibility", displayName: "Compatibility", type: "string" }
+  ]
+};
+
+export default withEditorInteractions(RestrictionCloningTool);
@@ -0,0 +1,166 @@
+import React from "react";
+import polarToSpecialCartesian from "./utils/polarToSpecialCartesian";
+import {
+  getSequencePlotPoints,
+  isOutsideGcThreshold,
+  thresholdColor
+} from "../utils/useSequencePlotPrefs";
+
+function toPoint(radius, angle) {
+  const { x, y } = polarToSpecialCartesian(radius, angle);
+  return `${x},${y}`;
+}
+
+// an annular sector between two angles, used for the threshold regions
+function getSectorPath(innerRadius, outerRadius, startAngle, endAngle) {
+  const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+  return [
+    `M${toPoint(innerRadius, startAngle)}`,
+    `L${toPoint(outerRadius, startAngle)}`,
+    `A${outerRadius},${outerRadius} 0 ${largeArc} 1 ${toPoint(
+      outerRadius,
+      endAngle
+    )}`,
+    `L${toPoint(innerRadius, endAngle)}`,
+    `A${innerRadius},${innerRadius} 0 ${largeArc} 0 ${toPoint(
+      innerRadius,
+      startAngle
+    )}`,
+    "Z"
+  ].join(" ");
+}
+
+// the area between the baseline circle and the plotted values, closed around the whole circle
+function getRingAreaPath(coords, baselineRadius) {
+  if (!coords.length) return "";
+  return (
+    "M" +
+    coords.map(({ radius, angle }) => toPoint(radius, angle)).join(" L") +
+    " Z M" +
+    coords
+      .slice()
+      .reverse()
+      .map(({ angle }) => toPoint(baselineRadius, angle))
+      .join(" L") +
+    " Z"
+  );
+}
+
+// sliding window GC content/skew drawn as a ring (see sequencePlotDefs)
+function SequencePlot({
+  radius,
+  sequence,
+  sequenceLength,
+  circular,
+  plotType,
+  text,
+  color,
+  negativeColor,
+  prefs,
+  ringHeight = 30
+}) {
+  if (!sequence || !sequenceLength) return null;
+  const { points, min, max } = getSequencePlotPoints({
+    sequence,
+    plotType,
+    circular,
+    windowSize: prefs.windowSize,
+    stepSize: prefs.stepSize
+  });
+  const getRadius = value =>
+    radius + ((value - min) / (max - min)) * ringHeight;
+  const getAngle = position =>
+    ((position + 0.5) / sequenceLength) * Math.PI * 2;
+  const baselineRadius = getRadius(Math.max(min, 0));
+  const coords = points.map(({ position, value }) => ({
+    angle: getAngle(position),
+    radius: getRadius(value)
+  }));
+
+  const thresholdRegions = [];
+  points.forEach(({ start, position, value }, i) => {
+    if (!isOutsideGcThreshold(plotType, value, prefs)) return;
+    const angle = getAngle(position);
+    const prevAngle = i > 0 ? coords[i - 1].angle : angle;
+    const nextAngle = i < points.length - 1 ? coords[i + 1].angle : angle;
+    thresholdRegions.push(
+      <path
+        key={start}
+        className="veSequencePlotThreshold"
+        d={getSectorPath(
+          radius,
+          radius + ringHeight,
+          (prevAngle + angle) / 2,
+          (nextAngle + angle) / 2
+        )}
+        fill={thresholdColor}
+        opacity={0.25}
+      >
+        <title>{`${value.toFixed(1)}% GC`}</title>
+      </path>
+    );
+  });
+
+  const component = (
+    <g
+      key={`veSequencePlot-${plotType}`}
+      className={`veCircularViewSequencePlot veSequencePlot-${plotType}`}
+    >
+      <title>{text}</title>
+      {thresholdRegions}
+      {negativeColor ? (
+        <React.Fragment>
+          <path
+            d={getRingAreaPath(
+              coords.map(c => ({
+                ...c,
+                radius: Math.max(c.radius, baselineRadius)
+              })),
+              baselineRadius
+            )}
+            fill={color}
+            fillOpacity={0.7}
+            fillRule="evenodd"
+          />
+          <path
+            d={getRingAreaPath(
+              coords.map(c => ({
+                ...c,
+                radius: Math.min(c.radius, baselineRadius)
+              })),
+              baselineRadius
+            )}
+            fill={negativeColor}
+            fillOpacity={0.7}
+            fillRule="evenodd"
+          />
+        </React.Fragment>
+      ) : (
+        <path
+          d={getRingAreaPath(coords, baselineRadius)}
+          fill={color}
+          fillOpacity={0.7}
+          fillRule="evenodd"
+        />
+      )}
+      {plotType === "gcContent" &&
+        [prefs.lowGcThreshold, prefs.highGcThreshold].map(threshold => (
+          <circle
+            key={threshold}
+            r={getRadius(threshold)}
+            fill="none"
+            stroke={thresholdColor}
+            strokeDasharray="4,2"
+            strokeWidth={0.5}
+          />
+        ))}
+      <circle r={baselineRadius} fill="none" stroke="#333" strokeWidth={0.5} />
+    </g>
+  );
+  return {
+    component,
+    height: ringHeight
+  };
+}
+
+export default SequencePlot;
@@ -48,6 +48,11 @@ import { normalizeAngleRange } from "./normalizeAngleRange";
 import { CircularDnaSequence } from "./CircularDnaSequence";
 import { VeTopRightContainer } from "./VeTopRightContainer";
 import { normalizeAngle } from "./normalizeAngle";
+import SequencePlot from "./SequencePlot";
+import {
+  sequencePlotDefs,
+  useSequencePlotPrefs
+} from "../utils/useSequencePlotPrefs";
 import {
   editorDragged,
   editorDragStarted,
@@ -119,6 +124,7 @@ function getNearestCursorPositionToMouseEvent(
 
 export function CircularView(props) {
   const [limits] = useAnnotationLimits();
+  const [sequencePlotPrefs] = useSequencePlotPrefs();
   let [rotationRadians, setRotationRadians] = useState(0);
   let [_zoomLevel, setZoomLevel] = useState(1);
 
@@ -252,6 +258,20 @@ export function CircularView(props) {
 
   const layersToDraw = [
     { zIndex: 10, layerName: "sequenceChars" },
+    //the GC content/skew rings go innermost
+    ...(isProtein || sequenceData.noSequence
+      ? []
+      : sequencePlotDefs.map(({ visibilityKey, ...plotDef }) => ({
+          zIndex: 5,
+          layerName: visibilityKey,
+          Annotation: SequencePlot,
+          sequence,
+          circular,
+          prefs: sequencePlotPrefs,
+          ...plotDef,
+          spaceBefore: 5,
+          spaceAfter: 5
+        }))),
     {
       zIndex: 20,
       layerName: "features",
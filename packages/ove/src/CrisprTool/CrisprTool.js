@@ -0,0 +1,296 @@
+import React, { useState } from "react";
+import {
+  Button,
+  Callout,
+  Checkbox,
+  HTMLSelect,
+  InputGroup,
+  Intent,
+  NumericInput
+} from "@blueprintjs/core";
+import { DataTable, useTableEntities } from "@teselagen/ui";
+import { map } from "lodash-es";
+import { crisprNucleases, designGuideRnas } from "@teselagen/sequence-utils";
+import { getRangeLength } from "@teselagen/range-utils";
+import withEditorInteractions from "../withEditorInteractions";
+
+const dataTableFormName = "crisprGuides";
+
+const labelStyle = { fontWeight: "600", fontSize: 13 };
+
+export const CrisprTool = props => {
+  const {
+    editorName,
+    sequenceData,
+    selectionLayer = {},
+    sequenceLength,
+    dimensions: { height },
+    getOpenSequences,
+    upsertFeature,
+    upsertPrimer,
+    annotationVisibilityShow
+  } = props;
+  const [target, setTarget] = useState("selection");
+  const [nuclease, setNuclease] = useState("SpCas9");
+  const [pam, setPam] = useState("");
+  const [guideLength, setGuideLength] = useState(
+    crisprNucleases.SpCas9.guideLength
+  );
+  const [maxMismatches, setMaxMismatches] = useState(3);
+  const [searchOpenSequences, setSearchOpenSequences] = useState(true);
+  const [guides, setGuides] = useState();
+  const [error, setError] = useState();
+  const { selectedEntities } = useTableEntities(dataTableFormName);
+
+  const openSequences = getOpenSequences ? getOpenSequences(editorName) : [];
+  const features = map(sequenceData.features);
+  const range =
+    target === "selection"
+      ? selectionLayer.start > -1 && selectionLayer.end > -1
+        ? selectionLayer
+        : undefined
+      : features.find(f => f.id === target);
+
+  const handleFindGuides = () => {
+    try {
+      setError();
+      setGuides(
+        designGuideRnas(sequenceData, range, {
+          nuclease,
+          ...(pam && { pam }),
+          guideLength,
+          maxMismatches,
+          offTargetSequences: searchOpenSequences
+            ? openSequences.map(s => ({ ...s.sequenceData, name: s.name }))
+            : []
+        }).map((guide, i) => ({ ...guide, rank: i + 1 }))
+      );
+    } catch (e) {
+      console.error(`CRISPR guide design error:`, e);
+      setError(e.message);
+      setGuides();
+    }
+  };
+
+  const selectedGuides = (guides || []).filter(g => selectedEntities?.[g.id]);
+
+  const addGuides = asPrimers => {
+    selectedGuides.forEach((guide, i) => {
+      const annotation = {
+        name: `sgRNA_${guide.rank}`,
+        start: guide.start,
+        end: guide.end,
+        forward: guide.forward,
+        strand: guide.strand
+      };
+      const batchUndo = {
+        ...(i === 0 && { batchUndoStart: true }),
+        ...(i === selectedGuides.length - 1 && { batchUndoEnd: true }),
+        ...(i > 0 && i < selectedGuides.length - 1 && { batchUndoMiddle: true })
+      };
+      if (asPrimers) {
+        upsertPrimer(
+          { ...annotation, type: "primer_bind", bases: guide.sequence },
+          batchUndo
+        );
+      } else {
+        upsertFeature(
+          {
+            ...annotation,
+            type: "misc_feature",
+            notes: {
+              note: [
+                `${nuclease} guide ${guide.sequence}, PAM ${guide.pamSequence}, cuts at ${guide.cutPosition}`
+              ]
+            }
+          },
+          batchUndo
+        );
+      }
+    });
+    annotationVisibilityShow(asPrimers ? "primers" : "features");
+    window.toastr.success(
+      `Added ${selectedGuides.length} guide${
+        selectedGuides.length !== 1 ? "s" : ""
+      } as ${asPrimers ? "primers" : "features"}`
+    );
+  };
+
+  return (
+    <div
+      className="veCrisprTool"
+      style={{ padding: 10, overflowY: "auto", height }}
+    >
+      <div style={{ marginBottom: 10 }}>
+        <span style={labelStyle}>Target: </span>
+        <HTMLSelect
+          className="veCrisprTarget"
+          value={target}
+          onChange={e => setTarget(e.target.value)}
+          options={[
+            { value: "selection", label: "Current Selection" },
+            ...features.map(f => ({
+              value: f.id,
+              label: `${f.name} (${f.start + 1}-${f.end + 1})`
+            }))
+          ]}
+        />{" "}
+        {range && (
+          <span style={{ fontStyle: "italic", color: "grey" }}>
+            {getRangeLength(range, sequenceLength)} bps
+          </span>
+        )}
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 10,
+          marginBottom: 10
+        }}
+      >
+        <span style={labelStyle}>Nuclease: </span>
+        <HTMLSelect
+          className="veCrisprNuclease"
+          value={nuclease}
+          onChange={e => {
+            setNuclease(e.target.value);
+            setGuideLength(crisprNucleases[e.target.value].guideLength);
+          }}
+          options={map(crisprNucleases, ({ name, pam }) => ({
+            value: name,
+            label: `${name} (${pam})`
+          }))}
+        />
+        <span style={labelStyle}>PAM: </span>
+        <InputGroup
+          style={{ width: 90 }}
+          placeholder={crisprNucleases[nuclease].pam}
+          value={pam}
+          onChange={e => setPam(e.target.value.replace(/[^a-z]/gi, ""))}
+        />
+        <span style={labelStyle}>Guide Length: </span>
+        <NumericInput
+          style={{ width: 50 }}
+          min={15}
+          max={30}
+          value={guideLength}
+          onValueChange={val => val >= 15 && val <= 30 && setGuideLength(val)}
+        />
+        <span style={labelStyle}>Max Off-Target Mismatches: </span>
+        <NumericInput
+          style={{ width: 40 }}
+          min={0}
+          max={5}
+          value={maxMismatches}
+          onValueChange={val => val >= 0 && val <= 5 && setMaxMismatches(val)}
+        />
+      </div>
+      <Checkbox
+        checked={searchOpenSequences}
+        disabled={!openSequences.length}
+        onChange={() => setSearchOpenSequences(!searchOpenSequences)}
+        label={`Also search the other open sequences for off-targets (${openSequences.length})`}
+      />
+      {!range && (
+        <Callout intent={Intent.WARNING} style={{ marginBottom: 10 }}>
+          Please select a region or pick a feature to target.
+        </Callout>
+      )}
+      {error && (
+        <Callout intent={Intent.DANGER} style={{ marginBottom: 10 }}>
+          {error}
+        </Callout>
+      )}
+      <Button
+        intent={Intent.PRIMARY}
+        disabled={!range}
+        onClick={handleFindGuides}
+        style={{ marginBottom: 10 }}
+      >
+        Find Guides
+      </Button>
+      {guides &&
+        (guides.length ? (
+          <React.Fragment>
+            <DataTable
+              noPadding
+              withCheckboxes
+              noFullscreenButton
+              maxHeight={400}
+              formName={dataTableFormName}
+              noRouter
+              compact
+              noHeader
+              noFooter
+              withSearch={false}
+              isInfinite
+              schema={schema}
+              entities={guides}
+            />
+            <div style={{ display: "flex", gap: 10, marginTop: 10 }}>
+              <Button
+                disabled={!selectedGuides.length}
+                onClick={() => addGuides(false)}
+              >
+                Add As Features
+              </Button>
+              <Button
+                disabled={!selectedGuides.length}
+                onClick={() => addGuides(true)}
+              >
+                Add As Primers
+              </Button>
+            </div>
+          </React.Fragment>
+        ) : (
+          <Callout intent={Intent.WARNING}>
+            No guides found. No PAM lets the nuclease cut within the target.
+          </Callout>
+        ))}
+    </div>
+  );
+};
+
+const schema = {
+  fields: [
+    { path: "rank", displayName: "#", type: "number", width: 40 },
+    { path: "sequence", displayName: "Guide (5'-3')", type: "string" },
+    { path: "pamSequence", displayName: "PAM", type: "string", width: 70 },
+    {
+      path: "strand",
+      displayName: "Strand",
+      type: "string",
+      width: 60,
+      render: val => (val === 1 ? "+" : "-")
+    },
+    {
+      path: "start",
+      displayName: "Location",
+      type: "number",
+      render: (val, record) => `${val + 1}-${record.end + 1}`
+    },
+    { path: "cutPosition", displayName: "Cuts After", type: "number" },
+    {
+      path: "onTargetScore",
+      displayName: "On-Target",
+      type: "number",
+      render: (val, record) => (record.hasPolyT ? `${val} (TTTT)` : val)
+    },
+    {
+      path: "gcContent",
+      displayName: "GC %",
+      type: "number",
+      render: val => val.toFixed(1)
+    },
+    {
+      path: "offTargetCount",
+      displayName: "Off-Targets (0/1/2.. mm)",
+      type: "number",
+      render: (val, record) => record.offTargetsByMismatches.join("/")
+    }
+  ]
+};
+
+export default withEditorInteractions(CrisprTool);
@@ -519,7 +519,19 @@ export const getUserGroupLabel = ({ name, nameArray }) => (
   </span>
 );
 
-export const getCutsiteWithNumCuts = ({ name, numCuts, doNotShowCuts }) => {
+// cutsites can be passed to also count the ones the sequence's methylation blocks or impairs
+export const getCutsiteWithNumCuts = ({
+  name,
+  numCuts,
+  doNotShowCuts,
+  cutsites = []
+}) => {
+  const numBlocked = cutsites.filter(
+    c => c.methylationEffect === "blocked"
+  ).length;
+  const numImpaired = cutsites.filter(
+    c => c.methylationEffect === "impaired"
+  ).length;
   return (
     <div
       style={{
@@ -532,7 +544,9 @@ export const getCutsiteWithNumCuts = ({ name, numCuts, doNotShowCuts }) => {
       <div>{name}</div>{" "}
       {!doNotShowCuts && (
         <div style={{ fontSize: 12 }}>
-          &nbsp;({numCuts} cut{numCuts === 1 ? "" : "s"})
+          &nbsp;({numCuts} cut{numCuts === 1 ? "" : "s"}
+          {numBlocked ? `, ${numBlocked} blocked` : ""}
+          {numImpaired ? `, ${numImpaired} impaired` : ""})
         </div>
       )}
     </div>
@@ -226,6 +226,7 @@ export function CutsiteFilter(props) {
         const numCuts = (cutsitesByName[key] || []).length;
         const label = getCutsiteWithNumCuts({
           numCuts,
+          cutsites: cutsitesByName[key],
           name: numCuts ? cutsitesByName[key][0].name : key
         });
         return {
@@ -246,6 +247,7 @@ export function CutsiteFilter(props) {
       const numCuts = (cutsitesByName[filteredOpt.value] || []).length;
       const label = getCutsiteWithNumCuts({
         numCuts,
+        cutsites: cutsitesByName[filteredOpt.value],
         name: numCuts
           ? cutsitesByName[filteredOpt.value][0].name
           : defaultEnzymesByName[filteredOpt.value]?.name || filteredOpt.value
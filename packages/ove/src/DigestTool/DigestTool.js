@@ -13,7 +13,7 @@ import {
 } from "@blueprintjs/core";
 import withEditorInteractions from "../withEditorInteractions";
 import { userDefinedHandlersAndOpts } from "../Editor/userDefinedHandlersAndOpts";
-import { pick } from "lodash-es";
+import { pick, uniq } from "lodash-es";
 
 const MAX_DIGEST_CUTSITES = 50;
 const MAX_PARTIAL_DIGEST_CUTSITES = 10;
@@ -49,8 +49,8 @@ export const DigestTool = props => {
 
   // This useMemo might not be necessary once if we figure out
   // why the DataTables below triggers a re-render outside of them.
-  const lanes = useMemo(() => {
-    const { fragments } = getVirtualDigest({
+  const { lanes, methylationBlockedCutsites } = useMemo(() => {
+    const { fragments, methylationBlockedCutsites } = getVirtualDigest({
       cutsites,
       sequenceLength,
       isCircular,
@@ -67,11 +67,11 @@ export const DigestTool = props => {
             end: f.end,
             name: f.name
           });
-          updateSelectedFragment(f.Intentid);
+          updateSelectedFragment(f.id);
         }
       }))
     ];
-    return _lanes;
+    return { lanes: _lanes, methylationBlockedCutsites };
   }, [
     computeDigestDisabled,
     computePartialDigest,
@@ -86,19 +86,31 @@ export const DigestTool = props => {
   // Same comment as above
   const digestInfoLanes = useMemo(
     () =>
-      lanes[0].map(({ id, cut1, cut2, start, end, size, ...rest }) => {
-        return {
-          ...rest,
+      lanes[0].map(
+        ({
           id,
+          cut1,
+          cut2,
           start,
           end,
-          length: size,
-          leftCutter: cut1.restrictionEnzyme.name,
-          rightCutter: cut2.restrictionEnzyme.name,
-          leftOverhang: getCutsiteType(cut1.restrictionEnzyme),
-          rightOverhang: getCutsiteType(cut2.restrictionEnzyme)
-        };
-      }),
+          size,
+          methylationImpaired,
+          ...rest
+        }) => {
+          return {
+            ...rest,
+            id,
+            start,
+            end,
+            length: size,
+            leftCutter: cut1.restrictionEnzyme.name,
+            rightCutter: cut2.restrictionEnzyme.name,
+            leftOverhang: getCutsiteType(cut1.restrictionEnzyme),
+            rightOverhang: getCutsiteType(cut2.restrictionEnzyme),
+            methylation: methylationImpaired ? "Impaired (may be partial)" : ""
+          };
+        }
+      ),
     [lanes]
   );
 
@@ -171,6 +183,15 @@ export const DigestTool = props => {
             restriction enzymes to visualize digest results`}
         </div>
       )}
+      {!!methylationBlockedCutsites.length && (
+        <div style={{ marginBottom: "6px" }}>
+          {`${methylationBlockedCutsites.length} cut site${
+            methylationBlockedCutsites.length > 1 ? "s" : ""
+          } blocked by methylation and left out of the digest: ${uniq(
+            methylationBlockedCutsites.map(c => c.restrictionEnzyme.name)
+          ).join(", ")}`}
+        </div>
+      )}
       <Tabs
         selectedTabId={selectedTab}
         onChange={id => {
@@ -221,7 +242,8 @@ const schema = {
     { path: "leftCutter", displayName: "Left Cutter", type: "string" },
     { path: "leftOverhang", displayName: "Left Overhang", type: "string" },
     { path: "rightCutter", displayName: "Right Cutter", type: "string" },
-    { path: "rightOverhang", displayName: "Right Overhang", type: "string" }
+    { path: "rightOverhang", displayName: "Right Overhang", type: "string" },
+    { path: "methylation", displayName: "Methylation", type: "string" }
   ]
 };
 
@@ -1,13 +1,51 @@
 import React from "react";
 import Dropzone from "react-dropzone";
 import classNames from "classnames";
+import { showDialog } from "../GlobalDialogUtils";
 import "./DropHandler.css";
 
+//the clustal, stockholm and phylip extensions anyAlignmentToJson recognises, these open as alignments
+const alignmentExtensions = [
+  ".aln",
+  ".clustal",
+  ".clw",
+  ".sto",
+  ".stk",
+  ".stockholm",
+  ".phy",
+  ".phylip"
+];
+const isAlignmentFile = fileName =>
+  alignmentExtensions.some(ext => fileName.toLowerCase().endsWith(ext));
+
 export default class DropHandler extends React.Component {
   handleDrop = files => {
     if (!files || !files.length) {
       return window.toastr.warning("Unrecognized File Type");
     }
+    if (files.length > 1) {
+      //several traces dropped onto an open sequence get aligned to it as sequencing reads
+      if (
+        this.props.canAlignSequencingReads &&
+        files.every(file => /\.ab1$/i.test(file.name))
+      ) {
+        return showDialog({
+          dialogType: "AlignSequencingReadsDialog",
+          props: {
+            editorName: this.props.editorName,
+            files,
+            dialogProps: {
+              title: "Align Sequencing Reads"
+            }
+          }
+        });
+      }
+      return window.toastr.warning("Only one sequence can be opened at a time");
+    }
+    //alignment files open in an alignment tab next to the sequence
+    if (isAlignmentFile(files[0].name)) {
+      return this.props.importAlignmentFromFile(files[0]);
+    }
     this.props.importSequenceFromFile(files[0]);
   };
   render() {
@@ -16,7 +54,7 @@ export default class DropHandler extends React.Component {
       <Dropzone
         disabled={disabled}
         onClick={evt => evt.preventDefault()}
-        multiple={false}
+        multiple
         accept={[
           ".gb",
           ".gbk",
@@ -29,7 +67,8 @@ export default class DropHandler extends React.Component {
           ".prot",
           ".ab1",
           ".json",
-          ".fastq"
+          ".fastq",
+          ...alignmentExtensions
         ]}
         onDropRejected={() => {
           window.toastr.error("Error: Incorrect File Type");
@@ -60,6 +99,10 @@ function DraggingMessage() {
     <div className="dropzone-dragging-message">
       Drop Fasta or Genbank files to view them in the editor. The following
       extensions are accepted: .gb .gbk .fasta .fa .gp .txt
+      <br />
+      Drop several .ab1 files to align them to the open sequence as sequencing
+      reads, or a {alignmentExtensions.join(" ")} file to open it as an
+      alignment
     </div>
   );
 }
@@ -53,6 +53,11 @@ import { GlobalDialog } from "../GlobalDialog";
 import isMobile from "is-mobile";
 import { getClientX, getClientY } from "../utils/editorUtils";
 import PCRTool from "../PCRTool/PCRTool";
+import GibsonAssemblyTool from "../AssemblyTool/GibsonAssemblyTool";
+import GoldenGateAssemblyTool from "../AssemblyTool/GoldenGateAssemblyTool";
+import RestrictionCloningTool from "../AssemblyTool/RestrictionCloningTool";
+import CrisprTool from "../CrisprTool/CrisprTool";
+import MutagenesisTool from "../MutagenesisTool/MutagenesisTool";
 import classNames from "classnames";
 import { tabHeight } from "../constants";
 
@@ -75,6 +80,11 @@ const _panelMap = {
   alignment: AlignmentView,
   digestTool: DigestTool,
   pcrTool: PCRTool,
+  gibsonAssemblyTool: GibsonAssemblyTool,
+  goldenGateAssemblyTool: GoldenGateAssemblyTool,
+  restrictionCloningTool: RestrictionCloningTool,
+  crisprTool: CrisprTool,
+  mutagenesisTool: MutagenesisTool,
   properties: {
     comp: PropertiesDialog,
     panelSpecificProps: ["PropertiesProps"]
@@ -864,6 +874,11 @@ export class Editor extends React.Component {
         <DropHandler
           key="dropHandler"
           importSequenceFromFile={this.props.importSequenceFromFile}
+          importAlignmentFromFile={this.props.importAlignmentFromFile}
+          editorName={editorName}
+          canAlignSequencingReads={
+            !!sequenceData.sequence?.length && !sequenceData.isProtein
+          }
           disabled={readOnly || hideSingleImport}
           style={{
             width: "100%",
@@ -57,6 +57,8 @@ export const userDefinedHandlersAndOpts = [
   "autoAnnotateParts",
   "autoAnnotatePrimers",
   "onCreateNewFromSubsequence",
+  "getOpenSequences",
+  "onOpenSequenceInNewTab",
   "onPreviewModeFullscreenClose",
   "onPaste",
   "menuFilter",
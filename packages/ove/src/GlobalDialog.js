@@ -20,7 +20,10 @@ import AddOrEditPartDialog from "./helperComponents/AddOrEditPartDialog";
 import AddOrEditFeatureDialog from "./helperComponents/AddOrEditFeatureDialog";
 import AddOrEditPrimerDialog from "./helperComponents/AddOrEditPrimerDialog";
 import FindPrimerBindingSitesDialog from "./helperComponents/FindPrimerBindingSitesDialog";
+import DesignPrimersDialog from "./helperComponents/DesignPrimersDialog";
+import CodonOptimizationDialog from "./helperComponents/CodonOptimizationDialog";
 import SequenceAlignmentDialog from "./helperComponents/SequenceAlignmentDialog";
+import AlignSequencingReadsDialog from "./helperComponents/AlignSequencingReadsDialog";
 
 const Dialogs = {
   RenameSequenceDialog,
@@ -39,7 +42,10 @@ const Dialogs = {
   AddOrEditFeatureDialog,
   AddOrEditPrimerDialog,
   FindPrimerBindingSitesDialog,
-  SequenceAlignmentDialog
+  DesignPrimersDialog,
+  CodonOptimizationDialog,
+  SequenceAlignmentDialog,
+  AlignSequencingReadsDialog
 };
 
 export function GlobalDialog(props) {
@@ -356,6 +356,7 @@ class _LinearView extends React.Component {
                 sequenceLength: this.getMaxLength(),
                 bpsPerRow,
                 fullSequence: sequenceData.sequence,
+                isCircular: sequenceData.circular,
                 emptyText: getEmptyText({ sequenceData, caretPosition }),
                 tickSpacing: tickSpacingToUse,
                 annotationVisibility: {
@@ -43,6 +43,8 @@ export default [
           { cmd: "exportSequenceAsGenbank" },
           { cmd: "exportDNASequenceAsFasta" },
           { cmd: "exportProteinSequenceAsFasta" },
+          { cmd: "exportSequenceAsSnapgene" },
+          { cmd: "exportSequenceAsSbol" },
         ]
       },
       "--",
@@ -116,7 +118,15 @@ export default [
       "openCreateCustomEnzyme",
       "simulateDigestion",
       "simulatePCR",
+      "simulateGibsonAssembly",
+      "simulateGoldenGateAssembly",
+      "simulateRestrictionCloning",
+      "designCrisprGuides",
+      "optimizeCodons",
+      "siteDirectedMutagenesis",
       "sequenceAlignment",
+      "alignSequencingReads",
+      "openAlignmentFile",
       {
         text: "Remove Duplicates",
         submenu: [
@@ -5,6 +5,7 @@ import useAAColorType from "../utils/useAAColorType";
 import { LimitAnnotations } from "../utils/useAnnotationLimits";
 import { chromatogramMenu } from "../utils/useChromatogramPrefs";
 import useMeltingTemp from "../utils/useMeltingTemp";
+import { sequencePlotsMenu } from "../utils/useSequencePlotPrefs";
 
 export const translationsSubmenu = [
   {
@@ -219,6 +220,7 @@ export default [
     text: "Melting Temp of Selection",
     component: ToggleShowMeltingTemp
   },
+  sequencePlotsMenu,
   { divider: "" },
   fullSequenceTranslationMenu,
   { divider: "" },
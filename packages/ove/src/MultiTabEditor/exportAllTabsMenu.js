@@ -0,0 +1,58 @@
+import { flatMap } from "lodash-es";
+import { exportSequencesToFile } from "../withEditorProps";
+
+const zipFormats = [
+  { zipFormat: "genbank", text: "GenBank" },
+  { zipFormat: "fasta", text: "FASTA" },
+  { zipFormat: "embl", text: "EMBL" },
+  { zipFormat: "gff", text: "GFF3" },
+  { zipFormat: "snapgene", text: "SnapGene" },
+  { zipFormat: "sbol", text: "SBOL3" },
+  { zipFormat: "teselagenJson", text: "Teselagen JSON" }
+];
+
+/**
+ * Menu for exporting the sequences of every open tab at once
+ *
+ * @param {Function} getSequences - Returns the sequence data of all tabs (in tab order)
+ * @returns {Object} Menu definition
+ */
+export const getExportAllTabsMenu = getSequences => ({
+  text: "Export All Tabs",
+  showInSearchMenu: true,
+  submenu: [
+    {
+      text: "As Multi-Record GenBank File",
+      onClick: () => exportSequencesToFile(getSequences(), "genbank")
+    },
+    {
+      text: "As Multi-Record FASTA File",
+      onClick: () => exportSequencesToFile(getSequences(), "fasta")
+    },
+    "--",
+    ...zipFormats.map(({ zipFormat, text }) => ({
+      text: `As Zip of ${text} Files`,
+      onClick: () => exportSequencesToFile(getSequences(), "zip", { zipFormat })
+    }))
+  ]
+});
+
+/**
+ * Adds the "Export All Tabs" submenu to the File menu, right after "Export Sequence"
+ *
+ * @param {Object[]} menuDef - The editor's menu definition
+ * @param {Function} getSequences - Returns the sequence data of all tabs
+ * @returns {Object[]} New menu definition
+ */
+export const addExportAllTabsMenu = (menuDef, getSequences) =>
+  menuDef.map(menu => {
+    if (menu.text !== "File") return menu;
+    return {
+      ...menu,
+      submenu: flatMap(menu.submenu, item =>
+        item && item.text === "Export Sequence"
+          ? [item, getExportAllTabsMenu(getSequences)]
+          : [item]
+      )
+    };
+  });
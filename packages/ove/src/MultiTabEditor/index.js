@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useMemo } from "react";
+import React, { useCallback, useEffect, useMemo, useRef } from "react";
 import { useSelector, useDispatch, useStore } from "react-redux";
 import shortid from "shortid";
 import Editor from "../Editor";
@@ -11,6 +11,7 @@ import {
 } from "../redux/fileTabs";
 import updateEditor from "../updateEditor";
 import { useLocalStoragePersistence } from "./useLocalStoragePersistence";
+import { addExportAllTabsMenu } from "./exportAllTabsMenu";
 import "./style.css";
 
 /**
@@ -27,6 +28,7 @@ import "./style.css";
  * @param {Function} props.onTabClose - Callback when a tab is closed
  * @param {boolean} props.persistToLocalStorage - Whether to persist tabs to localStorage (default: true)
  * @param {Object} props.initialSequenceData - Initial sequence data for first tab
+ * @param {Function} props.menuFilter - Applied after the "Export All Tabs" menu has been added to the File menu
  * @param {Object} props...editorProps - All other props passed to Editor component
  */
 function MultiTabEditor({
@@ -37,6 +39,7 @@ function MultiTabEditor({
   onTabClose,
   persistToLocalStorage = true,
   initialSequenceData,
+  menuFilter,
   ...editorProps
 }) {
   const dispatch = useDispatch();
@@ -61,6 +64,51 @@ function MultiTabEditor({
     [baseEditorName, activeTab]
   );
 
+  // Kept in a ref so the menu filter below doesn't change every time a tab is added
+  const tabIdsRef = useRef([]);
+  tabIdsRef.current = tabOrder.length ? tabOrder : tabs.map(t => t.id);
+
+  // Gather the sequence data of every open tab (in tab order) for batch export
+  const getAllTabsSequenceData = useCallback(() => {
+    const editorStates = store.getState().VectorEditor || {};
+    return tabIdsRef.current
+      .map(
+        tabId =>
+          editorStates[getEditorNameForTab(baseEditorName, tabId)]?.sequenceData
+      )
+      .filter(Boolean);
+  }, [store, baseEditorName]);
+
+  // The other open tabs, offered as inserts by the assembly tools
+  const getOpenSequences = useCallback(
+    editorName => {
+      const editorStates = store.getState().VectorEditor || {};
+      return tabIdsRef.current.flatMap(tabId => {
+        const tabEditorName = getEditorNameForTab(baseEditorName, tabId);
+        const sequenceData = editorStates[tabEditorName]?.sequenceData;
+        if (tabEditorName === editorName || !sequenceData) return [];
+        return {
+          id: tabId,
+          name: sequenceData.name || "Untitled",
+          sequenceData
+        };
+      });
+    },
+    [store, baseEditorName]
+  );
+
+  // Add "Export All Tabs" to the File menu
+  const multiTabMenuFilter = useCallback(
+    menuDef => {
+      const withExportAllTabs = addExportAllTabsMenu(
+        menuDef,
+        getAllTabsSequenceData
+      );
+      return menuFilter ? menuFilter(withExportAllTabs) : withExportAllTabs;
+    },
+    [menuFilter, getAllTabsSequenceData]
+  );
+
   // LocalStorage persistence
   useLocalStoragePersistence(baseEditorName, persistToLocalStorage, store);
 
@@ -97,17 +145,9 @@ function MultiTabEditor({
     }
   }, [activeTabId, activeTab, activeEditorName, onTabChange]);
 
-  // Handle import - creates new tab
-  const handleImport = useCallback(
-    async (sequenceData, file, props) => {
-      // Let user's onImport transform data if provided
-      let finalSequenceData = sequenceData;
-      if (onImport) {
-        finalSequenceData = await onImport(sequenceData, file, props);
-        if (!finalSequenceData) return null; // User cancelled or rejected
-      }
-
-      // Create new tab
+  // Open a sequence in a new tab (eg. the product of an assembly)
+  const openSequenceInNewTab = useCallback(
+    (sequenceData, { fileName } = {}) => {
       const tabId = generateTabId();
       const editorName = getEditorNameForTab(baseEditorName, tabId);
 
@@ -115,7 +155,7 @@ function MultiTabEditor({
         addFileTab(
           {
             id: tabId,
-            fileName: finalSequenceData.name || file?.name || "Untitled"
+            fileName: fileName || sequenceData.name || "Untitled"
           },
           { editorName: baseEditorName }
         )
@@ -123,13 +163,30 @@ function MultiTabEditor({
 
       // Initialize editor state for new tab
       updateEditor(store, editorName, {
-        sequenceData: finalSequenceData
+        sequenceData
+      });
+    },
+    [baseEditorName, dispatch, store]
+  );
+
+  // Handle import - creates new tab
+  const handleImport = useCallback(
+    async (sequenceData, file, props) => {
+      // Let user's onImport transform data if provided
+      let finalSequenceData = sequenceData;
+      if (onImport) {
+        finalSequenceData = await onImport(sequenceData, file, props);
+        if (!finalSequenceData) return null; // User cancelled or rejected
+      }
+
+      openSequenceInNewTab(finalSequenceData, {
+        fileName: finalSequenceData.name || file?.name
       });
 
       // Return null to prevent default import behavior in the current editor
       return null;
     },
-    [baseEditorName, dispatch, onImport, store]
+    [onImport, openSequenceInNewTab]
   );
 
   // Handle adding a new empty tab
@@ -211,7 +268,10 @@ function MultiTabEditor({
         <Editor
           {...editorProps}
           editorName={activeEditorName}
+          menuFilter={multiTabMenuFilter}
           onImport={handleImport}
+          getOpenSequences={getOpenSequences}
+          onOpenSequenceInNewTab={openSequenceInNewTab}
           onSave={handleSave}
           onNew={handleNew}
         />
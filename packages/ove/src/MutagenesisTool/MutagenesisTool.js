@@ -0,0 +1,294 @@
+import React, { useMemo, useState } from "react";
+import {
+  Button,
+  Callout,
+  HTMLSelect,
+  InputGroup,
+  Intent,
+  NumericInput
+} from "@blueprintjs/core";
+import { DataTable } from "@teselagen/ui";
+import { filter } from "lodash-es";
+import {
+  designMutagenesisPrimers,
+  getMutationFromProteinChange
+} from "@teselagen/sequence-utils";
+import withEditorInteractions from "../withEditorInteractions";
+import SimpleCircularOrLinearView from "../SimpleCircularOrLinearView";
+
+const formatTm = tm => (isNaN(tm) ? "N/A" : tm.toFixed(1));
+
+const labelStyle = { fontWeight: "600", fontSize: 13 };
+
+const methods = [
+  { value: "backToBack", label: "Back To Back (Q5 Site-Directed Mutagenesis)" },
+  { value: "overlapping", label: "Overlapping (QuikChange)" }
+];
+const defaultTms = { backToBack: 60, overlapping: 78 };
+
+export const MutagenesisTool = props => {
+  const {
+    sequenceData,
+    selectionLayer = {},
+    caretPosition,
+    dimensions: { width, height },
+    onOpenSequenceInNewTab
+  } = props;
+  const cdsFeatures = filter(sequenceData.features, { type: "CDS" });
+  const [mutationType, setMutationType] = useState(
+    cdsFeatures.length ? "protein" : "dna"
+  );
+  const [cdsId, setCdsId] = useState(() => {
+    // the feature right click menu selects the feature so default to it
+    const selectedCds = cdsFeatures.find(
+      f => f.start === selectionLayer.start && f.end === selectionLayer.end
+    );
+    return (selectedCds || cdsFeatures[0])?.id;
+  });
+  const [proteinChange, setProteinChange] = useState("");
+  const [bases, setBases] = useState("");
+  const [method, setMethod] = useState("backToBack");
+  const [targetTm, setTargetTm] = useState(defaultTms.backToBack);
+
+  const hasSelection = selectionLayer.start > -1 && selectionLayer.end > -1;
+  const cds = cdsFeatures.find(f => f.id === cdsId);
+
+  const result = useMemo(() => {
+    try {
+      let mutation;
+      if (mutationType === "protein") {
+        if (!cds || !proteinChange) return;
+        mutation = getMutationFromProteinChange(
+          sequenceData,
+          cds,
+          proteinChange
+        );
+      } else if (hasSelection) {
+        mutation = {
+          start: selectionLayer.start,
+          end: selectionLayer.end,
+          bases
+        };
+      } else if (caretPosition > -1 && bases) {
+        mutation = { start: caretPosition, end: caretPosition - 1, bases };
+      } else {
+        return;
+      }
+      return designMutagenesisPrimers(sequenceData, mutation, {
+        method,
+        targetTm
+      });
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [
+    sequenceData,
+    mutationType,
+    cds,
+    proteinChange,
+    hasSelection,
+    selectionLayer.start,
+    selectionLayer.end,
+    caretPosition,
+    bases,
+    method,
+    targetTm
+  ]);
+
+  const primerEntities = result?.primers?.map((p, i) => ({
+    id: i,
+    name: p.name,
+    sequence: `${p.tail.toLowerCase()}${p.annealingSequence}`,
+    length: p.sequence.length,
+    tm: formatTm(p.tm)
+  }));
+
+  return (
+    <div
+      className="veMutagenesisTool"
+      style={{ padding: 10, overflowY: "auto", height }}
+    >
+      <div style={{ marginBottom: 10 }}>
+        <span style={labelStyle}>Mutation: </span>
+        <HTMLSelect
+          className="veMutagenesisType"
+          value={mutationType}
+          onChange={e => setMutationType(e.target.value)}
+          options={[
+            { value: "protein", label: "Amino Acid Change" },
+            { value: "dna", label: "DNA Edit" }
+          ]}
+        />
+      </div>
+      {mutationType === "protein" ? (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 10,
+            marginBottom: 10
+          }}
+        >
+          <span style={labelStyle}>CDS: </span>
+          <HTMLSelect
+            className="veMutagenesisCds"
+            value={cdsId}
+            onChange={e => setCdsId(e.target.value)}
+            options={cdsFeatures.map(f => ({
+              value: f.id,
+              label: `${f.name} (${f.start + 1}-${f.end + 1})`
+            }))}
+          />
+          <span style={labelStyle}>Change: </span>
+          <InputGroup
+            className="veMutagenesisProteinChange"
+            style={{ width: 100 }}
+            placeholder="e.g. K123A"
+            value={proteinChange}
+            onChange={e => setProteinChange(e.target.value.trim())}
+          />
+        </div>
+      ) : (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 10,
+            marginBottom: 10
+          }}
+        >
+          <span style={{ fontStyle: "italic", color: "grey" }}>
+            {hasSelection
+              ? `Replace ${selectionLayer.start + 1}-${
+                  selectionLayer.end + 1
+                } with`
+              : caretPosition > -1
+                ? `Insert before ${caretPosition + 1}`
+                : "Select the bases to change or place the cursor"}
+          </span>
+          <InputGroup
+            className="veMutagenesisBases"
+            style={{ width: 200 }}
+            placeholder={hasSelection ? "nothing (delete)" : "bases"}
+            value={bases}
+            onChange={e => setBases(e.target.value.replace(/[^acgt]/gi, ""))}
+          />
+        </div>
+      )}
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          marginBottom: 10
+        }}
+      >
+        <span style={labelStyle}>Method: </span>
+        <HTMLSelect
+          className="veMutagenesisMethod"
+          value={method}
+          onChange={e => {
+            setMethod(e.target.value);
+            setTargetTm(defaultTms[e.target.value]);
+          }}
+          options={methods}
+        />
+        <span style={labelStyle}>
+          {method === "overlapping" ? "Primer" : "Annealing"} Tm (°C):{" "}
+        </span>
+        <NumericInput
+          style={{ width: 50 }}
+          min={40}
+          max={90}
+          value={targetTm}
+          onValueChange={val => val >= 40 && val <= 90 && setTargetTm(val)}
+        />
+      </div>
+      {result?.error && (
+        <Callout intent={Intent.DANGER} style={{ marginBottom: 10 }}>
+          {result.error}
+        </Callout>
+      )}
+      {!!result?.warnings?.length && (
+        <Callout intent={Intent.WARNING} style={{ marginBottom: 10 }}>
+          {result.warnings.map((warning, i) => (
+            <div key={i}>{warning}</div>
+          ))}
+        </Callout>
+      )}
+      {primerEntities && (
+        <React.Fragment>
+          <div style={labelStyle}>
+            Primers (tails in lower case
+            {result.annealingTemperature
+              ? `, Q5 annealing at ${formatTm(result.annealingTemperature)}°C`
+              : ""}
+            ):
+          </div>
+          <DataTable
+            noRouter
+            isSimple
+            withSearch={false}
+            formName="mutagenesisPrimers"
+            entities={primerEntities}
+            schema={primerSchema}
+          />
+        </React.Fragment>
+      )}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: 10
+        }}
+      >
+        <div style={labelStyle}>
+          Mutant{result?.label ? ` (${result.label})` : ""}:
+        </div>
+        {onOpenSequenceInNewTab && (
+          <Button
+            intent={Intent.PRIMARY}
+            disabled={!result?.sequenceData}
+            onClick={() => {
+              onOpenSequenceInNewTab(result.sequenceData, {
+                fileName: result.sequenceData.name
+              });
+            }}
+          >
+            Open In New Tab
+          </Button>
+        )}
+      </div>
+      {result?.sequenceData ? (
+        <SimpleCircularOrLinearView
+          noWarnings
+          withZoomLinearView
+          withZoomCircularView
+          withChoosePreviewType
+          withDownload
+          smallSlider
+          withCaretEnabled
+          width={width - 50}
+          height={Math.max(height - 250, 400)}
+          sequenceData={result.sequenceData}
+        />
+      ) : (
+        <div style={{ marginTop: 5, fontStyle: "italic", color: "grey" }}>
+          Please describe the mutation to see the mutant sequence
+        </div>
+      )}
+    </div>
+  );
+};
+
+const primerSchema = {
+  fields: [
+    { path: "name", displayName: "Name", type: "string" },
+    { path: "sequence", displayName: "Sequence (5'-3')", type: "string" },
+    { width: 70, path: "length", displayName: "Length", type: "string" },
+    { width: 70, path: "tm", displayName: "Tm (°C)", type: "string" }
+  ]
+};
+
+export default withEditorInteractions(MutagenesisTool);
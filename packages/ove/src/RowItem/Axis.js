@@ -20,7 +20,9 @@ const Axis = function (props) {
     scrollData,
     isProtein,
     style,
-    isLinearView
+    isLinearView,
+    rotation,
+    fullSequenceLength
   } = props;
   const noRows = row.start === 0 && row.end === 0;
   /* eslint-disable react-hooks/exhaustive-deps */
@@ -94,11 +96,13 @@ const Axis = function (props) {
       />
     );
     if (showAxisNumbers) {
-      const position =
-        normalizePositionByRangeLength(
-          row.start + tickMarkPosition,
-          sequenceLength
-        ) + (isProtein ? 0 : 1);
+      //alignment tracks shown rotated (see alignSequences' circular option) are numbered from their own origin
+      const position = rotation
+        ? ((row.start + tickMarkPosition + rotation) % fullSequenceLength) + 1
+        : normalizePositionByRangeLength(
+            row.start + tickMarkPosition,
+            sequenceLength
+          ) + (isProtein ? 0 : 1);
       const positionLength = position.toString().length * 4;
       const textInner = divideBy3(position + (isProtein ? 1 : 0), isProtein);
 
@@ -31,7 +31,8 @@ function getSnipForRow(
   bpsPerRow,
   snipStyle,
   charWidth,
-  index
+  index,
+  methylationClassName = ""
 ) {
   if (!isPositionWithinRange(snipPosition, row)) return;
 
@@ -50,7 +51,9 @@ function getSnipForRow(
       key={index}
       className={`veRowViewCutsite snip ${
         isTopStrand ? "topStrandSnip" : "bottomStrandSnip"
-      } ${isHovered ? "snipHovered" : ""} snipPosition-${snipPosition}`}
+      } ${
+        isHovered ? "snipHovered" : ""
+      } snipPosition-${snipPosition} ${methylationClassName}`}
       style={newCursorStyle}
     />
   );
@@ -65,7 +68,8 @@ function getSnipConnector(
   bpsPerRow,
   snipConnectorStyle,
   charWidth,
-  index
+  index,
+  methylationClassName = ""
 ) {
   //tnr: we basically need to first determine what the range start and end are..
   // var _snipRange = {
@@ -97,7 +101,7 @@ function getSnipConnector(
         key={index + index2}
         className={`veRowViewCutsite snipConnector ${
           isHovered ? "snipHovered" : ""
-        } `}
+        } ${methylationClassName}`}
         style={newCursorStyle}
       />
     );
@@ -140,6 +144,10 @@ function Cutsites(props) {
       upstreamTopSnip = upstreamTopSnip && Number(upstreamTopSnip);
       upstreamBottomSnip = upstreamBottomSnip && Number(upstreamBottomSnip);
       const isHovered = annotation.id === hoveredAnnotation;
+      // cutsites the sequence's methylation blocks or impairs are drawn faded/dashed
+      const methylationClassName = annotation.methylationEffect
+        ? `methylation${annotation.methylationEffect === "blocked" ? "Blocked" : "Impaired"}`
+        : "";
       snipStyle = {
         ...snipStyle,
         background: annotation.restrictionEnzyme.color
@@ -164,7 +172,8 @@ function Cutsites(props) {
             bpsPerRow,
             snipStyle,
             charWidth,
-            key + "downstream"
+            key + "downstream",
+            methylationClassName
           );
           if (newSnip) {
             snips.push(newSnip);
@@ -179,7 +188,8 @@ function Cutsites(props) {
             bpsPerRow,
             snipStyle,
             charWidth,
-            key + "downstream"
+            key + "downstream",
+            methylationClassName
           );
           if (newSnip) {
             snips.push(newSnip);
@@ -199,7 +209,8 @@ function Cutsites(props) {
             bpsPerRow,
             snipConnectorStyle,
             charWidth,
-            key + "downstreamConnector"
+            key + "downstreamConnector",
+            methylationClassName
           );
           snipConnectors.push(newConnector);
         }
@@ -215,7 +226,8 @@ function Cutsites(props) {
             bpsPerRow,
             snipStyle,
             charWidth,
-            key + "upstream"
+            key + "upstream",
+            methylationClassName
           );
           if (newSnip) {
             snips.push(newSnip);
@@ -230,7 +242,8 @@ function Cutsites(props) {
             bpsPerRow,
             snipStyle,
             charWidth,
-            key + "upstream"
+            key + "upstream",
+            methylationClassName
           );
           if (newSnip) {
             snips.push(newSnip);
@@ -250,7 +263,8 @@ function Cutsites(props) {
             bpsPerRow,
             snipConnectorStyle,
             charWidth,
-            key + "upstreamConnector"
+            key + "upstreamConnector",
+            methylationClassName
           );
           snipConnectors.push(newConnector);
         }
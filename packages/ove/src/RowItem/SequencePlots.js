@@ -0,0 +1,187 @@
+import React from "react";
+import {
+  getSequencePlotPoints,
+  isOutsideGcThreshold,
+  sequencePlotDefs,
+  thresholdColor,
+  useSequencePlotPrefs
+} from "../utils/useSequencePlotPrefs";
+
+function getAreaPath(coords, yBaseline) {
+  if (!coords.length) return "";
+  return (
+    `M${coords[0].x},${yBaseline} ` +
+    coords.map(({ x, y }) => `L${x},${y}`).join(" ") +
+    ` L${coords[coords.length - 1].x},${yBaseline} Z`
+  );
+}
+
+function SequencePlot({
+  plotType,
+  text,
+  color,
+  negativeColor,
+  row,
+  charWidth,
+  width,
+  height,
+  marginTop,
+  fullSequence,
+  isCircular,
+  prefs
+}) {
+  const { points, min, max } = getSequencePlotPoints({
+    sequence: fullSequence,
+    plotType,
+    circular: isCircular,
+    windowSize: prefs.windowSize,
+    stepSize: prefs.stepSize
+  });
+  const getY = value => height - ((value - min) / (max - min)) * height;
+  const getX = position => (position - row.start + 0.5) * charWidth;
+  const yBaseline = getY(Math.max(min, 0));
+
+  // the points in the row plus their neighbours so the area runs to the row's edges
+  const firstIndex = points.findIndex(p => p.position >= row.start);
+  let lastIndex = points.findIndex(p => p.position > row.end);
+  if (lastIndex === -1) lastIndex = points.length - 1;
+  const rowPoints =
+    firstIndex === -1
+      ? points.slice(-1)
+      : points.slice(Math.max(0, firstIndex - 1), lastIndex + 1);
+  const coords = rowPoints.map(({ position, value }) => ({
+    x: Math.min(width, Math.max(0, getX(position))),
+    y: getY(value),
+    value
+  }));
+
+  const thresholdRegions = [];
+  rowPoints.forEach(({ start, end, position, value }, i) => {
+    if (!isOutsideGcThreshold(plotType, value, prefs)) return;
+    const prevPosition = rowPoints[i - 1]?.position ?? position;
+    const nextPosition = rowPoints[i + 1]?.position ?? position;
+    const x1 = Math.max(0, getX((prevPosition + position) / 2));
+    const x2 = Math.min(width, getX((nextPosition + position) / 2));
+    if (x2 <= x1) return;
+    thresholdRegions.push(
+      <rect
+        key={start}
+        className="veSequencePlotThreshold"
+        x={x1}
+        width={x2 - x1}
+        y={0}
+        height={height}
+        fill={thresholdColor}
+        opacity={0.25}
+      >
+        <title>
+          {`${value.toFixed(1)}% GC (${start + 1}-${end + 1}) is ${
+            value < prefs.lowGcThreshold ? "below" : "above"
+          } the ${
+            value < prefs.lowGcThreshold
+              ? prefs.lowGcThreshold
+              : prefs.highGcThreshold
+          }% threshold`}
+        </title>
+      </rect>
+    );
+  });
+
+  return (
+    <svg
+      className={`veRowViewSequencePlot veSequencePlot-${plotType}`}
+      height={height}
+      width={width}
+      style={{ marginTop, display: "block", overflow: "visible" }}
+    >
+      {thresholdRegions}
+      {negativeColor ? (
+        <React.Fragment>
+          <path
+            d={getAreaPath(
+              coords.map(c => ({ ...c, y: Math.min(c.y, yBaseline) })),
+              yBaseline
+            )}
+            fill={color}
+            fillOpacity={0.7}
+          />
+          <path
+            d={getAreaPath(
+              coords.map(c => ({ ...c, y: Math.max(c.y, yBaseline) })),
+              yBaseline
+            )}
+            fill={negativeColor}
+            fillOpacity={0.7}
+          />
+        </React.Fragment>
+      ) : (
+        <path
+          d={getAreaPath(coords, yBaseline)}
+          fill={color}
+          fillOpacity={0.7}
+        />
+      )}
+      {plotType === "gcContent" &&
+        [prefs.lowGcThreshold, prefs.highGcThreshold].map(threshold => (
+          <line
+            key={threshold}
+            x1={0}
+            x2={width}
+            y1={getY(threshold)}
+            y2={getY(threshold)}
+            stroke={thresholdColor}
+            strokeDasharray="4,2"
+            strokeWidth={0.5}
+          />
+        ))}
+      <line
+        x1={0}
+        x2={width}
+        y1={yBaseline}
+        y2={yBaseline}
+        stroke="#333"
+        strokeWidth={0.5}
+      />
+      <text
+        x={2}
+        y={9}
+        style={{ fontSize: 9, fontFamily: "Verdana", pointerEvents: "none" }}
+      >
+        {text}
+      </text>
+    </svg>
+  );
+}
+
+// sliding window GC content/skew area charts drawn under the axis
+export default function SequencePlots({
+  annotationVisibility,
+  row,
+  charWidth,
+  width,
+  annotationHeight,
+  marginTop,
+  fullSequence,
+  isCircular
+}) {
+  const [prefs] = useSequencePlotPrefs();
+  if (!fullSequence.length) return null;
+  return sequencePlotDefs
+    .filter(({ visibilityKey }) => annotationVisibility[visibilityKey])
+    .map(def => (
+      <SequencePlot
+        key={def.plotType}
+        {...def}
+        {...{
+          row,
+          charWidth,
+          width,
+          height: annotationHeight,
+          marginTop,
+          fullSequence,
+          isCircular,
+          prefs
+        }}
+      />
+    ));
+}
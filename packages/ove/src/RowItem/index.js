@@ -18,6 +18,7 @@ import pluralize from "pluralize";
 import SelectionLayer from "./SelectionLayer";
 import Sequence from "./Sequence";
 import Axis from "./Axis";
+import SequencePlots from "./SequencePlots";
 import Orfs from "./Orfs";
 import Translations from "./Translations";
 import Labels from "./Labels";
@@ -117,6 +118,8 @@ export default function RowItem(props) {
     axisHeight = rowHeights.axis.height,
     primerHeight = rowHeights.primers.height,
     axisMarginTop = rowHeights.axis.marginTop,
+    sequencePlotHeight = rowHeights.sequencePlot.height,
+    sequencePlotMarginTop = rowHeights.sequencePlot.marginTop,
     width,
     annotationVisibility = {},
     annotationLabelVisibility = {},
@@ -136,6 +139,7 @@ export default function RowItem(props) {
     sequenceLength = row.sequence.length,
     chromatogramData,
     fullSequence = "",
+    isCircular,
     replacementLayerClicked = noop,
     replacementLayerRightClicked = noop,
     searchLayerClicked = noop,
@@ -678,6 +682,20 @@ export default function RowItem(props) {
             marginTop={axisMarginTop}
             {...annotationCommonProps}
             isLinearView={isLinearView}
+            rotation={alignmentData?.rotation}
+            fullSequenceLength={fullSequence.length}
+          />
+        )}
+        {!isProtein && !alignmentData && (
+          <SequencePlots
+            annotationVisibility={annotationVisibility}
+            row={row}
+            charWidth={charWidth}
+            width={width}
+            annotationHeight={sequencePlotHeight}
+            marginTop={sequencePlotMarginTop}
+            fullSequence={fullSequence}
+            isCircular={isCircular}
           />
         )}
         {caretPosition > -1 && (
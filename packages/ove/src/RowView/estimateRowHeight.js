@@ -20,7 +20,8 @@ export const rowHeights = {
   cutsiteLabels: { spaceBetweenAnnotations: 0, height: 15 },
   sequence: { height: 15 },
   reverseSequence: { height: 15 },
-  axis: { marginTop: 5, height: 15 }
+  axis: { marginTop: 5, height: 15 },
+  sequencePlot: { marginTop: 5, height: 40 }
 };
 
 rowHeights.primaryProteinSequence = rowHeights.translations;
@@ -81,6 +82,18 @@ const annotationsToCompute = {
   axis: {
     height: rowHeights.axis.type
   },
+  gcContentPlot: {
+    height: rowHeights.sequencePlot.type
+  },
+  gcSkewPlot: {
+    height: rowHeights.sequencePlot.type
+  },
+  atSkewPlot: {
+    height: rowHeights.sequencePlot.type
+  },
+  cumulativeGcSkewPlot: {
+    height: rowHeights.sequencePlot.type
+  },
   cutsiteLabels: {
     typeOverride: "cutsites",
     height: rowHeights.cutsiteLabels.type,
@@ -373,6 +373,7 @@ class _RowView extends React.Component {
               caretPosition,
               emptyText: getEmptyText({ sequenceData, caretPosition }),
               fullSequence: sequenceData.sequence,
+              isCircular: sequenceData.circular,
               ...RowItemProps
             }}
             row={rowData[index]}
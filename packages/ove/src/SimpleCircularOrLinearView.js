@@ -294,6 +294,8 @@ const DownloadBtn = withHandlers({ exportSequenceToFile })(props => {
               "exportSequenceAsGenbank",
               "exportDNASequenceAsFasta",
               "exportProteinSequenceAsFasta",
+              "exportSequenceAsSnapgene",
+              "exportSequenceAsSbol",
               "exportSequenceAsTeselagenJson"
             ],
             [
@@ -1,6 +1,7 @@
 import React from "react";
 import { SequenceName } from "./LinearView/SequenceName";
 import classNames from "classnames";
+import PrimerSecondaryStructure from "./helperComponents/PrimerSecondaryStructure";
 
 export function SimpleOligoPreview({
   className,
@@ -33,6 +34,11 @@ export function SimpleOligoPreview({
       )}
       <div style={{ height: "100%", overflow: "auto", wordBreak: "break-all" }}>
         {sequenceData.sequence || ""}
+        {!sequenceData.isProtein && sequenceData.sequence && (
+          <div style={{ marginTop: 10, wordBreak: "normal" }}>
+            <PrimerSecondaryStructure sequence={sequenceData.sequence} />
+          </div>
+        )}
       </div>
     </div>
   );
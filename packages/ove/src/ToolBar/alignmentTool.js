@@ -9,6 +9,7 @@ import {
 } from "@teselagen/ui";
 import { reduxForm, FieldArray } from "redux-form";
 import { anyToJson } from "@teselagen/bio-parsers";
+import { getMottTrimRange } from "@teselagen/sequence-utils";
 import { flatMap } from "lodash-es";
 import uniqid from "shortid";
 import { cloneDeep } from "lodash-es";
@@ -124,10 +125,10 @@ class AlignmentTool extends React.Component {
         if ("chromatogramData" in addedSequencesToUseTrimmed[i]) {
           // if (addedSequencesToUseTrimmed[i].chromatogramData.qualNums) {
           if ("qualNums" in addedSequencesToUseTrimmed[i].chromatogramData) {
-            // returning bp pos for { suggestedTrimStart, suggestedTrimEnd }
-            const { suggestedTrimStart, suggestedTrimEnd } = mottTrim(
-              addedSequencesToUseTrimmed[i].chromatogramData.qualNums
-            );
+            const { start: suggestedTrimStart, end: suggestedTrimEnd } =
+              getMottTrimRange(
+                addedSequencesToUseTrimmed[i].chromatogramData.qualNums
+              ) || { start: 0, end: -1 };
             addedSequencesToUseTrimmed[i].sequence = addedSequencesToUseTrimmed[
               i
             ].sequence.slice(suggestedTrimStart, suggestedTrimEnd + 1);
@@ -464,40 +465,3 @@ const AddYourOwnSeqForm = reduxForm({
     </form>
   );
 });
-
-function mottTrim(qualNums) {
-  if (!qualNums) return;
-  let startPos = 0;
-  let endPos = 0;
-  const totalScoreInfo = [];
-  let score = 0;
-  let totalScore = 0;
-  const cutoff = 0.05;
-  for (let i = 0; i < qualNums.length; i++) {
-    // low-quality bases have high error probabilities, so may have a negative base score
-    score = cutoff - Math.pow(10, qualNums[i] / -10);
-    totalScore += score;
-    totalScoreInfo.push(totalScore);
-    // score = score + cutoff - Math.pow(10, qualNums[i] / -10);
-    // if (totalScore < 0) {
-    //   tempStart = i;
-    // }
-    // if (i - tempStart > endPos - startPos) {
-    //   startPos = tempStart;
-    //   endPos = i;
-    // }
-    if (totalScore < 0) {
-      totalScore = 0;
-    }
-  }
-  const firstPositiveValue = totalScoreInfo.find(e => {
-    return e > 0;
-  });
-  startPos = totalScoreInfo.indexOf(firstPositiveValue);
-  const highestValue = Math.max(...totalScoreInfo);
-  endPos = totalScoreInfo.lastIndexOf(highestValue);
-  return {
-    suggestedTrimStart: startPos,
-    suggestedTrimEnd: endPos
-  };
-}
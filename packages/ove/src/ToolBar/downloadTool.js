@@ -30,6 +30,8 @@ const Dropdown = withEditorProps(props => {
           "exportSequenceAsGenbank",
           "exportDNASequenceAsFasta",
           "exportProteinSequenceAsFasta",
+          "exportSequenceAsSnapgene",
+          "exportSequenceAsSbol",
           "exportSequenceAsTeselagenJson"
         ],
         getCommands({ props })
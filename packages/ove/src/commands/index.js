@@ -37,6 +37,7 @@ import {
 } from "../GlobalDialogUtils";
 import { partsSubmenu } from "../MenuBar/viewSubmenu";
 import { handleReadOnlyChange } from "../ToolBar/editTool";
+import { sequencePlotDefs } from "../utils/useSequencePlotPrefs";
 
 const isProtein = props => props.sequenceData && props.sequenceData.isProtein;
 const isOligo = props => props.sequenceData && props.sequenceData.isOligo;
@@ -282,6 +283,14 @@ const fileCommandDefs = {
         size: props.sequenceData.proteinSize
       })
   },
+  exportSequenceAsSnapgene: {
+    name: "Download SnapGene File",
+    handler: props => props.exportSequenceToFile("snapgene")
+  },
+  exportSequenceAsSbol: {
+    name: "Download SBOL3 File",
+    handler: props => props.exportSequenceToFile("sbol")
+  },
   exportSequenceAsTeselagenJson: {
     name: "Download Teselagen JSON File",
     handler: props => props.exportSequenceToFile("teselagenJson")
@@ -762,6 +771,7 @@ const editCommandDefs = {
         "newReverseTranslation",
         "newPrimer",
         "findPrimerBindingSites",
+        "designPrimers",
         "createNewFromSubsequence",
         ...(props.getAdditionalCreateOpts
           ? props.getAdditionalCreateOpts(props) || []
@@ -800,6 +810,10 @@ const editCommandDefs = {
     isHidden: isProtein,
     handler: noop
   },
+  sequencePlotsMenu: {
+    isHidden: isProtein,
+    handler: noop
+  },
   sequenceAA_allFrames: {
     isActive: props =>
       props.frameTranslations["1"] &&
@@ -998,6 +1012,41 @@ const editCommandDefs = {
     isDisabled: props =>
       (props.readOnly && readOnlyDisabledTooltip) || props.sequenceLength === 0
   },
+  designPrimers: {
+    name: "Design Primers...",
+    handler: props =>
+      showDialog({
+        dialogType: "DesignPrimersDialog",
+        props: {
+          editorName: props.editorName,
+          dialogProps: {
+            title: "Design Primers"
+          }
+        }
+      }),
+    isHidden: props =>
+      props.readOnly ||
+      isProtein(props) ||
+      !props.annotationsToSupport ||
+      !props.annotationsToSupport.primers,
+    isDisabled: props =>
+      (props.readOnly && readOnlyDisabledTooltip) || noSelection(props)
+  },
+  optimizeCodons: {
+    name: "Optimize Codons...",
+    handler: props =>
+      showDialog({
+        dialogType: "CodonOptimizationDialog",
+        props: {
+          editorName: props.editorName,
+          dialogProps: {
+            title: "Optimize Codons"
+          }
+        }
+      }),
+    isHidden: props => props.readOnly || isProtein(props),
+    isDisabled: props => props.sequenceLength === 0
+  },
   sequenceAlignment: {
     name: "Sequence Alignment...",
     handler: props =>
@@ -1013,6 +1062,32 @@ const editCommandDefs = {
     isHidden: isProtein,
     isDisabled: props => props.sequenceLength === 0
   },
+  openAlignmentFile: {
+    name: "Open Alignment File...",
+    handler: props => {
+      showFileDialog({
+        multiple: false,
+        onSelect: files => {
+          props.importAlignmentFromFile(files[0]);
+        }
+      });
+    }
+  },
+  alignSequencingReads: {
+    name: "Align Sequencing Reads...",
+    handler: props =>
+      showDialog({
+        dialogType: "AlignSequencingReadsDialog",
+        props: {
+          editorName: props.editorName,
+          dialogProps: {
+            title: "Align Sequencing Reads"
+          }
+        }
+      }),
+    isHidden: isProtein,
+    isDisabled: props => props.sequenceLength === 0
+  },
 
   rotateToCaretPosition: {
     isHidden: props =>
@@ -1223,7 +1298,13 @@ const annotationToggleCommandDefs = {};
       !props.annotationVisibility.sequence &&
       !props.annotationVisibility.reverseSequence &&
       "The DNA sequence must be visible in order to color it"
-  }
+  },
+  ...sequencePlotDefs.map(({ visibilityKey, text }) => ({
+    type: visibilityKey,
+    text: `${text} Plot`,
+    noCount: true,
+    isHidden: isProtein
+  }))
 ].forEach(typeOrObj => {
   let type = typeOrObj;
   let obj = {};
@@ -1344,6 +1425,31 @@ const toolCommandDefs = {
     hotkeyProps: { preventDefault: true },
     isHidden: props => isProtein(props)
   },
+  simulateGibsonAssembly: {
+    name: "Simulate Gibson/HiFi Assembly",
+    handler: props => props.createNewGibsonAssembly(),
+    isHidden: props => isProtein(props)
+  },
+  simulateGoldenGateAssembly: {
+    name: "Simulate Golden Gate Assembly",
+    handler: props => props.createNewGoldenGateAssembly(),
+    isHidden: props => isProtein(props)
+  },
+  simulateRestrictionCloning: {
+    name: "Simulate Restriction Cloning",
+    handler: props => props.createNewRestrictionCloning(),
+    isHidden: props => isProtein(props)
+  },
+  designCrisprGuides: {
+    name: "Design CRISPR Guides",
+    handler: props => props.createNewCrisprDesign(),
+    isHidden: props => isProtein(props)
+  },
+  siteDirectedMutagenesis: {
+    name: "Site-Directed Mutagenesis",
+    handler: props => props.createNewMutagenesis(),
+    isHidden: props => isProtein(props)
+  },
   // TODO: enzyme manager (?)
   restrictionEnzymesManager: {
     name: "Manage Enzymes",
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Button,
+  Classes,
+  Intent,
+  Callout,
+  FormGroup,
+  NumericInput,
+  Spinner
+} from "@blueprintjs/core";
+import { compose } from "recompose";
+import { reduxForm } from "redux-form";
+import { FileUploadField, wrapDialog } from "@teselagen/ui";
+import { anyToJson } from "@teselagen/bio-parsers";
+import { mapSequencingReads } from "@teselagen/sequence-utils";
+import shortid from "shortid";
+import withEditorProps from "../../withEditorProps";
+import {
+  ReadMappingSummary,
+  getReadMappingSummary
+} from "../../AlignmentView/ReadMappingSummary";
+import "./style.css";
+
+const dialogFormName = "AlignSequencingReadsDialog";
+
+/**
+ * Parse sequencing read files (.ab1 traces, or anything else anyToJson reads), resolving
+ * with the reads that parsed and the names of the files that didn't
+ */
+async function parseReadFiles(files) {
+  const reads = [];
+  const failedFileNames = [];
+  for (const file of files) {
+    const fileObj = file.originalFileObj || file;
+    try {
+      const results = await anyToJson(fileObj, { fileName: file.name });
+      results.forEach(result => {
+        if (result.success) reads.push(result.parsedSequence);
+        else failedFileNames.push(file.name);
+      });
+    } catch (e) {
+      failedFileNames.push(file.name);
+    }
+  }
+  return { reads, failedFileNames };
+}
+
+function AlignSequencingReadsDialog({
+  hideDialog,
+  sequenceData,
+  files,
+  createNewAlignment,
+  upsertAlignmentRun
+}) {
+  const [reads, setReads] = useState([]);
+  const [isParsing, setIsParsing] = useState(false);
+  const [trim, setTrim] = useState(true);
+  const [trimCutoff, setTrimCutoff] = useState(0.05);
+  const [circular, setCircular] = useState(!!sequenceData?.circular);
+  const [isMapping, setIsMapping] = useState(false);
+  const [result, setResult] = useState();
+  const [error, setError] = useState();
+
+  const addReadFiles = useCallback(async filesToAdd => {
+    setIsParsing(true);
+    const { reads: newReads, failedFileNames } =
+      await parseReadFiles(filesToAdd);
+    setReads(reads => [...reads, ...newReads]);
+    setError(
+      failedFileNames.length
+        ? `Could not parse ${failedFileNames.join(", ")}`
+        : undefined
+    );
+    setIsParsing(false);
+  }, []);
+
+  // files dropped onto the editor come straight in
+  useEffect(() => {
+    if (files?.length) addReadFiles(files);
+  }, [files, addReadFiles]);
+
+  const handleAlign = useCallback(() => {
+    setIsMapping(true);
+    setError(undefined);
+    // give the spinner a chance to show, mapping runs on the main thread
+    setTimeout(() => {
+      try {
+        setResult(
+          mapSequencingReads(sequenceData, reads, {
+            circular,
+            trim,
+            trimCutoff
+          })
+        );
+      } catch (e) {
+        setError(`Read mapping error: ${e.message}`);
+      }
+      setIsMapping(false);
+    });
+  }, [sequenceData, reads, circular, trim, trimCutoff]);
+
+  const handleOpenInAlignmentView = useCallback(() => {
+    const id = shortid();
+    const name = `${sequenceData.name || "Untitled Sequence"} Sequencing Reads`;
+    const mappedReads = result.reads.filter(({ isUnmapped }) => !isUnmapped);
+    const unmappedReads = result.reads.filter(({ isUnmapped }) => isUnmapped);
+    createNewAlignment({ id, name });
+    upsertAlignmentRun({
+      id,
+      name,
+      alignmentType: "Sequencing Read Alignment",
+      pairwiseAlignments: mappedReads.map(
+        ({ alignmentTracks }) => alignmentTracks
+      ),
+      ...(unmappedReads.length && {
+        unmappedSeqs: unmappedReads.map(({ name, sequenceData }) => ({
+          sequenceData: { ...sequenceData, name }
+        }))
+      }),
+      readMappingSummary: getReadMappingSummary(
+        result,
+        sequenceData.sequence.length
+      ),
+      alignmentAnnotationVisibility: { chromatogram: true }
+    });
+    hideDialog();
+  }, [
+    result,
+    sequenceData,
+    createNewAlignment,
+    upsertAlignmentRun,
+    hideDialog
+  ]);
+
+  const hasMappedReads = result?.reads.some(({ isUnmapped }) => !isUnmapped);
+
+  return (
+    <>
+      <div className={Classes.DIALOG_BODY}>
+        {!result ? (
+          <>
+            <Callout
+              intent={Intent.PRIMARY}
+              icon="info-sign"
+              style={{ marginBottom: 15 }}
+            >
+              Add sequencing reads (.ab1 traces) to align against{" "}
+              {sequenceData.name || "the current sequence"}. Reads are reverse
+              complemented automatically when they come from the other strand.
+            </Callout>
+
+            <FileUploadField
+              name="sequencingReadFiles"
+              accept={[".ab1", ".fastq", ".fasta", ".fa", ".gb", ".gbk"]}
+              beforeUpload={(filesToAdd, onChange) => {
+                addReadFiles(filesToAdd);
+                onChange([]);
+              }}
+            />
+
+            <div className="tg-sequencing-read-list">
+              {isParsing && <Spinner size={16} />}
+              {!isParsing && !reads.length && <div>No reads added yet.</div>}
+              {reads.map((read, i) => (
+                <div key={i} className="tg-sequencing-read">
+                  <span>
+                    {read.name}{" "}
+                    <span style={{ fontSize: 10 }}>
+                      ({read.sequence.length} bps
+                      {!read.chromatogramData?.qualNums &&
+                        ", no quality scores"}
+                      )
+                    </span>
+                  </span>
+                  <Button
+                    small
+                    minimal
+                    icon="trash"
+                    onClick={() =>
+                      setReads(reads => reads.filter((r, j) => j !== i))
+                    }
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div style={{ display: "flex", gap: 15, alignItems: "center" }}>
+              <FormGroup>
+                <label className="bp3-control bp3-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={trim}
+                    onChange={e => setTrim(e.target.checked)}
+                  />
+                  <span className="bp3-control-indicator" />
+                  Trim low quality read ends
+                </label>
+              </FormGroup>
+              <FormGroup
+                label="Error Probability Cutoff"
+                inline
+                disabled={!trim}
+              >
+                <NumericInput
+                  style={{ width: 70 }}
+                  disabled={!trim}
+                  min={0.001}
+                  max={1}
+                  stepSize={0.01}
+                  minorStepSize={0.001}
+                  value={trimCutoff}
+                  onValueChange={val => setTrimCutoff(val)}
+                />
+              </FormGroup>
+            </div>
+            <FormGroup>
+              <label className="bp3-control bp3-checkbox">
+                <input
+                  type="checkbox"
+                  checked={circular}
+                  onChange={e => setCircular(e.target.checked)}
+                />
+                <span className="bp3-control-indicator" />
+                Circular reference (reads can run across the origin)
+              </label>
+            </FormGroup>
+          </>
+        ) : (
+          <>
+            <div style={{ marginBottom: 10, display: "flex", gap: 10 }}>
+              <Button
+                icon="arrow-left"
+                minimal
+                onClick={() => setResult(undefined)}
+                text="Back to reads"
+              />
+              <Button
+                icon="align-left"
+                minimal
+                disabled={!hasMappedReads}
+                onClick={handleOpenInAlignmentView}
+                text="Open In Alignment View"
+              />
+            </div>
+            <ReadMappingSummary
+              summary={getReadMappingSummary(
+                result,
+                sequenceData.sequence.length
+              )}
+            />
+          </>
+        )}
+        {error && (
+          <Callout
+            intent={Intent.DANGER}
+            icon="error"
+            style={{ marginTop: 10 }}
+          >
+            {error}
+          </Callout>
+        )}
+      </div>
+
+      <div className={Classes.DIALOG_FOOTER}>
+        <div className={Classes.DIALOG_FOOTER_ACTIONS}>
+          <Button onClick={hideDialog}>Close</Button>
+          {!result && (
+            <Button
+              intent={Intent.PRIMARY}
+              onClick={handleAlign}
+              disabled={!reads.length || isParsing || isMapping}
+              icon={isMapping ? <Spinner size={16} /> : "alignment-horizontal"}
+            >
+              {isMapping ? "Aligning..." : "Align Reads"}
+            </Button>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default compose(
+  wrapDialog({
+    isDraggable: true,
+    width: 700,
+    title: "Align Sequencing Reads"
+  }),
+  withEditorProps,
+  reduxForm({
+    form: dialogFormName
+  })
+)(AlignSequencingReadsDialog);
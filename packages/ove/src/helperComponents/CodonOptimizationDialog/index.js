@@ -0,0 +1,334 @@
+import React, { useState } from "react";
+import { reduxForm } from "redux-form";
+import {
+  wrapDialog,
+  InputField,
+  NumericInputField,
+  ReactSelectField,
+  tgFormValues
+} from "@teselagen/ui";
+import { compose } from "redux";
+import {
+  Button,
+  Callout,
+  Classes,
+  HTMLSelect,
+  HTMLTable,
+  Intent
+} from "@blueprintjs/core";
+import classNames from "classnames";
+import { filter, map } from "lodash-es";
+import {
+  codonUsageTables,
+  defaultEnzymesByName,
+  getCdsCodingPositions,
+  getComplementSequenceString,
+  getReverseComplementSequenceString,
+  optimizeCodons
+} from "@teselagen/sequence-utils";
+import {
+  getSequenceWithinRange,
+  normalizePositionByRangeLength
+} from "@teselagen/range-utils";
+import withEditorProps from "../../withEditorProps";
+import { tryToRefocusEditor } from "../../utils/editorUtils";
+
+const dialogFormName = "CodonOptimizationDialog";
+
+// bases either side of the CDS checked for sites spanning its ends
+const flankLength = 20;
+
+const numericFields = [
+  { name: "maxHomopolymer", label: "Max Homopolymer Length" },
+  { name: "gcWindowSize", label: "GC Window (bps)" },
+  { name: "minGc", label: "Min Window GC %" },
+  { name: "maxGc", label: "Max Window GC %" }
+];
+
+const enzymeOptions = map(defaultEnzymesByName, ({ name }) => ({
+  label: name,
+  value: name
+}));
+
+const formatIndex = val => (typeof val === "number" ? val.toFixed(3) : "N/A");
+
+const CodonOptimizationDialog = props => {
+  const {
+    sequenceData = { sequence: "" },
+    selectionLayer = {},
+    hideModal,
+    updateSequenceData,
+    codonUsageTable,
+    avoidEnzymes,
+    avoidSequences
+  } = props;
+  const { sequence, circular } = sequenceData;
+  const cdsFeatures = filter(sequenceData.features, { type: "CDS" });
+  const hasSelection = selectionLayer.start > -1 && selectionLayer.end > -1;
+  const [target, setTarget] = useState(() => {
+    // the feature right click menu selects the feature so default to it
+    const selectedCds = cdsFeatures.find(
+      f => f.start === selectionLayer.start && f.end === selectionLayer.end
+    );
+    return selectedCds ? selectedCds.id : "selection";
+  });
+  const [result, setResult] = useState();
+
+  const range =
+    target === "selection"
+      ? hasSelection && { ...selectionLayer, forward: true }
+      : cdsFeatures.find(f => f.id === target);
+  //only the bases the CDS reads are optimized, skipping its introns (and any bases before its codon_start)
+  const codingPositions = range
+    ? getCdsCodingPositions(range, sequence.length)
+    : [];
+  //partial CDSs can end in an incomplete codon, which is left as is
+  const positions =
+    target === "selection"
+      ? codingPositions
+      : codingPositions.slice(
+          0,
+          codingPositions.length - (codingPositions.length % 3)
+        );
+
+  const getFlank = (start, end) => {
+    if (!circular) {
+      return sequence.slice(
+        Math.max(0, start),
+        Math.max(0, Math.min(end + 1, sequence.length))
+      );
+    }
+    if (sequence.length <= flankLength) return "";
+    return getSequenceWithinRange(
+      {
+        start: normalizePositionByRangeLength(start, sequence.length),
+        end: normalizePositionByRangeLength(end, sequence.length)
+      },
+      sequence
+    );
+  };
+
+  const handleOptimize = () => {
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    const getBefore = position =>
+      getFlank(position - flankLength, position - 1);
+    const getAfter = position => getFlank(position + 1, position + flankLength);
+    const topStrandBases = positions
+      .map(position => sequence[position])
+      .join("");
+    const options = {};
+    numericFields.forEach(({ name }) => {
+      if (props[name] !== undefined && props[name] !== "") {
+        options[name] = Number(props[name]);
+      }
+    });
+    try {
+      setResult(
+        optimizeCodons(
+          range.forward
+            ? topStrandBases
+            : getComplementSequenceString(topStrandBases),
+          {
+            ...options,
+            codonUsageTable,
+            avoidEnzymes: avoidEnzymes || [],
+            avoidSequences: (avoidSequences || "")
+              .split(/[\s,]+/)
+              .filter(s => s),
+            upstream: range.forward
+              ? getBefore(first)
+              : getReverseComplementSequenceString(getAfter(first)),
+            downstream: range.forward
+              ? getAfter(last)
+              : getReverseComplementSequenceString(getBefore(last))
+          }
+        )
+      );
+    } catch (e) {
+      setResult({ error: e.message });
+    }
+  };
+
+  const handleApply = () => {
+    const optimizedTopStrand = range.forward
+      ? result.sequence
+      : getComplementSequenceString(result.sequence);
+    const newSequence = sequence.split("");
+    //written back base by base so the introns of joined CDSs stay untouched
+    optimizedTopStrand.split("").forEach((base, i) => {
+      const position = positions[i];
+      const original = newSequence[position];
+      // keep the case the sequence was typed in
+      newSequence[position] =
+        original === original.toUpperCase()
+          ? base.toUpperCase()
+          : base.toLowerCase();
+    });
+    // the CDS keeps its length so every annotation stays where it was
+    updateSequenceData({ ...sequenceData, sequence: newSequence.join("") });
+    window.toastr.success(
+      `Optimized ${result.changedCodons} codon${
+        result.changedCodons !== 1 ? "s" : ""
+      }`
+    );
+    hideModal();
+    tryToRefocusEditor();
+  };
+
+  return (
+    <div
+      className={classNames(
+        Classes.DIALOG_BODY,
+        "tg-min-width-dialog",
+        "tg-codon-optimization-dialog"
+      )}
+    >
+      <div className="bp3-form-group">
+        <label className="bp3-label">Coding Sequence</label>
+        <HTMLSelect
+          value={target}
+          onChange={e => {
+            setTarget(e.target.value);
+            setResult();
+          }}
+          options={[
+            { value: "selection", label: "Current Selection" },
+            ...cdsFeatures.map(f => ({
+              value: f.id,
+              label: `${f.name} (${f.start + 1}-${f.end + 1})`
+            }))
+          ]}
+        />{" "}
+        {range && (
+          <span style={{ fontStyle: "italic", color: "grey" }}>
+            {positions.length} coding bps
+          </span>
+        )}
+      </div>
+      {!range && (
+        <Callout intent={Intent.WARNING} style={{ marginBottom: 10 }}>
+          Please select the coding sequence or pick a CDS feature first.
+        </Callout>
+      )}
+      <ReactSelectField
+        name="codonUsageTable"
+        label="Host"
+        options={map(codonUsageTables, ({ id, name }) => ({
+          label: name,
+          value: id
+        }))}
+      />
+      <ReactSelectField
+        multi
+        name="avoidEnzymes"
+        label="Avoid Restriction Sites"
+        options={enzymeOptions}
+      />
+      <InputField
+        name="avoidSequences"
+        label="Avoid Sequences (comma separated)"
+        placeholder="e.g. GGTCTC, AATAAA"
+      />
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(2, 1fr)",
+          columnGap: 10
+        }}
+      >
+        {numericFields.map(({ name, label }) => (
+          <NumericInputField key={name} name={name} label={label} />
+        ))}
+      </div>
+      <Button
+        intent={Intent.PRIMARY}
+        disabled={!range}
+        onClick={handleOptimize}
+        style={{ marginBottom: 10 }}
+      >
+        Optimize
+      </Button>
+      {result?.error && (
+        <Callout intent={Intent.DANGER}>{result.error}</Callout>
+      )}
+      {result?.sequence && (
+        <React.Fragment>
+          <HTMLTable condensed style={{ width: "100%" }}>
+            <thead>
+              <tr>
+                <th />
+                <th>Before</th>
+                <th>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>CAI</td>
+                <td>{formatIndex(result.caiBefore)}</td>
+                <td>{formatIndex(result.caiAfter)}</td>
+              </tr>
+              <tr>
+                <td>tAI</td>
+                <td>{formatIndex(result.taiBefore)}</td>
+                <td>{formatIndex(result.taiAfter)}</td>
+              </tr>
+              <tr>
+                <td>GC %</td>
+                <td>{result.gcBefore.toFixed(1)}</td>
+                <td>{result.gcAfter.toFixed(1)}</td>
+              </tr>
+            </tbody>
+          </HTMLTable>
+          <div style={{ margin: "10px 0" }}>
+            {result.changedCodons} codon
+            {result.changedCodons !== 1 ? "s" : ""} changed
+          </div>
+          {!!result.warnings.length && (
+            <Callout intent={Intent.WARNING}>
+              {result.warnings.map((warning, i) => (
+                <div key={i}>{warning}</div>
+              ))}
+            </Callout>
+          )}
+        </React.Fragment>
+      )}
+      <div className="dialog-buttons" style={{ marginTop: 10 }}>
+        <Button onClick={hideModal}>Cancel</Button>
+        <Button
+          intent={Intent.PRIMARY}
+          onClick={handleApply}
+          disabled={!result?.changedCodons}
+        >
+          Apply
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default compose(
+  wrapDialog({
+    isDraggable: true,
+    width: 550,
+    title: "Optimize Codons"
+  }),
+  withEditorProps,
+  reduxForm({
+    form: dialogFormName,
+    initialValues: {
+      codonUsageTable: "ecoli",
+      avoidEnzymes: [],
+      maxHomopolymer: 6,
+      gcWindowSize: 50,
+      minGc: 30,
+      maxGc: 70
+    }
+  }),
+  tgFormValues(
+    "codonUsageTable",
+    "avoidEnzymes",
+    "avoidSequences",
+    ...numericFields.map(f => f.name)
+  )
+)(CodonOptimizationDialog);
@@ -0,0 +1,333 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { reduxForm } from "redux-form";
+import {
+  wrapDialog,
+  DataTable,
+  InputField,
+  NumericInputField,
+  tgFormValues,
+  useTableEntities
+} from "@teselagen/ui";
+import { compose } from "redux";
+import {
+  Button,
+  Callout,
+  Classes,
+  HTMLSelect,
+  Intent
+} from "@blueprintjs/core";
+import classNames from "classnames";
+import {
+  calculateTm,
+  calculateNebTm,
+  calculateSantaLuciaTm,
+  designPrimers
+} from "@teselagen/sequence-utils";
+import { getRangeLength } from "@teselagen/range-utils";
+import withEditorProps from "../../withEditorProps";
+import useTmType from "../../utils/useTmType";
+import { tryToRefocusEditor } from "../../utils/editorUtils";
+
+const dialogFormName = "DesignPrimersDialog";
+const dataTableFormName = "designedPrimerPairs";
+
+const numericFields = [
+  { name: "targetTm", label: "Target Tm (°C)" },
+  { name: "minTm", label: "Min Tm (°C)" },
+  { name: "maxTm", label: "Max Tm (°C)" },
+  { name: "maxTmDifference", label: "Max Tm Difference (°C)" },
+  { name: "minLength", label: "Min Length" },
+  { name: "optimalLength", label: "Optimal Length" },
+  { name: "maxLength", label: "Max Length" },
+  { name: "minGc", label: "Min GC %" },
+  { name: "maxGc", label: "Max GC %" },
+  { name: "gcClamp", label: "GC Clamp (3' G/C bases)" },
+  { name: "maxEndStability", label: "Max 3' Stability (kcal/mol)" },
+  { name: "minHairpinDeltaG", label: "Min Hairpin ΔG (kcal/mol)" },
+  { name: "minSelfDimerDeltaG", label: "Min Self-Dimer ΔG (kcal/mol)" },
+  { name: "minHeteroDimerDeltaG", label: "Min Hetero-Dimer ΔG (kcal/mol)" },
+  { name: "minProductSize", label: "Min Product Size" },
+  { name: "maxProductSize", label: "Max Product Size" },
+  { name: "searchWindow", label: "Search Window (bps)" }
+];
+
+const formatNumber = val => (typeof val === "number" ? val.toFixed(1) : "-");
+
+const DesignPrimersDialog = props => {
+  const {
+    sequenceData = { sequence: "" },
+    selectionLayer = {},
+    sequenceLength,
+    hideModal,
+    upsertPrimer,
+    annotationVisibilityShow,
+    primerName
+  } = props;
+  const [tmType, setTmType] = useTmType();
+  const [pairs, setPairs] = useState();
+  const { selectedEntities } = useTableEntities(dataTableFormName);
+
+  const hasSelection = selectionLayer.start > -1 && selectionLayer.end > -1;
+
+  const handleDesign = () => {
+    const options = {};
+    numericFields.forEach(({ name }) => {
+      if (props[name] !== undefined && props[name] !== "") {
+        options[name] = Number(props[name]);
+      }
+    });
+    setPairs(
+      designPrimers(sequenceData, selectionLayer, {
+        ...options,
+        calculateTm:
+          tmType === "neb_tm"
+            ? calculateNebTm
+            : tmType === "default"
+              ? calculateSantaLuciaTm
+              : calculateTm
+      }).map((pair, i) => ({ ...pair, id: String(i), rank: i + 1 }))
+    );
+  };
+
+  const handleInsertPrimers = useCallback(() => {
+    const selectedPairs = (pairs || []).filter(
+      pair => selectedEntities?.[pair.id]
+    );
+    if (!selectedPairs.length) {
+      window.toastr.warning("Please select at least one primer pair");
+      return;
+    }
+    const baseName = primerName || "Primer";
+    const primers = [];
+    selectedPairs.forEach(pair => {
+      const suffix = selectedPairs.length > 1 ? `_${pair.rank}` : "";
+      [pair.forward, pair.reverse].forEach(primer => {
+        primers.push({
+          name: `${baseName}${suffix}_${primer.forward ? "F" : "R"}`,
+          start: primer.start,
+          end: primer.end,
+          forward: primer.forward,
+          type: "primer_bind",
+          bases: primer.sequence,
+          strand: primer.forward ? 1 : -1
+        });
+      });
+    });
+    primers.forEach((primer, i) => {
+      upsertPrimer(primer, {
+        ...(i === 0 && { batchUndoStart: true }),
+        ...(i === primers.length - 1 && { batchUndoEnd: true }),
+        ...(i > 0 && i < primers.length - 1 && { batchUndoMiddle: true })
+      });
+    });
+    annotationVisibilityShow("primers");
+    window.toastr.success(`Successfully created ${primers.length} primers`);
+    hideModal();
+    tryToRefocusEditor();
+  }, [
+    pairs,
+    selectedEntities,
+    primerName,
+    upsertPrimer,
+    annotationVisibilityShow,
+    hideModal
+  ]);
+
+  const selectedCount = Object.keys(selectedEntities || {}).length;
+  const entities = useMemo(
+    () =>
+      (pairs || []).map(pair => ({
+        ...pair,
+        forwardSequence: pair.forward.sequence,
+        reverseSequence: pair.reverse.sequence,
+        forwardTm: pair.forward.tm,
+        reverseTm: pair.reverse.tm,
+        hairpinDeltaG: Math.min(
+          pair.forward.hairpinDeltaG,
+          pair.reverse.hairpinDeltaG
+        ),
+        dimerDeltaG: Math.min(
+          pair.forward.selfDimerDeltaG,
+          pair.reverse.selfDimerDeltaG,
+          pair.heteroDimerDeltaG
+        ),
+        endStability: Math.max(
+          pair.forward.endStability,
+          pair.reverse.endStability
+        )
+      })),
+    [pairs]
+  );
+
+  return (
+    <div
+      className={classNames(
+        Classes.DIALOG_BODY,
+        "tg-min-width-dialog",
+        "tg-design-primers-dialog"
+      )}
+    >
+      {hasSelection ? (
+        <div style={{ marginBottom: 10 }}>
+          Target Region: {selectionLayer.start + 1}-{selectionLayer.end + 1} (
+          {getRangeLength(selectionLayer, sequenceLength)} bps)
+        </div>
+      ) : (
+        <Callout intent={Intent.WARNING} style={{ marginBottom: 10 }}>
+          Please select the region to amplify first.
+        </Callout>
+      )}
+      <InputField
+        name="primerName"
+        label="Primer Name"
+        placeholder="Primer"
+        defaultValue=""
+      />
+      <div className="bp3-form-group">
+        <label className="bp3-label">Tm Calculation</label>
+        <HTMLSelect
+          value={tmType}
+          onChange={e => setTmType(e.target.value)}
+          options={[
+            { value: "default", label: "Santa Lucia (Default)" },
+            { value: "breslauer", label: "Breslauer" },
+            { value: "neb_tm", label: "NEB Tm" }
+          ]}
+        />
+      </div>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(3, 1fr)",
+          columnGap: 10
+        }}
+      >
+        {numericFields.map(({ name, label }) => (
+          <NumericInputField key={name} name={name} label={label} />
+        ))}
+      </div>
+      <Button
+        intent={Intent.PRIMARY}
+        disabled={!hasSelection}
+        onClick={handleDesign}
+        style={{ marginBottom: 10 }}
+      >
+        Design Primers
+      </Button>
+      {pairs &&
+        (pairs.length ? (
+          <DataTable
+            noPadding
+            withCheckboxes
+            noFullscreenButton
+            maxHeight={300}
+            formName={dataTableFormName}
+            noRouter
+            compact
+            noHeader
+            noFooter
+            withSearch={false}
+            isInfinite
+            schema={schema}
+            entities={entities}
+          />
+        ) : (
+          <Callout intent={Intent.WARNING}>
+            No primer pairs passed the checks. Try relaxing the constraints or
+            widening the search window.
+          </Callout>
+        ))}
+      <div className="dialog-buttons" style={{ marginTop: 10 }}>
+        <Button onClick={hideModal}>Cancel</Button>
+        <Button
+          intent={Intent.PRIMARY}
+          onClick={handleInsertPrimers}
+          disabled={selectedCount === 0}
+        >
+          Insert {selectedCount > 0 ? selectedCount : ""} Primer Pair
+          {selectedCount !== 1 ? "s" : ""}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const schema = {
+  fields: [
+    { path: "rank", displayName: "#", type: "number", width: 40 },
+    {
+      path: "forwardSequence",
+      displayName: "Forward (5'-3')",
+      type: "string"
+    },
+    {
+      path: "reverseSequence",
+      displayName: "Reverse (5'-3')",
+      type: "string"
+    },
+    {
+      path: "forwardTm",
+      displayName: "Tm F/R (°C)",
+      type: "number",
+      render: (val, record) =>
+        `${formatNumber(val)}/${formatNumber(record.reverseTm)}`
+    },
+    { path: "productSize", displayName: "Product", type: "number" },
+    {
+      path: "hairpinDeltaG",
+      displayName: "Hairpin ΔG",
+      type: "number",
+      render: formatNumber
+    },
+    {
+      path: "dimerDeltaG",
+      displayName: "Dimer ΔG",
+      type: "number",
+      render: formatNumber
+    },
+    {
+      path: "endStability",
+      displayName: "3' Stability",
+      type: "number",
+      render: formatNumber
+    },
+    {
+      path: "penalty",
+      displayName: "Penalty",
+      type: "number",
+      render: formatNumber
+    }
+  ]
+};
+
+export default compose(
+  wrapDialog({
+    isDraggable: true,
+    width: 850,
+    title: "Design Primers"
+  }),
+  withEditorProps,
+  reduxForm({
+    form: dialogFormName,
+    initialValues: {
+      targetTm: 60,
+      minTm: 55,
+      maxTm: 65,
+      maxTmDifference: 5,
+      minLength: 18,
+      optimalLength: 20,
+      maxLength: 27,
+      minGc: 40,
+      maxGc: 60,
+      gcClamp: 1,
+      maxEndStability: 9,
+      minHairpinDeltaG: -3,
+      minSelfDimerDeltaG: -9,
+      minHeteroDimerDeltaG: -9,
+      minProductSize: 0,
+      maxProductSize: 10000,
+      searchWindow: 50
+    }
+  }),
+  tgFormValues("primerName", ...numericFields.map(f => f.name))
+)(DesignPrimersDialog);
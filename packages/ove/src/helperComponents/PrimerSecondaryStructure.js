@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from "react";
+import { HTMLSelect, Icon, Intent } from "@blueprintjs/core";
+import {
+  getDimerStructure,
+  getHairpinStructure
+} from "@teselagen/sequence-utils";
+
+//structures more stable than these get flagged by Primer3/IDT
+export const HAIRPIN_DELTA_G_WARNING = -3;
+export const DIMER_DELTA_G_WARNING = -9;
+
+export const analyzeStructure = (getStructure, ...sequences) => {
+  try {
+    return getStructure(...sequences);
+  } catch (e) {
+    return { error: e.message };
+  }
+};
+
+function StructureResult({ title, structure, warningDeltaG }) {
+  if (!structure) {
+    return (
+      <div className="veSecondaryStructureResult">
+        <span style={{ fontWeight: 600 }}>{title}:</span> None found
+      </div>
+    );
+  }
+  if (structure.error) {
+    return (
+      <div className="veSecondaryStructureResult">
+        <span style={{ fontWeight: 600 }}>{title}:</span> {structure.error}
+      </div>
+    );
+  }
+  const isUnstable = structure.deltaG < warningDeltaG;
+  return (
+    <div className="veSecondaryStructureResult">
+      <div>
+        <span style={{ fontWeight: 600 }}>{title}:</span> ΔG{" "}
+        {structure.deltaG.toFixed(2)} kcal/mol, Tm {structure.tm.toFixed(1)}°C
+        {isUnstable && (
+          <Icon
+            style={{ marginLeft: 5 }}
+            icon="warning-sign"
+            intent={Intent.WARNING}
+            data-tip={`More stable than ${warningDeltaG} kcal/mol`}
+          />
+        )}
+      </div>
+      <pre style={{ fontSize: 11, margin: "2px 0 8px", overflowX: "auto" }}>
+        {structure.diagram.join("\n")}
+      </pre>
+    </div>
+  );
+}
+
+/**
+ * Shows the hairpin, self-dimer and (optionally) hetero-dimer a primer can form,
+ * with their delta G, Tm and pairing diagrams
+ * otherPrimers: [{id, name, sequence}] to choose the hetero-dimer partner from
+ */
+export default function PrimerSecondaryStructure({
+  sequence,
+  otherPrimers = []
+}) {
+  const [partnerId, setPartnerId] = useState();
+  const partner = otherPrimers.find(p => p.id === partnerId) || otherPrimers[0];
+
+  const hairpin = useMemo(
+    () => analyzeStructure(getHairpinStructure, sequence),
+    [sequence]
+  );
+  const selfDimer = useMemo(
+    () => analyzeStructure(getDimerStructure, sequence),
+    [sequence]
+  );
+  const heteroDimer = useMemo(
+    () =>
+      partner &&
+      analyzeStructure(getDimerStructure, sequence, partner.sequence),
+    [sequence, partner]
+  );
+
+  return (
+    <div className="veSecondaryStructure">
+      <StructureResult
+        title="Hairpin"
+        structure={hairpin}
+        warningDeltaG={HAIRPIN_DELTA_G_WARNING}
+      />
+      <StructureResult
+        title="Self-Dimer"
+        structure={selfDimer}
+        warningDeltaG={DIMER_DELTA_G_WARNING}
+      />
+      {!!otherPrimers.length && (
+        <React.Fragment>
+          <div style={{ marginBottom: 4 }}>
+            Hetero-Dimer With:{" "}
+            <HTMLSelect
+              minimal
+              value={partner.id}
+              options={otherPrimers.map(p => ({ value: p.id, label: p.name }))}
+              onChange={e => setPartnerId(e.target.value)}
+            />
+          </div>
+          <StructureResult
+            title="Hetero-Dimer"
+            structure={heteroDimer}
+            warningDeltaG={DIMER_DELTA_G_WARNING}
+          />
+        </React.Fragment>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React from "react";
-import { InputField, TextareaField } from "@teselagen/ui";
+import { InputField, TextareaField, TgHTMLSelect } from "@teselagen/ui";
 import { reduxForm } from "redux-form";
 import withEditorProps from "../../withEditorProps";
 import { compose } from "recompose";
@@ -9,6 +9,14 @@ import {
   EditReadOnlyItem
 } from "../../StatusBar";
 
+// the host the sequence is grown in, cutsites its methylation blocks get flagged
+const methylationOptions = [
+  { label: "Not Set", value: "" },
+  { label: "dam+/dcm+ (most E. coli)", value: "dam+/dcm+" },
+  { label: "dam-/dcm-", value: "dam-/dcm-" },
+  { label: "CpG (mammalian)", value: "cpg" }
+];
+
 class GeneralProperties extends React.Component {
   updateSeqDesc = val => {
     return this.props.sequenceDescriptionUpdate(val);
@@ -25,13 +33,15 @@ class GeneralProperties extends React.Component {
       beforeReadOnlyChange,
       editorName,
       disableBpEditing,
-      sequenceNameUpdate
+      sequenceNameUpdate,
+      updateMethylation
     } = this.props;
     const {
       description,
       name,
       isOligo,
       isRna,
+      methylation,
       sequence = "",
       proteinSequence = ""
     } = sequenceData || {};
@@ -62,6 +72,23 @@ class GeneralProperties extends React.Component {
           </div>
         )}
 
+        {!isProtein && !isOligo && !isRna && (
+          <div className="ve-flex-row">
+            <div className="ve-column-left bp3-label">Methylation</div>{" "}
+            <div className="ve-column-right">
+              {" "}
+              <TgHTMLSelect
+                disabled={readOnly}
+                onChange={({ target: { value } }) => {
+                  updateMethylation(value);
+                }}
+                value={methylation || ""}
+                options={methylationOptions}
+              />
+            </div>
+          </div>
+        )}
+
         {showAvailability && (
           <div className="ve-flex-row">
             <div className="ve-column-left bp3-label">
@@ -26,11 +26,9 @@ import pluralize from "pluralize";
 import { connectToEditor } from "../../withEditorProps";
 import { compose } from "recompose";
 import commands from "../../commands";
-import { sizeSchema } from "./utils";
+import { getPrimerBases, sizeSchema } from "./utils";
 import { showAddOrEditAnnotationDialog } from "../../GlobalDialogUtils";
 import { typeField } from "./typeField";
-import { getSequenceWithinRange } from "@teselagen/range-utils";
-import { getReverseComplementSequenceString } from "@teselagen/sequence-utils";
 
 const genericAnnotationProperties = ({
   annotationType,
@@ -38,7 +36,8 @@ const genericAnnotationProperties = ({
   visSubmenu,
   withTags,
   withBases,
-  additionalFooterEls
+  additionalFooterEls,
+  additionalColumns: getAdditionalColumns
 }) => {
   const annotationTypeUpper = upperFirst(annotationType);
   class AnnotationProperties extends React.Component {
@@ -138,16 +137,8 @@ const genericAnnotationProperties = ({
                 {
                   path: "bases",
                   type: "string",
-                  render: (bases, primer) => {
-                    let bps = bases;
-                    if (!bases) {
-                      bps = getSequenceWithinRange(primer, this.props.sequence);
-                      if (!primer.forward) {
-                        bps = getReverseComplementSequenceString(bps);
-                      }
-                    }
-                    return bps;
-                  }
+                  render: (bases, primer) =>
+                    getPrimerBases(primer, this.props.sequence)
                 }
               ]),
           ...(noType
@@ -201,6 +192,7 @@ const genericAnnotationProperties = ({
               ]
             : []),
           { path: "strand", type: "number" },
+          ...(getAdditionalColumns ? getAdditionalColumns(this.props) : []),
           ...additionalColumns
         ]
       };
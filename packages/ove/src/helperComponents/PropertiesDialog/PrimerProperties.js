@@ -1,14 +1,88 @@
-import { Button } from "@blueprintjs/core";
-import React from "react";
+import { Button, Icon, Intent, Popover } from "@blueprintjs/core";
+import React, { useMemo } from "react";
+import { map } from "lodash-es";
+import {
+  getDimerStructure,
+  getHairpinStructure
+} from "@teselagen/sequence-utils";
 import { primersSubmenu } from "../../MenuBar/viewSubmenu";
+import PrimerSecondaryStructure, {
+  analyzeStructure,
+  DIMER_DELTA_G_WARNING,
+  HAIRPIN_DELTA_G_WARNING
+} from "../PrimerSecondaryStructure";
+import { getPrimerBases } from "./utils";
 
 import genericAnnotationProperties from "./GenericAnnotationProperties";
+
+const formatDeltaG = structure =>
+  !structure ? "0" : structure.error ? "N/A" : structure.deltaG.toFixed(1);
+
+const SecondaryStructureCell = ({ primer, primers, sequence }) => {
+  const bases = getPrimerBases(primer, sequence);
+  const hairpin = useMemo(
+    () => analyzeStructure(getHairpinStructure, bases),
+    [bases]
+  );
+  const selfDimer = useMemo(
+    () => analyzeStructure(getDimerStructure, bases),
+    [bases]
+  );
+  const isUnstable =
+    hairpin?.deltaG < HAIRPIN_DELTA_G_WARNING ||
+    selfDimer?.deltaG < DIMER_DELTA_G_WARNING;
+  const otherPrimers = map(primers, p => p)
+    .filter(p => p.id !== primer.id)
+    .map(p => ({
+      id: p.id,
+      name: p.name,
+      sequence: getPrimerBases(p, sequence)
+    }));
+  return (
+    <Popover
+      content={
+        <div style={{ padding: 10, maxWidth: 500 }}>
+          <PrimerSecondaryStructure
+            sequence={bases}
+            otherPrimers={otherPrimers}
+          />
+        </div>
+      }
+    >
+      <span style={{ cursor: "pointer" }} onClick={e => e.stopPropagation()}>
+        {formatDeltaG(hairpin)} / {formatDeltaG(selfDimer)}
+        {isUnstable && (
+          <Icon
+            style={{ marginLeft: 4 }}
+            icon="warning-sign"
+            intent={Intent.WARNING}
+          />
+        )}
+      </span>
+    </Popover>
+  );
+};
+
 export default genericAnnotationProperties({
   annotationType: "primer",
   noColor: true,
   visSubmenu: primersSubmenu,
   noType: true,
   withBases: true,
+  additionalColumns: props => [
+    {
+      path: "secondaryStructure",
+      displayName: "Hairpin/Self-Dimer ΔG",
+      type: "string",
+      render: (val, primer) => (
+        <SecondaryStructureCell
+          primer={primer}
+          primers={props.primers}
+          sequence={props.sequence}
+        />
+      )
+    }
+  ],
   additionalFooterEls: props => {
     return (
       <Button onClick={props.createNewPCR} intent="success">
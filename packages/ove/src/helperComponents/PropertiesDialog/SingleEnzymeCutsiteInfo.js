@@ -8,7 +8,8 @@ const schema = {
   fields: [
     { path: "topSnipPosition", displayName: "Top Snip", type: "string" },
     { path: "position", type: "string" },
-    { path: "strand", type: "string" }
+    { path: "strand", type: "string" },
+    { path: "methylation", type: "string" }
   ]
 };
 
@@ -49,7 +50,9 @@ export default function SingleEnzymeCutsiteInfo({
             id,
             topSnipBeforeBottom,
             topSnipPosition,
-            bottomSnipPosition
+            bottomSnipPosition,
+            methylationEffect,
+            methylationTypes = []
           }) => {
             return {
               id,
@@ -62,7 +65,10 @@ export default function SingleEnzymeCutsiteInfo({
                   ? "Palindromic"
                   : forward
                     ? "1"
-                    : "-1"
+                    : "-1",
+              methylation: methylationEffect
+                ? `${methylationEffect} (${methylationTypes.join(", ")})`
+                : ""
             };
           }
         ),
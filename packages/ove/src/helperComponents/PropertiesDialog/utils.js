@@ -1,6 +1,19 @@
 import React from "react";
-import { convertDnaCaretPositionOrRangeToAA } from "@teselagen/sequence-utils";
-import { convertRangeTo1Based } from "@teselagen/range-utils";
+import {
+  convertDnaCaretPositionOrRangeToAA,
+  getReverseComplementSequenceString
+} from "@teselagen/sequence-utils";
+import {
+  convertRangeTo1Based,
+  getSequenceWithinRange
+} from "@teselagen/range-utils";
+
+//primers without their own bases bind exactly to the sequence they sit on
+export const getPrimerBases = (primer, sequence) => {
+  if (primer.bases) return primer.bases;
+  const bps = getSequenceWithinRange(primer, sequence);
+  return primer.forward ? bps : getReverseComplementSequenceString(bps);
+};
 
 export const sizeSchema = isProtein => ({
   path: "size",
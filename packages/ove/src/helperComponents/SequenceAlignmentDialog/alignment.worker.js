@@ -0,0 +1,18 @@
+/* eslint-env worker */
+import { multipleSequenceAlignment } from "@teselagen/sequence-utils";
+
+//runs an alignment off the main thread, posting {type: "progress" | "done" | "error"} messages back
+self.onmessage = ({ data: { sequences, alignmentOptions } }) => {
+  try {
+    const { alignedSequences, guideTree } = multipleSequenceAlignment(
+      sequences,
+      {
+        ...alignmentOptions,
+        onProgress: progress => self.postMessage({ type: "progress", progress })
+      }
+    );
+    self.postMessage({ type: "done", alignedSequences, guideTree });
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};
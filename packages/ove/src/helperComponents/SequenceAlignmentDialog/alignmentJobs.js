@@ -0,0 +1,123 @@
+import { store } from "@risingstack/react-easy-state";
+import { multipleSequenceAlignment } from "@teselagen/sequence-utils";
+
+// the alignment running (or last run) in each editor, by editorName: {isAligning, progress, alignmentOptions, alignedSequences, guideTree, error}
+// kept outside the dialog so it carries on when the dialog unmounts, eg. while switching MultiTabEditor tabs
+export const alignmentJobs = store({});
+const cancelsByEditorName = {};
+
+//resolves with {alignedSequences, guideTree}, cancel() stops the alignment and rejects with an isCancelled error
+function runAlignment(sequences, alignmentOptions, onProgress) {
+  let rejectAlignment;
+  let stopAlignment;
+  const promise = new Promise((resolve, reject) => {
+    rejectAlignment = reject;
+    if (typeof Worker === "undefined") {
+      //no web workers (eg. server side or in tests), align on the main thread instead
+      const timeout = setTimeout(() => {
+        try {
+          resolve(
+            multipleSequenceAlignment(sequences, {
+              ...alignmentOptions,
+              onProgress
+            })
+          );
+        } catch (e) {
+          reject(e);
+        }
+      });
+      stopAlignment = () => clearTimeout(timeout);
+      return;
+    }
+    const worker = new Worker(
+      new URL("./alignment.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    stopAlignment = () => worker.terminate();
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        onProgress(data.progress);
+        return;
+      }
+      worker.terminate();
+      if (data.type === "done") {
+        resolve({
+          alignedSequences: data.alignedSequences,
+          guideTree: data.guideTree
+        });
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = e => {
+      worker.terminate();
+      reject(new Error(e.message));
+    };
+    worker.postMessage({ sequences, alignmentOptions });
+  });
+  const cancel = () => {
+    stopAlignment();
+    const error = new Error("Alignment cancelled");
+    error.isCancelled = true;
+    rejectAlignment(error);
+  };
+  return { promise, cancel };
+}
+
+/**
+ * Align the sequences in a Web Worker, replacing any alignment already running in the editor
+ * Resolves with {alignedSequences, guideTree}, or undefined if the alignment was cancelled
+ */
+export function startAlignmentJob(editorName, sequences, alignmentOptions) {
+  cancelAlignmentJob(editorName);
+  alignmentJobs[editorName] = {
+    isAligning: true,
+    progress: 0,
+    alignmentOptions
+  };
+  let isCancelled = false;
+  const { promise, cancel } = runAlignment(
+    sequences,
+    alignmentOptions,
+    progress => !isCancelled && (alignmentJobs[editorName].progress = progress)
+  );
+  cancelsByEditorName[editorName] = () => {
+    isCancelled = true;
+    cancel();
+  };
+  return promise.then(
+    ({ alignedSequences, guideTree }) => {
+      if (isCancelled) return;
+      delete cancelsByEditorName[editorName];
+      alignmentJobs[editorName] = {
+        progress: 1,
+        alignmentOptions,
+        alignedSequences,
+        guideTree
+      };
+      window.toastr.success(`Aligned ${alignedSequences.length} sequences`);
+      return { alignedSequences, guideTree };
+    },
+    e => {
+      if (isCancelled) return;
+      delete cancelsByEditorName[editorName];
+      alignmentJobs[editorName] = {
+        alignmentOptions,
+        error: `Alignment error: ${e.message}`
+      };
+    }
+  );
+}
+
+export function cancelAlignmentJob(editorName) {
+  if (cancelsByEditorName[editorName]) {
+    cancelsByEditorName[editorName]();
+    delete cancelsByEditorName[editorName];
+    delete alignmentJobs[editorName];
+  }
+}
+
+export function clearAlignmentJob(editorName) {
+  cancelAlignmentJob(editorName);
+  delete alignmentJobs[editorName];
+}
@@ -8,21 +8,53 @@ import {
   RadioGroup,
   Radio,
   Callout,
-  Spinner
+  Spinner,
+  HTMLSelect,
+  NumericInput,
+  ProgressBar
 } from "@blueprintjs/core";
 import { compose } from "recompose";
+import { view } from "@risingstack/react-easy-state";
 import { connect } from "react-redux";
 import { reduxForm } from "redux-form";
 import { wrapDialog } from "@teselagen/ui";
+import {
+  getAlignmentConsensus,
+  proteinAlphabet,
+  substitutionMatrices
+} from "@teselagen/sequence-utils";
+import shortid from "shortid";
 import withEditorProps from "../../withEditorProps";
+import useAAColorType from "../../utils/useAAColorType";
+import {
+  alignmentJobs,
+  startAlignmentJob,
+  cancelAlignmentJob,
+  clearAlignmentJob
+} from "./alignmentJobs";
 import "./style.css";
 
 const dialogFormName = "SequenceAlignmentDialog";
 
+const dnaChars = /[^ACGTURYKMSWBDHVN-]/gi;
+const proteinChars = new RegExp(
+  `[^${Object.keys(proteinAlphabet).join("")}*-]`,
+  "gi"
+);
+
+const defaultGapPenalties = {
+  dna: { gapOpen: -4, gapExtend: -1 },
+  protein: { gapOpen: -11, gapExtend: -1 }
+};
+
+function cleanSequence(sequence, isProtein) {
+  return sequence.toUpperCase().replace(isProtein ? proteinChars : dnaChars, "");
+}
+
 /**
  * Parse FASTA format sequences
  */
-function parseFasta(fastaText) {
+function parseFasta(fastaText, isProtein) {
   const sequences = [];
   const lines = fastaText.trim().split("\n");
   let currentName = "";
@@ -34,7 +66,7 @@ function parseFasta(fastaText) {
       if (currentName && currentSequence) {
         sequences.push({
           name: currentName,
-          sequence: currentSequence.toUpperCase().replace(/[^ACGTURYKMSWBDHVN-]/gi, "")
+          sequence: cleanSequence(currentSequence, isProtein)
         });
       }
       currentName = trimmedLine.slice(1).trim() || `Sequence_${sequences.length + 1}`;
@@ -47,7 +79,7 @@ function parseFasta(fastaText) {
   if (currentName && currentSequence) {
     sequences.push({
       name: currentName,
-      sequence: currentSequence.toUpperCase().replace(/[^ACGTURYKMSWBDHVN-]/gi, "")
+      sequence: cleanSequence(currentSequence, isProtein)
     });
   }
 
@@ -57,12 +89,12 @@ function parseFasta(fastaText) {
 /**
  * Parse plain sequences (one per line)
  */
-function parsePlainSequences(text) {
+function parsePlainSequences(text, isProtein) {
   const sequences = [];
   const lines = text.trim().split(/[\n\r]+/);
 
   for (let i = 0; i < lines.length; i++) {
-    const seq = lines[i].trim().toUpperCase().replace(/[^ACGTURYKMSWBDHVN-]/gi, "");
+    const seq = cleanSequence(lines[i].trim(), isProtein);
     if (seq.length > 0) {
       sequences.push({
         name: `Sequence_${sequences.length + 1}`,
@@ -74,120 +106,6 @@ function parsePlainSequences(text) {
   return sequences;
 }
 
-/**
- * Simple pairwise alignment using Needleman-Wunsch algorithm
- */
-function needlemanWunsch(seq1, seq2, match = 2, mismatch = -1, gap = -2) {
-  const m = seq1.length;
-  const n = seq2.length;
-
-  const score = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-  const traceback = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-
-  for (let i = 0; i <= m; i++) {
-    score[i][0] = i * gap;
-    traceback[i][0] = 1;
-  }
-  for (let j = 0; j <= n; j++) {
-    score[0][j] = j * gap;
-    traceback[0][j] = 2;
-  }
-
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      const matchScore = score[i-1][j-1] + (seq1[i-1] === seq2[j-1] ? match : mismatch);
-      const deleteScore = score[i-1][j] + gap;
-      const insertScore = score[i][j-1] + gap;
-
-      if (matchScore >= deleteScore && matchScore >= insertScore) {
-        score[i][j] = matchScore;
-        traceback[i][j] = 0;
-      } else if (deleteScore >= insertScore) {
-        score[i][j] = deleteScore;
-        traceback[i][j] = 1;
-      } else {
-        score[i][j] = insertScore;
-        traceback[i][j] = 2;
-      }
-    }
-  }
-
-  let alignedSeq1 = "";
-  let alignedSeq2 = "";
-  let i = m;
-  let j = n;
-
-  while (i > 0 || j > 0) {
-    if (i > 0 && j > 0 && traceback[i][j] === 0) {
-      alignedSeq1 = seq1[i-1] + alignedSeq1;
-      alignedSeq2 = seq2[j-1] + alignedSeq2;
-      i--;
-      j--;
-    } else if (i > 0 && traceback[i][j] === 1) {
-      alignedSeq1 = seq1[i-1] + alignedSeq1;
-      alignedSeq2 = "-" + alignedSeq2;
-      i--;
-    } else {
-      alignedSeq1 = "-" + alignedSeq1;
-      alignedSeq2 = seq2[j-1] + alignedSeq2;
-      j--;
-    }
-  }
-
-  return { alignedSeq1, alignedSeq2, score: score[m][n] };
-}
-
-/**
- * Multiple sequence alignment using progressive alignment
- */
-function multipleSequenceAlignment(sequences) {
-  if (sequences.length < 2) return sequences;
-
-  const reference = sequences[0];
-  const alignedSequences = [{ ...reference, alignedSequence: reference.sequence }];
-
-  for (let i = 1; i < sequences.length; i++) {
-    const { alignedSeq1, alignedSeq2 } = needlemanWunsch(
-      alignedSequences[0].alignedSequence,
-      sequences[i].sequence
-    );
-
-    if (alignedSeq1.length > alignedSequences[0].alignedSequence.length) {
-      const gapPositions = [];
-      let origPos = 0;
-      for (let j = 0; j < alignedSeq1.length; j++) {
-        if (alignedSeq1[j] === "-" && (origPos >= alignedSequences[0].alignedSequence.length || alignedSequences[0].alignedSequence[origPos] !== "-")) {
-          gapPositions.push(j);
-        } else {
-          origPos++;
-        }
-      }
-
-      for (let k = 0; k < alignedSequences.length; k++) {
-        let newSeq = alignedSequences[k].alignedSequence;
-        for (const pos of gapPositions.reverse()) {
-          newSeq = newSeq.slice(0, pos) + "-" + newSeq.slice(pos);
-        }
-        alignedSequences[k].alignedSequence = newSeq;
-      }
-    }
-
-    alignedSequences.push({
-      ...sequences[i],
-      alignedSequence: alignedSeq2
-    });
-  }
-
-  const maxLen = Math.max(...alignedSequences.map(s => s.alignedSequence.length));
-  for (const seq of alignedSequences) {
-    while (seq.alignedSequence.length < maxLen) {
-      seq.alignedSequence += "-";
-    }
-  }
-
-  return alignedSequences;
-}
-
 /**
  * Calculate alignment statistics
  */
@@ -223,7 +141,7 @@ function calculateStats(alignedSequences) {
 }
 
 /**
- * Generate consensus line
+ * Generate the conservation line, * marking the columns every sequence agrees on
  */
 function generateConsensusLine(alignedSequences) {
   if (alignedSequences.length < 2) return "";
@@ -249,10 +167,16 @@ function generateConsensusLine(alignedSequences) {
 
 /**
  * Alignment Result Display Component
+ * amino acids are colored the same way as translations (by hydrophobicity or family)
  */
-function AlignmentResultDisplay({ alignedSequences }) {
+function AlignmentResultDisplay({ alignedSequences, isProtein }) {
+  const [aaColorType] = useAAColorType();
   const stats = calculateStats(alignedSequences);
   const consensusLine = generateConsensusLine(alignedSequences);
+  const consensusSequence = getAlignmentConsensus(
+    alignedSequences.map(s => s.alignedSequence),
+    { keepGaps: true, isProtein }
+  );
   const maxNameLen = Math.max(...alignedSequences.map(s => s.name.length), 10);
 
   // Split into blocks of 60 characters for display
@@ -295,10 +219,14 @@ function AlignmentResultDisplay({ alignedSequences }) {
                     const isGap = base === "-";
                     const pos = block.start + i;
                     const isMatch = alignedSequences.every(s => s.alignedSequence[pos] === base || s.alignedSequence[pos] === "-");
+                    const aminoAcid = isProtein && proteinAlphabet[base];
                     return (
                       <span
                         key={i}
-                        className={`tg-base ${isGap ? "tg-gap" : ""} ${!isGap && isMatch ? "tg-match" : ""} ${!isGap && !isMatch ? "tg-mismatch" : ""}`}
+                        className={`tg-base ${isGap ? "tg-gap" : ""} ${!isGap && !aminoAcid && isMatch ? "tg-match" : ""} ${!isGap && !aminoAcid && !isMatch ? "tg-mismatch" : ""}`}
+                        style={aminoAcid ? {
+                          background: aaColorType === "byHydrophobicity" ? aminoAcid.color : aminoAcid.colorByFamily
+                        } : undefined}
                       >
                         {base}
                       </span>
@@ -313,6 +241,18 @@ function AlignmentResultDisplay({ alignedSequences }) {
                 {consensusLine.slice(block.start, block.end)}
               </span>
             </div>
+            <div className="tg-alignment-row tg-consensus-sequence-row">
+              <span className="tg-seq-name" style={{ width: maxNameLen * 8 + 10 }}>
+                Consensus
+              </span>
+              <span className="tg-seq-data">
+                {consensusSequence.slice(block.start, block.end).split("").map((base, i) => (
+                  <span key={i} className={`tg-base ${base === "-" ? "tg-gap" : ""}`}>
+                    {base}
+                  </span>
+                ))}
+              </span>
+            </div>
           </div>
         ))}
       </div>
@@ -322,68 +262,104 @@ function AlignmentResultDisplay({ alignedSequences }) {
 
 function SequenceAlignmentDialog({
   hideDialog,
-  sequenceData
+  editorName,
+  sequenceData,
+  createNewAlignment,
+  upsertAlignmentRun
 }) {
   const [inputText, setInputText] = useState("");
   const [inputFormat, setInputFormat] = useState("fasta");
-  const [alignmentResult, setAlignmentResult] = useState(null);
-  const [error, setError] = useState(null);
-  const [isAligning, setIsAligning] = useState(false);
+  const [parseError, setParseError] = useState(null);
   const [includeCurrentSeq, setIncludeCurrentSeq] = useState(true);
+  const [circular, setCircular] = useState(!!sequenceData?.circular);
+  const [sequenceType, setSequenceType] = useState(
+    sequenceData?.isProtein ? "protein" : "dna"
+  );
+  const [substitutionMatrix, setSubstitutionMatrix] = useState("BLOSUM62");
+  const [guideTreeMethod, setGuideTreeMethod] = useState("upgma");
+  const [gapOpen, setGapOpen] = useState(defaultGapPenalties[sequenceType].gapOpen);
+  const [gapExtend, setGapExtend] = useState(defaultGapPenalties[sequenceType].gapExtend);
+  const [aaColorType] = useAAColorType();
+  const isProtein = sequenceType === "protein";
+  // the alignment lives outside of the dialog so that it keeps running while the dialog is closed
+  const alignmentJob = alignmentJobs[editorName] || {};
+  const { isAligning, progress, alignedSequences: alignmentResult, guideTree } = alignmentJob;
+  const resultIsProtein = !!alignmentJob.alignmentOptions?.substitutionMatrix;
+  const error = parseError || alignmentJob.error;
+  const currentSequence = isProtein
+    ? sequenceData?.isProtein && sequenceData.proteinSequence
+    : !sequenceData?.isProtein && sequenceData?.sequence;
+
+  const handleSequenceTypeChange = useCallback(e => {
+    const newSequenceType = e.target.value;
+    setSequenceType(newSequenceType);
+    setGapOpen(defaultGapPenalties[newSequenceType].gapOpen);
+    setGapExtend(defaultGapPenalties[newSequenceType].gapExtend);
+  }, []);
 
   const handleAlign = useCallback(() => {
-    setError(null);
-    setIsAligning(true);
+    setParseError(null);
 
     try {
       let parsedSequences = [];
       if (inputFormat === "fasta") {
-        parsedSequences = parseFasta(inputText);
+        parsedSequences = parseFasta(inputText, isProtein);
       } else {
-        parsedSequences = parsePlainSequences(inputText);
+        parsedSequences = parsePlainSequences(inputText, isProtein);
       }
 
       if (parsedSequences.length === 0) {
-        setError("No valid sequences found in input.");
-        setIsAligning(false);
+        setParseError("No valid sequences found in input.");
         return;
       }
 
       let sequencesToAlign = [];
-      if (includeCurrentSeq && sequenceData && sequenceData.sequence) {
+      if (includeCurrentSeq && currentSequence) {
         sequencesToAlign.push({
           name: sequenceData.name || "Current Sequence",
-          sequence: sequenceData.sequence.toUpperCase()
+          sequence: currentSequence.toUpperCase()
         });
       }
       sequencesToAlign = [...sequencesToAlign, ...parsedSequences];
 
       if (sequencesToAlign.length < 2) {
-        setError("At least 2 sequences are required for alignment.");
-        setIsAligning(false);
+        setParseError("At least 2 sequences are required for alignment.");
         return;
       }
 
-      setTimeout(() => {
-        try {
-          const aligned = multipleSequenceAlignment(sequencesToAlign);
-          setAlignmentResult(aligned);
-          setIsAligning(false);
-        } catch (err) {
-          setError(`Alignment error: ${err.message}`);
-          setIsAligning(false);
-        }
-      }, 100);
+      startAlignmentJob(editorName, sequencesToAlign, {
+        substitutionMatrix: isProtein ? substitutionMatrix : undefined,
+        gapOpen: -Math.abs(gapOpen),
+        gapExtend: -Math.abs(gapExtend),
+        guideTreeMethod,
+        circular: !isProtein && circular
+      });
     } catch (err) {
-      setError(`Parse error: ${err.message}`);
-      setIsAligning(false);
+      setParseError(`Parse error: ${err.message}`);
     }
-  }, [inputText, inputFormat, includeCurrentSeq, sequenceData]);
+  }, [
+    editorName,
+    inputText,
+    inputFormat,
+    includeCurrentSeq,
+    sequenceData,
+    currentSequence,
+    isProtein,
+    substitutionMatrix,
+    gapOpen,
+    gapExtend,
+    guideTreeMethod,
+    circular
+  ]);
 
   const handleReset = useCallback(() => {
-    setAlignmentResult(null);
-    setError(null);
-  }, []);
+    clearAlignmentJob(editorName);
+    setParseError(null);
+  }, [editorName]);
+
+  const handleCancel = useCallback(() => {
+    cancelAlignmentJob(editorName);
+  }, [editorName]);
 
   const handleExportFasta = useCallback(() => {
     if (!alignmentResult) return;
@@ -401,6 +377,49 @@ function SequenceAlignmentDialog({
     URL.revokeObjectURL(url);
   }, [alignmentResult]);
 
+  const handleOpenInAlignmentView = useCallback(() => {
+    const id = shortid();
+    const name = `${alignmentResult[0].name} Alignment`;
+    const trackIds = alignmentResult.map(() => shortid());
+    // the aligned sequences come in guide tree order, tag the tree's leaves with their tracks
+    // so the tree is only drawn while the tracks stay in that order
+    let leafIndex = 0;
+    const withTrackIds = node => node.children
+      ? { ...node, children: node.children.map(withTrackIds) }
+      : { ...node, trackId: trackIds[leafIndex++] };
+    createNewAlignment({ id, name });
+    upsertAlignmentRun({
+      id,
+      name,
+      alignmentType: "Sequence Alignment",
+      alignmentTracks: alignmentResult.map((seq, i) => ({
+        sequenceData: resultIsProtein
+          ? { id: trackIds[i], name: seq.name, proteinSequence: seq.sequence.replace(/-/g, ""), isProtein: true }
+          : { id: trackIds[i], name: seq.name, sequence: seq.sequence.replace(/-/g, "") },
+        alignmentData: {
+          sequence: seq.alignedSequence,
+          ...(seq.rotation && { rotation: seq.rotation })
+        }
+      })),
+      guideTree: guideTree && withTrackIds(guideTree),
+      ...(resultIsProtein && {
+        alignmentAnnotationVisibility: {
+          hydrophobicity: aaColorType === "byHydrophobicity",
+          colorScheme: aaColorType !== "byHydrophobicity"
+        }
+      })
+    });
+    hideDialog();
+  }, [
+    alignmentResult,
+    guideTree,
+    aaColorType,
+    createNewAlignment,
+    upsertAlignmentRun,
+    hideDialog,
+    resultIsProtein
+  ]);
+
   return (
     <>
       <div className={Classes.DIALOG_BODY}>
@@ -408,10 +427,21 @@ function SequenceAlignmentDialog({
           <>
             <Callout intent={Intent.PRIMARY} icon="info-sign" style={{ marginBottom: 15 }}>
               Enter sequences to align. You can use FASTA format or plain sequences (one per line).
-              {sequenceData?.sequence && " The current sequence can be included as reference."}
+              {currentSequence && " The current sequence can be included as reference."}
             </Callout>
 
-            {sequenceData?.sequence && (
+            <FormGroup label="Sequence Type">
+              <RadioGroup
+                inline
+                selectedValue={sequenceType}
+                onChange={handleSequenceTypeChange}
+              >
+                <Radio label="DNA/RNA" value="dna" />
+                <Radio label="Protein" value="protein" />
+              </RadioGroup>
+            </FormGroup>
+
+            {currentSequence && (
               <FormGroup>
                 <label className="bp3-control bp3-checkbox">
                   <input
@@ -425,6 +455,20 @@ function SequenceAlignmentDialog({
               </FormGroup>
             )}
 
+            {!isProtein && (
+              <FormGroup>
+                <label className="bp3-control bp3-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={circular}
+                    onChange={e => setCircular(e.target.checked)}
+                  />
+                  <span className="bp3-control-indicator" />
+                  Circular sequences (rotate each to line up with the first before aligning)
+                </label>
+              </FormGroup>
+            )}
+
             <FormGroup label="Input Format">
               <RadioGroup
                 inline
@@ -436,6 +480,44 @@ function SequenceAlignmentDialog({
               </RadioGroup>
             </FormGroup>
 
+            <div style={{ display: "flex", gap: 15 }}>
+              {isProtein && (
+                <FormGroup label="Substitution Matrix">
+                  <HTMLSelect
+                    value={substitutionMatrix}
+                    options={Object.keys(substitutionMatrices)}
+                    onChange={e => setSubstitutionMatrix(e.target.value)}
+                  />
+                </FormGroup>
+              )}
+              <FormGroup label="Guide Tree">
+                <HTMLSelect
+                  value={guideTreeMethod}
+                  options={[
+                    { label: "UPGMA", value: "upgma" },
+                    { label: "Neighbor Joining", value: "nj" }
+                  ]}
+                  onChange={e => setGuideTreeMethod(e.target.value)}
+                />
+              </FormGroup>
+              <FormGroup label="Gap Open Penalty">
+                <NumericInput
+                  style={{ width: 60 }}
+                  min={0}
+                  value={Math.abs(gapOpen)}
+                  onValueChange={val => setGapOpen(-val)}
+                />
+              </FormGroup>
+              <FormGroup label="Gap Extend Penalty">
+                <NumericInput
+                  style={{ width: 60 }}
+                  min={0}
+                  value={Math.abs(gapExtend)}
+                  onValueChange={val => setGapExtend(-val)}
+                />
+              </FormGroup>
+            </div>
+
             <FormGroup
               label="Sequences"
               helperText={inputFormat === "fasta"
@@ -449,11 +531,23 @@ function SequenceAlignmentDialog({
                 value={inputText}
                 onChange={e => setInputText(e.target.value)}
                 placeholder={inputFormat === "fasta"
-                  ? ">Sequence1\nATCGATCGATCG\n>Sequence2\nATCGATCGATCG"
-                  : "ATCGATCGATCG\nATCGATTGATCG"}
+                  ? isProtein
+                    ? ">Protein1\nMKTAYIAKQRQISFVKSHFSRQ\n>Protein2\nMKTAYIAKQRQISFVKAHFSRQ"
+                    : ">Sequence1\nATCGATCGATCG\n>Sequence2\nATCGATCGATCG"
+                  : isProtein
+                    ? "MKTAYIAKQRQISFVKSHFSRQ\nMKTAYIAKQRQISFVKAHFSRQ"
+                    : "ATCGATCGATCG\nATCGATTGATCG"}
               />
             </FormGroup>
 
+            {isAligning && (
+              <div className="tg-alignment-progress">
+                <ProgressBar intent={Intent.PRIMARY} value={progress} />
+                <span>{Math.floor(progress * 100)}%</span>
+                <Button small minimal icon="cross" onClick={handleCancel} text="Cancel" />
+              </div>
+            )}
+
             {error && (
               <Callout intent={Intent.DANGER} icon="error" style={{ marginTop: 10 }}>
                 {error}
@@ -475,8 +569,17 @@ function SequenceAlignmentDialog({
                 onClick={handleExportFasta}
                 text="Export FASTA"
               />
+              <Button
+                icon="align-left"
+                minimal
+                onClick={handleOpenInAlignmentView}
+                text="Open In Alignment View"
+              />
             </div>
-            <AlignmentResultDisplay alignedSequences={alignmentResult} />
+            <AlignmentResultDisplay
+              alignedSequences={alignmentResult}
+              isProtein={resultIsProtein}
+            />
           </div>
         )}
       </div>
@@ -510,5 +613,6 @@ export default compose(
   connect(),
   reduxForm({
     form: dialogFormName
-  })
+  }),
+  view
 )(SequenceAlignmentDialog);
@@ -1,6 +1,8 @@
 import {
   tidyUpSequenceData /* generateSequenceData */,
-  condensePairwiseAlignmentDifferences
+  condensePairwiseAlignmentDifferences,
+  rotateBpsToPosition,
+  rotateSequenceDataToPosition
 } from "@teselagen/sequence-utils";
 import { convertBasePosTraceToPerBpTrace } from "@teselagen/bio-parsers";
 import shortid from "shortid";
@@ -25,7 +27,9 @@ const alignmentAnnotationSettings = {
   cdsFeatureTranslations: false,
   cutsites: false,
   primers: false,
-  compactNames: false
+  compactNames: false,
+  //only offered for alignments that come with a guideTree
+  guideTree: true
 };
 
 const defaultVisibilities = {
@@ -175,24 +179,45 @@ export default (state = {}, { payload = {}, type }) => {
           addDashesForMatchStartAndEndForTracks
         );
       }
+      //a circular template can be rotated differently in each pairwise alignment (see mapSequencingReads)
+      //so turn every one back to its own origin to line them up in the overview
+      const getRotationBack = template =>
+        template.alignmentData.rotation
+          ? template.sequenceData.sequence.length -
+            template.alignmentData.rotation
+          : 0;
       const templateSeq = payloadToUse.pairwiseAlignments[0][0];
+      const templateSequenceData = tidyUpSequenceData(
+        templateSeq.sequenceData,
+        { doNotRemoveInvalidChars: true }
+      );
+      const unrotatedTemplateSequenceData = getRotationBack(templateSeq)
+        ? rotateSequenceDataToPosition(
+            templateSequenceData,
+            getRotationBack(templateSeq)
+          )
+        : templateSequenceData;
       //we need to get all of the sequences in a single alignment (turning inserts into single BP red highlights)
       const pairwiseOverviewAlignmentTracks = [
         {
           //add the template seq as the first track in the Pairwise Alignment Overview
           ...templateSeq,
-          sequenceData: tidyUpSequenceData(templateSeq.sequenceData, {
-            doNotRemoveInvalidChars: true
-          }),
-          alignmentData: { sequence: templateSeq.sequenceData.sequence } //remove the gaps from the template sequence
+          sequenceData: unrotatedTemplateSequenceData,
+          alignmentData: { sequence: unrotatedTemplateSequenceData.sequence } //remove the gaps from the template sequence
         }
       ]; // start with just the template seq in there!
 
       payloadToUse.pairwiseAlignments.forEach(([template, alignedSeq]) => {
-        const condensedSeq = condensePairwiseAlignmentDifferences(
+        let condensedSeq = condensePairwiseAlignmentDifferences(
           template.alignmentData.sequence,
           alignedSeq.alignmentData.sequence
         );
+        if (getRotationBack(template)) {
+          condensedSeq = rotateBpsToPosition(
+            condensedSeq,
+            getRotationBack(template)
+          );
+        }
         let re = /r+/gi;
         let match;
         const additionalSelectionLayers = [];
@@ -220,7 +245,7 @@ export default (state = {}, { payload = {}, type }) => {
             ...tidyUpSequenceData(alignedSeq.sequenceData, {
               doNotRemoveInvalidChars: true
             }),
-            sequence: template.sequenceData.sequence
+            sequence: unrotatedTemplateSequenceData.sequence
           },
           additionalSelectionLayers,
           alignmentData: {
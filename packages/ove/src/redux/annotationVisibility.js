@@ -29,7 +29,11 @@ export const visibilityDefaultValues = {
   sequence: true,
   reverseSequence: true,
   fivePrimeThreePrimeHints: true,
-  axisNumbers: true
+  axisNumbers: true,
+  gcContentPlot: false,
+  gcSkewPlot: false,
+  atSkewPlot: false,
+  cumulativeGcSkewPlot: false
 };
 
 // ------------------------------------
@@ -57,6 +57,86 @@ export const createNewPCR = (unused, meta) => {
     dispatch(setPanelAsActive("pcrTool", meta));
   };
 };
+export const createNewGibsonAssembly = (unused, meta) => {
+  return dispatch => {
+    dispatch(
+      addPanelIfItDoesntAlreadyExist(
+        {
+          id: "gibsonAssemblyTool",
+          name: "New Gibson Assembly",
+          active: true,
+          canClose: true
+        },
+        meta
+      )
+    );
+    dispatch(setPanelAsActive("gibsonAssemblyTool", meta));
+  };
+};
+export const createNewGoldenGateAssembly = (unused, meta) => {
+  return dispatch => {
+    dispatch(
+      addPanelIfItDoesntAlreadyExist(
+        {
+          id: "goldenGateAssemblyTool",
+          name: "New Golden Gate Assembly",
+          active: true,
+          canClose: true
+        },
+        meta
+      )
+    );
+    dispatch(setPanelAsActive("goldenGateAssemblyTool", meta));
+  };
+};
+export const createNewRestrictionCloning = (unused, meta) => {
+  return dispatch => {
+    dispatch(
+      addPanelIfItDoesntAlreadyExist(
+        {
+          id: "restrictionCloningTool",
+          name: "New Restriction Cloning",
+          active: true,
+          canClose: true
+        },
+        meta
+      )
+    );
+    dispatch(setPanelAsActive("restrictionCloningTool", meta));
+  };
+};
+export const createNewCrisprDesign = (unused, meta) => {
+  return dispatch => {
+    dispatch(
+      addPanelIfItDoesntAlreadyExist(
+        {
+          id: "crisprTool",
+          name: "New CRISPR Design",
+          active: true,
+          canClose: true
+        },
+        meta
+      )
+    );
+    dispatch(setPanelAsActive("crisprTool", meta));
+  };
+};
+export const createNewMutagenesis = (unused, meta) => {
+  return dispatch => {
+    dispatch(
+      addPanelIfItDoesntAlreadyExist(
+        {
+          id: "mutagenesisTool",
+          name: "New Mutagenesis",
+          active: true,
+          canClose: true
+        },
+        meta
+      )
+    );
+    dispatch(setPanelAsActive("mutagenesisTool", meta));
+  };
+};
 
 export const createNewAlignment = (payload, meta) => {
   return dispatch => {
@@ -1,5 +1,6 @@
 import shortid from "shortid";
 import circularSelector from "./circularSelector";
+import methylationSelector from "./methylationSelector";
 import sequenceSelector from "./sequenceSelector";
 import restrictionEnzymesSelector from "./restrictionEnzymesSelector";
 import cutsiteLabelColorSelector from "./cutsiteLabelColorSelector";
@@ -9,10 +10,16 @@ import { flatMap as flatmap, map } from "lodash-es";
 import { getCutsitesFromSequence } from "@teselagen/sequence-utils";
 import { getLowerCaseObj } from "../utils/arrayUtils";
 
-function cutsitesSelector(sequence, circular, enzymeList, cutsiteLabelColors) {
-  //get the cutsites grouped by enzyme
+function cutsitesSelector(
+  sequence,
+  circular,
+  enzymeList,
+  cutsiteLabelColors,
+  methylation
+) {
+  //get the cutsites grouped by enzyme (flagging any the host's methylation blocks)
   const cutsitesByName = getLowerCaseObj(
-    getCutsitesFromSequence(sequence, circular, map(enzymeList))
+    getCutsitesFromSequence(sequence, circular, map(enzymeList), methylation)
   );
   //tag each cutsite with a unique id
   const cutsitesById = {};
@@ -57,5 +64,6 @@ export default createSelector(
   circularSelector,
   restrictionEnzymesSelector,
   cutsiteLabelColorSelector,
+  methylationSelector,
   cutsitesSelector
 );
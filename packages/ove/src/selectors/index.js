@@ -5,6 +5,7 @@ import sequenceLengthSelector from "./sequenceLengthSelector";
 import sequenceDataSelector from "./sequenceDataSelector";
 import sequenceSelector from "./sequenceSelector";
 import circularSelector from "./circularSelector";
+import methylationSelector from "./methylationSelector";
 import orfsSelector from "./orfsSelector";
 import selectedCutsitesSelector from "./selectedCutsitesSelector";
 import filteredRestrictionEnzymesSelector from "./filteredRestrictionEnzymesSelector";
@@ -27,6 +28,7 @@ export default {
   selectedCutsitesSelector,
   orfsSelector,
   circularSelector,
+  methylationSelector,
   annotationSearchSelector,
   searchLayersSelector,
   filteredCutsitesSelector,
@@ -0,0 +1,4 @@
+import sequenceDataSelector from "./sequenceDataSelector";
+export default function (state) {
+  return sequenceDataSelector(state).methylation;
+}
@@ -0,0 +1,155 @@
+import React from "react";
+import { Classes, MenuItem } from "@blueprintjs/core";
+import classnames from "classnames";
+import { sortBy, upperFirst } from "lodash-es";
+import tgUseLocalStorageState from "tg-use-local-storage-state";
+import { getSequencePlotData } from "@teselagen/sequence-utils";
+
+// each plot is toggled through annotationVisibility[visibilityKey]
+export const sequencePlotDefs = [
+  {
+    plotType: "gcContent",
+    visibilityKey: "gcContentPlot",
+    text: "GC Content (%)",
+    color: "#3498db"
+  },
+  {
+    plotType: "gcSkew",
+    visibilityKey: "gcSkewPlot",
+    text: "GC Skew",
+    color: "#2ca02c",
+    negativeColor: "#9467bd"
+  },
+  {
+    plotType: "atSkew",
+    visibilityKey: "atSkewPlot",
+    text: "AT Skew",
+    color: "#ff7f0e",
+    negativeColor: "#8c564b"
+  },
+  {
+    plotType: "cumulativeGcSkew",
+    visibilityKey: "cumulativeGcSkewPlot",
+    text: "Cumulative GC Skew",
+    color: "#2ca02c",
+    negativeColor: "#9467bd"
+  }
+];
+export const thresholdColor = "#e74c3c";
+
+// more points than this can't be told apart on screen so the step gets stretched
+const MAX_PLOT_POINTS = 5000;
+
+export const sequencePlotPrefsDefaults = {
+  windowSize: 100,
+  stepSize: 10,
+  // GC content outside of these is hard for most vendors to synthesize
+  lowGcThreshold: 25,
+  highGcThreshold: 65
+};
+
+export const useSequencePlotPrefs = () => {
+  const [prefs, setPrefs] = tgUseLocalStorageState("sequencePlotPrefs", {
+    defaultValue: sequencePlotPrefsDefaults
+  });
+  return [{ ...sequencePlotPrefsDefaults, ...prefs }, setPrefs];
+};
+
+// the row view draws every row separately so only redo the sliding window when something changes
+const plotDataCache = {};
+export function getSequencePlotPoints({
+  sequence = "",
+  plotType,
+  circular,
+  windowSize,
+  stepSize
+}) {
+  stepSize = Math.max(stepSize, Math.ceil(sequence.length / MAX_PLOT_POINTS));
+  const key = [plotType, circular, windowSize, stepSize].join("-");
+  const cached = plotDataCache[key];
+  if (cached && cached.sequence === sequence) return cached;
+  // windows wrapping the origin have their middle near the start so order them by position
+  const points = sortBy(
+    getSequencePlotData(sequence, {
+      plotType,
+      circular,
+      windowSize,
+      stepSize
+    }),
+    "position"
+  );
+  // GC content is always drawn 0-100% and skews -1 to 1 so plots of different sequences compare
+  let min = plotType === "gcContent" ? 0 : -1;
+  let max = plotType === "gcContent" ? 100 : 1;
+  if (plotType === "cumulativeGcSkew") {
+    min = Math.min(0, ...points.map(p => p.value));
+    max = Math.max(0, ...points.map(p => p.value));
+    if (min === max) max = 1;
+  }
+  plotDataCache[key] = { sequence, points, min, max };
+  return plotDataCache[key];
+}
+
+export function isOutsideGcThreshold(plotType, value, prefs) {
+  return (
+    plotType === "gcContent" &&
+    (value < prefs.lowGcThreshold || value > prefs.highGcThreshold)
+  );
+}
+
+const prefInputs = [
+  { key: "windowSize", text: "Window Size (bps)", min: 1 },
+  { key: "stepSize", text: "Step Size (bps)", min: 1 },
+  { key: "lowGcThreshold", text: "Low GC Threshold (%)", min: 0 },
+  { key: "highGcThreshold", text: "High GC Threshold (%)", min: 0 }
+];
+
+function SequencePlotSettings(props) {
+  const [prefs, setPrefs] = useSequencePlotPrefs();
+  return (
+    <MenuItem {...props} icon="blank" text="Plot Settings">
+      {prefInputs.map(({ key, text, min }) => (
+        <MenuItem
+          key={key}
+          shouldDismissPopover={false}
+          text={
+            <div
+              data-test={`sequence-plot-${key}`}
+              style={{ display: "flex", justifyContent: "space-between" }}
+            >
+              {text}:
+              <input
+                type="number"
+                min={min}
+                style={{ width: 70, marginLeft: 10 }}
+                className={classnames(Classes.INPUT, Classes.SMALL)}
+                onChange={event => {
+                  const value = parseInt(event.target.value, 10);
+                  if (!(value >= min)) return;
+                  setPrefs({ ...prefs, [key]: value });
+                }}
+                value={prefs[key]}
+              />
+            </div>
+          }
+        />
+      ))}
+    </MenuItem>
+  );
+}
+
+export const sequencePlotsMenu = {
+  text: "GC Content/Skew Plots",
+  cmd: "sequencePlotsMenu",
+  submenu: [
+    ...sequencePlotDefs.map(({ visibilityKey }) => ({
+      cmd: `toggle${upperFirst(visibilityKey)}`,
+      shouldDismissPopover: false
+    })),
+    {
+      text: "Plot Settings",
+      component: SequencePlotSettings,
+      shouldDismissPopover: false
+    }
+  ]
+};
@@ -1040,6 +1040,9 @@ function VectorInteractionHOC(Component /* options */) {
                     });
                   }
                 },
+                ...(annotation.type === "CDS"
+                  ? ["optimizeCodons", "siteDirectedMutagenesis"]
+                  : []),
                 "showRemoveDuplicatesDialogFeatures",
                 "--"
               ]),
@@ -1,8 +1,16 @@
 import { getFeatureToColorMap } from "@teselagen/sequence-utils";
 import {
   anyToJson,
+  anyAlignmentToJson,
+  jsonToAlignedFasta,
+  jsonToClustal,
+  jsonToPhylip,
+  jsonToStockholm,
   jsonToGenbank,
   jsonToFasta,
+  jsonToSnapgene,
+  jsonToSbol,
+  jsonsToZip,
   cleanUpTeselagenJsonForExport
 } from "@teselagen/bio-parsers";
 import FileSaver from "file-saver";
@@ -228,6 +236,15 @@ export const updateCircular = props => async isCircular => {
   _updateCircular(isCircular, { batchUndoEnd: true });
 };
 
+// the host strain's methylation (see getMethylatedPositions), used to flag cutsites it blocks
+export const updateMethylation = props => methylation => {
+  const { updateSequenceData, sequenceData } = props;
+  updateSequenceData({
+    ...sequenceData,
+    methylation: methylation || undefined
+  });
+};
+
 export const importSequenceFromFile =
   props =>
   async (file, opts = {}) => {
@@ -287,6 +304,7 @@ export const importSequenceFromFile =
 export const exportSequenceToFile = props => (format, options) => {
   const { sequenceData } = props;
   let convert, fileExt;
+  let blobType = "text/plain";
 
   if (format === "genbank") {
     convert = jsonToGenbank;
@@ -300,18 +318,136 @@ export const exportSequenceToFile = props => (format, options) => {
   } else if (format === "fasta") {
     convert = jsonToFasta;
     fileExt = "fasta";
+  } else if (format === "snapgene") {
+    convert = jsonToSnapgene;
+    fileExt = sequenceData.isProtein ? "prot" : "dna";
+    blobType = "application/octet-stream";
+  } else if (format === "sbol") {
+    convert = jsonToSbol;
+    fileExt = "xml";
   } else {
     console.error(`Invalid export format: '${format}'`); // dev error
     return;
   }
   const blob = new Blob([convert(sequenceData, options)], {
-    type: "text/plain"
+    type: blobType
   });
   const filename = `${sequenceData.name || "Untitled_Sequence"}.${fileExt}`;
   FileSaver.saveAs(blob, filename);
   window.toastr.success("File Downloaded Successfully");
 };
 
+/**
+ * Downloads several sequences at once, either as a single multi-record
+ * genbank/fasta file or as a zip holding one file per sequence
+ * @param {Object[]} sequences - sequence data of each sequence to export
+ * @param {string} format - "genbank", "fasta" or "zip"
+ * @param {Object} options
+ * @param {string} options.zipFormat - format of the files inside the zip (see jsonsToZip)
+ * @param {string} options.fileName - name of the downloaded file, without extension
+ */
+export const exportSequencesToFile = (
+  sequences,
+  format,
+  { zipFormat = "genbank", fileName = "sequences", ...options } = {}
+) => {
+  if (!sequences.length) {
+    window.toastr.warning("No sequences to export");
+    return;
+  }
+  let contents, fileExt;
+  let blobType = "text/plain";
+  try {
+    if (format === "genbank") {
+      contents = jsonToGenbank(sequences, options);
+      fileExt = "gb";
+    } else if (format === "fasta") {
+      contents = jsonToFasta(sequences, options);
+      fileExt = "fasta";
+    } else if (format === "zip") {
+      contents = jsonsToZip(sequences, { ...options, format: zipFormat });
+      fileExt = "zip";
+      blobType = "application/zip";
+    } else {
+      console.error(`Invalid export format: '${format}'`); // dev error
+      return;
+    }
+  } catch (e) {
+    console.error(e);
+    window.toastr.error(`Error exporting sequences: ${e.message}`);
+    return;
+  }
+  FileSaver.saveAs(
+    new Blob([contents], { type: blobType }),
+    `${fileName}.${fileExt}`
+  );
+  window.toastr.success("File Downloaded Successfully");
+};
+
+const alignmentExporters = {
+  clustal: { convert: jsonToClustal, fileExt: "aln" },
+  stockholm: { convert: jsonToStockholm, fileExt: "sto" },
+  phylip: { convert: jsonToPhylip, fileExt: "phy" },
+  alignedFasta: { convert: jsonToAlignedFasta, fileExt: "fasta" }
+};
+
+/**
+ * Downloads an alignment (its tracks with their gaps) for use in other tools
+ * @param {Object} alignment - {name, alignmentTracks}
+ * @param {string} format - "clustal", "stockholm", "phylip" or "alignedFasta"
+ */
+export const exportAlignmentToFile = (alignment, format, options) => {
+  const exporter = alignmentExporters[format];
+  if (!exporter) {
+    console.error(`Invalid alignment export format: '${format}'`); // dev error
+    return;
+  }
+  FileSaver.saveAs(
+    new Blob([exporter.convert(alignment, options)], { type: "text/plain" }),
+    `${alignment.name || "Alignment"}.${exporter.fileExt}`
+  );
+  window.toastr.success("File Downloaded Successfully");
+};
+
+/**
+ * Opens the alignments in a Clustal, Stockholm, PHYLIP or aligned fasta file in
+ * new alignment tabs
+ */
+export const importAlignmentFromFile = props => async file => {
+  const { createNewAlignment, upsertAlignmentRun } = props;
+  const results = anyAlignmentToJson(await file.text(), {
+    fileName: file.name
+  });
+  results.forEach(({ success, messages, parsedAlignment }) => {
+    if (!success) {
+      messages.forEach(msg => window.toastr.error(msg));
+      return;
+    }
+    const {
+      name = "Imported Alignment",
+      isProtein,
+      alignmentTracks
+    } = parsedAlignment;
+    const id = shortid();
+    createNewAlignment({ id, name });
+    upsertAlignmentRun({
+      id,
+      name,
+      alignmentType: "Imported Alignment",
+      alignmentTracks: alignmentTracks.map(track => ({
+        ...track,
+        sequenceData: { ...track.sequenceData, id: shortid() }
+      })),
+      ...(isProtein && {
+        alignmentAnnotationVisibility: {
+          hydrophobicity: true,
+          colorScheme: false
+        }
+      })
+    });
+  });
+};
+
 /**
  * This function basically connects the wrapped component with all of the state stored in a given editor instance
  * and then some extra goodies like computed properties and namespace bound action handlers
@@ -418,8 +554,10 @@ export default compose(
   withHandlers({
     handleSave,
     importSequenceFromFile,
+    importAlignmentFromFile,
     exportSequenceToFile,
     updateCircular,
+    updateMethylation,
     //add additional "computed handlers here"
     selectAll: props => () => {
       const { sequenceLength, selectionLayerUpdate } = props;
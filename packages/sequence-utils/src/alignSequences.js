@@ -0,0 +1,421 @@
+import substitutionMatrices from "./substitutionMatrices";
+import findBestRotation from "./findBestRotation";
+import rotateBpsToPosition from "./rotateBpsToPosition";
+import rotateSequenceDataToPosition from "./rotateSequenceDataToPosition";
+
+const defaultOptions = {
+  mode: "global",
+  match: 2,
+  mismatch: -1,
+  gapOpen: -4,
+  gapExtend: -1
+};
+const modes = ["global", "local", "semiGlobal"];
+
+/**
+ * Align two sequences with affine gap scores (Gotoh) in linear memory
+ *
+ * Modes:
+ *  - "global" (Needleman-Wunsch): both sequences are aligned end to end
+ *  - "local" (Smith-Waterman): only the best scoring region of each sequence is aligned
+ *  - "semiGlobal": gaps at either end are free, so overlapping ends (or one sequence
+ *    sitting inside the other) align without being penalized for the overhangs
+ *
+ * Bases score match/mismatch unless a substitutionMatrix is given for aligning proteins,
+ * either the name of one of substitutionMatrices (BLOSUM62, BLOSUM45, PAM250) or a
+ * {A: {A: 4, R: -1, ...}, ...} table (letters missing from it score as X).
+ * A gap of length k scores gapOpen + (k - 1) * gapExtend. Only two rows of scores are kept:
+ * the best end (and start) of local/semi-global alignments are found with score-only passes,
+ * and the aligned region is then traced with Myers & Miller's affine version of Hirschberg's
+ * divide and conquer, so memory grows with the sequence lengths and not their product.
+ * Time still grows with their product, so long alignments can pass an onProgress(fraction)
+ * callback (called every percent or so) to report how far along they are.
+ *
+ * With circular: true, sequence2 is treated as circular and first rotated (see
+ * findBestRotation) so that its origin lines up with sequence1's, which stops plasmids
+ * whose origins differ from aligning as one long gap. The rotation is returned, ranges[1]
+ * is given in sequence2's own numbering (so it can wrap the origin, start > end) and the
+ * second track holds the rotated sequenceData with alignmentData.rotation set, which
+ * AlignmentView uses to number it from its own origin.
+ *
+ * @param {string|object} sequence1 - sequence string or sequenceData ({name, sequence, ...})
+ * @param {string|object} sequence2 - sequence string or sequenceData ({name, sequence, ...})
+ * @param {object} options - {mode, match, mismatch, substitutionMatrix, gapOpen, gapExtend, circular, onProgress}
+ * @returns {object} - {score, alignedSequence1, alignedSequence2, ranges, alignmentTracks, rotation}
+ *   alignedSequence1/2 are the aligned regions with "-" for gaps, ranges are the 0-based
+ *   inclusive {start, end} of each input that was aligned (empty if nothing was) and
+ *   alignmentTracks are full length [{sequenceData, alignmentData: {sequence}}] tracks
+ *   (unaligned ends padded with "-") ready to be passed to addAlignment/upsertAlignmentRun
+ * @throws {Error} Unknown alignment mode or substitution matrix.
+ */
+export default function alignSequences(sequence1, sequence2, options = {}) {
+  const {
+    mode,
+    match,
+    mismatch,
+    substitutionMatrix,
+    gapOpen,
+    gapExtend,
+    circular,
+    onProgress
+  } = {
+    ...defaultOptions,
+    ...options
+  };
+  if (!modes.includes(mode)) {
+    throw new Error(
+      `Unknown alignment mode "${mode}", expected one of ${modes.join(", ")}`
+    );
+  }
+  const scoring = getScoring({
+    match,
+    mismatch,
+    substitutionMatrix,
+    gapOpen,
+    gapExtend
+  });
+  const sequenceData1 =
+    typeof sequence1 === "string" ? { sequence: sequence1 } : sequence1;
+  let sequenceData2 =
+    typeof sequence2 === "string" ? { sequence: sequence2 } : sequence2;
+  const seq1 = sequenceData1.sequence || "";
+  let seq2 = sequenceData2.sequence || "";
+  const rotation = circular ? findBestRotation(seq1, seq2) : 0;
+  if (rotation) {
+    seq2 = rotateBpsToPosition(seq2, rotation);
+    sequenceData2 =
+      typeof sequence2 === "string"
+        ? { sequence: seq2 }
+        : rotateSequenceDataToPosition(sequenceData2, rotation);
+  }
+  const a = seq1.toUpperCase();
+  const b = seq2.toUpperCase();
+
+  // the linear space trace back fills in about twice as many cells as there are in the
+  // matrix, plus up to two more matrices' worth to find the ends of non-global alignments
+  const addCells = getProgressCounter(
+    onProgress,
+    a.length * b.length * (mode === "global" ? 2 : 4)
+  );
+
+  let start1 = 0;
+  let start2 = 0;
+  let end1 = a.length;
+  let end2 = b.length;
+  if (mode !== "global") {
+    const isLocal = mode === "local";
+    const end = findBestEnd(
+      a,
+      b,
+      scoring,
+      {
+        clampAtZero: isLocal,
+        freeLeadingGaps: true,
+        endAnywhere: isLocal
+      },
+      addCells
+    );
+    end1 = end.i;
+    end2 = end.j;
+    // walk back from the end (on the reversed prefixes) to find where it starts
+    const start = findBestEnd(
+      reverse(a.slice(0, end1)),
+      reverse(b.slice(0, end2)),
+      scoring,
+      { endAnywhere: isLocal },
+      addCells
+    );
+    start1 = end1 - start.i;
+    start2 = end2 - start.j;
+  }
+
+  const [indices1, indices2] = alignGlobal(
+    a.slice(start1, end1),
+    b.slice(start2, end2),
+    scoring,
+    addCells
+  );
+  let score = 0;
+  // which sequence the previous column had a gap in (0 for none)
+  let previousGapIn = 0;
+  let alignedSequence1 = "";
+  let alignedSequence2 = "";
+  indices1.forEach((i1, k) => {
+    const i2 = indices2[k];
+    const gapIn = i1 === -1 ? 1 : i2 === -1 ? 2 : 0;
+    if (gapIn) {
+      score += gapIn === previousGapIn ? gapExtend : gapOpen;
+    } else {
+      score += scoring.getScore(a[start1 + i1], b[start2 + i2]);
+    }
+    previousGapIn = gapIn;
+    alignedSequence1 += i1 === -1 ? "-" : seq1[start1 + i1];
+    alignedSequence2 += i2 === -1 ? "-" : seq2[start2 + i2];
+  });
+  onProgress && onProgress(1);
+
+  const leftLength = Math.max(start1, start2);
+  const rightLength = Math.max(seq1.length - end1, seq2.length - end2);
+  const toTrack = (sequenceData, sequence, start, end, alignedSequence) => ({
+    sequenceData,
+    alignmentData: {
+      sequence:
+        sequence.slice(0, start).padStart(leftLength, "-") +
+        alignedSequence +
+        sequence.slice(end).padEnd(rightLength, "-")
+    }
+  });
+  // back from the rotated sequence2 to its own numbering
+  const unrotate = position =>
+    rotation ? (position + rotation) % seq2.length : position;
+  const track2 = toTrack(sequenceData2, seq2, start2, end2, alignedSequence2);
+  if (circular) track2.alignmentData.rotation = rotation;
+
+  return {
+    score,
+    alignedSequence1,
+    alignedSequence2,
+    ranges: alignedSequence1
+      ? [
+          { start: start1, end: end1 - 1 },
+          { start: unrotate(start2), end: unrotate(end2 - 1) }
+        ]
+      : [],
+    alignmentTracks: [
+      toTrack(sequenceData1, seq1, start1, end1, alignedSequence1),
+      track2
+    ],
+    rotation
+  };
+}
+
+/**
+ * {getScore(base1, base2), g, h} for alignGlobal from the alignSequences scoring options
+ * (missing options fall back to the alignSequences defaults)
+ * @throws {Error} Unknown substitution matrix.
+ */
+export function getScoring(options = {}) {
+  const { match, mismatch, substitutionMatrix, gapOpen, gapExtend } = {
+    ...defaultOptions,
+    ...options
+  };
+  const matrix =
+    typeof substitutionMatrix === "string"
+      ? substitutionMatrices[substitutionMatrix]
+      : substitutionMatrix;
+  if (substitutionMatrix && !matrix) {
+    throw new Error(`Unknown substitution matrix "${substitutionMatrix}"`);
+  }
+  return {
+    getScore: matrix
+      ? (base1, base2) => {
+          const row = matrix[base1] || matrix.X;
+          return row[base2] ?? row.X;
+        }
+      : (base1, base2) => (base1 === base2 ? match : mismatch),
+    // Myers & Miller score a gap of length k as g + k * h
+    g: gapOpen - gapExtend,
+    h: gapExtend
+  };
+}
+
+// returns a function to count filled in cells with, calling onProgress each time another
+// percent of totalCells is done
+export function getProgressCounter(onProgress, totalCells) {
+  let cellsDone = 0;
+  let cellsAtLastReport = 0;
+  return cells => {
+    if (!onProgress) return;
+    cellsDone += cells;
+    if (cellsDone - cellsAtLastReport >= totalCells / 100) {
+      cellsAtLastReport = cellsDone;
+      onProgress(Math.min(cellsDone / totalCells, 1));
+    }
+  };
+}
+
+function reverse(sequence) {
+  return sequence.split("").reverse().join("");
+}
+
+/**
+ * Score-only Gotoh pass keeping a single row, returning the best scoring cell
+ * clampAtZero - local alignment, scores never drop below 0
+ * freeLeadingGaps - gaps before the first aligned base are free
+ * endAnywhere - any cell can end the alignment, otherwise only the last row or column
+ */
+function findBestEnd(
+  a,
+  b,
+  { getScore, g, h },
+  { clampAtZero, freeLeadingGaps, endAnywhere },
+  addCells
+) {
+  const m = a.length;
+  const n = b.length;
+  const leadingGap = k => (freeLeadingGaps || !k ? 0 : g + h * k);
+  // H is the best score of a path to each cell, F of one ending in a gap in b
+  const H = new Float64Array(n + 1);
+  const F = new Float64Array(n + 1).fill(-Infinity);
+  let best = { score: -Infinity, i: 0, j: 0 };
+  const check = (score, i, j) => {
+    if (score > best.score && (endAnywhere || i === m || j === n)) {
+      best = { score, i, j };
+    }
+  };
+  for (let j = 0; j <= n; j++) {
+    H[j] = leadingGap(j);
+    check(H[j], 0, j);
+  }
+  for (let i = 1; i <= m; i++) {
+    let diagonal = H[0];
+    H[0] = leadingGap(i);
+    check(H[0], i, 0);
+    // best score of a path ending in a gap in a
+    let e = -Infinity;
+    for (let j = 1; j <= n; j++) {
+      e = Math.max(e, H[j - 1] + g) + h;
+      F[j] = Math.max(F[j], H[j] + g) + h;
+      let score = Math.max(diagonal + getScore(a[i - 1], b[j - 1]), e, F[j]);
+      if (clampAtZero && score < 0) score = 0;
+      diagonal = H[j];
+      H[j] = score;
+      check(score, i, j);
+    }
+    addCells(n);
+  }
+  return best;
+}
+
+/**
+ * Global alignment with affine gaps in linear space
+ * (Myers & Miller 1988, "Optimal alignments in linear space")
+ * returns the index of each aligned base in a and b, -1 for gaps
+ * a and b only need a length and indexed items that getScore can compare, so they can be
+ * strings or arrays of profile columns
+ */
+export function alignGlobal(a, b, { getScore, g, h }, addCells) {
+  const out1 = [];
+  const out2 = [];
+  const gap = k => (k <= 0 ? 0 : g + h * k);
+  const CC = new Float64Array(b.length + 1);
+  const DD = new Float64Array(b.length + 1);
+  const RR = new Float64Array(b.length + 1);
+  const SS = new Float64Array(b.length + 1);
+
+  const deleteBases = (ai, length) => {
+    for (let k = 0; k < length; k++) {
+      out1.push(ai + k);
+      out2.push(-1);
+    }
+  };
+  const insertBases = (bi, length) => {
+    for (let k = 0; k < length; k++) {
+      out1.push(-1);
+      out2.push(bi + k);
+    }
+  };
+
+  // scores aligning the first (or, reversed, the last) `rows` bases of a[ai, ai + M)
+  // against every prefix (suffix) of b[bi, bi + N). C holds the best scores and D the
+  // best scores ending in a gap in b. tOpen is the open score for a leading gap in b
+  const pass = (ai, bi, M, N, rows, tOpen, C, D, isReverse) => {
+    let t = g;
+    C[0] = 0;
+    for (let j = 1; j <= N; j++) {
+      t += h;
+      C[j] = t;
+      D[j] = t + g;
+    }
+    t = tOpen;
+    for (let i = 1; i <= rows; i++) {
+      let s = C[0];
+      t += h;
+      let c = t;
+      C[0] = c;
+      let e = t + g;
+      const baseA = isReverse ? a[ai + M - i] : a[ai + i - 1];
+      for (let j = 1; j <= N; j++) {
+        const baseB = isReverse ? b[bi + N - j] : b[bi + j - 1];
+        e = Math.max(e, c + g) + h;
+        D[j] = Math.max(D[j], C[j] + g) + h;
+        c = Math.max(D[j], e, s + getScore(baseA, baseB));
+        s = C[j];
+        C[j] = c;
+      }
+      addCells(N);
+    }
+    D[0] = C[0];
+  };
+
+  // tb/te are the open scores for a gap in b at the start/end (0 when it continues one outside)
+  const diff = (ai, bi, M, N, tb, te) => {
+    if (N <= 0) {
+      deleteBases(ai, M);
+      return;
+    }
+    if (M <= 0) {
+      insertBases(bi, N);
+      return;
+    }
+    if (M === 1) {
+      // either gap a[ai] (joining whichever neighbouring gap is cheaper) or pair it with one base of b
+      let best = Math.max(tb, te) + h + gap(N);
+      let bestJ = 0;
+      for (let j = 1; j <= N; j++) {
+        const score = gap(j - 1) + getScore(a[ai], b[bi + j - 1]) + gap(N - j);
+        if (score > best) {
+          best = score;
+          bestJ = j;
+        }
+      }
+      if (!bestJ && tb >= te) {
+        deleteBases(ai, 1);
+        insertBases(bi, N);
+      } else if (!bestJ) {
+        insertBases(bi, N);
+        deleteBases(ai, 1);
+      } else {
+        insertBases(bi, bestJ - 1);
+        out1.push(ai);
+        out2.push(bi + bestJ - 1);
+        insertBases(bi + bestJ, N - bestJ);
+      }
+      return;
+    }
+
+    const midI = M >> 1;
+    pass(ai, bi, M, N, midI, tb, CC, DD, false);
+    pass(ai, bi, M, N, M - midI, te, RR, SS, true);
+    // split b where the best path crosses the middle row, either on a base (type 1)
+    // or in the middle of a gap in b spanning it (type 2)
+    let best = -Infinity;
+    let midJ = 0;
+    let crossesInGap = false;
+    for (let j = 0; j <= N; j++) {
+      let score = CC[j] + RR[N - j];
+      if (score > best) {
+        best = score;
+        midJ = j;
+        crossesInGap = false;
+      }
+      score = DD[j] + SS[N - j] - g;
+      if (score > best) {
+        best = score;
+        midJ = j;
+        crossesInGap = true;
+      }
+    }
+    if (crossesInGap) {
+      diff(ai, bi, midI - 1, midJ, tb, 0);
+      deleteBases(ai + midI - 1, 2);
+      diff(ai + midI + 1, bi + midJ, M - midI - 1, N - midJ, 0, te);
+    } else {
+      diff(ai, bi, midI, midJ, tb, g);
+      diff(ai + midI, bi + midJ, M - midI, N - midJ, g, te);
+    }
+  };
+
+  diff(0, 0, a.length, b.length, g, g);
+  return [out1, out2];
+}
@@ -0,0 +1,259 @@
+import { expect } from "chai";
+import alignSequences from "./alignSequences";
+import substitutionMatrices from "./substitutionMatrices";
+
+// full (m+1)x(n+1) Gotoh score matrices, to check the linear memory aligner against
+function fullMatrixScore(
+  a,
+  b,
+  { mode, match, mismatch, substitutionMatrix, gapOpen, gapExtend }
+) {
+  const getScore = (base1, base2) =>
+    substitutionMatrix
+      ? substitutionMatrices[substitutionMatrix][base1][base2]
+      : base1 === base2
+        ? match
+        : mismatch;
+  const freeEnds = mode !== "global";
+  const gap = k => (freeEnds || !k ? 0 : gapOpen + (k - 1) * gapExtend);
+  const H = [];
+  const E = [];
+  const F = [];
+  for (let i = 0; i <= a.length; i++) {
+    H.push([]);
+    E.push([]);
+    F.push([]);
+    for (let j = 0; j <= b.length; j++) {
+      H[i][j] = !i ? gap(j) : !j ? gap(i) : -Infinity;
+      E[i][j] = -Infinity;
+      F[i][j] = -Infinity;
+    }
+  }
+  let best = mode === "local" ? 0 : -Infinity;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      E[i][j] = Math.max(E[i][j - 1] + gapExtend, H[i][j - 1] + gapOpen);
+      F[i][j] = Math.max(F[i - 1][j] + gapExtend, H[i - 1][j] + gapOpen);
+      H[i][j] = Math.max(
+        H[i - 1][j - 1] + getScore(a[i - 1], b[j - 1]),
+        E[i][j],
+        F[i][j]
+      );
+      if (mode === "local") {
+        H[i][j] = Math.max(H[i][j], 0);
+        best = Math.max(best, H[i][j]);
+      }
+    }
+  }
+  if (mode === "global") return H[a.length][b.length];
+  if (mode === "semiGlobal") {
+    H.forEach(row => (best = Math.max(best, row[b.length])));
+    H[a.length].forEach(score => (best = Math.max(best, score)));
+  }
+  return best;
+}
+
+describe("alignSequences", () => {
+  it("should globally align two sequences end to end", () => {
+    const { score, alignedSequence1, alignedSequence2, ranges } =
+      alignSequences("GATTACAGATTACA", "GATTACATTACA");
+    expect(alignedSequence1).to.equal("GATTACAGATTACA");
+    expect(alignedSequence2).to.have.length(14);
+    expect(alignedSequence2.replace(/-/g, "")).to.equal("GATTACATTACA");
+    expect(alignedSequence2.match(/-+/g)).to.deep.equal(["--"]);
+    expect(score).to.equal(12 * 2 - 4 - 1);
+    expect(ranges).to.deep.equal([
+      { start: 0, end: 13 },
+      { start: 0, end: 11 }
+    ]);
+  });
+  it("should keep a gap together rather than splitting it when gaps are affine", () => {
+    const { alignedSequence1, alignedSequence2 } = alignSequences(
+      "AAACCCGGGTTT",
+      "AAATTT",
+      { gapOpen: -10, gapExtend: -1 }
+    );
+    expect(alignedSequence1).to.equal("AAACCCGGGTTT");
+    expect(alignedSequence2).to.equal("AAA------TTT");
+  });
+  it("should only align the best matching region in local mode", () => {
+    const { score, alignedSequence1, alignedSequence2, ranges } =
+      alignSequences("ttttttGAATTCGGATCCtttttt", "cccGAATTCGGATCCccccccc", {
+        mode: "local"
+      });
+    expect(alignedSequence1).to.equal("GAATTCGGATCC");
+    expect(alignedSequence2).to.equal("GAATTCGGATCC");
+    expect(score).to.equal(24);
+    expect(ranges).to.deep.equal([
+      { start: 6, end: 17 },
+      { start: 3, end: 14 }
+    ]);
+  });
+  it("should not penalize overhanging ends in semiGlobal mode", () => {
+    const { score, alignedSequence1, alignedSequence2, alignmentTracks } =
+      alignSequences("ACGTACGTTTGCAGGCAT", "TTGCAGGCATCCAGT", {
+        mode: "semiGlobal"
+      });
+    expect(alignedSequence1).to.equal("TTGCAGGCAT");
+    expect(alignedSequence2).to.equal("TTGCAGGCAT");
+    expect(score).to.equal(20);
+    expect(alignmentTracks.map(t => t.alignmentData.sequence)).to.deep.equal([
+      "ACGTACGTTTGCAGGCAT-----",
+      "--------TTGCAGGCATCCAGT"
+    ]);
+  });
+  it("should return full length alignment tracks keeping the sequenceData and casing", () => {
+    const sequenceData = { name: "template", sequence: "aaaaGGTCACCttttt" };
+    const { alignmentTracks } = alignSequences(sequenceData, "ccGGTCACCgg", {
+      mode: "local"
+    });
+    expect(alignmentTracks[0].sequenceData).to.equal(sequenceData);
+    expect(alignmentTracks[1].sequenceData).to.deep.equal({
+      sequence: "ccGGTCACCgg"
+    });
+    expect(alignmentTracks.map(t => t.alignmentData.sequence)).to.deep.equal([
+      "aaaaGGTCACCttttt",
+      "--ccGGTCACCgg---"
+    ]);
+  });
+  it("should return an empty alignment when nothing scores above 0 locally", () => {
+    const { score, alignedSequence1, ranges, alignmentTracks } = alignSequences(
+      "AAAA",
+      "CCC",
+      { mode: "local" }
+    );
+    expect(score).to.equal(0);
+    expect(alignedSequence1).to.equal("");
+    expect(ranges).to.deep.equal([]);
+    expect(alignmentTracks[0].alignmentData.sequence).to.have.length(4);
+    expect(alignmentTracks[1].alignmentData.sequence).to.have.length(4);
+  });
+  it("should find the same optimal scores as full matrix alignment", () => {
+    // small deterministic pseudo random sequences
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const randomSequence = letters =>
+      Array.from(
+        { length: Math.floor(random() * 20) },
+        () => letters[Math.floor(random() * letters.length)]
+      ).join("");
+    for (let k = 0; k < 200; k++) {
+      const isProtein = k % 2;
+      const letters = isProtein ? "ARNDCQEGHILKMFPSTWYV" : "ACGT";
+      const a = randomSequence(letters);
+      const b = randomSequence(letters);
+      ["global", "local", "semiGlobal"].forEach(mode => {
+        const options = {
+          mode,
+          match: 2,
+          mismatch: -1 - Math.floor(random() * 3),
+          substitutionMatrix:
+            isProtein &&
+            ["BLOSUM62", "BLOSUM45", "PAM250"][Math.floor(random() * 3)],
+          gapOpen: -1 - Math.floor(random() * 10),
+          gapExtend: -Math.floor(random() * 2)
+        };
+        const result = alignSequences(a, b, options);
+        expect(result.score).to.equal(fullMatrixScore(a, b, options));
+        expect(result.alignedSequence1).to.have.length(
+          result.alignedSequence2.length
+        );
+        const [track1, track2] = result.alignmentTracks;
+        expect(track1.alignmentData.sequence.replace(/-/g, "")).to.equal(a);
+        expect(track2.alignmentData.sequence.replace(/-/g, "")).to.equal(b);
+        expect(track1.alignmentData.sequence).to.have.length(
+          track2.alignmentData.sequence.length
+        );
+      });
+    }
+  });
+  it("should score proteins with a substitution matrix", () => {
+    const { score, alignedSequence1, alignedSequence2 } = alignSequences(
+      "MKTAYIAKQR",
+      "MKTAWIAKQR",
+      { substitutionMatrix: "BLOSUM62", gapOpen: -11, gapExtend: -1 }
+    );
+    expect(alignedSequence1).to.equal("MKTAYIAKQR");
+    expect(alignedSequence2).to.equal("MKTAWIAKQR");
+    // M K T A (Y/W) I A K Q R
+    expect(score).to.equal(5 + 5 + 5 + 4 + 2 + 4 + 4 + 5 + 5 + 5);
+    expect(
+      alignSequences("W", "W", { substitutionMatrix: "PAM250" }).score
+    ).to.equal(17);
+    // letters missing from the matrix score as X
+    expect(
+      alignSequences("U", "A", { substitutionMatrix: "BLOSUM62" }).score
+    ).to.equal(0);
+  });
+  it("should report its progress", () => {
+    ["global", "local", "semiGlobal"].forEach(mode => {
+      const progress = [];
+      alignSequences("GATTACA".repeat(30), "GATCACA".repeat(25), {
+        mode,
+        onProgress: fraction => progress.push(fraction)
+      });
+      expect(progress.length).to.be.above(10);
+      progress.forEach((fraction, i) => {
+        expect(fraction).to.be.within(0, 1);
+        i && expect(fraction).to.be.at.least(progress[i - 1]);
+      });
+      expect(progress[progress.length - 1]).to.equal(1);
+    });
+  });
+  it("should have symmetric substitution matrices", () => {
+    Object.values(substitutionMatrices).forEach(matrix => {
+      expect(Object.keys(matrix)).to.have.length(24);
+      Object.keys(matrix).forEach(aa1 =>
+        Object.keys(matrix).forEach(aa2 =>
+          expect(matrix[aa1][aa2]).to.equal(matrix[aa2][aa1])
+        )
+      );
+    });
+  });
+  it("should rotate circular sequences to line up before aligning them", () => {
+    const plasmid = "GAATTCGGATCCAAGCTTCTGCAGGTCGACTCTAGAGGTACCCGGGTAC";
+    const rotated = plasmid.slice(20) + plasmid.slice(0, 20);
+    const linear = alignSequences(plasmid, rotated);
+    expect(linear.alignedSequence1).to.not.equal(linear.alignedSequence2);
+    const { score, rotation, ranges, alignedSequence2, alignmentTracks } =
+      alignSequences(plasmid, rotated, { circular: true });
+    expect(rotation).to.equal(plasmid.length - 20);
+    expect(alignedSequence2).to.equal(plasmid);
+    expect(score).to.equal(plasmid.length * 2);
+    // the aligned range is given in the rotated sequence's own numbering
+    expect(ranges[1]).to.deep.equal({
+      start: plasmid.length - 20,
+      end: plasmid.length - 21
+    });
+    expect(alignmentTracks[1].alignmentData).to.deep.equal({
+      sequence: plasmid,
+      rotation: plasmid.length - 20
+    });
+  });
+  it("should rotate a circular sequenceData's annotations along with it", () => {
+    const { alignmentTracks } = alignSequences(
+      "GAATTCGGATCCAAGCTTCTGCAGG",
+      {
+        name: "rotated",
+        sequence: "CTGCAGGGAATTCGGATCCAAGCTT",
+        features: [{ name: "EcoRI", start: 7, end: 12 }]
+      },
+      { circular: true }
+    );
+    const { sequenceData } = alignmentTracks[1];
+    expect(sequenceData.sequence).to.equal("GAATTCGGATCCAAGCTTCTGCAGG");
+    expect(sequenceData.name).to.equal("rotated");
+    expect(Object.values(sequenceData.features)[0]).to.include({
+      start: 0,
+      end: 5
+    });
+  });
+  it("should throw for an unknown mode or substitution matrix", () => {
+    expect(() => alignSequences("A", "A", { mode: "glocal" })).to.throw(
+      /Unknown alignment mode/
+    );
+    expect(() =>
+      alignSequences("A", "A", { substitutionMatrix: "BLOSUM100" })
+    ).to.throw(/Unknown substitution matrix/);
+  });
+});
@@ -0,0 +1,193 @@
+const methods = ["upgma", "nj"];
+
+/**
+ * Build a guide tree for progressive alignment from pairwise k-mer distances
+ *
+ * Methods:
+ *  - "upgma": average linkage clustering, assumes a constant rate of change so the tree
+ *    is ultrametric (every leaf is the same distance from the root)
+ *  - "nj": neighbor joining (Saitou & Nei 1987), which copes better with unequal rates.
+ *    Its unrooted tree is rooted between the last two nodes joined
+ *
+ * Ties, and which child of a node comes first, are decided by the sequences (and then their
+ * names) rather than their input order, so reordering the input gives the same tree.
+ *
+ * @param {Array<string|object>} sequences - sequence strings or sequenceData ({name, sequence, ...})
+ * @param {object} options - {method: "upgma" | "nj" (default "upgma"), kmerSize (default 4)}
+ * @returns {object} - the root node. Leaves are {index, name, branchLength} (index into sequences)
+ *   and inner nodes are {children: [node, node], branchLength}; branchLength is the distance
+ *   to the parent node (0 for the root)
+ * @throws {Error} Unknown guide tree method.
+ */
+export default function buildGuideTree(sequences, options = {}) {
+  const { method = "upgma", kmerSize = 4 } = options;
+  if (!methods.includes(method)) {
+    throw new Error(
+      `Unknown guide tree method "${method}", expected one of ${methods.join(", ")}`
+    );
+  }
+  if (!sequences.length) return null;
+  const leaves = sequences.map((sequence, index) => ({
+    index,
+    name: typeof sequence === "string" ? undefined : sequence.name,
+    branchLength: 0
+  }));
+  const sequenceStrings = sequences.map(s =>
+    typeof s === "string" ? s : s.sequence || ""
+  );
+  const distances = getKmerDistanceMatrix(sequenceStrings, kmerSize);
+  const sortKeys = sequenceStrings.map(
+    (sequence, i) => `${sequence.toUpperCase()} ${leaves[i].name || ""}`
+  );
+  return (method === "nj" ? neighborJoining : upgma)(
+    leaves,
+    distances,
+    sortKeys
+  );
+}
+
+/**
+ * The leaves of a guide tree from top to bottom
+ */
+export function getGuideTreeLeaves(node) {
+  if (!node) return [];
+  if (!node.children) return [node];
+  return node.children.flatMap(getGuideTreeLeaves);
+}
+
+/**
+ * Pairwise k-mer distances between sequences (Edgar 2004, as used by MUSCLE to build its
+ * first guide tree): 1 minus the fraction of k-mers the pair shares, which tracks
+ * sequence identity closely without having to align every pair
+ */
+export function getKmerDistanceMatrix(sequences, kmerSize = 4) {
+  const kmerCounts = sequences.map(sequence => {
+    const counts = {};
+    const upper = sequence.toUpperCase().replace(/-/g, "");
+    for (let i = 0; i + kmerSize <= upper.length; i++) {
+      const kmer = upper.slice(i, i + kmerSize);
+      counts[kmer] = (counts[kmer] || 0) + 1;
+    }
+    return { counts, total: Math.max(upper.length - kmerSize + 1, 0) };
+  });
+  return kmerCounts.map((a, i) =>
+    kmerCounts.map((b, j) => {
+      if (i === j) return 0;
+      const fewest = Math.min(a.total, b.total);
+      if (!fewest) return 1;
+      let shared = 0;
+      Object.keys(a.counts).forEach(kmer => {
+        if (b.counts[kmer]) shared += Math.min(a.counts[kmer], b.counts[kmer]);
+      });
+      return 1 - shared / fewest;
+    })
+  );
+}
+
+// sortKeys are the smallest sort key of the leaves under each node, ties go to the pair
+// with the smallest keys and i is always the node with the smaller key
+function findClosestPair(sortKeys, getDistance) {
+  let best;
+  for (let i = 0; i < sortKeys.length; i++) {
+    for (let j = 0; j < sortKeys.length; j++) {
+      if (sortKeys[i] > sortKeys[j] || i === j) continue;
+      const distance = getDistance(i, j);
+      const pairKey = [sortKeys[i], sortKeys[j]];
+      if (
+        !best ||
+        distance < best.distance - 1e-12 ||
+        (distance <= best.distance + 1e-12 &&
+          comparePairKeys(pairKey, best.pairKey) < 0)
+      ) {
+        best = { i, j, distance, pairKey };
+      }
+    }
+  }
+  return best;
+}
+
+function comparePairKeys([a1, a2], [b1, b2]) {
+  if (a1 !== b1) return a1 < b1 ? -1 : 1;
+  return a2 < b2 ? -1 : a2 > b2 ? 1 : 0;
+}
+
+function upgma(leaves, distances, sortKeys) {
+  let clusters = leaves.map((node, k) => ({
+    node,
+    height: 0,
+    size: 1,
+    distances: distances[k],
+    sortKey: sortKeys[k]
+  }));
+  while (clusters.length > 1) {
+    const { i, j, distance } = findClosestPair(
+      clusters.map(c => c.sortKey),
+      (i, j) => clusters[i].distances[j]
+    );
+    const a = clusters[i];
+    const b = clusters[j];
+    const height = distance / 2;
+    a.node.branchLength = Math.max(height - a.height, 0);
+    b.node.branchLength = Math.max(height - b.height, 0);
+    const rest = clusters.filter((c, k) => k !== i && k !== j);
+    const merged = {
+      node: { children: [a.node, b.node], branchLength: 0 },
+      height,
+      size: a.size + b.size,
+      sortKey: a.sortKey
+    };
+    const restIndices = clusters
+      .map((c, k) => k)
+      .filter(k => k !== i && k !== j);
+    merged.distances = restIndices.map(
+      k => (a.distances[k] * a.size + b.distances[k] * b.size) / merged.size
+    );
+    rest.forEach((c, k) => {
+      c.distances = restIndices.map(l => c.distances[l]);
+      c.distances.push(merged.distances[k]);
+    });
+    merged.distances.push(0);
+    clusters = [...rest, merged];
+  }
+  return clusters[0].node;
+}
+
+function neighborJoining(leaves, distances, sortKeys) {
+  let nodes = [...leaves];
+  let keys = [...sortKeys];
+  let d = distances.map(row => [...row]);
+  while (nodes.length > 2) {
+    const n = nodes.length;
+    const rowSums = d.map(row =>
+      row.reduce((sum, distance) => sum + distance, 0)
+    );
+    // every pair ties on the NJ criterion once 3 nodes are left, so the closest two are
+    // joined and the root goes between them and the third
+    const { i, j } = findClosestPair(keys, (i, j) =>
+      n === 3 ? d[i][j] : (n - 2) * d[i][j] - rowSums[i] - rowSums[j]
+    );
+    const branchLengthI =
+      d[i][j] / 2 + (rowSums[i] - rowSums[j]) / (2 * (n - 2));
+    nodes[i].branchLength = Math.max(branchLengthI, 0);
+    nodes[j].branchLength = Math.max(d[i][j] - branchLengthI, 0);
+    const joined = { children: [nodes[i], nodes[j]], branchLength: 0 };
+    const restIndices = nodes
+      .map((node, k) => k)
+      .filter(k => k !== i && k !== j);
+    const joinedDistances = restIndices.map(
+      k => (d[i][k] + d[j][k] - d[i][j]) / 2
+    );
+    d = restIndices.map((k, row) => [
+      ...restIndices.map(l => d[k][l]),
+      joinedDistances[row]
+    ]);
+    d.push([...joinedDistances, 0]);
+    nodes = [...restIndices.map(k => nodes[k]), joined];
+    keys = [...restIndices.map(k => keys[k]), keys[i]];
+  }
+  if (nodes.length === 1) return nodes[0];
+  if (keys[1] < keys[0]) nodes.reverse();
+  // root the last two nodes halfway along the branch between them
+  nodes[0].branchLength = nodes[1].branchLength = Math.max(d[0][1] / 2, 0);
+  return { children: nodes, branchLength: 0 };
+}
@@ -0,0 +1,82 @@
+import { expect } from "chai";
+import buildGuideTree, {
+  getGuideTreeLeaves,
+  getKmerDistanceMatrix
+} from "./buildGuideTree";
+
+const sequences = [
+  { name: "a1", sequence: "GATTACAGATTACAGGCCTTAAGGCC" },
+  { name: "b1", sequence: "TTTTCCCCGGGGAAAATTTTCCCCGG" },
+  { name: "a2", sequence: "GATTACAGATTACAGGCCTTAAGGCA" },
+  { name: "b2", sequence: "TTTTCCCCGGGGAAAATTTTCCCAGG" }
+];
+const getClades = tree =>
+  tree.children.map(child =>
+    getGuideTreeLeaves(child)
+      .map(leaf => leaf.name)
+      .sort()
+  );
+
+describe("getKmerDistanceMatrix", () => {
+  it("should be 0 for identical sequences and 1 for ones sharing no k-mers", () => {
+    const distances = getKmerDistanceMatrix([
+      "ACGTACGT",
+      "acgtacgt",
+      "TTTTTTTT"
+    ]);
+    expect(distances[0][1]).to.equal(0);
+    expect(distances[0][2]).to.equal(1);
+    expect(distances[2][0]).to.equal(1);
+    expect(distances[1][1]).to.equal(0);
+  });
+  it("should grow as sequences diverge", () => {
+    const [[, oneChange, twoChanges]] = getKmerDistanceMatrix([
+      "GATTACAGATTACAGGCC",
+      "GATTACAGATTCCAGGCC",
+      "GATTCCAGATTCCAGGCC"
+    ]);
+    expect(oneChange).to.be.above(0);
+    expect(twoChanges).to.be.above(oneChange);
+  });
+});
+
+describe("buildGuideTree", () => {
+  ["upgma", "nj"].forEach(method => {
+    it(`should group the closest sequences together (${method})`, () => {
+      const tree = buildGuideTree(sequences, { method });
+      expect(getClades(tree).sort()).to.deep.equal([
+        ["a1", "a2"],
+        ["b1", "b2"]
+      ]);
+      expect(getGuideTreeLeaves(tree)).to.have.length(4);
+      getGuideTreeLeaves(tree).forEach(leaf => {
+        expect(sequences[leaf.index].name).to.equal(leaf.name);
+        expect(leaf.branchLength).to.be.at.least(0);
+      });
+    });
+  });
+  it("should make every leaf the same distance from the root with upgma", () => {
+    const depths = [];
+    const walk = (node, depth) =>
+      node.children
+        ? node.children.forEach(child =>
+            walk(child, depth + child.branchLength)
+          )
+        : depths.push(depth);
+    walk(buildGuideTree(sequences), 0);
+    depths.forEach(depth => expect(depth).to.be.closeTo(depths[0], 1e-9));
+  });
+  it("should handle one or no sequences", () => {
+    expect(buildGuideTree([])).to.equal(null);
+    expect(buildGuideTree(["ACGT"])).to.deep.equal({
+      index: 0,
+      name: undefined,
+      branchLength: 0
+    });
+  });
+  it("should throw for an unknown method", () => {
+    expect(() => buildGuideTree(["A", "C"], { method: "wpgma" })).to.throw(
+      /Unknown guide tree method/
+    );
+  });
+});
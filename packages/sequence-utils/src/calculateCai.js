@@ -0,0 +1,70 @@
+import threeLetterSequenceStringToAminoAcidMap from "./threeLetterSequenceStringToAminoAcidMap";
+import { getCodonUsageTable } from "./codonUsageTables";
+
+// codons that are the only codon for their amino acid (and stops) carry no information about codon bias
+const uninformativeAminoAcids = ["M", "W", "*"];
+
+// codons whose relative adaptiveness is 0 (never seen in the host) would zero the whole index
+const minWeight = 0.01;
+
+export function getAminoAcidForCodon(codon) {
+  const aa = threeLetterSequenceStringToAminoAcidMap[codon.toLowerCase()];
+  return aa && aa.value;
+}
+
+/**
+ * The relative adaptiveness of every codon (its usage divided by the usage of the most used
+ * synonymous codon) in a codon usage table
+ *
+ * @param {string|object} codonUsageTable - a codonUsageTables id or table
+ * @returns {object} {ttt: 1, ttc: 0.72, ...}
+ */
+export function getRelativeAdaptiveness(codonUsageTable) {
+  const { codonUsage } = getCodonUsageTable(codonUsageTable);
+  const maxByAminoAcid = {};
+  Object.keys(codonUsage).forEach(codon => {
+    const aa = getAminoAcidForCodon(codon);
+    maxByAminoAcid[aa] = Math.max(maxByAminoAcid[aa] || 0, codonUsage[codon]);
+  });
+  const weights = {};
+  Object.keys(codonUsage).forEach(codon => {
+    weights[codon] =
+      codonUsage[codon] / maxByAminoAcid[getAminoAcidForCodon(codon)] || 0;
+  });
+  return weights;
+}
+
+// the geometric mean of the weights of a coding sequence's informative codons
+export function getGeometricMeanOfCodonWeights(
+  sequence,
+  weights,
+  excludedAminoAcids = uninformativeAminoAcids
+) {
+  const seq = sequence.toLowerCase();
+  let logSum = 0;
+  let count = 0;
+  for (let i = 0; i + 3 <= seq.length; i += 3) {
+    const codon = seq.slice(i, i + 3);
+    const aa = getAminoAcidForCodon(codon);
+    if (!aa || excludedAminoAcids.includes(aa)) continue;
+    if (weights[codon] === undefined) continue;
+    logSum += Math.log(Math.max(weights[codon], minWeight));
+    count++;
+  }
+  return count ? Math.exp(logSum / count) : 0;
+}
+
+/**
+ * Codon Adaptation Index (Sharp & Li 1987) of a coding sequence: how closely its codons follow
+ * the host's preferred codons, from 0 to 1
+ *
+ * @param {string} sequence - the coding sequence (read in frame from its first base)
+ * @param {string|object} codonUsageTable - a codonUsageTables id or table
+ * @returns {number}
+ */
+export default function calculateCai(sequence, codonUsageTable) {
+  return getGeometricMeanOfCodonWeights(
+    sequence,
+    getRelativeAdaptiveness(codonUsageTable)
+  );
+}
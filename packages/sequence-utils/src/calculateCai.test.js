@@ -0,0 +1,36 @@
+import { expect } from "chai";
+import calculateCai, { getRelativeAdaptiveness } from "./calculateCai";
+import codonUsageTables from "./codonUsageTables";
+
+describe("calculateCai", () => {
+  it("should give the most used codon of each amino acid a weight of 1", () => {
+    const weights = getRelativeAdaptiveness("ecoli");
+    expect(weights.ctg).to.equal(1);
+    expect(weights.cta).to.be.closeTo(4.2 / 48.4, 1e-9);
+    expect(weights.atg).to.equal(1);
+    expect(weights.taa).to.equal(1);
+  });
+
+  it("should be the geometric mean of the codons' relative adaptiveness", () => {
+    expect(calculateCai("ctgaaaggc", "ecoli")).to.be.closeTo(1, 1e-9);
+    expect(calculateCai("CTGCTA", "ecoli")).to.be.closeTo(
+      Math.sqrt(4.2 / 48.4),
+      1e-9
+    );
+    expect(calculateCai("ctgcta", codonUsageTables.ecoli)).to.be.closeTo(
+      Math.sqrt(4.2 / 48.4),
+      1e-9
+    );
+  });
+
+  it("should ignore Met, Trp, stop and incomplete codons", () => {
+    expect(calculateCai("atgctgtggtaagc", "ecoli")).to.be.closeTo(1, 1e-9);
+    expect(calculateCai("atgtggtaa", "ecoli")).to.equal(0);
+  });
+
+  it("should throw for an unknown table", () => {
+    expect(() => calculateCai("ctg", "martian")).to.throw(
+      "Unknown codon usage table"
+    );
+  });
+});
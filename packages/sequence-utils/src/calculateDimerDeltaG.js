@@ -0,0 +1,24 @@
+import getDimerStructure from "./getDimerStructure";
+
+/**
+ * Calculate the Delta G of the most stable dimer two primers can form
+ * (see getDimerStructure for how dimers are found and scored).
+ * Pass the same sequence twice (or omit the second one) to get the self-dimer Delta G.
+ *
+ * Primer3 and IDT flag dimers more stable than about -9 kcal/mol.
+ *
+ * @param {string} sequence1 - DNA sequence (5' to 3')
+ * @param {string} sequence2 - DNA sequence (5' to 3'), defaults to sequence1
+ * @returns {number} - Delta G (kcal/mol at 37°C) of the most stable dimer, 0 if none can form
+ * @throws {Error} Invalid sequence.
+ */
+export default function calculateDimerDeltaG(sequence1, sequence2 = sequence1) {
+  try {
+    const dimer = getDimerStructure(sequence1, sequence2);
+    return dimer ? dimer.deltaG : 0;
+  } catch (e) {
+    return `Error calculating dimer delta G for sequences ${sequence1
+      ?.toUpperCase()
+      .trim()} and ${sequence2?.toUpperCase().trim()}. ${e}`;
+  }
+}
@@ -0,0 +1,20 @@
+import assert from "assert";
+import calculateDimerDeltaG from "./calculateDimerDeltaG";
+
+describe("Calculate the delta G of the most stable dimer of two primers", () => {
+  it("should return the self-dimer delta G when given one primer", () => {
+    assert.equal(calculateDimerDeltaG("GAATTCGAATTC"), -11.29);
+    assert.equal(calculateDimerDeltaG("ATGCGTAAAGGAGAAGAACT"), -0.3);
+    assert.equal(calculateDimerDeltaG("AAAAAAAAAA"), 0);
+  });
+  it("should return the hetero-dimer delta G of two primers", () => {
+    assert.equal(calculateDimerDeltaG("AAAAAAAAAA", "TTTTTTTTTT"), -7.08);
+    assert.equal(calculateDimerDeltaG("aaaaaaaaaa", "tttttttttt"), -7.08);
+  });
+  it("should return an error for invalid sequences", () => {
+    assert.equal(
+      calculateDimerDeltaG("ACGX", "ACGT"),
+      "Error calculating dimer delta G for sequences ACGX and ACGT. Error: Invalid sequence: contains non-DNA characters"
+    );
+  });
+});
@@ -0,0 +1,22 @@
+import getHairpinStructure from "./getHairpinStructure";
+
+/**
+ * Calculate the Delta G of the most stable hairpin a primer can fold into
+ * (see getHairpinStructure for how hairpins are found and scored).
+ *
+ * Primer3 and IDT flag hairpins more stable than about -3 kcal/mol.
+ *
+ * @param {string} sequence - DNA sequence (5' to 3')
+ * @returns {number} - Delta G (kcal/mol at 37°C) of the most stable hairpin, 0 if none can form
+ * @throws {Error} Invalid sequence.
+ */
+export default function calculateHairpinDeltaG(sequence) {
+  try {
+    const hairpin = getHairpinStructure(sequence);
+    return hairpin ? hairpin.deltaG : 0;
+  } catch (e) {
+    return `Error calculating hairpin delta G for sequence ${sequence
+      ?.toUpperCase()
+      .trim()}. ${e}`;
+  }
+}
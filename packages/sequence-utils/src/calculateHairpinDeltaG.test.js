@@ -0,0 +1,19 @@
+import assert from "assert";
+import calculateHairpinDeltaG from "./calculateHairpinDeltaG";
+
+describe("Calculate the delta G of the most stable hairpin of a primer", () => {
+  it("should return the delta G of the most stable hairpin", () => {
+    assert.equal(calculateHairpinDeltaG("GGGGCCCCAAAGGGGCCCC"), -9.7);
+    assert.equal(calculateHairpinDeltaG("gcgcaaatttgcgc"), -4.59);
+  });
+  it("should return 0 if no hairpin can form", () => {
+    assert.equal(calculateHairpinDeltaG("AAAAAAAAAAAAAAAAAAAA"), 0);
+    assert.equal(calculateHairpinDeltaG("ATGCGTAAAGGAGAAGAACT"), 0);
+  });
+  it("should return an error for invalid sequences", () => {
+    assert.equal(
+      calculateHairpinDeltaG("AGCGGATAACAYZAK"),
+      "Error calculating hairpin delta G for sequence AGCGGATAACAYZAK. Error: Invalid sequence: contains non-DNA characters"
+    );
+  });
+});
@@ -20,7 +20,7 @@
  */
 
 // Primer3 custom parameters (fixed)
-const PRIMER3_PARAMS = {
+export const PRIMER3_PARAMS = {
   saltMonovalent: 50.0, // mM
   saltDivalent: 1.5, // mM
   dntpConc: 0.6, // mM
@@ -84,12 +84,32 @@ function getEffectiveMonovalentConc() {
  * @param {number} nnPairs - Number of nearest-neighbor pairs
  * @returns {number} - Corrected entropy in cal/K·mol
  */
-function applySaltCorrection(deltaS, nnPairs) {
+export function applySaltCorrection(deltaS, nnPairs) {
   const effectiveMono = getEffectiveMonovalentConc();
   // SantaLucia (1998) salt correction
   return deltaS + 0.368 * nnPairs * Math.log(effectiveMono / 1000);
 }
 
+/**
+ * Sum of the nearest-neighbor enthalpy and entropy of a perfectly paired stretch
+ * (no initiation or salt correction)
+ *
+ * @param {string} sequence - upper case DNA sequence (5' to 3') of one strand of the stretch
+ * @returns {object} - {dH, dS} in kcal/mol and cal/K·mol
+ */
+export function getNearestNeighborThermodynamics(sequence) {
+  let dH = 0;
+  let dS = 0;
+  for (let i = 0; i < sequence.length - 1; i++) {
+    const params = SANTA_LUCIA_NN[sequence.substring(i, i + 2)];
+    if (params) {
+      dH += params.dH;
+      dS += params.dS;
+    }
+  }
+  return { dH, dS };
+}
+
 /**
  * Validate DNA sequence
  *
@@ -0,0 +1,90 @@
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+import { getCodonUsageTable } from "./codonUsageTables";
+import {
+  getAminoAcidForCodon,
+  getGeometricMeanOfCodonWeights
+} from "./calculateCai";
+
+// dos Reis et al. 2004 selective constraints on the wobble pairs (codon 3rd base : anticodon 1st base),
+// an anticodon starting with A is read as inosine
+const wobblePairs = {
+  t: [
+    ["a", 0],
+    ["g", 0.41]
+  ],
+  c: [
+    ["g", 0],
+    ["a", 0.28]
+  ],
+  a: [
+    ["t", 0],
+    ["a", 0.9999]
+  ],
+  g: [
+    ["c", 0],
+    ["t", 0.68]
+  ]
+};
+
+const excludedAminoAcids = ["M", "*"];
+
+/**
+ * The relative adaptiveness of every sense codon (other than ATG) to the host's tRNA pool
+ *
+ * @param {string|object} codonUsageTable - a codonUsageTables id or a table with tRnaGeneCopies
+ * @returns {object} {ttt: 0.23, ttc: 0.41, ...}
+ */
+export function getTaiWeights(codonUsageTable) {
+  const { tRnaGeneCopies } = getCodonUsageTable(codonUsageTable);
+  if (!tRnaGeneCopies) {
+    throw new Error("The codon usage table has no tRNA gene copy numbers");
+  }
+  const absoluteWeights = {};
+  "acgt".split("").forEach(b1 =>
+    "acgt".split("").forEach(b2 =>
+      "acgt".split("").forEach(b3 => {
+        const codon = b1 + b2 + b3;
+        // initiator tRNAs would inflate Met, which is left out of the index anyways
+        if (excludedAminoAcids.includes(getAminoAcidForCodon(codon))) return;
+        const anticodonEnd = getReverseComplementSequenceString(b1 + b2);
+        absoluteWeights[codon] = wobblePairs[b3].reduce(
+          (sum, [anticodonStart, s]) =>
+            sum +
+            (1 - s) * (tRnaGeneCopies[anticodonStart + anticodonEnd] || 0),
+          0
+        );
+      })
+    )
+  );
+  const max = Math.max(...Object.values(absoluteWeights));
+  const weights = {};
+  const nonZero = [];
+  Object.keys(absoluteWeights).forEach(codon => {
+    weights[codon] = absoluteWeights[codon] / max;
+    if (weights[codon]) nonZero.push(weights[codon]);
+  });
+  // codons no tRNA can read get the geometric mean of the others
+  const geometricMean = Math.exp(
+    nonZero.reduce((sum, w) => sum + Math.log(w), 0) / nonZero.length
+  );
+  Object.keys(weights).forEach(codon => {
+    if (!weights[codon]) weights[codon] = geometricMean;
+  });
+  return weights;
+}
+
+/**
+ * tRNA Adaptation Index (dos Reis et al. 2004) of a coding sequence: how well its codons are
+ * served by the host's tRNA gene pool, from 0 to 1
+ *
+ * @param {string} sequence - the coding sequence (read in frame from its first base)
+ * @param {string|object} codonUsageTable - a codonUsageTables id or a table with tRnaGeneCopies
+ * @returns {number}
+ */
+export default function calculateTai(sequence, codonUsageTable) {
+  return getGeometricMeanOfCodonWeights(
+    sequence,
+    getTaiWeights(codonUsageTable),
+    excludedAminoAcids
+  );
+}
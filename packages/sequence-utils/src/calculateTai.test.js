@@ -0,0 +1,30 @@
+import { expect } from "chai";
+import calculateTai, { getTaiWeights } from "./calculateTai";
+
+describe("calculateTai", () => {
+  it("should weigh codons by the tRNA genes that can read them", () => {
+    const weights = getTaiWeights("scerevisiae");
+    // 14 tRNA-Lys(CTT) genes plus 7 tRNA-Lys(TTT) genes reading it through a U:G wobble
+    expect(weights.aag).to.equal(1);
+    expect(weights.aaa).to.be.closeTo(7 / (14 + 7 * 0.32), 1e-9);
+    Object.values(weights).forEach(w => {
+      expect(w).to.be.above(0);
+      expect(w).to.be.at.most(1);
+    });
+    expect(weights.atg).to.equal(undefined);
+  });
+
+  it("should be higher for codons matching abundant tRNAs", () => {
+    expect(calculateTai("atgaagaagtaa", "scerevisiae")).to.be.closeTo(1, 1e-9);
+    expect(calculateTai("aaaaaa", "scerevisiae")).to.be.below(
+      calculateTai("aagaag", "scerevisiae")
+    );
+    expect(calculateTai("aagcgg", "ecoli")).to.be.above(0);
+  });
+
+  it("should throw when the table has no tRNA gene copy numbers", () => {
+    expect(() => calculateTai("aag", "human")).to.throw(
+      "no tRNA gene copy numbers"
+    );
+  });
+});
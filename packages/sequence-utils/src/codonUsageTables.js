@@ -0,0 +1,155 @@
+//Codon usage (frequency per thousand codons) as distributed by the Kazusa codon usage database
+//(www.kazusa.or.jp/codon) and tRNA gene copy numbers (by anticodon) from GtRNAdb (gtrnadb.ucsc.edu)
+
+// turns a whitespace separated "codon value" table into {ttt: 22.1, tct: 10.4, ...}
+function parseTable(table) {
+  const values = table.trim().split(/\s+/);
+  const parsed = {};
+  for (let i = 0; i < values.length; i += 2) {
+    parsed[values[i].toLowerCase()] = Number(values[i + 1]);
+  }
+  return parsed;
+}
+
+const codonUsageTables = {
+  ecoli: {
+    id: "ecoli",
+    name: "Escherichia coli K-12",
+    codonUsage: parseTable(`
+      TTT 22.1  TCT 10.4  TAT 17.5  TGT  5.2
+      TTC 16.0  TCC  9.1  TAC 12.2  TGC  6.1
+      TTA 14.3  TCA  8.9  TAA  2.0  TGA  1.0
+      TTG 13.0  TCG  8.5  TAG  0.3  TGG 13.9
+      CTT 11.9  CCT  7.5  CAT 12.5  CGT 19.7
+      CTC 10.2  CCC  5.4  CAC  9.3  CGC 20.0
+      CTA  4.2  CCA  8.6  CAA 14.6  CGA  3.8
+      CTG 48.4  CCG 20.9  CAG 28.4  CGG  5.9
+      ATT 29.1  ACT 10.3  AAT 20.6  AGT  9.9
+      ATC 23.7  ACC 22.0  AAC 21.4  AGC 15.2
+      ATA  6.8  ACA  9.3  AAA 35.3  AGA  3.6
+      ATG 26.4  ACG 13.7  AAG 12.4  AGG  2.1
+      GTT 19.8  GCT 17.1  GAT 32.7  GGT 25.5
+      GTC 14.3  GCC 24.2  GAC 19.2  GGC 27.1
+      GTA 11.6  GCA 21.2  GAA 39.1  GGA  9.5
+      GTG 24.4  GCG 30.1  GAG 18.7  GGG 11.3
+    `),
+    tRnaGeneCopies: parseTable(`
+      TGC 3  GGC 2  ACG 4  CCG 1  CCT 1  TCT 1  GTT 4  GTC 3
+      GCA 1  TTG 2  CTG 2  TTC 4  GCC 4  TCC 1  CCC 1  GTG 1
+      GAT 3  CAG 4  GAG 1  TAG 1  CAA 1  TAA 1  TTT 6  CAT 8
+      GAA 2  GGG 1  TGG 1  CGG 1  GGA 2  TGA 1  CGA 1  GCT 1
+      GGT 2  TGT 1  CGT 1  CCA 1  GTA 3  TAC 5  GAC 2
+    `)
+  },
+  scerevisiae: {
+    id: "scerevisiae",
+    name: "Saccharomyces cerevisiae",
+    codonUsage: parseTable(`
+      TTT 26.1  TCT 23.5  TAT 18.8  TGT  8.1
+      TTC 18.4  TCC 14.2  TAC 14.8  TGC  4.8
+      TTA 26.2  TCA 18.7  TAA  1.1  TGA  0.7
+      TTG 27.2  TCG  8.6  TAG  0.5  TGG 10.4
+      CTT 12.3  CCT 13.5  CAT 13.6  CGT  6.4
+      CTC  5.4  CCC  6.8  CAC  7.8  CGC  2.6
+      CTA 13.4  CCA 18.3  CAA 27.3  CGA  3.0
+      CTG 10.5  CCG  5.3  CAG 12.1  CGG  1.7
+      ATT 30.1  ACT 20.3  AAT 35.7  AGT 14.2
+      ATC 17.2  ACC 12.7  AAC 24.8  AGC  9.8
+      ATA 17.8  ACA 17.8  AAA 41.9  AGA 21.3
+      ATG 20.9  ACG  8.0  AAG 30.8  AGG  9.2
+      GTT 22.1  GCT 21.2  GAT 37.6  GGT 23.9
+      GTC 11.8  GCC 12.6  GAC 20.2  GGC  9.8
+      GTA 11.8  GCA 16.2  GAA 45.6  GGA 10.9
+      GTG 10.8  GCG  6.2  GAG 19.2  GGG  6.0
+    `),
+    tRnaGeneCopies: parseTable(`
+      AGC 11  TGC  5  ACG  6  CCG  1  TCT 11  CCT  1  GTT 10  GTC 15
+      GCA  4  TTG  9  CTG  1  TTC 14  CTC  2  GCC 16  TCC  3  CCC  2
+      GTG  7  AAT 13  TAT  2  TAA  7  CAA 10  TAG  3  GAG  1  TTT  7
+      CTT 14  CAT 10  GAA 10  TGG 10  AGG  2  AGA 11  GCT  4  TGA  3
+      CGA  1  AGT 11  TGT  4  CGT  1  CCA  6  GTA  8  AAC 14  TAC  2
+      CAC  2
+    `)
+  },
+  human: {
+    id: "human",
+    name: "Homo sapiens",
+    codonUsage: parseTable(`
+      TTT 17.6  TCT 15.2  TAT 12.2  TGT 10.6
+      TTC 20.3  TCC 17.7  TAC 15.3  TGC 12.6
+      TTA  7.7  TCA 12.2  TAA  1.0  TGA  1.6
+      TTG 12.9  TCG  4.4  TAG  0.8  TGG 13.2
+      CTT 13.2  CCT 17.5  CAT 10.9  CGT  4.5
+      CTC 19.6  CCC 19.8  CAC 15.1  CGC 10.4
+      CTA  7.2  CCA 16.9  CAA 12.3  CGA  6.2
+      CTG 39.6  CCG  6.9  CAG 34.2  CGG 11.4
+      ATT 16.0  ACT 13.1  AAT 17.0  AGT 12.1
+      ATC 20.8  ACC 18.9  AAC 19.1  AGC 19.5
+      ATA  7.5  ACA 15.1  AAA 24.4  AGA 12.2
+      ATG 22.0  ACG  6.1  AAG 31.9  AGG 12.0
+      GTT 11.0  GCT 18.4  GAT 21.8  GGT 10.8
+      GTC 14.5  GCC 27.7  GAC 25.1  GGC 22.2
+      GTA  7.1  GCA 15.8  GAA 29.0  GGA 16.5
+      GTG 28.1  GCG  7.4  GAG 39.6  GGG 16.5
+    `)
+  },
+  cho: {
+    id: "cho",
+    name: "Cricetulus griseus (CHO cells)",
+    codonUsage: parseTable(`
+      TTT 19.6  TCT 16.0  TAT 13.1  TGT  9.1
+      TTC 22.0  TCC 16.5  TAC 16.4  TGC 10.3
+      TTA  6.4  TCA 10.3  TAA  0.5  TGA  0.9
+      TTG 14.1  TCG  3.4  TAG  0.5  TGG 13.1
+      CTT 13.2  CCT 16.6  CAT 10.3  CGT  5.8
+      CTC 18.0  CCC 16.0  CAC 13.0  CGC  9.2
+      CTA  7.7  CCA 15.4  CAA 10.5  CGA  7.1
+      CTG 39.5  CCG  4.7  CAG 33.5  CGG 10.3
+      ATT 17.4  ACT 14.1  AAT 17.9  AGT 12.3
+      ATC 25.6  ACC 20.7  AAC 21.8  AGC 17.5
+      ATA  7.0  ACA 16.0  AAA 25.3  AGA 10.0
+      ATG 23.6  ACG  4.6  AAG 39.7  AGG 10.0
+      GTT 11.5  GCT 20.5  GAT 24.6  GGT 12.0
+      GTC 15.5  GCC 26.5  GAC 29.0  GGC 20.7
+      GTA  8.2  GCA 15.7  GAA 28.4  GGA 16.5
+      GTG 30.1  GCG  4.2  GAG 40.8  GGG 13.8
+    `)
+  },
+  pichia: {
+    id: "pichia",
+    name: "Komagataella phaffii (Pichia pastoris)",
+    codonUsage: parseTable(`
+      TTT 24.1  TCT 24.4  TAT 16.0  TGT  7.7
+      TTC 20.6  TCC 16.5  TAC 18.1  TGC  4.4
+      TTA 15.6  TCA 15.2  TAA  0.8  TGA  0.3
+      TTG 31.5  TCG  7.4  TAG  0.5  TGG 10.3
+      CTT 15.9  CCT 15.8  CAT 11.8  CGT  6.9
+      CTC  7.6  CCC  6.8  CAC  9.1  CGC  2.2
+      CTA 10.7  CCA 18.9  CAA 25.4  CGA  4.2
+      CTG 14.9  CCG  3.9  CAG 16.3  CGG  1.9
+      ATT 31.1  ACT 22.4  AAT 25.1  AGT 12.5
+      ATC 19.4  ACC 14.5  AAC 26.7  AGC  7.6
+      ATA 11.1  ACA 13.8  AAA 29.9  AGA 20.1
+      ATG 18.7  ACG  6.0  AAG 33.8  AGG  6.6
+      GTT 26.9  GCT 28.9  GAT 35.7  GGT 25.5
+      GTC 14.9  GCC 16.6  GAC 25.9  GGC  6.0
+      GTA  9.9  GCA 15.1  GAA 37.4  GGA 19.1
+      GTG 12.3  GCG  3.9  GAG 29.0  GGG  4.4
+    `)
+  }
+};
+
+/**
+ * @param {string|object} table - one of the codonUsageTables' ids or a table ({codonUsage, tRnaGeneCopies})
+ * @returns {object} the codon usage table
+ */
+export function getCodonUsageTable(table) {
+  if (typeof table !== "string") return table;
+  const codonUsageTable = codonUsageTables[table];
+  if (!codonUsageTable) {
+    throw new Error(`Unknown codon usage table: ${table}`);
+  }
+  return codonUsageTable;
+}
+
+export default codonUsageTables;
@@ -1,4 +1,5 @@
 import aliasedEnzymesByName from "./aliasedEnzymesByName";
+import enzymeMethylationSensitivity from "./enzymeMethylationSensitivity";
 
 const defaultEnzymes = [
   "aari",
@@ -273,7 +274,10 @@ const defaultEnzymes = [
 const defaultEnzymesByName = {};
 
 defaultEnzymes.forEach(name => {
-  defaultEnzymesByName[name] = aliasedEnzymesByName[name];
+  const methylationSensitivity = enzymeMethylationSensitivity[name];
+  defaultEnzymesByName[name] = methylationSensitivity
+    ? { ...aliasedEnzymesByName[name], methylationSensitivity }
+    : aliasedEnzymesByName[name];
 });
 
 export default defaultEnzymesByName;
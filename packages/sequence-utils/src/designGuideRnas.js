@@ -0,0 +1,413 @@
+import { sortBy } from "lodash-es";
+import {
+  getRangeLength,
+  normalizePositionByRangeLength
+} from "@teselagen/range-utils";
+import { ambiguous_dna_values } from "./bioData";
+import calculatePercentGC from "./calculatePercentGC";
+import findApproxMatches from "./findApproxMatches";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+// pamPosition is which end of the protospacer the PAM sits at, cutOffset is how many protospacer
+// bases (counted from its 5' end for 3' PAMs and from the PAM for 5' PAMs) come before the cut
+export const crisprNucleases = {
+  SpCas9: {
+    name: "SpCas9",
+    pam: "NGG",
+    pamPosition: "3'",
+    guideLength: 20,
+    cutOffset: 17
+  },
+  SaCas9: {
+    name: "SaCas9",
+    pam: "NNGRRT",
+    pamPosition: "3'",
+    guideLength: 21,
+    cutOffset: 18
+  },
+  Cas12a: {
+    name: "Cas12a",
+    pam: "TTTV",
+    pamPosition: "5'",
+    guideLength: 23,
+    cutOffset: 18
+  }
+};
+
+// Doench et al. 2014 (Rule Set 1) logistic regression over the 30mer
+// 4bp + protospacer + NGG + 3bp, as [position in the 30mer, bases, weight]
+const ruleSet1Weights = [
+  [1, "G", -0.2753771],
+  [2, "A", -0.3238875],
+  [2, "C", 0.17212887],
+  [3, "C", -0.1006662],
+  [4, "C", -0.2018029],
+  [4, "G", 0.24595663],
+  [5, "A", 0.03644004],
+  [5, "C", 0.09837684],
+  [6, "C", -0.7411813],
+  [6, "G", -0.3932644],
+  [11, "A", -0.466099],
+  [14, "A", 0.08537695],
+  [14, "C", -0.013814],
+  [15, "A", 0.27262051],
+  [15, "C", -0.1190226],
+  [15, "T", -0.2859442],
+  [16, "A", 0.09745459],
+  [16, "G", -0.1755462],
+  [17, "C", -0.3457955],
+  [17, "G", -0.6780964],
+  [18, "A", 0.22508903],
+  [18, "C", -0.5077941],
+  [19, "G", -0.4173736],
+  [19, "T", -0.054307],
+  [20, "G", 0.37989937],
+  [20, "T", -0.0907126],
+  [21, "C", 0.05782332],
+  [21, "T", -0.5305673],
+  [22, "T", -0.8770074],
+  [23, "C", -0.8762358],
+  [23, "G", 0.27891626],
+  [23, "T", -0.4031022],
+  [24, "A", -0.0773007],
+  [24, "C", 0.28793562],
+  [24, "T", -0.2216372],
+  [27, "G", -0.6890167],
+  [27, "T", 0.11787758],
+  [28, "C", -0.1604453],
+  [29, "G", 0.38634258],
+  [1, "GT", -0.6257787],
+  [4, "GC", 0.30004332],
+  [5, "AA", -0.8348362],
+  [5, "TA", 0.76062777],
+  [6, "GG", -0.4908167],
+  [11, "GG", -1.5169074],
+  [11, "TA", 0.7092612],
+  [11, "TC", 0.49629861],
+  [11, "TT", -0.5868739],
+  [12, "GG", -0.3345637],
+  [13, "GA", 0.76384993],
+  [13, "GC", -0.5370252],
+  [16, "TG", -0.7981461],
+  [18, "GG", -0.6668087],
+  [18, "TC", 0.35318325],
+  [19, "CC", 0.74807209],
+  [19, "TG", -0.3672668],
+  [20, "AC", 0.56820913],
+  [20, "CG", 0.32907207],
+  [20, "GA", -0.8364568],
+  [20, "GG", -0.7822076],
+  [21, "TC", -1.029693],
+  [22, "CG", 0.85619782],
+  [22, "CT", -0.4632077],
+  [23, "AA", -0.5794924],
+  [23, "AG", 0.64907554],
+  [24, "AG", -0.0773007],
+  [24, "CG", 0.28793562],
+  [24, "TG", -0.2216372],
+  [26, "GT", 0.11787758],
+  [28, "GG", -0.69774]
+];
+
+/**
+ * On-target efficiency (0-100) of an SpCas9 guide using Doench 2014 Rule Set 1
+ *
+ * @param {string} thirtyMer - 4bp + 20bp protospacer + NGG PAM + 3bp, 5'-3' on the guide's strand
+ * @returns {number}
+ */
+export function getRuleSet1Score(thirtyMer) {
+  const seq = thirtyMer.toUpperCase();
+  let score = 0.59763615;
+  const gcCount = (seq.slice(4, 24).match(/[GC]/g) || []).length;
+  score +=
+    gcCount <= 10
+      ? Math.abs(gcCount - 10) * -0.2026259
+      : Math.abs(gcCount - 10) * -0.1665878;
+  ruleSet1Weights.forEach(([position, bases, weight]) => {
+    if (seq.slice(position, position + bases.length) === bases) {
+      score += weight;
+    }
+  });
+  return (1 / (1 + Math.exp(-score))) * 100;
+}
+
+// nucleases without a scoring model: guides with ~50% GC score best, TTTT (which ends
+// transcription from a U6 promoter) halves the score
+function getHeuristicScore(guide) {
+  const gcScore = Math.max(
+    0,
+    1 - Math.abs(calculatePercentGC(guide) - 50) / 50
+  );
+  return gcScore * (/tttt/i.test(guide) ? 0.5 : 1) * 100;
+}
+
+function matchesPam(bases, pam) {
+  if (!bases || bases.length !== pam.length) return false;
+  for (let i = 0; i < pam.length; i++) {
+    const allowed = ambiguous_dna_values[pam[i].toUpperCase()] || "";
+    if (!allowed.includes(bases[i].toUpperCase())) return false;
+  }
+  return true;
+}
+
+// the bases at [start, start + length), wrapping the origin of circular sequences
+function getBases(sequence, start, length, circular) {
+  const sequenceLength = sequence.length;
+  if (length > sequenceLength) return;
+  if (!circular) {
+    if (start < 0 || start + length > sequenceLength) return;
+    return sequence.slice(start, start + length);
+  }
+  let bases = "";
+  for (let i = 0; i < length; i++) {
+    bases +=
+      sequence[normalizePositionByRangeLength(start + i, sequenceLength)];
+  }
+  return bases;
+}
+
+function isPositionInRange(position, { start, end }, sequenceLength) {
+  return start <= end
+    ? position >= start && position <= end + 1
+    : position >= start || position <= end + 1 || position === sequenceLength;
+}
+
+// the protospacers (with their PAM) on both strands that could cut in range, positions are top strand
+function findProtospacers(sequence, circular, nuclease, range) {
+  const { pam, pamPosition, guideLength, cutOffset } = nuclease;
+  const sequenceLength = sequence.length;
+  const pamLength = pam.length;
+  const blockLength = guideLength + pamLength;
+  const isThreePrime = pamPosition === "3'";
+  const protospacers = [];
+  // only blocks starting up to a block's length before the range can cut in it
+  const blockStarts = new Set();
+  const rangeLength = getRangeLength(range, sequenceLength);
+  for (let k = -blockLength; k <= rangeLength; k++) {
+    const blockStart = range.start + k;
+    if (circular) {
+      blockStarts.add(
+        normalizePositionByRangeLength(blockStart, sequenceLength)
+      );
+    } else if (blockStart >= 0 && blockStart <= sequenceLength - blockLength) {
+      blockStarts.add(blockStart);
+    }
+  }
+  blockStarts.forEach(i => {
+    const block = getBases(sequence, i, blockLength, circular);
+    if (!block) return;
+    const rcBlock = getReverseComplementSequenceString(block);
+    [block, rcBlock].forEach((strandBlock, strandIndex) => {
+      const forward = strandIndex === 0;
+      const pamBases = isThreePrime
+        ? strandBlock.slice(guideLength)
+        : strandBlock.slice(0, pamLength);
+      if (!matchesPam(pamBases, pam)) return;
+      const guide = isThreePrime
+        ? strandBlock.slice(0, guideLength)
+        : strandBlock.slice(pamLength);
+      // whether the protospacer sits at the start of the top strand block
+      const protospacerFirst = forward === isThreePrime;
+      const protospacerStart = protospacerFirst ? i : i + pamLength;
+      const pamStart = protospacerFirst ? i + guideLength : i;
+      let cutPosition;
+      if (forward) {
+        cutPosition = isThreePrime ? i + cutOffset : i + pamLength + cutOffset;
+      } else {
+        cutPosition = isThreePrime
+          ? i + blockLength - cutOffset
+          : i + guideLength - cutOffset;
+      }
+      protospacers.push({
+        forward,
+        blockStart: i,
+        guide,
+        pamSequence: pamBases,
+        start: normalizePositionByRangeLength(protospacerStart, sequenceLength),
+        end: normalizePositionByRangeLength(
+          protospacerStart + guideLength - 1,
+          sequenceLength
+        ),
+        pamStart: normalizePositionByRangeLength(pamStart, sequenceLength),
+        pamEnd: normalizePositionByRangeLength(
+          pamStart + pamLength - 1,
+          sequenceLength
+        ),
+        cutPosition: circular
+          ? normalizePositionByRangeLength(cutPosition, sequenceLength)
+          : cutPosition
+      });
+    });
+  });
+  return protospacers;
+}
+
+// off-target sites of a guide in a sequence: approximate protospacer matches followed (or
+// preceded) by a PAM, on both strands
+function findOffTargets(guide, target, nuclease, maxMismatches) {
+  const { pam, pamPosition, guideLength } = nuclease;
+  const isThreePrime = pamPosition === "3'";
+  const sequenceLength = target.top.length;
+  const offTargets = [];
+  [target.top, target.bottom].forEach((strand, strandIndex) => {
+    findApproxMatches(guide, strand, maxMismatches, target.circular).forEach(
+      ({ index, numMismatches }) => {
+        const pamBases = getBases(
+          strand,
+          isThreePrime ? index + guideLength : index - pam.length,
+          pam.length,
+          target.circular
+        );
+        if (!matchesPam(pamBases, pam)) return;
+        const start =
+          strandIndex === 0
+            ? index
+            : normalizePositionByRangeLength(
+                sequenceLength - index - guideLength,
+                sequenceLength
+              );
+        offTargets.push({
+          sequenceName: target.name,
+          targetIndex: target.index,
+          start,
+          end: normalizePositionByRangeLength(
+            start + guideLength - 1,
+            sequenceLength
+          ),
+          forward: strandIndex === 0,
+          numMismatches
+        });
+      }
+    );
+  });
+  return offTargets;
+}
+
+/**
+ * Design CRISPR guide RNAs cutting within a region of a sequence. Every protospacer on either
+ * strand that is next to a PAM and whose cut site falls in the region is scored for on-target
+ * efficiency (Doench 2014 Rule Set 1 for 20bp SpCas9 guides, a GC/poly-T heuristic otherwise)
+ * and for off-targets (PAM adjacent matches with up to maxMismatches mismatches) in the sequence
+ * itself and any offTargetSequences.
+ *
+ * @param  {object} sequenceData teselagen sequence json (sequence, name and circular are used)
+ * @param  {object} range {start, end} the region the guides should cut in (0-based, inclusive)
+ * @param  {object} options
+ * @param  {string} options.nuclease one of crisprNucleases (default "SpCas9")
+ * @param  {string} options.pam override the nuclease's PAM (IUPAC codes allowed)
+ * @param  {string} options.pamPosition override which end of the protospacer the PAM is at ("3'" or "5'")
+ * @param  {number} options.guideLength override the nuclease's guide length
+ * @param  {number} options.maxMismatches max mismatches for a site to count as an off-target (default 3)
+ * @param  {object[]} options.offTargetSequences other sequence jsons to search for off-targets
+ * @returns {object[]} guides sorted by fewest off-targets then best on-target score:
+ *   {id, sequence (5'-3' spacer), pamSequence, start, end, forward, strand, pamStart, pamEnd,
+ *   cutPosition (the caret position the nuclease cuts at), gcContent, hasPolyT, onTargetScore,
+ *   offTargetsByMismatches ([count with 0 mismatches, with 1...]), offTargetCount, offTargets}
+ */
+export default function designGuideRnas(sequenceData, range, options = {}) {
+  const {
+    nuclease: nucleaseName = "SpCas9",
+    maxMismatches = 3,
+    offTargetSequences = []
+  } = options;
+  const baseNuclease = crisprNucleases[nucleaseName];
+  if (!baseNuclease && !options.pam) {
+    throw new Error(`Unknown CRISPR nuclease: ${nucleaseName}`);
+  }
+  const nuclease = {
+    pamPosition: "3'",
+    cutOffset: (options.guideLength || 20) - 3,
+    ...baseNuclease,
+    ...(options.pam && { pam: options.pam }),
+    ...(options.pamPosition && { pamPosition: options.pamPosition }),
+    ...(options.guideLength && { guideLength: options.guideLength })
+  };
+  if (options.guideLength && baseNuclease) {
+    // keep the cut the same distance from the PAM
+    nuclease.cutOffset =
+      nuclease.pamPosition === "3'"
+        ? options.guideLength -
+          (baseNuclease.guideLength - baseNuclease.cutOffset)
+        : baseNuclease.cutOffset;
+  }
+  const sequence = (sequenceData.sequence || "").toLowerCase();
+  const circular = !!sequenceData.circular;
+  const sequenceLength = sequence.length;
+  if (!sequenceLength) return [];
+
+  const targets = [sequenceData, ...offTargetSequences].map((s, index) => {
+    const top = (s.sequence || "").toLowerCase();
+    return {
+      index,
+      name: s.name || "Untitled Sequence",
+      circular: !!s.circular,
+      top,
+      bottom: getReverseComplementSequenceString(top)
+    };
+  });
+
+  const isRuleSet1 =
+    nuclease.pamPosition === "3'" &&
+    nuclease.guideLength === 20 &&
+    nuclease.pam.length === 3 &&
+    /^[NG]GG$/i.test(nuclease.pam);
+
+  const guides = findProtospacers(sequence, circular, nuclease, range)
+    .filter(({ cutPosition }) =>
+      isPositionInRange(cutPosition, range, sequenceLength)
+    )
+    .map(protospacer => {
+      const { guide, forward, blockStart, ...rest } = protospacer;
+      let onTargetScore;
+      if (isRuleSet1) {
+        const context = getBases(
+          sequence,
+          forward ? blockStart - 4 : blockStart - 3,
+          30,
+          circular
+        );
+        if (context) {
+          onTargetScore = getRuleSet1Score(
+            forward ? context : getReverseComplementSequenceString(context)
+          );
+        }
+      }
+      if (onTargetScore === undefined) {
+        onTargetScore = getHeuristicScore(guide);
+      }
+      const offTargetsByMismatches = new Array(maxMismatches + 1).fill(0);
+      const offTargets = [];
+      targets.forEach(target => {
+        findOffTargets(guide, target, nuclease, maxMismatches).forEach(
+          offTarget => {
+            const isOnTarget =
+              target.index === 0 &&
+              offTarget.forward === forward &&
+              offTarget.start === rest.start;
+            if (isOnTarget) return;
+            offTargetsByMismatches[offTarget.numMismatches]++;
+            offTargets.push(offTarget);
+          }
+        );
+      });
+      return {
+        ...rest,
+        id: `${forward ? "F" : "R"}${rest.start}`,
+        sequence: guide.toUpperCase(),
+        pamSequence: rest.pamSequence.toUpperCase(),
+        forward,
+        strand: forward ? 1 : -1,
+        gcContent: calculatePercentGC(guide),
+        hasPolyT: /tttt/i.test(guide),
+        onTargetScore: Math.round(onTargetScore * 10) / 10,
+        offTargetsByMismatches,
+        offTargetCount: offTargets.length,
+        offTargets
+      };
+    });
+
+  return sortBy(guides, [
+    g => g.offTargetsByMismatches.map(n => String(n).padStart(6, "0")).join(""),
+    g => -g.onTargetScore
+  ]);
+}
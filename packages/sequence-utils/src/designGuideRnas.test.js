@@ -0,0 +1,141 @@
+import { expect } from "chai";
+import designGuideRnas, { getRuleSet1Score } from "./designGuideRnas";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+const guide = "GACTTACGATCATCTACTAC";
+const padding = "aaaaaaaaaa";
+const sequence = padding + guide + "tgg" + padding;
+
+describe("designGuideRnas", () => {
+  it("should find SpCas9 guides next to an NGG PAM on the top strand", () => {
+    const guides = designGuideRnas({ sequence }, { start: 0, end: 42 });
+    expect(guides).to.have.length(1);
+    expect(guides[0]).to.include({
+      sequence: guide,
+      pamSequence: "TGG",
+      forward: true,
+      strand: 1,
+      start: 10,
+      end: 29,
+      pamStart: 30,
+      pamEnd: 32,
+      cutPosition: 27,
+      offTargetCount: 0
+    });
+    expect(guides[0].onTargetScore).to.equal(
+      Math.round(getRuleSet1Score(sequence.slice(6, 36)) * 10) / 10
+    );
+  });
+
+  it("should find guides on the bottom strand", () => {
+    const guides = designGuideRnas(
+      { sequence: getReverseComplementSequenceString(sequence) },
+      { start: 0, end: 42 }
+    );
+    expect(guides).to.have.length(1);
+    expect(guides[0]).to.include({
+      sequence: guide,
+      forward: false,
+      strand: -1,
+      start: 13,
+      end: 32,
+      pamStart: 10,
+      pamEnd: 12,
+      cutPosition: 16
+    });
+  });
+
+  it("should only return guides cutting in the range", () => {
+    expect(designGuideRnas({ sequence }, { start: 0, end: 25 })).to.have.length(
+      0
+    );
+    expect(
+      designGuideRnas({ sequence }, { start: 27, end: 27 })
+    ).to.have.length(1);
+  });
+
+  it("should find guides spanning the origin of a circular sequence", () => {
+    const rotated = sequence.slice(20) + sequence.slice(0, 20);
+    const guides = designGuideRnas(
+      { sequence: rotated, circular: true },
+      { start: 0, end: 10 }
+    );
+    expect(guides).to.have.length(1);
+    expect(guides[0]).to.include({
+      sequence: guide,
+      start: 33,
+      end: 9,
+      cutPosition: 7
+    });
+  });
+
+  it("should count PAM adjacent off-targets in the sequence and the other sequences", () => {
+    const oneMismatch = "GACTTACGATCATCTACTAA";
+    const guides = designGuideRnas(
+      { sequence: sequence + guide + "agg" + padding },
+      { start: 0, end: 42 },
+      {
+        offTargetSequences: [
+          {
+            name: "Other Tab",
+            sequence:
+              padding +
+              oneMismatch +
+              "cgg" +
+              padding +
+              // no PAM so not an off-target
+              guide +
+              "ttt" +
+              padding +
+              getReverseComplementSequenceString(oneMismatch + "agg")
+          }
+        ]
+      }
+    );
+    const [first] = guides.filter(g => g.start === 10);
+    expect(first.offTargetsByMismatches).to.deep.equal([1, 2, 0, 0]);
+    expect(first.offTargetCount).to.equal(3);
+    expect(
+      first.offTargets.map(o => [o.sequenceName, o.start, o.forward])
+    ).to.deep.equal([
+      ["Untitled Sequence", 43, true],
+      ["Other Tab", 10, true],
+      ["Other Tab", 79, false]
+    ]);
+  });
+
+  it("should support 5' PAMs like Cas12a's TTTV", () => {
+    const cas12aGuide = "ACGTCAGCATGACGCATCAGCGC";
+    const guides = designGuideRnas(
+      { sequence: "gggggg" + "ttta" + cas12aGuide + "gggggg" },
+      { start: 0, end: 38 },
+      { nuclease: "Cas12a" }
+    );
+    expect(guides).to.have.length(1);
+    expect(guides[0]).to.include({
+      sequence: cas12aGuide,
+      pamSequence: "TTTA",
+      start: 10,
+      end: 32,
+      pamStart: 6,
+      pamEnd: 9,
+      cutPosition: 28
+    });
+  });
+
+  it("should accept a custom PAM and throw for an unknown nuclease", () => {
+    const guides = designGuideRnas(
+      { sequence },
+      { start: 0, end: 42 },
+      { pam: "NGR" }
+    );
+    expect(guides.map(g => g.pamSequence).sort()).to.deep.equal([
+      "GGA",
+      "TGA",
+      "TGG"
+    ]);
+    expect(() =>
+      designGuideRnas({ sequence }, { start: 0, end: 1 }, { nuclease: "Cas0" })
+    ).to.throw("Unknown CRISPR nuclease");
+  });
+});
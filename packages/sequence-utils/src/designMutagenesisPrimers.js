@@ -0,0 +1,349 @@
+import { normalizePositionByRangeLength } from "@teselagen/range-utils";
+import calculateNebTm from "./calculateNebTm";
+import calculateNebTa from "./calculateNebTa";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+import insertSequenceDataAtPositionOrRange from "./insertSequenceDataAtPositionOrRange";
+import tidyUpSequenceData from "./tidyUpSequenceData";
+import { getCodonUsageTable } from "./codonUsageTables";
+import { getAminoAcidForCodon, getRelativeAdaptiveness } from "./calculateCai";
+import getCdsCodingPositions from "./getCdsCodingPositions";
+
+//insertions longer than this get split across the 5' tails of both back to back primers
+const MAX_SINGLE_TAIL_INSERTION = 6;
+
+//the bases [start, start + length) of a sequence, wrapping the origin of circular sequences
+function getBases(sequence, start, length, circular) {
+  if (!circular) {
+    return sequence.slice(Math.max(0, start), Math.max(0, start + length));
+  }
+  let bases = "";
+  for (let i = 0; i < length; i++) {
+    bases +=
+      sequence[normalizePositionByRangeLength(start + i, sequence.length)];
+  }
+  return bases;
+}
+
+/**
+ * Turns an amino acid change of a CDS (eg. "K123A", "K123*" or "K123del") into the dna edit that
+ * makes it. The new codon is the one needing the fewest base changes, ties going to the codon
+ * the host uses most.
+ *
+ * @param {object} sequenceData - teselagen sequence json
+ * @param {object} cds - the CDS feature ({start, end, forward, name, locations, notes})
+ * @param {string} change - wild type amino acid, position (1-based, counted along the joined
+ *   locations from the codon_start) and new amino acid
+ * @param {object} options
+ * @param {string|object} options.codonUsageTable - a codonUsageTables id or table used to break ties (default "ecoli")
+ * @returns {object} {start, end, bases, label} the edit in top strand coordinates
+ */
+export function getMutationFromProteinChange(
+  sequenceData,
+  cds,
+  change,
+  { codonUsageTable = "ecoli" } = {}
+) {
+  const match = /^([a-z*])(\d+)([a-z*]|del)$/i.exec(change.trim());
+  if (!match) {
+    throw new Error(
+      `Could not understand ${change}, changes should look like K123A, K123* or K123del`
+    );
+  }
+  const [, wildType, positionString, mutant] = match;
+  const aaPosition = Number(positionString);
+  const sequence = sequenceData.sequence.toLowerCase();
+  const codingPositions = getCdsCodingPositions(cds, sequence.length);
+  if (aaPosition < 1 || aaPosition * 3 > codingPositions.length) {
+    throw new Error(
+      `Position ${aaPosition} is outside of ${cds.name || "the CDS"}`
+    );
+  }
+  const codonPositions = codingPositions.slice(
+    (aaPosition - 1) * 3,
+    aaPosition * 3
+  );
+  const start = cds.forward ? codonPositions[0] : codonPositions[2];
+  const end = normalizePositionByRangeLength(start + 2, sequence.length);
+  const isSplit = [0, 1, 2].some(
+    i =>
+      !codonPositions.includes(
+        normalizePositionByRangeLength(start + i, sequence.length)
+      )
+  );
+  if (isSplit) {
+    throw new Error(
+      `Codon ${aaPosition} of ${cds.name || "the CDS"} is split by an intron`
+    );
+  }
+  const topCodon = getBases(sequence, start, 3, true);
+  const codon = cds.forward
+    ? topCodon
+    : getReverseComplementSequenceString(topCodon);
+  const actual = getAminoAcidForCodon(codon);
+  if (actual !== wildType.toUpperCase()) {
+    throw new Error(
+      `Amino acid ${aaPosition} of ${cds.name || "the CDS"} is ${actual}, not ${wildType.toUpperCase()}`
+    );
+  }
+  const label = `${wildType.toUpperCase()}${aaPosition}${
+    mutant.toLowerCase() === "del" ? "del" : mutant.toUpperCase()
+  }`;
+  if (mutant.toLowerCase() === "del") {
+    return { start, end, bases: "", label };
+  }
+  const weights = getRelativeAdaptiveness(getCodonUsageTable(codonUsageTable));
+  const countDifferences = c =>
+    c.split("").filter((base, i) => base !== codon[i]).length;
+  const [newCodon] = Object.keys(weights)
+    .filter(c => getAminoAcidForCodon(c) === mutant.toUpperCase())
+    .sort(
+      (a, b) =>
+        countDifferences(a) - countDifferences(b) || weights[b] - weights[a]
+    );
+  return {
+    start,
+    end,
+    bases: cds.forward
+      ? newCodon
+      : getReverseComplementSequenceString(newCodon),
+    label
+  };
+}
+
+//HGVS style description of a dna edit, eg. 123A>G, 123_125del, 123_124insGG or 123_125delinsTTT
+function getDnaEditLabel(sequence, { start, end, bases }) {
+  const isInsertion = end === start - 1;
+  if (isInsertion) return `${start}_${start + 1}ins${bases.toUpperCase()}`;
+  const removed = sequence.slice(start, end + 1).toUpperCase();
+  const range = start === end ? `${start + 1}` : `${start + 1}_${end + 1}`;
+  if (!bases) return `${range}del`;
+  if (start === end && bases.length === 1) {
+    return `${range}${removed}>${bases.toUpperCase()}`;
+  }
+  return `${range}delins${bases.toUpperCase()}`;
+}
+
+/**
+ * Designs the primers for site-directed mutagenesis of a (usually plasmid) template and simulates the
+ * mutant product. A substitution, deletion or insertion replaces the bases start-end with bases.
+ * - "overlapping" (QuikChange style): two fully complementary primers carrying the mutation in
+ *   their middle, flanks grown equally until the primer reaches the target Tm
+ * - "backToBack" (Q5 site-directed mutagenesis style): non-overlapping primers whose 5' ends meet at
+ *   the mutation, the new bases riding on the 5' end of the forward primer (or split over both for
+ *   long insertions) and the annealing parts grown until they reach the target Tm
+ * Tms are calculated with calculateNebTm.
+ *
+ * @param  {object} sequenceData teselagen sequence json of the template
+ * @param  {object} mutation {start, end, bases, label} top strand edit (0-based, inclusive), an
+ *   insertion has end = start - 1 and a deletion no bases
+ * @param  {object} options
+ * @param  {string} options.method "overlapping" or "backToBack" (default)
+ * @param  {number} options.targetTm the Tm of the overlapping primers or the annealing part of the back to back ones (default 78 / 60)
+ * @param  {number} options.minLength shortest flank (overlapping) or annealing part (back to back) (default 10 / 15)
+ * @param  {number} options.maxLength longest primer (overlapping) or annealing part (back to back) (default 45 / 35)
+ * @param  {string} options.name the name of the mutant
+ * @return {object} {sequenceData, primers, annealingTemperature (back to back only), label, warnings}
+ */
+export default function designMutagenesisPrimers(
+  sequenceData,
+  mutation,
+  options = {}
+) {
+  const { method = "backToBack" } = options;
+  const isOverlapping = method === "overlapping";
+  const {
+    targetTm = isOverlapping ? 78 : 60,
+    minLength = isOverlapping ? 10 : 15,
+    maxLength = isOverlapping ? 45 : 35
+  } = options;
+  const template = tidyUpSequenceData(sequenceData, {
+    doNotRemoveInvalidChars: true
+  });
+  const { start, end } = mutation;
+  const bases = (mutation.bases || "").toLowerCase();
+  const isInsertion = end === start - 1;
+  if (!isInsertion && end < start) {
+    throw new Error("Mutations spanning the origin are not supported");
+  }
+  if (isInsertion && !bases) {
+    throw new Error("Please give the bases to insert");
+  }
+  const label =
+    mutation.label || getDnaEditLabel(template.sequence, { start, end, bases });
+  const warnings = [];
+
+  const mutant = insertSequenceDataAtPositionOrRange(
+    { sequence: bases },
+    template,
+    isInsertion ? start : { start, end },
+    { doNotRemoveInvalidChars: true }
+  );
+  mutant.name = options.name || `${template.name || "Untitled"} ${label}`;
+  const mutantSequence = mutant.sequence.toLowerCase();
+  const { circular } = template;
+  const size = mutantSequence.length;
+
+  //every primer matches the mutant perfectly so they are all cut from it
+  const primers = [];
+  let annealingTemperature;
+  if (isOverlapping) {
+    let left = minLength;
+    let right = minLength;
+    let sequence, tm;
+    for (;;) {
+      sequence = getBases(
+        mutantSequence,
+        start - left,
+        left + bases.length + right,
+        circular
+      );
+      tm = getTm(sequence);
+      if (tm >= targetTm || left + bases.length + right >= maxLength) break;
+      if (left <= right) left++;
+      else right++;
+    }
+    if (sequence.length < left + bases.length + right) {
+      warnings.push(
+        `The mutation is too close to the end of the sequence for full length flanks`
+      );
+    }
+    const primerStart = start - left;
+    const primerEnd = start + bases.length + right - 1;
+    primers.push(
+      {
+        name: `${label}_F`,
+        forward: true,
+        tail: "",
+        annealingSequence: sequence,
+        sequence,
+        tm,
+        start: primerStart,
+        end: primerEnd
+      },
+      {
+        name: `${label}_R`,
+        forward: false,
+        tail: "",
+        annealingSequence: getReverseComplementSequenceString(sequence),
+        sequence: getReverseComplementSequenceString(sequence),
+        tm,
+        start: primerStart,
+        end: primerEnd
+      }
+    );
+  } else {
+    const reverseTailLength =
+      bases.length > MAX_SINGLE_TAIL_INSERTION
+        ? Math.floor(bases.length / 2)
+        : 0;
+    const forwardTail = bases.slice(reverseTailLength);
+    const reverseTail = getReverseComplementSequenceString(
+      bases.slice(0, reverseTailLength)
+    );
+    const primerOpts = { minLength, maxLength, targetTm };
+    const forwardAnnealing = growUntilTm(
+      length =>
+        getBases(mutantSequence, start + bases.length, length, circular),
+      primerOpts
+    );
+    const reverseAnnealing = growUntilTm(
+      length =>
+        getReverseComplementSequenceString(
+          getBases(mutantSequence, start - length, length, circular)
+        ),
+      primerOpts
+    );
+    primers.push(
+      {
+        name: `${label}_F`,
+        forward: true,
+        tail: forwardTail,
+        annealingSequence: forwardAnnealing.sequence,
+        sequence: forwardTail + forwardAnnealing.sequence,
+        tm: forwardAnnealing.tm,
+        start: start + reverseTailLength,
+        end: start + bases.length + forwardAnnealing.sequence.length - 1
+      },
+      {
+        name: `${label}_R`,
+        forward: false,
+        tail: reverseTail,
+        annealingSequence: reverseAnnealing.sequence,
+        sequence: reverseTail + reverseAnnealing.sequence,
+        tm: reverseAnnealing.tm,
+        start: start - reverseAnnealing.sequence.length,
+        end: start + reverseTailLength - 1
+      }
+    );
+    annealingTemperature = calculateNebTa(
+      [forwardAnnealing.sequence, reverseAnnealing.sequence],
+      undefined,
+      { polymerase: "Q5" }
+    );
+    if (typeof annealingTemperature !== "number") {
+      annealingTemperature = undefined;
+    }
+  }
+  primers.forEach(primer => {
+    primer.sequence = primer.sequence.toUpperCase();
+    primer.tail = primer.tail.toUpperCase();
+    primer.annealingSequence = primer.annealingSequence.toUpperCase();
+    if (!(primer.tm >= targetTm)) {
+      warnings.push(
+        `Primer ${primer.name} only reaches a Tm of ${formatTm(
+          primer.tm
+        )} (target ${targetTm}°C)`
+      );
+    }
+  });
+
+  //mark where the primers bind in the mutant
+  mutant.primers = [
+    ...Object.values(mutant.primers || {}),
+    ...primers.map(primer => ({
+      name: primer.name,
+      type: "primer_bind",
+      start: circular
+        ? normalizePositionByRangeLength(primer.start, size)
+        : Math.max(0, primer.start),
+      end: circular
+        ? normalizePositionByRangeLength(primer.end, size)
+        : Math.min(size - 1, primer.end),
+      forward: primer.forward,
+      strand: primer.forward ? 1 : -1
+    }))
+  ];
+
+  return {
+    sequenceData: tidyUpSequenceData(mutant, {
+      doNotRemoveInvalidChars: true
+    }),
+    primers: primers.map(({ start, end, ...primer }) => primer),
+    annealingTemperature,
+    label,
+    warnings
+  };
+}
+
+function growUntilTm(getSequenceOfLength, { minLength, maxLength, targetTm }) {
+  let sequence, tm;
+  for (let length = minLength; length <= maxLength; length++) {
+    const next = getSequenceOfLength(length);
+    //stop at the end of linear sequences
+    if (sequence && next.length === sequence.length) break;
+    sequence = next;
+    tm = getTm(sequence);
+    if (tm >= targetTm) break;
+  }
+  return { sequence, tm };
+}
+
+//calculateNebTm returns an error message for sequences it can't handle
+function getTm(sequence) {
+  const tm = calculateNebTm(sequence);
+  return typeof tm === "number" ? tm : NaN;
+}
+
+function formatTm(tm) {
+  return isNaN(tm) ? "unknown" : `${Math.round(tm * 10) / 10}°C`;
+}
@@ -0,0 +1,181 @@
+import { expect } from "chai";
+import designMutagenesisPrimers, {
+  getMutationFromProteinChange
+} from "./designMutagenesisPrimers";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+const sequence =
+  "gatcctctagagtcgacctgcaggcatgcaagcttggcactggccgtcgttttacaacgtcgtgactgggaaaaccctggcgttacccaacttaatcgccttgcagcacatccccctttcgccagctggcgtaatagcgaagaggcccgcaccgatcgcccttcccaacagttgcgcagcctgaatggcgaatgg";
+const cds = { name: "lacZa", type: "CDS", start: 30, end: 149, forward: true };
+const sequenceData = {
+  name: "pTest",
+  circular: true,
+  sequence,
+  features: [cds]
+};
+
+describe("getMutationFromProteinChange", () => {
+  it("should pick the codon with the fewest changes", () => {
+    // codon 2 is TTG, GCG only needs 2 changes
+    expect(
+      getMutationFromProteinChange(sequenceData, cds, "L2A")
+    ).to.deep.equal({ start: 33, end: 35, bases: "gcg", label: "L2A" });
+    // TTG -> TAG
+    expect(
+      getMutationFromProteinChange(sequenceData, cds, "l2*").bases
+    ).to.equal("tag");
+    expect(
+      getMutationFromProteinChange(sequenceData, cds, "S1del")
+    ).to.deep.equal({ start: 30, end: 32, bases: "", label: "S1del" });
+  });
+
+  it("should handle CDSs on the reverse strand", () => {
+    const reverseSequence = getReverseComplementSequenceString(sequence);
+    const reverseCds = {
+      ...cds,
+      start: sequence.length - 150,
+      end: sequence.length - 31,
+      forward: false
+    };
+    const mutation = getMutationFromProteinChange(
+      { sequence: reverseSequence },
+      reverseCds,
+      "L2A"
+    );
+    expect(mutation).to.deep.equal({
+      start: sequence.length - 36,
+      end: sequence.length - 34,
+      bases: "cgc",
+      label: "L2A"
+    });
+  });
+
+  it("should count codons along the locations of joined CDSs", () => {
+    const joinedCds = {
+      ...cds,
+      locations: [
+        { start: 30, end: 35 },
+        { start: 40, end: 149 }
+      ]
+    };
+    // the 4 base intron is skipped so codon 3 is the TGG after it
+    expect(
+      getMutationFromProteinChange(sequenceData, joinedCds, "W3A")
+    ).to.deep.equal({ start: 40, end: 42, bases: "gcg", label: "W3A" });
+    expect(() =>
+      getMutationFromProteinChange(
+        sequenceData,
+        {
+          ...cds,
+          locations: [
+            { start: 30, end: 34 },
+            { start: 40, end: 149 }
+          ]
+        },
+        "L2A"
+      )
+    ).to.throw("Codon 2 of lacZa is split by an intron");
+  });
+
+  it("should throw for bad notation or the wrong wild type", () => {
+    expect(() =>
+      getMutationFromProteinChange(sequenceData, cds, "Leu2Ala")
+    ).to.throw("Could not understand");
+    expect(() =>
+      getMutationFromProteinChange(sequenceData, cds, "K2A")
+    ).to.throw("Amino acid 2 of lacZa is L, not K");
+    expect(() =>
+      getMutationFromProteinChange(sequenceData, cds, "K41A")
+    ).to.throw("outside of lacZa");
+  });
+});
+
+describe("designMutagenesisPrimers", () => {
+  const mutation = { start: 33, end: 35, bases: "gcg", label: "L2A" };
+
+  it("should design back to back primers meeting at the mutation", () => {
+    const result = designMutagenesisPrimers(sequenceData, mutation);
+    const mutantSequence = result.sequenceData.sequence;
+    expect(mutantSequence.slice(30, 36)).to.equal("agcgcg");
+    expect(result.sequenceData.name).to.equal("pTest L2A");
+    expect(result.sequenceData.features).to.have.length(1);
+    const [forward, reverse] = result.primers;
+    expect(forward.name).to.equal("L2A_F");
+    expect(forward.tail).to.equal("GCG");
+    expect(forward.sequence).to.equal(forward.tail + forward.annealingSequence);
+    expect(
+      mutantSequence.slice(33, 33 + forward.sequence.length).toUpperCase()
+    ).to.equal(forward.sequence);
+    expect(
+      getReverseComplementSequenceString(reverse.sequence).toLowerCase()
+    ).to.equal(mutantSequence.slice(33 - reverse.sequence.length, 33));
+    expect(forward.tm).to.be.at.least(60);
+    expect(reverse.tm).to.be.at.least(60);
+    expect(result.annealingTemperature).to.equal(
+      Math.min(forward.tm, reverse.tm) + 1
+    );
+    expect(result.warnings).to.deep.equal([]);
+    expect(
+      Object.values(result.sequenceData.primers).map(p => [
+        p.name,
+        p.start,
+        p.forward
+      ])
+    ).to.deep.equal([
+      ["L2A_F", 33, true],
+      ["L2A_R", 33 - reverse.sequence.length, false]
+    ]);
+  });
+
+  it("should design overlapping primers carrying the mutation in their middle", () => {
+    const result = designMutagenesisPrimers(sequenceData, mutation, {
+      method: "overlapping"
+    });
+    const [forward, reverse] = result.primers;
+    expect(reverse.sequence).to.equal(
+      getReverseComplementSequenceString(forward.sequence)
+    );
+    expect(forward.tm).to.be.at.least(78);
+    const mutationIndex = forward.sequence.indexOf("GCGGCACT");
+    expect(mutationIndex).to.be.at.least(10);
+    expect(forward.sequence.length - mutationIndex - 3).to.be.at.least(10);
+    expect(result.annealingTemperature).to.equal(undefined);
+  });
+
+  it("should handle deletions and insertions", () => {
+    const deletion = designMutagenesisPrimers(sequenceData, {
+      start: 40,
+      end: 45
+    });
+    expect(deletion.label).to.equal("41_46del");
+    expect(deletion.sequenceData.sequence).to.equal(
+      sequence.slice(0, 40) + sequence.slice(46)
+    );
+    expect(deletion.primers[0].tail).to.equal("");
+
+    const insertion = designMutagenesisPrimers(sequenceData, {
+      start: 40,
+      end: 39,
+      bases: "CATCACCATCACCATCAC"
+    });
+    expect(insertion.label).to.equal("40_41insCATCACCATCACCATCAC");
+    expect(insertion.sequenceData.sequence).to.equal(
+      sequence.slice(0, 40) + "catcaccatcaccatcac" + sequence.slice(40)
+    );
+    // long insertions are split over both primers' tails
+    expect(insertion.primers.map(p => p.tail)).to.deep.equal([
+      "CACCATCAC",
+      "ATGGTGATG"
+    ]);
+  });
+
+  it("should warn when the primers can't reach the target Tm", () => {
+    const result = designMutagenesisPrimers(
+      { sequence: "atatatatatatatatatatatatatatatatatatatatat" },
+      { start: 20, end: 20, bases: "g" }
+    );
+    expect(result.label).to.equal("21A>G");
+    expect(result.warnings).to.have.length(2);
+    expect(result.warnings[0]).to.include("Primer 21A>G_F only reaches");
+  });
+});
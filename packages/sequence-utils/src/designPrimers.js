@@ -0,0 +1,200 @@
+import { sortBy } from "lodash-es";
+import {
+  getRangeLength,
+  getSequenceWithinRange,
+  normalizePositionByRangeLength
+} from "@teselagen/range-utils";
+import calculatePercentGC from "./calculatePercentGC";
+import calculateSantaLuciaTm from "./calculateSantaLuciaTm";
+import calculateEndStability from "./calculateEndStability";
+import calculateHairpinDeltaG from "./calculateHairpinDeltaG";
+import calculateDimerDeltaG from "./calculateDimerDeltaG";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+/**
+ * Primer3-style design of PCR primer pairs amplifying a target region.
+ * Forward primers start up to searchWindow bases before the target and reverse primers end up to
+ * searchWindow bases after it (so a searchWindow of 0 amplifies exactly the target).
+ * Every candidate is checked for length, GC content, GC clamp, Tm, 3' end stability, hairpins and
+ * self-dimers, then the best forward and reverse primers are paired up and checked for product size,
+ * Tm difference and hetero-dimers.
+ *
+ * @param  {object} sequenceData teselagen sequence json (sequence and circular are used)
+ * @param  {object} target {start, end} the region to amplify (0-based, inclusive)
+ * @param  {object} options
+ * @param  {function} options.calculateTm Tm calculator (calculateSantaLuciaTm by default, or calculateTm/calculateNebTm)
+ * @param  {number} options.targetTm optimal Tm in °C (default 60)
+ * @param  {number} options.minTm (default 55)
+ * @param  {number} options.maxTm (default 65)
+ * @param  {number} options.maxTmDifference max Tm difference between the two primers of a pair (default 5)
+ * @param  {number} options.minLength (default 18)
+ * @param  {number} options.optimalLength (default 20)
+ * @param  {number} options.maxLength (default 27)
+ * @param  {number} options.minGc min % GC (default 40)
+ * @param  {number} options.maxGc max % GC (default 60)
+ * @param  {number} options.gcClamp number of G/C bases the 3' end has to finish with (default 1)
+ * @param  {number} options.maxEndGc max number of G/C in the last 5 bases (default 3)
+ * @param  {number} options.maxEndStability max 3' end stability in kcal/mol (default 9)
+ * @param  {number} options.minHairpinDeltaG most stable hairpin allowed in kcal/mol (default -3)
+ * @param  {number} options.minSelfDimerDeltaG most stable self-dimer allowed in kcal/mol (default -9)
+ * @param  {number} options.minHeteroDimerDeltaG most stable dimer allowed between the primers of a pair in kcal/mol (default -9)
+ * @param  {number} options.minProductSize (default 0)
+ * @param  {number} options.maxProductSize (default Infinity)
+ * @param  {number} options.searchWindow how far outside the target primers can sit (default 50)
+ * @param  {number} options.numberOfPairs how many pairs to return (default 10)
+ * @return {array} primer pairs, best first:
+ *                 [{forward, reverse, productSize, tmDifference, heteroDimerDeltaG, penalty}] where forward and reverse are
+ *                 {sequence, start, end, forward, length, tm, gc, endStability, hairpinDeltaG, selfDimerDeltaG, penalty}
+ */
+export default function designPrimers(sequenceData, target, options = {}) {
+  const {
+    calculateTm = calculateSantaLuciaTm,
+    targetTm = 60,
+    minTm = 55,
+    maxTm = 65,
+    maxTmDifference = 5,
+    minLength = 18,
+    optimalLength = 20,
+    maxLength = 27,
+    minGc = 40,
+    maxGc = 60,
+    gcClamp = 1,
+    maxEndGc = 3,
+    maxEndStability = 9,
+    minHairpinDeltaG = -3,
+    minSelfDimerDeltaG = -9,
+    minHeteroDimerDeltaG = -9,
+    minProductSize = 0,
+    maxProductSize = Infinity,
+    searchWindow = 50,
+    numberOfPairs = 10
+  } = options;
+  const { sequence, circular } = sequenceData;
+  const sequenceLength = sequence.length;
+  const targetLength = getRangeLength(target, sequenceLength);
+
+  //the region holds the target plus the search windows on either side of it
+  let region;
+  if (circular) {
+    const window = Math.max(
+      0,
+      Math.min(searchWindow, Math.floor((sequenceLength - targetLength) / 2))
+    );
+    region = {
+      start: normalizePositionByRangeLength(
+        target.start - window,
+        sequenceLength
+      ),
+      end: normalizePositionByRangeLength(target.end + window, sequenceLength)
+    };
+  } else {
+    region = {
+      start: Math.max(0, target.start - searchWindow),
+      end: Math.min(sequenceLength - 1, target.end + searchWindow)
+    };
+  }
+  const regionSequence = getSequenceWithinRange(region, sequence).toUpperCase();
+  const targetStart = normalizePositionByRangeLength(
+    target.start - region.start,
+    sequenceLength
+  );
+  const targetEnd = targetStart + targetLength - 1;
+
+  const getPrimer = (localStart, localEnd, forward) => {
+    const templateSequence = regionSequence.slice(localStart, localEnd + 1);
+    const primerSequence = forward
+      ? templateSequence
+      : getReverseComplementSequenceString(templateSequence).toUpperCase();
+    if (/[^ATGC]/.test(primerSequence)) return;
+    const gc = calculatePercentGC(primerSequence);
+    if (gc < minGc || gc > maxGc) return;
+    const end = primerSequence.slice(-5);
+    const clamp = end.match(/[GC]*$/)[0].length;
+    const endGc = end.replace(/[AT]/g, "").length;
+    if (clamp < gcClamp || endGc > maxEndGc) return;
+    const tm = calculateTm(primerSequence);
+    if (typeof tm !== "number" || tm < minTm || tm > maxTm) return;
+    const endStability = calculateEndStability(primerSequence);
+    if (endStability > maxEndStability) return;
+    const hairpinDeltaG = calculateHairpinDeltaG(primerSequence);
+    if (hairpinDeltaG < minHairpinDeltaG) return;
+    const selfDimerDeltaG = calculateDimerDeltaG(primerSequence);
+    if (selfDimerDeltaG < minSelfDimerDeltaG) return;
+    return {
+      sequence: primerSequence,
+      start: normalizePositionByRangeLength(
+        region.start + localStart,
+        sequenceLength
+      ),
+      end: normalizePositionByRangeLength(
+        region.start + localEnd,
+        sequenceLength
+      ),
+      forward,
+      length: primerSequence.length,
+      tm,
+      gc,
+      endStability,
+      hairpinDeltaG,
+      selfDimerDeltaG,
+      localStart,
+      localEnd,
+      penalty:
+        Math.abs(tm - targetTm) +
+        Math.abs(primerSequence.length - optimalLength)
+    };
+  };
+
+  const forwardPrimers = [];
+  const reversePrimers = [];
+  for (let length = minLength; length <= maxLength; length++) {
+    for (let start = 0; start <= targetStart; start++) {
+      if (start + length > regionSequence.length) break;
+      const primer = getPrimer(start, start + length - 1, true);
+      primer && forwardPrimers.push(primer);
+    }
+    for (let end = targetEnd; end < regionSequence.length; end++) {
+      if (end - length + 1 < 0) continue;
+      const primer = getPrimer(end - length + 1, end, false);
+      primer && reversePrimers.push(primer);
+    }
+  }
+
+  //only the best primers of each direction are paired up to keep the number of pairs manageable
+  const maxPrimers = Math.max(50, numberOfPairs);
+  const bestReversePrimers = sortBy(reversePrimers, "penalty").slice(
+    0,
+    maxPrimers
+  );
+  const pairs = [];
+  sortBy(forwardPrimers, "penalty")
+    .slice(0, maxPrimers)
+    .forEach(forward => {
+      bestReversePrimers.forEach(reverse => {
+        const productSize = reverse.localEnd - forward.localStart + 1;
+        if (productSize < minProductSize || productSize > maxProductSize) {
+          return;
+        }
+        const tmDifference = Math.abs(forward.tm - reverse.tm);
+        if (tmDifference > maxTmDifference) return;
+        const heteroDimerDeltaG = calculateDimerDeltaG(
+          forward.sequence,
+          reverse.sequence
+        );
+        if (heteroDimerDeltaG < minHeteroDimerDeltaG) return;
+        pairs.push({
+          forward: stripLocalPositions(forward),
+          reverse: stripLocalPositions(reverse),
+          productSize,
+          tmDifference,
+          heteroDimerDeltaG,
+          penalty: forward.penalty + reverse.penalty + tmDifference
+        });
+      });
+    });
+  return sortBy(pairs, "penalty").slice(0, numberOfPairs);
+}
+
+function stripLocalPositions({ localStart, localEnd, ...primer }) {
+  return primer;
+}
@@ -0,0 +1,88 @@
+import { expect } from "chai";
+import { getSequenceWithinRange } from "@teselagen/range-utils";
+import designPrimers from "./designPrimers";
+import calculateTm from "./calculateTm";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+const sequence =
+  "ctagcataacccaccttggggcctctaaacgggtcttgaggggttttttgatgcgtaaaggagaagaacttttcactggagttgtcccaattcttgttgaattagatggtgatgttaatgggcacaaattttctgtcagtggagagggtgaaggtgatgcaacatacggaaaacttacccttaaatttatttgcactactggaaaactacctgttccatggccaacacttgtcactactttcggttatggtgttcaatgctttgcgagatacccagatcatatgaaacagcatgactttttcaagagtgccatgcccgaaggttatgtacaggaaagaactatatttttcaaagatgacgggaactacaagacacgtgctgaagtcaagtttgaaggtgatacccttgttaatagaatcgagttaaaaggtattgattttaaagaagatggaaacattcttggacacaaattggaatacaactataactcacacaatgtatacatcatggcagacaaacaaaagaatggaatcaaagttaacttcaaaattagacacaacattgaagatggaagcgttcaactagcagaccattatcaacaaaatactccaattggcgatggccctgtccttttaccagacaaccattacctgtccacacaatctgccctttcgaaagatcccaacgaaaagagagaccacatggtccttcttgagtttgtaacagctgctgggattacacatggcatggatgaactatacaaataa";
+
+function expectPrimerToMatchTemplate(primer, seqData) {
+  const template = getSequenceWithinRange(primer, seqData.sequence);
+  expect(primer.sequence).to.equal(
+    (primer.forward
+      ? template
+      : getReverseComplementSequenceString(template)
+    ).toUpperCase()
+  );
+}
+
+describe("designPrimers", () => {
+  it("should return ranked primer pairs flanking the target that pass every check", () => {
+    const seqData = { sequence };
+    const target = { start: 100, end: 600 };
+    const pairs = designPrimers(seqData, target);
+    expect(pairs).to.have.length(10);
+    pairs.forEach((pair, i) => {
+      i && expect(pair.penalty).to.be.at.least(pairs[i - 1].penalty);
+      const { forward, reverse } = pair;
+      expect(forward.forward).to.equal(true);
+      expect(reverse.forward).to.equal(false);
+      expect(forward.start).to.be.within(50, 100);
+      expect(reverse.end).to.be.within(600, 650);
+      expect(pair.productSize).to.equal(reverse.end - forward.start + 1);
+      expect(pair.tmDifference).to.be.at.most(5);
+      expect(pair.heteroDimerDeltaG).to.be.at.least(-9);
+      [forward, reverse].forEach(primer => {
+        expectPrimerToMatchTemplate(primer, seqData);
+        expect(primer.length).to.be.within(18, 27);
+        expect(primer.tm).to.be.within(55, 65);
+        expect(primer.gc).to.be.within(40, 60);
+        expect(primer.sequence).to.match(/[GC]$/);
+        expect(primer.hairpinDeltaG).to.be.at.least(-3);
+        expect(primer.selfDimerDeltaG).to.be.at.least(-9);
+      });
+    });
+  });
+
+  it("should respect the product size, search window and Tm calculator options", () => {
+    const pairs = designPrimers(
+      { sequence },
+      { start: 100, end: 600 },
+      {
+        calculateTm,
+        targetTm: 62,
+        searchWindow: 100,
+        minProductSize: 650,
+        numberOfPairs: 3
+      }
+    );
+    expect(pairs).to.have.length(3);
+    pairs.forEach(({ forward, reverse, productSize }) => {
+      expect(productSize).to.be.at.least(650);
+      expect(forward.tm).to.equal(calculateTm(forward.sequence));
+      expect(reverse.tm).to.equal(calculateTm(reverse.sequence));
+    });
+  });
+
+  it("should search across the origin of circular sequences", () => {
+    //rotate the sequence so the target (and its primers) span the origin
+    const seqData = {
+      sequence: sequence.slice(350) + sequence.slice(0, 350),
+      circular: true
+    };
+    const target = { start: sequence.length - 250, end: 250 };
+    const pairs = designPrimers(seqData, target, { numberOfPairs: 1 });
+    expect(pairs).to.have.length(1);
+    const [{ forward, reverse, productSize }] = pairs;
+    expectPrimerToMatchTemplate(forward, seqData);
+    expectPrimerToMatchTemplate(reverse, seqData);
+    expect(productSize).to.be.above(500);
+  });
+
+  it("should return no pairs if nothing passes the checks", () => {
+    expect(
+      designPrimers({ sequence: "a".repeat(200) }, { start: 50, end: 150 })
+    ).to.deep.equal([]);
+  });
+});
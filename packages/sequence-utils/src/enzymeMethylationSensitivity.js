@@ -0,0 +1,53 @@
+// how each enzyme copes with methylation overlapping its recognition site (after NEB's
+// methylation sensitivity tables). "blocked" enzymes won't cut there, "impaired" ones cut
+// slowly or only partially and "required" ones (DpnI) only cut methylated sites.
+// Keyed by lower case enzyme name as isoschizomers don't always share a sensitivity
+// (MboI is blocked by dam methylation, Sau3AI isn't)
+const enzymeMethylationSensitivity = {
+  aatii: { cpg: "blocked" },
+  acci: { cpg: "impaired" },
+  apai: { dcm: "impaired" },
+  asci: { cpg: "blocked" },
+  asisi: { cpg: "blocked" },
+  bsai: { dcm: "impaired", cpg: "impaired" },
+  bsiwi: { cpg: "blocked" },
+  bsmbi: { cpg: "impaired" },
+  bsmfi: { cpg: "blocked" },
+  bsrfi: { cpg: "blocked" },
+  bsshii: { cpg: "blocked" },
+  clai: { dam: "blocked", cpg: "blocked" },
+  dpni: { dam: "required" },
+  eaei: { dcm: "blocked", cpg: "blocked" },
+  eagi: { cpg: "blocked" },
+  eco52i: { cpg: "blocked" },
+  ecoo109i: { dcm: "blocked" },
+  ecorv: { cpg: "impaired" },
+  foki: { dcm: "impaired", cpg: "impaired" },
+  fsei: { cpg: "impaired" },
+  haeii: { cpg: "blocked" },
+  hapii: { cpg: "blocked" },
+  hhai: { cpg: "blocked" },
+  hincii: { cpg: "impaired" },
+  hpai: { cpg: "impaired" },
+  mboi: { dam: "blocked" },
+  mboii: { dam: "blocked" },
+  mlui: { cpg: "blocked" },
+  naei: { cpg: "blocked" },
+  nlaiv: { dcm: "impaired", cpg: "blocked" },
+  noti: { cpg: "blocked" },
+  nrui: { dam: "blocked", cpg: "blocked" },
+  pvui: { cpg: "blocked" },
+  sacii: { cpg: "blocked" },
+  sali: { cpg: "blocked" },
+  sfii: { dcm: "impaired" },
+  smai: { cpg: "blocked" },
+  snabi: { cpg: "blocked" },
+  srfi: { cpg: "blocked" },
+  stui: { dcm: "blocked" },
+  taqi: { dam: "impaired" },
+  xbai: { dam: "blocked" },
+  xhoi: { cpg: "impaired" },
+  xmai: { cpg: "impaired" }
+};
+
+export default enzymeMethylationSensitivity;
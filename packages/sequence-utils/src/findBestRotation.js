@@ -0,0 +1,50 @@
+import getOverlapBetweenTwoSequences from "./getOverlapBetweenTwoSequences";
+
+/**
+ * Find where a circular sequence should be rotated to so that it lines up with another one,
+ * eg. two copies of a plasmid whose origins were set in different places
+ *
+ * Seeds spread evenly along sequence1 are looked up in (circular) sequence2 with
+ * getOverlapBetweenTwoSequences; each one found votes for the rotation that would put it
+ * opposite its position in sequence1 and the most voted for rotation wins. Point mutations
+ * and small indels only cost the seeds that overlap them.
+ *
+ * @param {string} sequence1 - the sequence to line up with
+ * @param {string} sequence2 - the circular sequence to rotate
+ * @param {object} options - {seedLength (default 16), maxSeeds (default 100)}
+ * @returns {number} - the position in sequence2 to rotate to (see rotateSequenceDataToPosition),
+ *   0 if no seed was found
+ */
+export default function findBestRotation(sequence1, sequence2, options = {}) {
+  const { seedLength = 16, maxSeeds = 100 } = options;
+  const length2 = sequence2.length;
+  const seedLengthToUse = Math.min(seedLength, sequence1.length, length2);
+  if (!seedLengthToUse) return 0;
+  const numberOfSeeds = Math.min(
+    maxSeeds,
+    Math.floor(sequence1.length / seedLengthToUse)
+  );
+  const step = sequence1.length / numberOfSeeds;
+  const votes = {};
+  for (let k = 0; k < numberOfSeeds; k++) {
+    const seedStart = Math.floor(k * step);
+    const overlap = getOverlapBetweenTwoSequences(
+      sequence1.slice(seedStart, seedStart + seedLengthToUse),
+      sequence2
+    );
+    if (overlap) {
+      const rotation =
+        (((overlap.start - seedStart) % length2) + length2) % length2;
+      votes[rotation] = (votes[rotation] || 0) + 1;
+    }
+  }
+  let bestRotation = 0;
+  let mostVotes = 0;
+  Object.keys(votes).forEach(rotation => {
+    if (votes[rotation] > mostVotes) {
+      mostVotes = votes[rotation];
+      bestRotation = Number(rotation);
+    }
+  });
+  return bestRotation;
+}
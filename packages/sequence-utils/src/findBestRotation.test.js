@@ -0,0 +1,46 @@
+import { expect } from "chai";
+import findBestRotation from "./findBestRotation";
+import rotateBpsToPosition from "./rotateBpsToPosition";
+
+let seed = 11;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const plasmid = Array.from(
+  { length: 3000 },
+  () => "ACGT"[Math.floor(random() * 4)]
+).join("");
+
+describe("findBestRotation", () => {
+  it("should find the rotation that lines a circular sequence up with another", () => {
+    expect(
+      findBestRotation(plasmid, rotateBpsToPosition(plasmid, 1234))
+    ).to.equal(3000 - 1234);
+    expect(findBestRotation(plasmid, plasmid)).to.equal(0);
+  });
+  it("should cope with point mutations and indels", () => {
+    const mutated = rotateBpsToPosition(
+      plasmid.slice(0, 500) +
+        "GGGGG" +
+        plasmid.slice(500, 1500) +
+        "T" +
+        plasmid.slice(1501, 2800) +
+        plasmid.slice(2810),
+      2000
+    );
+    // the bases between the insertion and the deletion make up most of the seeds, so they
+    // decide the rotation
+    const rotation = findBestRotation(plasmid, mutated);
+    expect(rotation).to.equal(1000);
+    expect(rotateBpsToPosition(mutated, rotation).slice(500, 1500)).to.equal(
+      plasmid.slice(500, 1500)
+    );
+  });
+  it("should be case insensitive and return 0 when nothing matches", () => {
+    expect(
+      findBestRotation(plasmid, rotateBpsToPosition(plasmid, 10).toLowerCase())
+    ).to.equal(2990);
+    expect(
+      findBestRotation("AAAAAAAAAAAAAAAAAAAA", "CCCCCCCCCCCCCCCCCCCC")
+    ).to.equal(0);
+    expect(findBestRotation("ACGT", "")).to.equal(0);
+  });
+});
@@ -0,0 +1,143 @@
+import { ambiguous_dna_values } from "./bioData";
+
+// "AC" -> "M", "ACGT" -> "N" etc.
+const iupacCodeByBases = Object.keys(ambiguous_dna_values).reduce(
+  (acc, code) => {
+    if (code !== "." && code !== "X") acc[ambiguous_dna_values[code]] = code;
+    return acc;
+  },
+  {}
+);
+
+/**
+ * The consensus sequence of an alignment, column by column
+ *
+ * Each row votes for the base it has in a column. Bases are sorted by their share of the
+ * votes and the fewest of them that reach threshold (ties included) make up the consensus,
+ * as their IUPAC ambiguity code when there's more than one (X for proteins). A 0.5 threshold
+ * is a simple majority while 1 keeps every base seen in the column.
+ *
+ * Rows that carry qualNums (eg. Sanger reads) vote with the phred quality of their base, a
+ * gap with the lower quality of the bases either side of it, and rows without any with
+ * defaultQuality. Ambiguous bases split their vote between the bases they stand for and
+ * N/X don't vote at all. Gaps before a row's first base, after its last one, or outside
+ * its trimmedRange are where that row has no data, so they never vote.
+ *
+ * @param {Array<string|object>} rows - aligned sequences (with - for gaps) or
+ *   {sequence (aligned), qualNums (one per base, gaps excluded), trimmedRange (the
+ *   0-based inclusive columns to use)}
+ * @param {object} options - {threshold (default 0.5), gapMode ("vote" (default) to let
+ *   gaps compete with bases, "ignore" to only call a gap where no row has a base),
+ *   keepGaps (default false, leave the gaps the consensus calls in it), useQuality
+ *   (default true), defaultQuality (default 20), isProtein}
+ * @returns {string} - the consensus sequence
+ */
+export default function getAlignmentConsensus(rows, options = {}) {
+  const {
+    threshold = 0.5,
+    gapMode = "vote",
+    keepGaps = false,
+    useQuality = true,
+    defaultQuality = 20,
+    isProtein = false
+  } = options;
+  const rowsToUse = rows.map(row =>
+    getRowWeights(row, { useQuality, defaultQuality })
+  );
+  const length = Math.max(
+    0,
+    ...rowsToUse.map(({ sequence }) => sequence.length)
+  );
+
+  let consensus = "";
+  for (let column = 0; column < length; column++) {
+    const votes = {};
+    let hasBase = false;
+    rowsToUse.forEach(({ sequence, weights, start, end }) => {
+      if (column < start || column > end) return;
+      const char = sequence[column];
+      if (char === "-" || char === ".") {
+        if (gapMode === "vote") addVote(votes, "-", weights[column]);
+        return;
+      }
+      hasBase = true;
+      const bases = isProtein ? char : ambiguous_dna_values[char] || char;
+      if (bases === "GATC" || (isProtein && char === "X")) return;
+      bases
+        .split("")
+        .forEach(base => addVote(votes, base, weights[column] / bases.length));
+    });
+    const call = getColumnCall(votes, threshold, isProtein, hasBase);
+    if (call !== "-" || keepGaps) consensus += call;
+  }
+  return consensus;
+}
+
+function addVote(votes, base, weight) {
+  votes[base] = (votes[base] || 0) + weight;
+}
+
+function getColumnCall(votes, threshold, isProtein, hasBase) {
+  const ranked = Object.keys(votes)
+    .filter(base => votes[base] > 0)
+    .sort((a, b) => votes[b] - votes[a] || (a < b ? -1 : 1));
+  if (!ranked.length) {
+    // nothing but Ns (or bases with no quality) here
+    return hasBase ? (isProtein ? "X" : "N") : "-";
+  }
+  const total = ranked.reduce((acc, base) => acc + votes[base], 0);
+  const called = [];
+  let calledWeight = 0;
+  ranked.forEach(base => {
+    const isTie =
+      called.length && votes[base] === votes[called[called.length - 1]];
+    if (calledWeight < threshold * total || isTie) {
+      called.push(base);
+      calledWeight += votes[base];
+    }
+  });
+  // a gap only wins outright, when bases make it in too they're called instead
+  const bases = called.filter(base => base !== "-");
+  if (!bases.length) return "-";
+  if (bases.length === 1) return bases[0];
+  if (isProtein) return "X";
+  return iupacCodeByBases[bases.sort().join("")] || "N";
+}
+
+// the weight each column of a row votes with, and the columns it has data for
+function getRowWeights(row, { useQuality, defaultQuality }) {
+  const {
+    sequence: _sequence = "",
+    qualNums,
+    trimmedRange
+  } = typeof row === "string" ? { sequence: row } : row;
+  const sequence = _sequence.toUpperCase();
+  const isGap = char => char === "-" || char === ".";
+  const weights = [];
+  let baseIndex = 0;
+  let firstBase;
+  let lastBase;
+  sequence.split("").forEach((char, column) => {
+    if (isGap(char)) return;
+    if (firstBase === undefined) firstBase = column;
+    lastBase = column;
+    if (!useQuality) weights[column] = 1;
+    else if (qualNums?.length) weights[column] = qualNums[baseIndex] || 0;
+    else weights[column] = defaultQuality;
+    baseIndex++;
+  });
+  // gaps are only as sure as the bases either side of them
+  for (let column = firstBase; column < lastBase; column++) {
+    if (!isGap(sequence[column])) continue;
+    let next = column;
+    while (isGap(sequence[next])) next++;
+    const gapWeight = Math.min(weights[column - 1], weights[next]);
+    for (; column < next; column++) weights[column] = gapWeight;
+  }
+  return {
+    sequence,
+    weights,
+    start: Math.max(firstBase ?? Infinity, trimmedRange?.start ?? 0),
+    end: Math.min(lastBase ?? -1, trimmedRange?.end ?? Infinity)
+  };
+}
@@ -0,0 +1,75 @@
+import { expect } from "chai";
+import getAlignmentConsensus from "./getAlignmentConsensus";
+
+describe("getAlignmentConsensus", () => {
+  it("should call the majority base of each column", () => {
+    expect(getAlignmentConsensus(["ACGT", "ACGA", "TCGA"])).to.equal("ACGA");
+  });
+  it("should use IUPAC codes for the bases needed to reach the threshold", () => {
+    const rows = ["AAAA", "AACC", "ACGT", "ACGG"];
+    expect(getAlignmentConsensus(rows)).to.equal("AMGN");
+    expect(getAlignmentConsensus(rows, { threshold: 0.75 })).to.equal("AMVN");
+    expect(
+      getAlignmentConsensus(["AC", "AT", "AT"], { threshold: 1 })
+    ).to.equal("AY");
+  });
+  it("should split the votes of ambiguous bases and not count Ns", () => {
+    expect(getAlignmentConsensus(["R", "A", "G", "G"])).to.equal("G");
+    expect(getAlignmentConsensus(["N", "N", "C"])).to.equal("C");
+    expect(getAlignmentConsensus(["AN", "AN"])).to.equal("AN");
+  });
+  it("should let gaps vote or be ignored, never counting a row's end gaps", () => {
+    const rows = ["ACGTACGT", "AC--ACGT", "AC--ACGT", "----AC--"];
+    expect(getAlignmentConsensus(rows)).to.equal("ACACGT");
+    expect(getAlignmentConsensus(rows, { keepGaps: true })).to.equal(
+      "AC--ACGT"
+    );
+    expect(getAlignmentConsensus(rows, { gapMode: "ignore" })).to.equal(
+      "ACGTACGT"
+    );
+    expect(
+      getAlignmentConsensus(["--AC", "GGA-"], { keepGaps: true })
+    ).to.equal("GGAC");
+  });
+  it("should weight votes by base quality when rows have qualNums", () => {
+    const rows = [
+      { sequence: "AC-GT", qualNums: [40, 40, 40, 40] },
+      { sequence: "ATTGT", qualNums: [40, 10, 10, 40, 40] },
+      { sequence: "ATTGT", qualNums: [40, 15, 15, 40, 40] }
+    ];
+    expect(getAlignmentConsensus(rows)).to.equal("ACGT");
+    expect(getAlignmentConsensus(rows, { useQuality: false })).to.equal(
+      "ATTGT"
+    );
+    // rows without qualNums vote with defaultQuality
+    expect(
+      getAlignmentConsensus([{ sequence: "A", qualNums: [30] }, "C"])
+    ).to.equal("A");
+    expect(
+      getAlignmentConsensus([{ sequence: "A", qualNums: [30] }, "C", "C"])
+    ).to.equal("C");
+  });
+  it("should only use the columns in a row's trimmedRange", () => {
+    expect(
+      getAlignmentConsensus([
+        "ACGT",
+        { sequence: "TTTT", trimmedRange: { start: 1, end: 2 } },
+        { sequence: "TTTT", trimmedRange: { start: 1, end: 2 } }
+      ])
+    ).to.equal("ATTT");
+  });
+  it("should use X for ambiguous protein columns", () => {
+    expect(
+      getAlignmentConsensus(["MKV-L", "MRVAL", "MKV-L", "MRI-L"], {
+        isProtein: true
+      })
+    ).to.equal("MXVL");
+    expect(
+      getAlignmentConsensus(["MKV-L", "MRVAL", "MKV-L", "MRI-L"], {
+        isProtein: true,
+        threshold: 0.75,
+        gapMode: "ignore"
+      })
+    ).to.equal("MXVAL");
+  });
+});
@@ -0,0 +1,237 @@
+import { filter } from "lodash-es";
+import getAminoAcidDataForEachBaseOfDna from "./getAminoAcidDataForEachBaseOfDna";
+import getAminoAcidFromSequenceTriplet from "./getAminoAcidFromSequenceTriplet";
+import getComplementSequenceString from "./getComplementSequenceString";
+import rotateSequenceDataToPosition from "./rotateSequenceDataToPosition";
+
+/**
+ * The SNPs, insertions and deletions of an aligned track against the reference it's aligned
+ * to (eg. the template of a pairwise alignment), along with what they do to any CDS
+ * features of the reference
+ *
+ * Positions are 0-based in the reference's numbering (undoing alignmentData.rotation).
+ * SNPs and deletions are placed on their (first) reference base and insertions on the
+ * reference base they follow. Only the part of the track between its first and last base is
+ * looked at and Ns are not called as SNPs.
+ *
+ * Each variant lists an effect per CDS it falls in:
+ * {featureId, featureName, consequence, aminoAcidPosition (1-based), referenceCodon,
+ * alternateCodon, referenceAminoAcid, alternateAminoAcid, aminoAcidChange (eg. K12R)}.
+ * SNPs are synonymous, missense, nonsense or stop lost (with every SNP of the track in the
+ * same codon applied together), indels are frameshifts or in-frame insertions/deletions.
+ *
+ * @param {object} referenceTrack - {sequenceData (with its features), alignmentData: {sequence (aligned), rotation}}
+ * @param {object} track - {sequenceData, alignmentData: {sequence (aligned)}}
+ * @returns {object[]} - [{type: "SNP" | "insertion" | "deletion", position, referenceBases,
+ *   alternateBases, effects}] sorted by position
+ */
+export default function getAlignmentVariants(referenceTrack, track) {
+  const referenceData = referenceTrack.sequenceData || {};
+  const alignedReference = referenceTrack.alignmentData.sequence;
+  const alignedSequence = track.alignmentData.sequence;
+  const referenceSequence = alignedReference.replace(/-/g, "");
+  const referenceLength = referenceSequence.length;
+  const rotation =
+    (referenceTrack.alignmentData.rotation || 0) % referenceLength;
+  const toReferencePosition = position =>
+    (position + rotation) % referenceLength;
+
+  const firstBase = alignedSequence.search(/[^-]/);
+  const lastBase = alignedSequence.search(/[^-]-*$/);
+  const variants = [];
+  let referencePosition = 0;
+  let lastVariant;
+  for (let column = 0; column < alignedReference.length; column++) {
+    const referenceBase = alignedReference[column];
+    const base = alignedSequence[column] || "-";
+    const isCovered = column >= firstBase && column <= lastBase;
+    if (referenceBase === "-") {
+      // bases hanging off either end of the reference aren't insertions
+      if (
+        isCovered &&
+        base !== "-" &&
+        referencePosition > 0 &&
+        referencePosition < referenceLength
+      ) {
+        if (
+          lastVariant?.type === "insertion" &&
+          lastVariant.position === referencePosition - 1
+        ) {
+          lastVariant.alternateBases += base;
+        } else {
+          lastVariant = {
+            type: "insertion",
+            position: referencePosition - 1,
+            referenceBases: "",
+            alternateBases: base
+          };
+          variants.push(lastVariant);
+        }
+      }
+      continue;
+    }
+    if (isCovered) {
+      if (base === "-") {
+        if (
+          lastVariant?.type === "deletion" &&
+          lastVariant.position + lastVariant.referenceBases.length ===
+            referencePosition
+        ) {
+          lastVariant.referenceBases += referenceBase;
+        } else {
+          lastVariant = {
+            type: "deletion",
+            position: referencePosition,
+            referenceBases: referenceBase,
+            alternateBases: ""
+          };
+          variants.push(lastVariant);
+        }
+      } else if (
+        base.toUpperCase() !== referenceBase.toUpperCase() &&
+        base.toUpperCase() !== "N"
+      ) {
+        lastVariant = {
+          type: "SNP",
+          position: referencePosition,
+          referenceBases: referenceBase,
+          alternateBases: base
+        };
+        variants.push(lastVariant);
+      }
+    }
+    referencePosition++;
+  }
+
+  const snpBasesByPosition = {};
+  variants.forEach(({ type, position, alternateBases }) => {
+    if (type === "SNP") snpBasesByPosition[position] = alternateBases;
+  });
+  // a rotated track holds rotated sequenceData, so its features line up with its bases
+  const cdsFeatures = filter(
+    referenceData.features,
+    feature => feature.type?.toUpperCase() === "CDS"
+  ).map(feature => getCdsCodons(referenceSequence, feature));
+
+  return variants
+    .map(variant => ({
+      ...variant,
+      effects: cdsFeatures.flatMap(cds =>
+        getEffect(variant, cds, referenceSequence, snpBasesByPosition)
+      ),
+      position: toReferencePosition(variant.position)
+    }))
+    .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * The reference of an alignment track numbered from its own origin (undoing
+ * alignmentData.rotation), so its bases line up with the positions getAlignmentVariants
+ * returns, eg. when writing them out with jsonToVcf
+ *
+ * @param {object} referenceTrack - {sequenceData, alignmentData: {sequence (aligned), rotation}}
+ * @returns {object} - sequenceData
+ */
+export function getReferenceSequenceData(referenceTrack) {
+  const sequence = referenceTrack.alignmentData.sequence.replace(/-/g, "");
+  const sequenceData = { ...referenceTrack.sequenceData, sequence };
+  const rotation =
+    (referenceTrack.alignmentData.rotation || 0) % sequence.length;
+  return rotation
+    ? rotateSequenceDataToPosition(sequenceData, sequence.length - rotation)
+    : sequenceData;
+}
+
+// the codon each base of a CDS belongs to
+function getCdsCodons(referenceSequence, feature) {
+  const forward = feature.forward ?? feature.strand !== -1;
+  const codonsByPosition = {};
+  const codons = [];
+  getAminoAcidDataForEachBaseOfDna(referenceSequence, forward, feature).forEach(
+    ({ aminoAcidIndex, positionInCodon, sequenceIndex, fullCodon }) => {
+      if (aminoAcidIndex === null || !fullCodon) return;
+      if (!codons[aminoAcidIndex]) {
+        codons[aminoAcidIndex] = { aminoAcidIndex, positions: [] };
+      }
+      codons[aminoAcidIndex].positions[positionInCodon] = sequenceIndex;
+      codonsByPosition[sequenceIndex] = codons[aminoAcidIndex];
+    }
+  );
+  return { feature, forward, codonsByPosition };
+}
+
+function getEffect(variant, cds, referenceSequence, snpBasesByPosition) {
+  const { feature, forward, codonsByPosition } = cds;
+  const { type, position, referenceBases, alternateBases } = variant;
+  // an insertion is inside the CDS when the bases either side of it are
+  const codon =
+    type === "insertion"
+      ? codonsByPosition[position] &&
+        codonsByPosition[(position + 1) % referenceSequence.length] &&
+        codonsByPosition[position]
+      : referenceBases
+          .split("")
+          .map(
+            (b, i) =>
+              codonsByPosition[(position + i) % referenceSequence.length]
+          )
+          .find(Boolean);
+  if (!codon) return [];
+
+  const readCodon = getBase =>
+    codon.positions
+      .map(p => {
+        const base = getBase(p);
+        return forward ? base : getComplementSequenceString(base);
+      })
+      .join("")
+      .toUpperCase();
+  const referenceCodon = readCodon(p => referenceSequence[p]);
+  const referenceAminoAcid =
+    getAminoAcidFromSequenceTriplet(referenceCodon).value;
+  const aminoAcidPosition = codon.aminoAcidIndex + 1;
+  const effect = {
+    featureId: feature.id,
+    featureName: feature.name,
+    aminoAcidPosition,
+    referenceCodon,
+    referenceAminoAcid
+  };
+
+  if (type !== "SNP") {
+    const indelLength = (referenceBases || alternateBases).length;
+    const isFrameshift = indelLength % 3 !== 0;
+    return [
+      {
+        ...effect,
+        consequence: isFrameshift
+          ? "frameshift"
+          : `in-frame ${type === "insertion" ? "insertion" : "deletion"}`,
+        aminoAcidChange: `${referenceAminoAcid}${aminoAcidPosition}${
+          isFrameshift ? "fs" : type === "insertion" ? "ins" : "del"
+        }`
+      }
+    ];
+  }
+
+  const alternateCodon = readCodon(
+    p => snpBasesByPosition[p] || referenceSequence[p]
+  );
+  const alternateAminoAcid =
+    getAminoAcidFromSequenceTriplet(alternateCodon).value;
+  let consequence = "missense";
+  if (alternateAminoAcid === referenceAminoAcid) consequence = "synonymous";
+  else if (alternateAminoAcid === "*") consequence = "nonsense";
+  else if (referenceAminoAcid === "*") consequence = "stop lost";
+  return [
+    {
+      ...effect,
+      consequence,
+      alternateCodon,
+      alternateAminoAcid,
+      aminoAcidChange: `${referenceAminoAcid}${aminoAcidPosition}${
+        consequence === "synonymous" ? "=" : alternateAminoAcid
+      }`
+    }
+  ];
+}
@@ -0,0 +1,186 @@
+import { expect } from "chai";
+import getAlignmentVariants, {
+  getReferenceSequenceData
+} from "./getAlignmentVariants";
+import mapSequencingReads from "./mapSequencingReads";
+
+//             0   4   8   12  16  20  24
+const reference = "CCATGAAACTGGGCTAAGGTTTTTT";
+const referenceTrack = {
+  sequenceData: {
+    sequence: reference,
+    features: [
+      { id: "cds1", name: "myGene", type: "CDS", start: 2, end: 16, strand: 1 }
+    ]
+  },
+  alignmentData: { sequence: reference }
+};
+const getTrack = sequence => ({ alignmentData: { sequence } });
+
+describe("getAlignmentVariants", () => {
+  it("should list SNPs with their effect on the CDS they fall in", () => {
+    //                                           M  *  R  G  Q
+    const variants = getAlignmentVariants(
+      referenceTrack,
+      getTrack("CCATGTAACGGGGCCAAGGTTTTTG")
+    );
+    expect(
+      variants.map(({ type, position, referenceBases, alternateBases }) => [
+        type,
+        position,
+        referenceBases,
+        alternateBases
+      ])
+    ).to.deep.equal([
+      ["SNP", 5, "A", "T"],
+      ["SNP", 9, "T", "G"],
+      ["SNP", 14, "T", "C"],
+      ["SNP", 24, "T", "G"]
+    ]);
+    expect(variants[0].effects[0]).to.include({
+      consequence: "nonsense",
+      aminoAcidChange: "K2*"
+    });
+    expect(variants[1].effects).to.deep.equal([
+      {
+        featureId: "cds1",
+        featureName: "myGene",
+        aminoAcidPosition: 3,
+        referenceCodon: "CTG",
+        referenceAminoAcid: "L",
+        alternateCodon: "CGG",
+        alternateAminoAcid: "R",
+        consequence: "missense",
+        aminoAcidChange: "L3R"
+      }
+    ]);
+    expect(variants[2].effects[0]).to.include({
+      consequence: "stop lost",
+      alternateCodon: "CAA",
+      aminoAcidChange: "*5Q"
+    });
+    expect(variants[3].effects).to.deep.equal([]);
+  });
+
+  it("should call SNPs that keep the amino acid synonymous", () => {
+    const [variant] = getAlignmentVariants(
+      referenceTrack,
+      getTrack("CCATGAAACTAGGCTAAGGTTTTTT")
+    );
+    expect(variant.effects[0]).to.include({
+      consequence: "synonymous",
+      aminoAcidChange: "L3="
+    });
+  });
+
+  it("should read codons of reverse strand CDSs and apply SNPs in the same codon together", () => {
+    const variants = getAlignmentVariants(
+      {
+        sequenceData: {
+          sequence: "TTTCATGG",
+          features: [{ type: "CDS", start: 0, end: 5, strand: -1 }]
+        },
+        alignmentData: { sequence: "TTTCATGG" }
+      },
+      // ATG AAA -> ATG AGG (K -> R) and the codon's last base from T to C (synonymous on its own)
+      getTrack("CCTCATGG")
+    );
+    expect(
+      variants.map(({ effects }) => effects[0].aminoAcidChange)
+    ).to.deep.equal(["K2R", "K2R"]);
+    expect(variants[0].effects[0].alternateCodon).to.equal("AGG");
+  });
+
+  it("should merge indels and call frameshifts and in-frame changes", () => {
+    const variants = getAlignmentVariants(
+      {
+        ...referenceTrack,
+        alignmentData: { sequence: "CCATGAAA---CTGGGCTAAGGTTTTTT" }
+      },
+      getTrack("----GAAAGGGCT-GGCTAAG---TTTT")
+    );
+    expect(variants).to.deep.equal([
+      {
+        type: "insertion",
+        position: 7,
+        referenceBases: "",
+        alternateBases: "GGG",
+        effects: [
+          {
+            featureId: "cds1",
+            featureName: "myGene",
+            aminoAcidPosition: 2,
+            referenceCodon: "AAA",
+            referenceAminoAcid: "K",
+            consequence: "in-frame insertion",
+            aminoAcidChange: "K2ins"
+          }
+        ]
+      },
+      {
+        type: "deletion",
+        position: 10,
+        referenceBases: "G",
+        alternateBases: "",
+        effects: [
+          {
+            featureId: "cds1",
+            featureName: "myGene",
+            aminoAcidPosition: 3,
+            referenceCodon: "CTG",
+            referenceAminoAcid: "L",
+            consequence: "frameshift",
+            aminoAcidChange: "L3fs"
+          }
+        ]
+      },
+      {
+        type: "deletion",
+        position: 18,
+        referenceBases: "GTT",
+        alternateBases: "",
+        effects: []
+      }
+    ]);
+  });
+
+  it("should number positions from the reference's origin when its track is rotated", () => {
+    const variants = getAlignmentVariants(
+      {
+        sequenceData: { sequence: "GGGGAAAA" },
+        alignmentData: { sequence: "GGGGAAAA", rotation: 6 }
+      },
+      getTrack("GGTGAAAA")
+    );
+    expect(variants.map(({ position }) => position)).to.deep.equal([0]);
+  });
+
+  it("should give the reference of a rotated mapSequencingReads track back in its own numbering", () => {
+    let seed = 11;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const sequence = Array.from(
+      { length: 600 },
+      () => "ACGT"[Math.floor(random() * 4)]
+    ).join("");
+    // a read across the origin missing 4 bases just after it
+    const read =
+      sequence.slice(500) + sequence.slice(0, 40) + sequence.slice(44, 140);
+    const [mappedRead] = mapSequencingReads(
+      { name: "ref", sequence, circular: true },
+      [{ name: "read", sequence: read }]
+    ).reads;
+    const [templateTrack, readTrack] = mappedRead.alignmentTracks;
+    expect(templateTrack.alignmentData.rotation).to.be.above(0);
+
+    const referenceSequenceData = getReferenceSequenceData(templateTrack);
+    expect(referenceSequenceData.sequence).to.equal(sequence);
+    const [deletion] = getAlignmentVariants(templateTrack, readTrack);
+    expect(deletion.type).to.equal("deletion");
+    expect(
+      referenceSequenceData.sequence.slice(
+        deletion.position,
+        deletion.position + 4
+      )
+    ).to.equal(deletion.referenceBases);
+  });
+});
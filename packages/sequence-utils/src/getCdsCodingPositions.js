@@ -0,0 +1,27 @@
+import { normalizePositionByRangeLength } from "@teselagen/range-utils";
+
+/**
+ * The top strand positions of the bases a CDS reads, in the order it reads them (5'-3' on its
+ * own strand). The introns between joined locations are skipped and so are the bases before
+ * its codon_start, so every 3 positions from the first one are a codon.
+ *
+ * @param {object} cds - the CDS feature ({start, end, forward or strand, locations, notes})
+ * @param {number} sequenceLength - length of the sequence the CDS is on
+ * @returns {number[]} 0-based positions
+ */
+export default function getCdsCodingPositions(cds, sequenceLength) {
+  const forward = cds.forward !== undefined ? cds.forward : cds.strand !== -1;
+  const locations =
+    cds.locations && cds.locations.length ? cds.locations : [cds];
+  const positions = [];
+  locations.forEach(({ start, end }) => {
+    const length =
+      end >= start ? end - start + 1 : sequenceLength - start + end + 1;
+    for (let i = 0; i < length; i++) {
+      positions.push(normalizePositionByRangeLength(start + i, sequenceLength));
+    }
+  });
+  if (!forward) positions.reverse();
+  const codonStart = Number([].concat(cds.notes?.codon_start)[0]) || 1;
+  return positions.slice(codonStart - 1);
+}
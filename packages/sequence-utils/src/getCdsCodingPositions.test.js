@@ -0,0 +1,32 @@
+import { expect } from "chai";
+import getCdsCodingPositions from "./getCdsCodingPositions";
+
+describe("getCdsCodingPositions", () => {
+  it("should read a forward CDS from its start", () => {
+    expect(
+      getCdsCodingPositions({ start: 2, end: 7, forward: true }, 20)
+    ).to.deep.equal([2, 3, 4, 5, 6, 7]);
+  });
+
+  it("should skip the introns of joined CDSs and read reverse ones from their end", () => {
+    const locations = [
+      { start: 2, end: 4 },
+      { start: 8, end: 10 }
+    ];
+    expect(
+      getCdsCodingPositions({ start: 2, end: 10, strand: 1, locations }, 20)
+    ).to.deep.equal([2, 3, 4, 8, 9, 10]);
+    expect(
+      getCdsCodingPositions({ start: 2, end: 10, strand: -1, locations }, 20)
+    ).to.deep.equal([10, 9, 8, 4, 3, 2]);
+  });
+
+  it("should wrap the origin and start at the codon_start", () => {
+    expect(
+      getCdsCodingPositions(
+        { start: 18, end: 2, forward: true, notes: { codon_start: ["2"] } },
+        20
+      )
+    ).to.deep.equal([19, 0, 1, 2]);
+  });
+});
@@ -0,0 +1,53 @@
+import { getRangeLength } from "@teselagen/range-utils";
+import enzymeMethylationSensitivity from "./enzymeMethylationSensitivity";
+
+/**
+ * Whether methylation stops an enzyme cutting at one of its cutsites, going by the
+ * methylated bases (see getMethylatedPositions) inside the cutsite's recognition site and
+ * the enzyme's methylationSensitivity
+ *
+ * @param {object} cutsite - a cutsite from cutSequenceByRestrictionEnzyme
+ * @param {object} methylatedPositions - from getMethylatedPositions
+ * @param {number} sequenceLength
+ * @returns {object|undefined} - {methylationEffect: "blocked" | "impaired",
+ *   methylationTypes: ["dam", ...]} or undefined when the enzyme cuts there as normal
+ */
+export default function getCutsiteMethylation(
+  cutsite,
+  methylatedPositions,
+  sequenceLength
+) {
+  const { restrictionEnzyme, recognitionSiteRange } = cutsite;
+  const sensitivity =
+    restrictionEnzyme.methylationSensitivity ||
+    enzymeMethylationSensitivity[restrictionEnzyme.name?.toLowerCase()];
+  if (!sensitivity || !recognitionSiteRange) return;
+
+  const siteLength = getRangeLength(recognitionSiteRange, sequenceLength);
+  const isSiteMethylated = type => {
+    const positions = methylatedPositions[type] || {};
+    for (let i = 0; i < siteLength; i++) {
+      if (positions[(recognitionSiteRange.start + i) % sequenceLength]) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const blockedBy = [];
+  const impairedBy = [];
+  Object.keys(sensitivity).forEach(type => {
+    const effect = sensitivity[type];
+    if (effect === "required") {
+      if (!isSiteMethylated(type)) blockedBy.push(type);
+    } else if (isSiteMethylated(type)) {
+      (effect === "blocked" ? blockedBy : impairedBy).push(type);
+    }
+  });
+  if (blockedBy.length) {
+    return { methylationEffect: "blocked", methylationTypes: blockedBy };
+  }
+  if (impairedBy.length) {
+    return { methylationEffect: "impaired", methylationTypes: impairedBy };
+  }
+}
@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import getCutsitesFromSequence from "./getCutsitesFromSequence";
+import defaultEnzymesByName from "./defaultEnzymesByName";
+import getVirtualDigest from "./getVirtualDigest";
+
+const { xbai, dpni, stui, apai, noti, bamhi } = defaultEnzymesByName;
+// the first XbaI site overlaps a GATC, the second doesn't
+const sequence = "ggatctagaaacccctctagaccc";
+
+const getEffects = cutsites =>
+  cutsites.map(({ methylationEffect, methylationTypes }) => [
+    methylationEffect,
+    methylationTypes
+  ]);
+
+describe("getCutsiteMethylation", () => {
+  it("should carry the methylation sensitivity of default enzymes", () => {
+    expect(xbai.methylationSensitivity).to.deep.equal({ dam: "blocked" });
+    expect(bamhi.methylationSensitivity).to.equal(undefined);
+  });
+
+  it("should flag cutsites blocked by overlapping dam methylation", () => {
+    const { XbaI } = getCutsitesFromSequence(
+      sequence,
+      false,
+      [xbai],
+      "dam+/dcm+"
+    );
+    expect(getEffects(XbaI)).to.deep.equal([
+      ["blocked", ["dam"]],
+      [undefined, undefined]
+    ]);
+  });
+
+  it("should leave cutsites alone without methylation or in dam-/dcm- hosts", () => {
+    [undefined, "dam-/dcm-"].forEach(methylation => {
+      const { XbaI } = getCutsitesFromSequence(
+        sequence,
+        false,
+        [xbai],
+        methylation
+      );
+      expect(getEffects(XbaI)).to.deep.equal([
+        [undefined, undefined],
+        [undefined, undefined]
+      ]);
+    });
+  });
+
+  it("should block enzymes that need methylation when it isn't there", () => {
+    const getDpnI = methylation =>
+      getEffects(
+        getCutsitesFromSequence(sequence, false, [dpni], methylation).DpnI
+      );
+    expect(getDpnI("dam+/dcm+")).to.deep.equal([[undefined, undefined]]);
+    expect(getDpnI("dam-/dcm-")).to.deep.equal([["blocked", ["dam"]]]);
+  });
+
+  it("should tell blocked and impaired cutsites apart", () => {
+    const { StuI, ApaI } = getCutsitesFromSequence(
+      // CCAGG overlaps AGGCCT, CCCAGG overlaps GGGCCC
+      "ccaggccttttgggcccaggtt",
+      false,
+      [stui, apai],
+      "dam+/dcm+"
+    );
+    expect(getEffects(StuI)).to.deep.equal([["blocked", ["dcm"]]]);
+    expect(getEffects(ApaI)).to.deep.equal([["impaired", ["dcm"]]]);
+  });
+
+  it("should flag CpG methylation", () => {
+    const { NotI } = getCutsitesFromSequence(
+      "ttgcggccgctt",
+      false,
+      [noti],
+      "cpg"
+    );
+    expect(getEffects(NotI)).to.deep.equal([["blocked", ["cpg"]]]);
+  });
+
+  it("should leave blocked cutsites out of virtual digests", () => {
+    const { XbaI } = getCutsitesFromSequence(
+      sequence,
+      true,
+      [xbai],
+      "dam+/dcm+"
+    );
+    const digest = getVirtualDigest({
+      cutsites: XbaI,
+      sequenceLength: sequence.length,
+      isCircular: true
+    });
+    expect(digest.methylationBlockedCutsites).to.have.length(1);
+    expect(digest.fragments.map(({ size }) => size)).to.deep.equal([24]);
+    const unmethylatedDigest = getVirtualDigest({
+      cutsites: XbaI,
+      sequenceLength: sequence.length,
+      isCircular: true,
+      ignoreMethylation: true
+    });
+    expect(
+      unmethylatedDigest.fragments.map(({ size }) => size).sort()
+    ).to.deep.equal([12, 12]);
+  });
+
+  it("should flag digest fragments cut at impaired cutsites", () => {
+    const { ApaI } = getCutsitesFromSequence(
+      "ttgggcccaggttttttttgggccctt",
+      false,
+      [apai],
+      "dam+/dcm+"
+    );
+    const { fragments } = getVirtualDigest({
+      cutsites: ApaI,
+      sequenceLength: 27,
+      isCircular: false
+    });
+    expect(fragments.map(f => !!f.methylationImpaired)).to.deep.equal([
+      true,
+      false,
+      true
+    ]);
+  });
+});
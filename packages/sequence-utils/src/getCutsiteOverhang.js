@@ -0,0 +1,32 @@
+import {
+  getSequenceWithinRange,
+  normalizePositionByRangeLength
+} from "@teselagen/range-utils";
+
+/**
+ * @param  {object} cutsite a cutsite as found by cutSequenceByRestrictionEnzyme
+ * @param  {string} sequence the sequence that was cut
+ * @return {object} {type, sequence} where type is "5'", "3'" or "blunt" and sequence is the
+ *                  (upper case) top strand sequence between the two snip positions
+ */
+export default function getCutsiteOverhang(cutsite, sequence) {
+  const { topSnipPosition, bottomSnipPosition } = cutsite;
+  if (topSnipPosition === bottomSnipPosition) {
+    return { type: "blunt", sequence: "" };
+  }
+  const overhangRange = {
+    start: normalizePositionByRangeLength(
+      Math.min(topSnipPosition, bottomSnipPosition),
+      sequence.length
+    ),
+    end: normalizePositionByRangeLength(
+      Math.max(topSnipPosition, bottomSnipPosition) - 1,
+      sequence.length
+    )
+  };
+  return {
+    //5' overhangs have the top strand cut first
+    type: topSnipPosition < bottomSnipPosition ? "5'" : "3'",
+    sequence: getSequenceWithinRange(overhangRange, sequence).toUpperCase()
+  };
+}
@@ -1,15 +1,31 @@
 import cutSequenceByRestrictionEnzyme from "./cutSequenceByRestrictionEnzyme";
+import getMethylatedPositions from "./getMethylatedPositions";
+import getCutsiteMethylation from "./getCutsiteMethylation";
 
+// methylation is the sequence's host setting (sequenceData.methylation, see
+// getMethylatedPositions), when given cutsites blocked or impaired by it get a
+// methylationEffect and the methylationTypes responsible
 export default function getCutsitesFromSequence(
   sequence,
   circular,
-  restrictionEnzymes
+  restrictionEnzymes,
+  methylation
 ) {
+  const methylatedPositions =
+    methylation && getMethylatedPositions(sequence, circular, methylation);
   const cutsitesByName = {};
   for (let i = 0; i < restrictionEnzymes.length; i++) {
     const re = restrictionEnzymes[i];
     const cutsites = cutSequenceByRestrictionEnzyme(sequence, circular, re);
     if (cutsites.length) {
+      if (methylatedPositions) {
+        cutsites.forEach(cutsite => {
+          Object.assign(
+            cutsite,
+            getCutsiteMethylation(cutsite, methylatedPositions, sequence.length)
+          );
+        });
+      }
       cutsitesByName[re.name] = cutsites;
     }
   }
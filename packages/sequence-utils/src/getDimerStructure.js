@@ -0,0 +1,103 @@
+import {
+  isValidSequence,
+  applySaltCorrection,
+  getNearestNeighborThermodynamics,
+  PRIMER3_PARAMS,
+  SANTA_LUCIA_INIT
+} from "./calculateSantaLuciaTm.js";
+import DNAComplementMap from "./DNAComplementMap";
+
+// 37°C in Kelvin
+const T = 310.15;
+
+/**
+ * Find the most stable dimer two primers can form
+ *
+ * The second primer is slid along the first in the antiparallel orientation and every
+ * stretch of (at least 2) consecutive Watson-Crick pairs is scored with the SantaLucia (1998)
+ * nearest-neighbor parameters plus helix initiation at both of its ends. Mismatches and
+ * loops inside a dimer are not considered, so only the most stable paired stretch counts.
+ * The Tm uses the same salt and oligo concentrations as calculateSantaLuciaTm.
+ *
+ * @param {string} sequence1 - DNA sequence (5' to 3')
+ * @param {string} sequence2 - DNA sequence (5' to 3'), defaults to sequence1 (self-dimer)
+ * @returns {object|null} - {deltaG, deltaH, deltaS, tm, pairs, diagram} or null if no dimer can form.
+ *   deltaG is in kcal/mol at 37°C, pairs are [index in sequence1, index in sequence2] and diagram
+ *   is the 3 lines of text drawing the pairing
+ * @throws {Error} Invalid sequence.
+ */
+export default function getDimerStructure(sequence1, sequence2 = sequence1) {
+  sequence1 = sequence1?.toUpperCase().trim();
+  sequence2 = sequence2?.toUpperCase().trim();
+
+  if (!isValidSequence(sequence1) || !isValidSequence(sequence2)) {
+    throw new Error("Invalid sequence: contains non-DNA characters");
+  }
+
+  // read the second primer 3' to 5' so it lines up antiparallel to the first
+  const reversed2 = sequence2.split("").reverse().join("");
+  let best = null;
+  for (let shift = -(reversed2.length - 1); shift < sequence1.length; shift++) {
+    let runStart = -1;
+    const start = Math.max(0, shift);
+    const end = Math.min(sequence1.length, shift + reversed2.length);
+    for (let i = start; i <= end; i++) {
+      const base = sequence1[i];
+      const pairs =
+        i < end &&
+        base !== "N" &&
+        DNAComplementMap[base] === reversed2[i - shift];
+      if (pairs && runStart === -1) {
+        runStart = i;
+      } else if (!pairs && runStart !== -1) {
+        if (i - runStart >= 2) {
+          const run = sequence1.substring(runStart, i);
+          const { dH, dS } = getNearestNeighborThermodynamics(run);
+          const init = [run[0], run[run.length - 1]].map(b =>
+            b === "G" || b === "C" ? SANTA_LUCIA_INIT.GC : SANTA_LUCIA_INIT.AT
+          );
+          const deltaH = dH + init[0].dH + init[1].dH;
+          const deltaS = dS + init[0].dS + init[1].dS;
+          const deltaG = deltaH - (T * deltaS) / 1000;
+          if (!best || deltaG < best.deltaG) {
+            best = { deltaG, deltaH, deltaS, shift, runStart, runEnd: i - 1 };
+          }
+        }
+        runStart = -1;
+      }
+    }
+  }
+  if (!best || best.deltaG >= 0) return null;
+
+  const { shift, runStart, runEnd, deltaH, deltaS } = best;
+  const pairs = [];
+  for (let i = runStart; i <= runEnd; i++) {
+    pairs.push([i, sequence2.length - 1 - (i - shift)]);
+  }
+  const C = PRIMER3_PARAMS.dnaConc * 1e-9;
+  const tm =
+    (deltaH * 1000) /
+      (applySaltCorrection(deltaS, runEnd - runStart) +
+        PRIMER3_PARAMS.R * Math.log(C / 4)) -
+    273.15;
+
+  // line the two primers up by column, with the pairs marked in between
+  const offset1 = Math.max(0, -shift);
+  const offset2 = Math.max(0, shift);
+  const middle =
+    " ".repeat(offset1 + runStart) + "|".repeat(runEnd - runStart + 1);
+  const diagram = [
+    `5' ${" ".repeat(offset1)}${sequence1} 3'`,
+    `   ${middle}`,
+    `3' ${" ".repeat(offset2)}${reversed2} 5'`
+  ];
+
+  return {
+    deltaG: Math.round(best.deltaG * 100) / 100,
+    deltaH,
+    deltaS,
+    tm,
+    pairs,
+    diagram
+  };
+}
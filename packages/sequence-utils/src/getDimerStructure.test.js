@@ -0,0 +1,30 @@
+import { expect } from "chai";
+import getDimerStructure from "./getDimerStructure";
+
+describe("getDimerStructure", () => {
+  it("should find the most stable self-dimer", () => {
+    const dimer = getDimerStructure("GAATTCGAATTC");
+    expect(dimer.deltaG).to.equal(-11.29);
+    expect(dimer.tm).to.be.closeTo(29.55, 0.01);
+    expect(dimer.pairs).to.have.length(12);
+    expect(dimer.diagram).to.deep.equal([
+      "5' GAATTCGAATTC 3'",
+      "   ||||||||||||",
+      "3' CTTAAGCTTAAG 5'"
+    ]);
+  });
+  it("should find the most stable hetero-dimer and line the primers up", () => {
+    const dimer = getDimerStructure("ACGTGGATCCAAAC", "TTTGGATCCGA");
+    expect(dimer.deltaG).to.equal(-8.65);
+    expect(dimer.pairs[0]).to.deep.equal([4, 8]);
+    expect(dimer.pairs[8]).to.deep.equal([12, 0]);
+    expect(dimer.diagram).to.deep.equal([
+      "5' ACGTGGATCCAAAC 3'",
+      "       |||||||||",
+      "3'   AGCCTAGGTTT 5'"
+    ]);
+  });
+  it("should return null if no dimer can form", () => {
+    expect(getDimerStructure("AAAAAAAAAA")).to.equal(null);
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  isValidSequence,
+  applySaltCorrection,
+  getNearestNeighborThermodynamics
+} from "./calculateSantaLuciaTm.js";
+import DNAComplementMap from "./DNAComplementMap";
+
+// 37°C in Kelvin
+const T = 310.15;
+
+// Hairpin loop initiation Delta G (kcal/mol at 37°C) by loop length (SantaLucia & Hicks 2004)
+const HAIRPIN_LOOP_DELTA_G = {
+  3: 3.5,
+  4: 3.5,
+  5: 3.3,
+  6: 4.0,
+  7: 4.2,
+  8: 4.3,
+  9: 4.5
+};
+const MIN_LOOP_LENGTH = 3;
+
+/**
+ * Hairpin loop penalty, extrapolated past 9 bases with 2.44·R·T·ln(n/9)
+ *
+ * @param {number} loopLength - number of unpaired bases in the loop
+ * @returns {number} - Delta G (kcal/mol)
+ */
+export function getHairpinLoopDeltaG(loopLength) {
+  if (HAIRPIN_LOOP_DELTA_G[loopLength]) return HAIRPIN_LOOP_DELTA_G[loopLength];
+  return (
+    HAIRPIN_LOOP_DELTA_G[9] +
+    (2.44 * 1.987 * T * Math.log(loopLength / 9)) / 1000
+  );
+}
+
+/**
+ * Find the most stable hairpin a primer can fold into
+ *
+ * Every stem of (at least 2) consecutive Watson-Crick pairs closing a loop of 3 or more
+ * bases is scored with the SantaLucia (1998) nearest-neighbor parameters plus the hairpin
+ * loop penalty (counted as entropy). Bulges and internal loops in the stem are not considered.
+ * Hairpins fold intramolecularly so their Tm doesn't depend on the oligo concentration.
+ *
+ * @param {string} sequence - DNA sequence (5' to 3')
+ * @returns {object|null} - {deltaG, deltaH, deltaS, tm, stemLength, loopLength, pairs, diagram} or null if
+ *   no hairpin can form. deltaG is in kcal/mol at 37°C, pairs are the [5' index, 3' index] of each stem pair
+ *   and diagram is the 3 lines of text drawing the hairpin
+ * @throws {Error} Invalid sequence.
+ */
+export default function getHairpinStructure(sequence) {
+  sequence = sequence?.toUpperCase().trim();
+
+  if (!isValidSequence(sequence)) {
+    throw new Error("Invalid sequence: contains non-DNA characters");
+  }
+
+  const pairs = (i, j) =>
+    sequence[i] !== "N" && DNAComplementMap[sequence[i]] === sequence[j];
+  let best = null;
+  // i and j are the innermost pair of the stem, closing the loop
+  for (let i = 0; i < sequence.length; i++) {
+    for (let j = i + MIN_LOOP_LENGTH + 1; j < sequence.length; j++) {
+      if (!pairs(i, j)) continue;
+      const loopDeltaG = getHairpinLoopDeltaG(j - i - 1);
+      for (
+        let stemLength = 2;
+        i - stemLength + 1 >= 0 &&
+        j + stemLength - 1 < sequence.length &&
+        pairs(i - stemLength + 1, j + stemLength - 1);
+        stemLength++
+      ) {
+        const stem = sequence.substring(i - stemLength + 1, i + 1);
+        const { dH, dS } = getNearestNeighborThermodynamics(stem);
+        const deltaG = dH - (T * dS) / 1000 + loopDeltaG;
+        if (!best || deltaG < best.deltaG) {
+          best = {
+            deltaG,
+            deltaH: dH,
+            deltaS: dS - (loopDeltaG * 1000) / T,
+            i,
+            j,
+            stemLength
+          };
+        }
+      }
+    }
+  }
+  if (!best || best.deltaG >= 0) return null;
+
+  const { i, j, stemLength, deltaH, deltaS } = best;
+  const stemPairs = [];
+  for (let k = stemLength - 1; k >= 0; k--) {
+    stemPairs.push([i - k, j + k]);
+  }
+  const tm =
+    (deltaH * 1000) / applySaltCorrection(deltaS, stemLength - 1) - 273.15;
+
+  // the 5' arm runs left to right on top, the 3' arm right to left underneath,
+  // with the loop split between the two lines at the right hand side
+  const arm5 = sequence.slice(0, i + 1);
+  const arm3 = sequence.slice(j).split("").reverse().join("");
+  const loop = sequence.slice(i + 1, j);
+  const loop5 = loop.slice(0, Math.ceil(loop.length / 2));
+  const loop3 = loop.slice(loop5.length).split("").reverse().join("");
+  const stemColumn = Math.max(arm5.length, arm3.length);
+  const diagram = [
+    `5' ${arm5.padStart(stemColumn)}${loop5}`,
+    `   ${"|".repeat(stemLength).padStart(stemColumn)}${" ".repeat(
+      loop5.length
+    )})`,
+    `3' ${arm3.padStart(stemColumn)}${loop3}`
+  ];
+
+  return {
+    deltaG: Math.round(best.deltaG * 100) / 100,
+    deltaH,
+    deltaS,
+    tm,
+    stemLength,
+    loopLength: loop.length,
+    pairs: stemPairs,
+    diagram
+  };
+}
@@ -0,0 +1,29 @@
+import { expect } from "chai";
+import getHairpinStructure from "./getHairpinStructure";
+
+describe("getHairpinStructure", () => {
+  it("should find the most stable hairpin and draw it", () => {
+    const hairpin = getHairpinStructure("ttgcgcaaatttgcgcaa");
+    expect(hairpin).to.include({
+      deltaG: -7.06,
+      stemLength: 7,
+      loopLength: 4
+    });
+    expect(hairpin.tm).to.be.closeTo(73.66, 0.01);
+    expect(hairpin.pairs[0]).to.deep.equal([0, 17]);
+    expect(hairpin.pairs[6]).to.deep.equal([6, 11]);
+    expect(hairpin.diagram).to.deep.equal([
+      "5' TTGCGCAAA",
+      "   |||||||  )",
+      "3' AACGCGTTT"
+    ]);
+  });
+  it("should return null if no hairpin can form", () => {
+    expect(getHairpinStructure("ATGCGTAAAGGAGAAGAACT")).to.equal(null);
+  });
+  it("should throw for invalid sequences", () => {
+    expect(() => getHairpinStructure("ACGX")).to.throw(
+      "Invalid sequence: contains non-DNA characters"
+    );
+  });
+});
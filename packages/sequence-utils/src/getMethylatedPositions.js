@@ -0,0 +1,62 @@
+// the methylation each host setting (sequenceData.methylation) leaves on a sequence.
+// Common E. coli cloning strains (DH5a, TOP10...) are dam+/dcm+ and still methylate EcoKI
+// sites (hsdM+), dam-/dcm- strains (eg. JM110) leave none and cpg is for DNA from (or
+// treated like) mammalian cells
+export const methylationTypesByHost = {
+  "dam+/dcm+": ["dam", "dcm", "ecoki"],
+  "dam-/dcm-": [],
+  cpg: ["cpg"]
+};
+
+// the methylated base of each motif, on the top and the bottom strand, given as offsets
+// into the top strand match
+const methylationMotifs = {
+  dam: [{ site: "gatc", length: 4, offsets: [1, 2] }], // Gm6ATC
+  dcm: [{ site: "cc[at]gg", length: 5, offsets: [1, 3] }], // Cm5CWGG
+  cpg: [{ site: "cg", length: 2, offsets: [0, 1] }], // m5CG
+  ecoki: [
+    { site: "aac.{6}gtgc", length: 13, offsets: [1, 10] }, // Am6AC(N6)GTGC
+    { site: "gcac.{6}gtt", length: 13, offsets: [2, 11] }
+  ]
+};
+
+/**
+ * The positions of every methylated base in a sequence
+ *
+ * @param {string} sequence
+ * @param {boolean} circular - also look for motifs spanning the origin
+ * @param {string|string[]} methylation - a host setting ("dam+/dcm+", "dam-/dcm-", "cpg")
+ *   or a list of methylation types ("dam", "dcm", "cpg", "ecoki")
+ * @returns {object} - {[methylationType]: {[position]: true}} for each methylation type
+ */
+export default function getMethylatedPositions(
+  sequence,
+  circular,
+  methylation
+) {
+  const types = Array.isArray(methylation)
+    ? methylation
+    : methylationTypesByHost[methylation] || [];
+  const sequenceLength = sequence.length;
+  const methylatedPositions = {};
+  types.forEach(type => {
+    const positions = {};
+    (methylationMotifs[type] || []).forEach(({ site, length, offsets }) => {
+      const searchSequence = circular
+        ? sequence + sequence.slice(0, length - 1)
+        : sequence;
+      // a lookahead so overlapping matches are all found
+      const regex = new RegExp(`(?=${site})`, "gi");
+      let match;
+      while ((match = regex.exec(searchSequence))) {
+        if (match.index >= sequenceLength) break;
+        offsets.forEach(offset => {
+          positions[(match.index + offset) % sequenceLength] = true;
+        });
+        regex.lastIndex++;
+      }
+    });
+    methylatedPositions[type] = positions;
+  });
+  return methylatedPositions;
+}
@@ -0,0 +1,52 @@
+import { expect } from "chai";
+import getMethylatedPositions, {
+  methylationTypesByHost
+} from "./getMethylatedPositions";
+
+describe("getMethylatedPositions", () => {
+  it("should methylate the A of GATC on both strands for dam", () => {
+    expect(getMethylatedPositions("ttGATCtt", false, ["dam"])).to.deep.equal({
+      dam: { 3: true, 4: true }
+    });
+  });
+
+  it("should methylate the inner C of CCWGG on both strands for dcm", () => {
+    expect(
+      getMethylatedPositions("ccaggtcctgg", false, ["dcm"]).dcm
+    ).to.deep.equal({ 1: true, 3: true, 7: true, 9: true });
+  });
+
+  it("should find EcoKI sites in both orientations", () => {
+    expect(
+      getMethylatedPositions("aacttttttgtgc", false, ["ecoki"]).ecoki
+    ).to.deep.equal({ 1: true, 10: true });
+    expect(
+      getMethylatedPositions("gcacttttttgtt", false, ["ecoki"]).ecoki
+    ).to.deep.equal({ 2: true, 11: true });
+  });
+
+  it("should only find motifs spanning the origin of circular sequences", () => {
+    expect(getMethylatedPositions("tcaaga", false, ["dam"]).dam).to.deep.equal(
+      {}
+    );
+    expect(getMethylatedPositions("tcaaga", true, ["dam"]).dam).to.deep.equal({
+      5: true,
+      0: true
+    });
+  });
+
+  it("should take a host setting", () => {
+    const positions = getMethylatedPositions("gatcccaggcg", false, "dam+/dcm+");
+    expect(Object.keys(positions)).to.deep.equal(
+      methylationTypesByHost["dam+/dcm+"]
+    );
+    expect(positions.dam).to.deep.equal({ 1: true, 2: true });
+    expect(positions.dcm).to.deep.equal({ 5: true, 7: true });
+    expect(
+      getMethylatedPositions("gatcccaggcg", false, "dam-/dcm-")
+    ).to.deep.equal({});
+    expect(getMethylatedPositions("gatcccaggcg", false, "cpg")).to.deep.equal({
+      cpg: { 9: true, 10: true }
+    });
+  });
+});
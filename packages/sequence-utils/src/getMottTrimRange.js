@@ -0,0 +1,31 @@
+/**
+ * The range of a sequencing read worth keeping once its low quality ends are trimmed off,
+ * using the modified Richard Mott algorithm (as in phred and Geneious)
+ *
+ * Each base scores cutoff minus its error probability (10 ^ (-quality / 10)) and the
+ * highest scoring stretch of bases is kept, so a few bad calls in the middle of a good read
+ * stay in while the noisy starts and ends of Sanger traces go.
+ *
+ * @param {number[]} qualNums - Phred quality scores, one per base
+ * @param {object} options - {cutoff (default 0.05, the error probability to break even at)}
+ * @returns {object|undefined} - the 0-based inclusive {start, end} to keep, undefined when
+ *   no base is better than the cutoff
+ */
+export default function getMottTrimRange(qualNums, options = {}) {
+  const { cutoff = 0.05 } = options;
+  let best;
+  let bestScore = 0;
+  let score = 0;
+  let start = 0;
+  (qualNums || []).forEach((qualNum, i) => {
+    score += cutoff - Math.pow(10, qualNum / -10);
+    if (score <= 0) {
+      score = 0;
+      start = i + 1;
+    } else if (score > bestScore) {
+      bestScore = score;
+      best = { start, end: i };
+    }
+  });
+  return best;
+}
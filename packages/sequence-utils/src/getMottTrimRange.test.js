@@ -0,0 +1,28 @@
+import { expect } from "chai";
+import getMottTrimRange from "./getMottTrimRange";
+
+describe("getMottTrimRange", () => {
+  it("should trim the low quality ends off a read", () => {
+    const qualNums = [5, 8, 3, 10, 40, 40, 35, 40, 12, 40, 40, 30, 6, 2, 4];
+    expect(getMottTrimRange(qualNums)).to.deep.equal({ start: 4, end: 11 });
+  });
+  it("should keep the best stretch when low quality bases split a read", () => {
+    const qualNums = [
+      40, 40, 40, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 40, 40, 40, 40, 40, 2
+    ];
+    expect(getMottTrimRange(qualNums)).to.deep.equal({ start: 13, end: 17 });
+  });
+  it("should use the cutoff given", () => {
+    const qualNums = [15, 15, 40, 40, 15];
+    expect(getMottTrimRange(qualNums)).to.deep.equal({ start: 0, end: 4 });
+    expect(getMottTrimRange(qualNums, { cutoff: 0.01 })).to.deep.equal({
+      start: 2,
+      end: 3
+    });
+  });
+  it("should return undefined when no base is good enough", () => {
+    expect(getMottTrimRange([2, 5, 10])).to.equal(undefined);
+    expect(getMottTrimRange([])).to.equal(undefined);
+    expect(getMottTrimRange()).to.equal(undefined);
+  });
+});
@@ -0,0 +1,47 @@
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+const complementTraces = {
+  aTrace: "tTrace",
+  tTrace: "aTrace",
+  gTrace: "cTrace",
+  cTrace: "gTrace"
+};
+
+/**
+ * Chromatogram data (as parsed from an .ab1 file by bio-parsers) read from the other strand,
+ * so that it lines up with the reverse complement of the read's sequence: base calls are
+ * complemented, everything runs backwards and the A/T and G/C traces swap places
+ *
+ * @param {object} chromatogramData - {baseCalls, qualNums, basePos, baseTraces, aTrace, ...}
+ * @returns {object} - new chromatogramData, the input is left untouched
+ */
+export default function getReverseComplementChromatogramData(chromatogramData) {
+  const { baseCalls, qualNums, basePos, baseTraces } = chromatogramData;
+  const traceLength = chromatogramData.aTrace && chromatogramData.aTrace.length;
+  const reverseComplementTraces = traces => {
+    const newTraces = {};
+    Object.keys(complementTraces).forEach(trace => {
+      if (traces[complementTraces[trace]]) {
+        newTraces[trace] = [...traces[complementTraces[trace]]].reverse();
+      }
+    });
+    return newTraces;
+  };
+  return {
+    ...chromatogramData,
+    ...reverseComplementTraces(chromatogramData),
+    ...(baseCalls && {
+      baseCalls: getReverseComplementSequenceString(baseCalls.join("")).split(
+        ""
+      )
+    }),
+    ...(qualNums && { qualNums: [...qualNums].reverse() }),
+    ...(basePos &&
+      traceLength && {
+        basePos: basePos.map(pos => traceLength - 1 - pos).reverse()
+      }),
+    ...(baseTraces && {
+      baseTraces: baseTraces.map(reverseComplementTraces).reverse()
+    })
+  };
+}
@@ -0,0 +1,42 @@
+import { expect } from "chai";
+import getReverseComplementChromatogramData from "./getReverseComplementChromatogramData";
+
+describe("getReverseComplementChromatogramData", () => {
+  const chromatogramData = {
+    baseCalls: ["A", "C", "G"],
+    qualNums: [10, 20, 30],
+    basePos: [1, 4, 7],
+    aTrace: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    tTrace: [10, 11, 12, 13, 14, 15, 16, 17, 18],
+    gTrace: [20, 21, 22, 23, 24, 25, 26, 27, 28],
+    cTrace: [30, 31, 32, 33, 34, 35, 36, 37, 38],
+    baseTraces: [
+      { aTrace: [0, 1], tTrace: [10, 11], gTrace: [20, 21], cTrace: [30, 31] },
+      { aTrace: [2, 3], tTrace: [12, 13], gTrace: [22, 23], cTrace: [32, 33] },
+      { aTrace: [4, 5], tTrace: [14, 15], gTrace: [24, 25], cTrace: [34, 35] }
+    ]
+  };
+  it("should read the chromatogram from the other strand", () => {
+    const reversed = getReverseComplementChromatogramData(chromatogramData);
+    expect(reversed.baseCalls).to.deep.equal(["C", "G", "T"]);
+    expect(reversed.qualNums).to.deep.equal([30, 20, 10]);
+    expect(reversed.basePos).to.deep.equal([1, 4, 7]);
+    expect(reversed.aTrace).to.deep.equal([18, 17, 16, 15, 14, 13, 12, 11, 10]);
+    expect(reversed.gTrace).to.deep.equal([38, 37, 36, 35, 34, 33, 32, 31, 30]);
+    expect(reversed.baseTraces[0]).to.deep.equal({
+      aTrace: [15, 14],
+      tTrace: [5, 4],
+      gTrace: [35, 34],
+      cTrace: [25, 24]
+    });
+  });
+  it("should give back the original when applied twice, leaving the input alone", () => {
+    const before = JSON.stringify(chromatogramData);
+    expect(
+      getReverseComplementChromatogramData(
+        getReverseComplementChromatogramData(chromatogramData)
+      )
+    ).to.deep.equal(chromatogramData);
+    expect(JSON.stringify(chromatogramData)).to.equal(before);
+  });
+});
@@ -0,0 +1,91 @@
+export const sequencePlotTypes = [
+  "gcContent",
+  "gcSkew",
+  "atSkew",
+  "cumulativeGcSkew"
+];
+
+/**
+ * Sliding window base composition along a sequence (for GC% and skew plots)
+ *
+ * @param {string} sequence
+ * @param {object} options
+ * @param {string} options.plotType - "gcContent" (% GC), "gcSkew" ((G-C)/(G+C)),
+ *   "atSkew" ((A-T)/(A+T)) or "cumulativeGcSkew" (running sum of the GC skew windows,
+ *   its minimum and maximum tend to mark the origin and terminus of replication)
+ * @param {number} options.windowSize - bps per window
+ * @param {number} options.stepSize - bps between window starts
+ * @param {boolean} options.circular - windows wrap around the origin
+ * @returns {object[]} - [{start, end, position, value}] where position is the middle of the window
+ */
+export default function getSequencePlotData(
+  sequence = "",
+  {
+    plotType = "gcContent",
+    windowSize = 100,
+    stepSize = 10,
+    circular = false
+  } = {}
+) {
+  const sequenceLength = sequence.length;
+  if (!sequenceLength) return [];
+  if (!sequencePlotTypes.includes(plotType)) {
+    throw new Error(`Unknown sequence plot type: ${plotType}`);
+  }
+  windowSize = Math.max(1, Math.min(Math.floor(windowSize), sequenceLength));
+  stepSize = Math.max(1, Math.floor(stepSize));
+
+  // running counts of each base so every window is counted in constant time
+  const searchSequence = circular
+    ? sequence + sequence.slice(0, windowSize - 1)
+    : sequence;
+  const counts = {};
+  ["g", "c", "a", "t"].forEach(b => {
+    counts[b] = new Uint32Array(searchSequence.length + 1);
+  });
+  for (let i = 0; i < searchSequence.length; i++) {
+    let base = searchSequence[i].toLowerCase();
+    if (base === "u") base = "t";
+    Object.keys(counts).forEach(b => {
+      counts[b][i + 1] = counts[b][i] + (b === base ? 1 : 0);
+    });
+  }
+  const countInWindow = (base, start) =>
+    counts[base][start + windowSize] - counts[base][start];
+
+  const windowStarts = [];
+  const lastStart = circular ? sequenceLength - 1 : sequenceLength - windowSize;
+  for (let start = 0; start <= lastStart; start += stepSize) {
+    windowStarts.push(start);
+  }
+  // make sure a linear sequence's last bases get a window of their own
+  if (!circular && windowStarts[windowStarts.length - 1] !== lastStart) {
+    windowStarts.push(lastStart);
+  }
+
+  let cumulativeSkew = 0;
+  return windowStarts.map(start => {
+    const g = countInWindow("g", start);
+    const c = countInWindow("c", start);
+    const a = countInWindow("a", start);
+    const t = countInWindow("t", start);
+    let value;
+    if (plotType === "gcContent") {
+      value = ((g + c) / windowSize) * 100;
+    } else if (plotType === "atSkew") {
+      value = a + t ? (a - t) / (a + t) : 0;
+    } else {
+      value = g + c ? (g - c) / (g + c) : 0;
+      if (plotType === "cumulativeGcSkew") {
+        cumulativeSkew += value;
+        value = cumulativeSkew;
+      }
+    }
+    return {
+      start,
+      end: (start + windowSize - 1) % sequenceLength,
+      position: (start + Math.floor(windowSize / 2)) % sequenceLength,
+      value
+    };
+  });
+}
@@ -0,0 +1,78 @@
+import { expect } from "chai";
+import getSequencePlotData from "./getSequencePlotData";
+
+describe("getSequencePlotData", () => {
+  it("should return the GC content of each window", () => {
+    const data = getSequencePlotData("ggggaaaacccc", {
+      windowSize: 4,
+      stepSize: 4
+    });
+    expect(data).to.deep.equal([
+      { start: 0, end: 3, position: 2, value: 100 },
+      { start: 4, end: 7, position: 6, value: 0 },
+      { start: 8, end: 11, position: 10, value: 100 }
+    ]);
+  });
+
+  it("should add a final window so the end of a linear sequence is covered", () => {
+    const data = getSequencePlotData("ggggaaaaccc", {
+      windowSize: 4,
+      stepSize: 4
+    });
+    expect(data.map(({ start }) => start)).to.deep.equal([0, 4, 7]);
+    expect(data[2].value).to.equal(75);
+  });
+
+  it("should wrap windows around the origin of a circular sequence", () => {
+    const data = getSequencePlotData("gaaaaaag", {
+      windowSize: 2,
+      stepSize: 1,
+      circular: true
+    });
+    expect(data).to.have.length(8);
+    expect(data[7]).to.deep.equal({
+      start: 7,
+      end: 0,
+      position: 0,
+      value: 100
+    });
+  });
+
+  it("should calculate the GC and AT skews", () => {
+    const gcSkew = getSequencePlotData("gggcaatt", {
+      plotType: "gcSkew",
+      windowSize: 8
+    });
+    expect(gcSkew[0].value).to.equal(0.5);
+    const atSkew = getSequencePlotData("GGGCAAAU", {
+      plotType: "atSkew",
+      windowSize: 8
+    });
+    expect(atSkew[0].value).to.equal(0.5);
+    const noGc = getSequencePlotData("aaaa", {
+      plotType: "gcSkew",
+      windowSize: 4
+    });
+    expect(noGc[0].value).to.equal(0);
+  });
+
+  it("should sum up the GC skew for the cumulative skew", () => {
+    const data = getSequencePlotData("ggccgggccc", {
+      plotType: "cumulativeGcSkew",
+      windowSize: 2,
+      stepSize: 2
+    });
+    expect(data.map(({ value }) => value)).to.deep.equal([1, 0, 1, 1, 0]);
+  });
+
+  it("should use the whole sequence when the window is longer than it", () => {
+    const data = getSequencePlotData("gcat", { windowSize: 100 });
+    expect(data).to.deep.equal([{ start: 0, end: 3, position: 2, value: 50 }]);
+  });
+
+  it("should throw for an unknown plot type", () => {
+    expect(() => getSequencePlotData("gcat", { plotType: "nope" })).to.throw(
+      "Unknown sequence plot type"
+    );
+  });
+});
@@ -7,17 +7,27 @@ import {
   getRangeLength
 } from "@teselagen/range-utils";
 
+// cutsites blocked by methylation (see getCutsitesFromSequence) are left out of the digest
+// unless ignoreMethylation is passed, and fragments with an end at an impaired cutsite get
+// methylationImpaired so they can be shown as possibly partial
 export default function getVirtualDigest({
-  cutsites,
+  cutsites: _cutsites,
   sequenceLength,
   isCircular,
   computePartialDigest,
   computePartialDigestDisabled,
-  computeDigestDisabled
+  computeDigestDisabled,
+  ignoreMethylation
 }) {
   let fragments = [];
   const overlappingEnzymes = [];
   const pairs = [];
+  const methylationBlockedCutsites = ignoreMethylation
+    ? []
+    : _cutsites.filter(c => c.methylationEffect === "blocked");
+  const cutsites = methylationBlockedCutsites.length
+    ? _cutsites.filter(c => c.methylationEffect !== "blocked")
+    : _cutsites;
 
   const sortedCutsites = cutsites.sort((a, b) => {
     return a.topSnipPosition - b.topSnipPosition;
@@ -100,7 +110,8 @@ export default function getVirtualDigest({
     computePartialDigestDisabled,
     computeDigestDisabled,
     fragments,
-    overlappingEnzymes
+    overlappingEnzymes,
+    methylationBlockedCutsites
   };
 }
 
@@ -119,8 +130,12 @@ function addSizeIdName(frag, sequenceLength) {
     "Untitled Cutsite"
   )} ${size} bps`;
 
+  const methylationImpaired =
+    frag.cut1.methylationEffect === "impaired" ||
+    frag.cut2.methylationEffect === "impaired";
   return {
     ...frag,
+    ...(methylationImpaired && { methylationImpaired }),
     size,
     name,
     id: frag.start + "-" + frag.end + "-" + size + "-"
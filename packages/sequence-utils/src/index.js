@@ -43,6 +43,10 @@ export { default as insertGapsIntoRefSeq } from "./insertGapsIntoRefSeq";
 export { default as findApproxMatches } from "./findApproxMatches";
 export { default as adjustBpsToReplaceOrInsert } from "./adjustBpsToReplaceOrInsert";
 export { default as calculatePercentGC } from "./calculatePercentGC";
+export {
+  default as getSequencePlotData,
+  sequencePlotTypes
+} from "./getSequencePlotData";
 export { default as calculateTm } from "./calculateTm";
 export { default as cutSequenceByRestrictionEnzyme } from "./cutSequenceByRestrictionEnzyme";
 export { default as deleteSequenceDataAtRange } from "./deleteSequenceDataAtRange";
@@ -50,6 +54,12 @@ export { default as DNAComplementMap } from "./DNAComplementMap";
 export { default as doesEnzymeChopOutsideOfRecognitionSite } from "./doesEnzymeChopOutsideOfRecognitionSite";
 export { default as aliasedEnzymesByName } from "./aliasedEnzymesByName";
 export { default as defaultEnzymesByName } from "./defaultEnzymesByName";
+export { default as enzymeMethylationSensitivity } from "./enzymeMethylationSensitivity";
+export {
+  default as getMethylatedPositions,
+  methylationTypesByHost
+} from "./getMethylatedPositions";
+export { default as getCutsiteMethylation } from "./getCutsiteMethylation";
 export { default as generateSequenceData } from "./generateSequenceData";
 export { default as generateAnnotations } from "./generateAnnotations";
 export {
@@ -72,6 +82,11 @@ export { default as getInsertBetweenVals } from "./getInsertBetweenVals";
 export { default as getLeftAndRightOfSequenceInRangeGivenPosition } from "./getLeftAndRightOfSequenceInRangeGivenPosition";
 export { default as getOrfsFromSequence } from "./getOrfsFromSequence";
 export { default as getOverlapBetweenTwoSequences } from "./getOverlapBetweenTwoSequences";
+export { default as joinSequenceDataWithOverlaps } from "./joinSequenceDataWithOverlaps";
+export { default as simulateGibsonAssembly } from "./simulateGibsonAssembly";
+export { default as simulateGoldenGateAssembly } from "./simulateGoldenGateAssembly";
+export { default as getCutsiteOverhang } from "./getCutsiteOverhang";
+export { default as simulateRestrictionLigation } from "./simulateRestrictionLigation";
 export { default as getPossiblePartsFromSequenceAndEnzymes } from "./getPossiblePartsFromSequenceAndEnzymes";
 export { default as getReverseAminoAcidStringFromSequenceString } from "./getReverseAminoAcidStringFromSequenceString";
 export { default as getReverseComplementAminoAcidStringFromSequenceString } from "./getReverseComplementAminoAcidStringFromSequenceString";
@@ -98,6 +113,44 @@ export { default as calculateNebTm } from "./calculateNebTm";
 export { default as calculateNebTa } from "./calculateNebTa";
 export { default as calculateSantaLuciaTm } from "./calculateSantaLuciaTm";
 export { default as calculateEndStability } from "./calculateEndStability";
+export { default as calculateHairpinDeltaG } from "./calculateHairpinDeltaG";
+export { default as calculateDimerDeltaG } from "./calculateDimerDeltaG";
+export { default as getHairpinStructure } from "./getHairpinStructure";
+export { default as getDimerStructure } from "./getDimerStructure";
+export { default as designPrimers } from "./designPrimers";
+export {
+  default as designGuideRnas,
+  crisprNucleases,
+  getRuleSet1Score
+} from "./designGuideRnas";
+export {
+  default as codonUsageTables,
+  getCodonUsageTable
+} from "./codonUsageTables";
+export {
+  default as calculateCai,
+  getRelativeAdaptiveness
+} from "./calculateCai";
+export { default as calculateTai, getTaiWeights } from "./calculateTai";
+export { default as optimizeCodons } from "./optimizeCodons";
+export {
+  default as designMutagenesisPrimers,
+  getMutationFromProteinChange
+} from "./designMutagenesisPrimers";
+export { default as alignSequences } from "./alignSequences";
+export { default as substitutionMatrices } from "./substitutionMatrices";
+export { default as buildGuideTree, getGuideTreeLeaves } from "./buildGuideTree";
+export { default as multipleSequenceAlignment } from "./multipleSequenceAlignment";
+export { default as findBestRotation } from "./findBestRotation";
+export { default as getMottTrimRange } from "./getMottTrimRange";
+export { default as getReverseComplementChromatogramData } from "./getReverseComplementChromatogramData";
+export { default as mapSequencingReads } from "./mapSequencingReads";
+export { default as getAlignmentConsensus } from "./getAlignmentConsensus";
+export { default as getCdsCodingPositions } from "./getCdsCodingPositions";
+export {
+  default as getAlignmentVariants,
+  getReferenceSequenceData
+} from "./getAlignmentVariants";
 export { default as getDigestFragmentsForCutsites } from "./getDigestFragmentsForCutsites";
 export { default as getDigestFragmentsForRestrictionEnzymes } from "./getDigestFragmentsForRestrictionEnzymes";
 export { default as convertDnaCaretPositionOrRangeToAA } from "./convertDnaCaretPositionOrRangeToAA";
@@ -0,0 +1,65 @@
+import { forEach } from "lodash-es";
+import { translateRange } from "@teselagen/range-utils";
+import tidyUpSequenceData from "./tidyUpSequenceData";
+import { modifiableTypes } from "./annotationTypes";
+
+/**
+ * Joins several pieces of sequence data end to end, carrying over all of their annotations.
+ * Bases a piece shares with the piece before it (eg. a gibson overlap or a ligated overhang) are only kept once.
+ *
+ * @param  {array} pieces [{sequenceData, overlapWithPrevious}] in the order they should be joined
+ * @param  {object} options
+ * @param  {boolean} options.circular whether the last piece joins back onto the first one (the first piece's overlapWithPrevious is then the overlap shared with the last piece)
+ * @return {object} the joined sequence data (any other options, eg. name, are set on it as well)
+ */
+export default function joinSequenceDataWithOverlaps(pieces, options = {}) {
+  const { circular = false, ...seqProps } = options;
+  const tidiedPieces = pieces.map(({ sequenceData }) =>
+    tidyUpSequenceData(sequenceData, {
+      doNotRemoveInvalidChars: true,
+      provideNewIdsForAnnotations: true
+    })
+  );
+  const overlaps = pieces.map(({ overlapWithPrevious = 0 }, i) =>
+    i === 0 && !circular ? 0 : overlapWithPrevious
+  );
+
+  let sequence = "";
+  const offsets = tidiedPieces.map((seqData, i) => {
+    const overlap = i === 0 ? 0 : overlaps[i];
+    const offset = sequence.length - overlap;
+    sequence += seqData.sequence.slice(overlap);
+    return offset;
+  });
+  if (circular && tidiedPieces.length) {
+    //the end of the last piece is the same as the start of the first one
+    sequence = sequence.slice(0, sequence.length - overlaps[0]);
+  }
+  const size = sequence.length;
+
+  const joined = {
+    ...seqProps,
+    sequence,
+    circular
+  };
+  const alreadyAdded = {};
+  modifiableTypes.forEach(type => {
+    joined[type] = [];
+    tidiedPieces.forEach((seqData, i) => {
+      forEach(seqData[type], annotation => {
+        const moved = translateRange(annotation, offsets[i], size);
+        if (annotation.locations) {
+          moved.locations = annotation.locations.map(loc =>
+            translateRange(loc, offsets[i], size)
+          );
+        }
+        //an annotation lying within an overlap is found on both sides of it
+        const key = [type, moved.name, moved.start, moved.end, moved.forward];
+        if (alreadyAdded[key]) return;
+        alreadyAdded[key] = true;
+        joined[type].push(moved);
+      });
+    });
+  });
+  return tidyUpSequenceData(joined, { doNotRemoveInvalidChars: true });
+}
@@ -0,0 +1,400 @@
+import alignSequences from "./alignSequences";
+import getMottTrimRange from "./getMottTrimRange";
+import getReverseComplementChromatogramData from "./getReverseComplementChromatogramData";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+import rotateSequenceDataToPosition from "./rotateSequenceDataToPosition";
+
+// mismatches cost enough that unrelated sequence scores well below 0 and isn't aligned
+const readScoring = {
+  match: 1,
+  mismatch: -3,
+  gapOpen: -5,
+  gapExtend: -2
+};
+
+/**
+ * Map sequencing reads (eg. Sanger traces parsed from .ab1 files) onto a reference sequence
+ *
+ * Each read is
+ *  - quality trimmed with getMottTrimRange when it has chromatogramData.qualNums
+ *  - reverse complemented (chromatogram included) if that strand shares more seeds (exact
+ *    seedLength matches) with the reference
+ *  - aligned locally with alignSequences against the stretch of reference its seeds point
+ *    to, clipping off any ends that still don't line up. A read running across the origin
+ *    of a circular reference is aligned against the reference rotated to start just before
+ *    it, and its template track comes back with alignmentData.rotation set so it is still
+ *    numbered from the reference's origin
+ * Reads left with fewer than minSeeds seeds (or no bases once trimmed) are unmapped.
+ *
+ * Positions are 0-based in the reference's numbering. Deletions and mismatches are placed on
+ * their (first) reference base and insertions on the reference base they follow. Reads
+ * calling an N are not counted as disagreeing with the reference.
+ *
+ * @param {string|object} reference - sequence string or sequenceData ({name, sequence, circular, ...})
+ * @param {Array<string|object>} reads - sequence strings or sequenceData ({name, sequence, chromatogramData})
+ * @param {object} options - {circular (defaults to reference.circular), trim (default true),
+ *   trimCutoff (default 0.05), seedLength (default 12), minSeeds (default 3)} plus match,
+ *   mismatch, gapOpen and gapExtend as in alignSequences. These default to 1, -3, -5 and -2,
+ *   stricter than alignSequences so that noise at the ends of reads gets clipped
+ * @returns {object} - {reads, coverage, discrepancies}
+ *   reads: one per input read {name, sequenceData (trimmed and oriented), trimmedRange (the
+ *     range of the original read kept), wasTrimmed, isReversed, isUnmapped} and, once mapped,
+ *     {referenceRange, identity, discrepancies, alignmentTracks}; alignmentTracks are the
+ *     [template, read] pair to use as one of upsertAlignmentRun's pairwiseAlignments
+ *   coverage: {depths (reads covering each reference base), coveredLength, fraction,
+ *     meanDepth, minDepth, maxDepth, uncoveredRanges}
+ *   discrepancies: the reads' discrepancies merged by position and change
+ *     [{position, type: "mismatch" | "insertion" | "deletion", referenceBases, readBases,
+ *     readNames, depth}] sorted by position
+ */
+export default function mapSequencingReads(reference, reads, options = {}) {
+  const referenceData =
+    typeof reference === "string" ? { sequence: reference } : reference;
+  const {
+    circular = !!referenceData.circular,
+    trim = true,
+    trimCutoff = 0.05,
+    seedLength = 12,
+    minSeeds = 3,
+    ...scoringOptions
+  } = options;
+  const referenceSequence = referenceData.sequence || "";
+  const referenceLength = referenceSequence.length;
+  const seedIndex = getSeedIndex(referenceSequence, seedLength, circular);
+  const depths = new Array(referenceLength).fill(0);
+
+  const mappedReads = reads.map((read, i) => {
+    const readData = typeof read === "string" ? { sequence: read } : read;
+    const name = readData.name || `Read ${i + 1}`;
+    const readLength = (readData.sequence || "").length;
+    const qualNums = trim && readData.chromatogramData?.qualNums;
+    let trimmedRange;
+    if (qualNums?.length) {
+      trimmedRange = getMottTrimRange(qualNums, { cutoff: trimCutoff });
+    } else if (readLength) {
+      trimmedRange = { start: 0, end: readLength - 1 };
+    }
+    const wasTrimmed = trimmedRange
+      ? trimmedRange.start > 0 || trimmedRange.end < readLength - 1
+      : !!qualNums?.length;
+    const trimmedRead = trimRead(readData, trimmedRange);
+    const unmapped = {
+      name,
+      sequenceData: trimmedRead,
+      trimmedRange,
+      wasTrimmed,
+      isReversed: false,
+      isUnmapped: true,
+      discrepancies: []
+    };
+    if (!trimmedRange || !referenceLength) return unmapped;
+
+    const reverseRead = {
+      ...trimmedRead,
+      sequence: getReverseComplementSequenceString(trimmedRead.sequence),
+      ...(trimmedRead.chromatogramData && {
+        chromatogramData: getReverseComplementChromatogramData(
+          trimmedRead.chromatogramData
+        )
+      })
+    };
+    const forwardSeeds = findSeedDiagonal(seedIndex, trimmedRead.sequence, {
+      seedLength,
+      referenceLength,
+      circular
+    });
+    const reverseSeeds = findSeedDiagonal(seedIndex, reverseRead.sequence, {
+      seedLength,
+      referenceLength,
+      circular
+    });
+    const isReversed = reverseSeeds.votes > forwardSeeds.votes;
+    const { diagonal, votes } = isReversed ? reverseSeeds : forwardSeeds;
+    if (votes < minSeeds) return unmapped;
+    const orientedRead = isReversed ? reverseRead : trimmedRead;
+    const trimmedLength = orientedRead.sequence.length;
+
+    // align against the stretch of reference the seeds point at, with room for indels
+    const margin = 20 + Math.ceil(trimmedLength / 10);
+    let windowStart = Math.max(diagonal - margin, 0);
+    let windowEnd = Math.min(
+      diagonal + trimmedLength + margin,
+      referenceLength
+    );
+    let rotation = 0;
+    const windowLength = trimmedLength + 2 * margin;
+    if (
+      circular &&
+      windowLength < referenceLength &&
+      (diagonal - margin < 0 ||
+        diagonal + trimmedLength + margin > referenceLength)
+    ) {
+      rotation =
+        (((diagonal - margin) % referenceLength) + referenceLength) %
+        referenceLength;
+      windowStart = 0;
+      windowEnd = windowLength;
+    }
+    const templateData = rotation
+      ? rotateSequenceDataToPosition(referenceData, rotation)
+      : referenceData;
+    const templateSequence = templateData.sequence;
+    const { alignedSequence1, alignedSequence2, ranges } = alignSequences(
+      templateSequence.slice(windowStart, windowEnd),
+      orientedRead.sequence,
+      { ...readScoring, ...scoringOptions, mode: "local" }
+    );
+    if (!alignedSequence1) return unmapped;
+
+    // read ends that don't align are clipped off like the low quality ones
+    const alignedRead = trimRead(orientedRead, ranges[1]);
+    const keptRange = isReversed
+      ? {
+          start: trimmedRange.start + trimmedLength - 1 - ranges[1].end,
+          end: trimmedRange.start + trimmedLength - 1 - ranges[1].start
+        }
+      : {
+          start: trimmedRange.start + ranges[1].start,
+          end: trimmedRange.start + ranges[1].end
+        };
+    const wasClipped = keptRange.start > 0 || keptRange.end < readLength - 1;
+
+    // back from the rotated template to the reference's numbering
+    const toReferencePosition = position =>
+      (position + rotation) % referenceLength;
+    const templateStart = windowStart + ranges[0].start;
+    const templateEnd = windowStart + ranges[0].end;
+    const discrepancies = [];
+    let matches = 0;
+    let templatePosition = templateStart;
+    for (let k = 0; k < alignedSequence1.length; k++) {
+      const referenceBase = alignedSequence1[k];
+      const readBase = alignedSequence2[k];
+      if (referenceBase === "-") {
+        addDiscrepancy(discrepancies, {
+          position: toReferencePosition(templatePosition - 1 + referenceLength),
+          type: "insertion",
+          referenceBases: "",
+          readBases: readBase
+        });
+        continue;
+      }
+      const position = toReferencePosition(templatePosition);
+      depths[position]++;
+      if (readBase === "-") {
+        addDiscrepancy(discrepancies, {
+          position,
+          type: "deletion",
+          referenceBases: referenceBase,
+          readBases: ""
+        });
+      } else if (
+        referenceBase.toUpperCase() === readBase.toUpperCase() ||
+        readBase.toUpperCase() === "N"
+      ) {
+        matches++;
+      } else {
+        discrepancies.push({
+          position,
+          type: "mismatch",
+          referenceBases: referenceBase,
+          readBases: readBase
+        });
+      }
+      templatePosition++;
+    }
+
+    return {
+      name,
+      sequenceData: alignedRead,
+      trimmedRange: keptRange,
+      wasTrimmed: wasClipped,
+      isReversed,
+      isUnmapped: false,
+      referenceRange: {
+        start: toReferencePosition(templateStart),
+        end: toReferencePosition(templateEnd)
+      },
+      identity: matches / alignedSequence1.length,
+      discrepancies,
+      alignmentTracks: [
+        {
+          sequenceData: templateData,
+          alignmentData: {
+            sequence:
+              templateSequence.slice(0, templateStart) +
+              alignedSequence1 +
+              templateSequence.slice(templateEnd + 1),
+            ...(rotation && { rotation })
+          }
+        },
+        {
+          sequenceData: { ...alignedRead, name },
+          alignmentData: {
+            sequence:
+              "-".repeat(templateStart) +
+              alignedSequence2 +
+              "-".repeat(referenceLength - 1 - templateEnd)
+          },
+          chromatogramData: alignedRead.chromatogramData,
+          isReversed,
+          wasTrimmed: wasClipped
+        }
+      ]
+    };
+  });
+
+  return {
+    reads: mappedReads,
+    coverage: getCoverage(depths, circular),
+    discrepancies: mergeDiscrepancies(mappedReads, depths)
+  };
+}
+
+// deletions and insertions running on from the previous discrepancy are joined onto it
+function addDiscrepancy(discrepancies, discrepancy) {
+  const previous = discrepancies[discrepancies.length - 1];
+  if (previous && previous.type === discrepancy.type) {
+    if (
+      discrepancy.type === "insertion" &&
+      previous.position === discrepancy.position
+    ) {
+      previous.readBases += discrepancy.readBases;
+      return;
+    }
+    if (
+      discrepancy.type === "deletion" &&
+      previous.position + previous.referenceBases.length ===
+        discrepancy.position
+    ) {
+      previous.referenceBases += discrepancy.referenceBases;
+      return;
+    }
+  }
+  discrepancies.push(discrepancy);
+}
+
+// every seed in the reference (wrapping around the origin when circular) by its positions
+function getSeedIndex(sequence, seedLength, circular) {
+  const seedIndex = new Map();
+  const upper = sequence.toUpperCase();
+  const searchable = circular ? upper + upper.slice(0, seedLength - 1) : upper;
+  for (let i = 0; i + seedLength <= searchable.length; i++) {
+    const seed = searchable.slice(i, i + seedLength);
+    if (!seedIndex.has(seed)) seedIndex.set(seed, []);
+    seedIndex.get(seed).push(i);
+  }
+  return seedIndex;
+}
+
+// each seed of the read found in the reference votes for where the read starts in it,
+// returns the most voted for start (the diagonal) and its number of votes
+function findSeedDiagonal(
+  seedIndex,
+  sequence,
+  { seedLength, referenceLength, circular }
+) {
+  const upper = sequence.toUpperCase();
+  const votes = new Map();
+  let best = { diagonal: 0, votes: 0 };
+  for (let i = 0; i + seedLength <= upper.length; i++) {
+    (seedIndex.get(upper.slice(i, i + seedLength)) || []).forEach(position => {
+      let diagonal = position - i;
+      if (circular) {
+        diagonal =
+          ((diagonal % referenceLength) + referenceLength) % referenceLength;
+      }
+      const count = (votes.get(diagonal) || 0) + 1;
+      votes.set(diagonal, count);
+      if (count > best.votes) best = { diagonal, votes: count };
+    });
+  }
+  return best;
+}
+
+function trimRead(readData, trimmedRange) {
+  const { start, end } = trimmedRange || { start: 0, end: -1 };
+  const { chromatogramData } = readData;
+  const trimmedChromatogramData = chromatogramData && { ...chromatogramData };
+  if (trimmedChromatogramData) {
+    ["baseCalls", "qualNums", "basePos", "baseTraces"].forEach(type => {
+      if (trimmedChromatogramData[type]) {
+        trimmedChromatogramData[type] = trimmedChromatogramData[type].slice(
+          start,
+          end + 1
+        );
+      }
+    });
+  }
+  return {
+    ...readData,
+    sequence: (readData.sequence || "").slice(start, end + 1),
+    ...(trimmedChromatogramData && {
+      chromatogramData: trimmedChromatogramData
+    })
+  };
+}
+
+function getCoverage(depths, circular) {
+  const referenceLength = depths.length;
+  let coveredLength = 0;
+  let totalDepth = 0;
+  const uncoveredRanges = [];
+  depths.forEach((depth, i) => {
+    totalDepth += depth;
+    if (depth) {
+      coveredLength++;
+      return;
+    }
+    const previous = uncoveredRanges[uncoveredRanges.length - 1];
+    if (previous && previous.end === i - 1) previous.end = i;
+    else uncoveredRanges.push({ start: i, end: i });
+  });
+  // join the gaps either side of a circular sequence's origin into one
+  if (
+    circular &&
+    uncoveredRanges.length > 1 &&
+    uncoveredRanges[0].start === 0 &&
+    uncoveredRanges[uncoveredRanges.length - 1].end === referenceLength - 1
+  ) {
+    const first = uncoveredRanges.shift();
+    uncoveredRanges[uncoveredRanges.length - 1].end = first.end;
+  }
+  return {
+    depths,
+    coveredLength,
+    fraction: referenceLength ? coveredLength / referenceLength : 0,
+    meanDepth: referenceLength ? totalDepth / referenceLength : 0,
+    minDepth: referenceLength ? depths.reduce((a, b) => Math.min(a, b)) : 0,
+    maxDepth: referenceLength ? depths.reduce((a, b) => Math.max(a, b)) : 0,
+    uncoveredRanges
+  };
+}
+
+function mergeDiscrepancies(mappedReads, depths) {
+  const byKey = {};
+  mappedReads.forEach(({ name, discrepancies }) => {
+    discrepancies.forEach(discrepancy => {
+      const key = [
+        discrepancy.position,
+        discrepancy.type,
+        discrepancy.referenceBases.toUpperCase(),
+        discrepancy.readBases.toUpperCase()
+      ].join(":");
+      if (!byKey[key]) {
+        byKey[key] = {
+          ...discrepancy,
+          readNames: [],
+          depth: depths[discrepancy.position]
+        };
+      }
+      byKey[key].readNames.push(name);
+    });
+  });
+  const typeOrder = ["mismatch", "deletion", "insertion"];
+  return Object.values(byKey).sort(
+    (a, b) =>
+      a.position - b.position ||
+      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)
+  );
+}
@@ -0,0 +1,160 @@
+import { expect } from "chai";
+import mapSequencingReads from "./mapSequencingReads";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+let seed = 7;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const randomBases = length =>
+  Array.from({ length }, () => "ACGT"[Math.floor(random() * 4)]).join("");
+const reference = randomBases(2000);
+
+// a read with noisy (low quality, random) bases on both ends like a Sanger trace has
+function makeRead(name, sequence, { noisyStart = 0, noisyEnd = 0 } = {}) {
+  const fullSequence =
+    randomBases(noisyStart) + sequence + randomBases(noisyEnd);
+  return {
+    name,
+    sequence: fullSequence,
+    chromatogramData: {
+      baseCalls: fullSequence.split(""),
+      qualNums: fullSequence
+        .split("")
+        .map((b, i) =>
+          i < noisyStart || i >= noisyStart + sequence.length ? 4 : 40
+        )
+    }
+  };
+}
+
+describe("mapSequencingReads", () => {
+  it("should trim, orient and map reads, reporting coverage and discrepancies", () => {
+    const read1 = makeRead(
+      "read1",
+      reference.slice(100, 400) +
+        (reference[400] === "A" ? "C" : "A") + //a mismatch at 400
+        reference.slice(401, 700),
+      { noisyStart: 15, noisyEnd: 25 }
+    );
+    const read2 = makeRead(
+      "read2",
+      getReverseComplementSequenceString(
+        reference.slice(600, 900) + reference.slice(905, 1200) //5bp deleted at 900
+      ),
+      { noisyStart: 10, noisyEnd: 10 }
+    );
+    const unrelated = makeRead("unrelated", randomBases(500));
+    const {
+      reads: [mapped1, mapped2, unmapped],
+      coverage,
+      discrepancies
+    } = mapSequencingReads(reference, [read1, read2, unrelated]);
+
+    expect(mapped1.isUnmapped).to.equal(false);
+    expect(mapped1.isReversed).to.equal(false);
+    expect(mapped1.wasTrimmed).to.equal(true);
+    expect(mapped1.trimmedRange).to.deep.equal({ start: 15, end: 614 });
+    expect(mapped1.referenceRange).to.deep.equal({ start: 100, end: 699 });
+    expect(mapped1.sequenceData.chromatogramData.qualNums).to.have.length(600);
+    expect(mapped1.discrepancies).to.deep.equal([
+      {
+        position: 400,
+        type: "mismatch",
+        referenceBases: reference[400],
+        readBases: reference[400] === "A" ? "C" : "A"
+      }
+    ]);
+
+    expect(mapped2.isReversed).to.equal(true);
+    expect(mapped2.referenceRange).to.deep.equal({ start: 600, end: 1199 });
+    expect(mapped2.sequenceData.sequence).to.equal(
+      reference.slice(600, 900) + reference.slice(905, 1200)
+    );
+    expect(mapped2.sequenceData.chromatogramData.baseCalls.join("")).to.equal(
+      mapped2.sequenceData.sequence
+    );
+    expect(mapped2.discrepancies).to.have.length(1);
+    expect(mapped2.discrepancies[0].type).to.equal("deletion");
+    expect(mapped2.discrepancies[0].referenceBases).to.have.length(5);
+
+    expect(unmapped.isUnmapped).to.equal(true);
+    expect(unmapped.alignmentTracks).to.equal(undefined);
+
+    expect(coverage.coveredLength).to.equal(1100);
+    expect(coverage.fraction).to.equal(0.55);
+    expect(coverage.maxDepth).to.equal(2);
+    expect(coverage.minDepth).to.equal(0);
+    expect(coverage.depths[650]).to.equal(2);
+    expect(coverage.uncoveredRanges).to.deep.equal([
+      { start: 0, end: 99 },
+      { start: 1200, end: 1999 }
+    ]);
+    expect(discrepancies.map(d => [d.position, d.type, d.depth])).to.deep.equal(
+      [
+        [400, "mismatch", 1],
+        [mapped2.discrepancies[0].position, "deletion", 1]
+      ]
+    );
+    expect(discrepancies[0].readNames).to.deep.equal(["read1"]);
+  });
+
+  it("should return full length [template, read] tracks", () => {
+    const read = makeRead(
+      "read",
+      reference.slice(1000, 1300) + "GATTACA" + reference.slice(1300, 1500)
+    );
+    const {
+      reads: [mapped],
+      discrepancies
+    } = mapSequencingReads({ name: "ref", sequence: reference }, [read]);
+    const [template, readTrack] = mapped.alignmentTracks;
+    expect(template.alignmentData.sequence).to.have.length(2007);
+    expect(readTrack.alignmentData.sequence).to.have.length(2007);
+    expect(template.alignmentData.sequence.replace(/-/g, "")).to.equal(
+      reference
+    );
+    expect(readTrack.alignmentData.sequence.replace(/-/g, "")).to.equal(
+      readTrack.sequenceData.sequence
+    );
+    expect(readTrack.chromatogramData.baseCalls).to.have.length(507);
+    expect(readTrack.wasTrimmed).to.equal(false);
+    expect(discrepancies).to.have.length(1);
+    expect(discrepancies[0]).to.include({
+      type: "insertion",
+      referenceBases: "",
+      readBases: "GATTACA"
+    });
+  });
+
+  it("should map reads across the origin of a circular reference", () => {
+    const read = makeRead(
+      "acrossOrigin",
+      reference.slice(1800) + reference.slice(0, 300)
+    );
+    const {
+      reads: [mapped],
+      coverage
+    } = mapSequencingReads({ sequence: reference, circular: true }, [read]);
+    expect(mapped.referenceRange).to.deep.equal({ start: 1800, end: 299 });
+    expect(mapped.discrepancies).to.deep.equal([]);
+    expect(mapped.identity).to.equal(1);
+    const [template] = mapped.alignmentTracks;
+    expect(template.alignmentData.rotation).to.be.above(0);
+    expect(template.sequenceData.sequence).to.have.length(2000);
+    expect(coverage.uncoveredRanges).to.deep.equal([{ start: 300, end: 1799 }]);
+
+    // a linear reference only has room for the longer part of the read
+    expect(
+      mapSequencingReads(reference, [read]).reads[0].referenceRange
+    ).to.deep.equal({ start: 0, end: 299 });
+  });
+
+  it("should leave reads with no good bases unmapped", () => {
+    const read = makeRead("bad", "", { noisyStart: 50 });
+    const {
+      reads: [unmapped]
+    } = mapSequencingReads(reference, [read]);
+    expect(unmapped.isUnmapped).to.equal(true);
+    expect(unmapped.wasTrimmed).to.equal(true);
+    expect(unmapped.sequenceData.sequence).to.equal("");
+  });
+});
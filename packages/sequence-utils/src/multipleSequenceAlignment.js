@@ -0,0 +1,123 @@
+import buildGuideTree, { getGuideTreeLeaves } from "./buildGuideTree";
+import { alignGlobal, getProgressCounter, getScoring } from "./alignSequences";
+import findBestRotation from "./findBestRotation";
+import rotateBpsToPosition from "./rotateBpsToPosition";
+import rotateSequenceDataToPosition from "./rotateSequenceDataToPosition";
+
+/**
+ * Progressive multiple sequence alignment
+ *
+ * A guide tree is built from pairwise k-mer distances (see buildGuideTree) and the sequences
+ * are then merged up it, closest first: each merge globally aligns two profiles (the
+ * already aligned columns of each subtree) with alignGlobal, scoring a pair of columns as the
+ * average substitution score over every pair of their residues (gaps scoring 0), so
+ * mostly gapped columns count for less. Gaps are affine and once placed in a profile are
+ * never removed ("once a gap, always a gap").
+ * The result only depends on input order when distances or scores tie.
+ * With circular: true every sequence is first rotated to line up with the first one (see
+ * findBestRotation) and comes back rotated, along with the rotation it was given.
+ *
+ * @param {Array<string|object>} sequences - sequence strings or sequenceData ({name, sequence, ...})
+ * @param {object} options - {match, mismatch, substitutionMatrix, gapOpen, gapExtend} as in
+ *   alignSequences, plus circular, guideTreeMethod ("upgma" | "nj"), kmerSize (defaults to 3
+ *   when aligning proteins with a substitutionMatrix, 4 otherwise) and onProgress(fraction)
+ * @returns {object} - {alignedSequences, guideTree}. alignedSequences are the sequenceData
+ *   with an alignedSequence ("-" for gaps) and, when circular, a rotation added. They come in
+ *   guide tree order (top to bottom) so that they line up with the tree, and guideTree is the
+ *   buildGuideTree root node
+ * @throws {Error} Unknown substitution matrix or guide tree method.
+ */
+export default function multipleSequenceAlignment(sequences, options = {}) {
+  const { circular, guideTreeMethod, kmerSize, onProgress, ...scoringOptions } =
+    options;
+  const scoring = getScoring(scoringOptions);
+  let sequenceDatas = sequences.map(s =>
+    typeof s === "string" ? { sequence: s } : s
+  );
+  if (circular) {
+    const reference = sequenceDatas[0]?.sequence || "";
+    sequenceDatas = sequenceDatas.map((sequenceData, i) => {
+      const rotation = findBestRotation(reference, sequenceData.sequence || "");
+      if (!rotation) return { ...sequenceData, rotation };
+      return {
+        ...(typeof sequences[i] === "string"
+          ? { sequence: rotateBpsToPosition(sequenceData.sequence, rotation) }
+          : rotateSequenceDataToPosition(sequenceData, rotation)),
+        rotation
+      };
+    });
+  }
+  const guideTree = buildGuideTree(sequenceDatas, {
+    method: guideTreeMethod,
+    kmerSize: kmerSize || (scoringOptions.substitutionMatrix ? 3 : 4)
+  });
+  if (!guideTree) return { alignedSequences: [], guideTree };
+
+  const getSequence = index => sequenceDatas[index].sequence || "";
+  const getLength = node =>
+    node.children
+      ? Math.max(...node.children.map(getLength))
+      : getSequence(node.index).length;
+  let estimatedCells = 0;
+  const estimateCells = node => {
+    if (!node.children) return;
+    node.children.forEach(estimateCells);
+    estimatedCells +=
+      2 * getLength(node.children[0]) * getLength(node.children[1]);
+  };
+  estimateCells(guideTree);
+  const addCells = getProgressCounter(onProgress, estimatedCells);
+
+  const profileColumnScoring = {
+    ...scoring,
+    getScore: (column1, column2) => {
+      let score = 0;
+      for (const [base1, weight1] of column1) {
+        for (const [base2, weight2] of column2) {
+          score += weight1 * weight2 * scoring.getScore(base1, base2);
+        }
+      }
+      return score;
+    }
+  };
+  // profiles keep their rows in guide tree order, so the root's rows come out in leaf order
+  const alignProfiles = node => {
+    if (!node.children) return [getSequence(node.index).split("")];
+    const [rows1, rows2] = node.children.map(alignProfiles);
+    const [indices1, indices2] = alignGlobal(
+      getProfileColumns(rows1),
+      getProfileColumns(rows2),
+      profileColumnScoring,
+      addCells
+    );
+    const toRows = (rows, indices) =>
+      rows.map(row => indices.map(i => (i === -1 ? "-" : row[i])));
+    return [...toRows(rows1, indices1), ...toRows(rows2, indices2)];
+  };
+  const rows = alignProfiles(guideTree);
+  onProgress && onProgress(1);
+
+  return {
+    alignedSequences: getGuideTreeLeaves(guideTree).map(({ index }, k) => ({
+      ...sequenceDatas[index],
+      alignedSequence: rows[k].join("")
+    })),
+    guideTree
+  };
+}
+
+// each column as [[base, fraction of the rows with that base], ...], leaving out gaps
+function getProfileColumns(rows) {
+  const columns = [];
+  for (let i = 0; i < rows[0].length; i++) {
+    const counts = {};
+    rows.forEach(row => {
+      const base = row[i].toUpperCase();
+      if (base !== "-") counts[base] = (counts[base] || 0) + 1;
+    });
+    columns.push(
+      Object.keys(counts).map(base => [base, counts[base] / rows.length])
+    );
+  }
+  return columns;
+}
@@ -0,0 +1,126 @@
+import { expect } from "chai";
+import multipleSequenceAlignment from "./multipleSequenceAlignment";
+
+// a 200bp template with a few point mutations and indels in each clone
+let seed = 7;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const template = Array.from(
+  { length: 200 },
+  () => "ACGT"[Math.floor(random() * 4)]
+).join("");
+const mutate = sequence => {
+  let mutated = sequence;
+  for (let k = 0; k < 4; k++) {
+    const position = Math.floor(random() * (mutated.length - 1));
+    const change = Math.floor(random() * 3);
+    mutated =
+      mutated.slice(0, position) +
+      (change === 0
+        ? ""
+        : change === 1
+          ? "ACGT"[Math.floor(random() * 4)]
+          : "GG") +
+      mutated.slice(position + (change === 2 ? 0 : 1));
+  }
+  return mutated;
+};
+const clones = Array.from({ length: 12 }, (x, i) => ({
+  name: `clone${String(i).padStart(2, "0")}`,
+  sequence: mutate(template)
+}));
+
+const sortByName = alignedSequences =>
+  [...alignedSequences].sort((a, b) => (a.name < b.name ? -1 : 1));
+
+describe("multipleSequenceAlignment", () => {
+  it("should align every sequence to the same length without changing them", () => {
+    const { alignedSequences, guideTree } = multipleSequenceAlignment(clones);
+    expect(alignedSequences).to.have.length(12);
+    expect(guideTree.children).to.have.length(2);
+    sortByName(alignedSequences).forEach((aligned, i) => {
+      expect(aligned.alignedSequence).to.have.length(
+        alignedSequences[0].alignedSequence.length
+      );
+      expect(aligned.alignedSequence.replace(/-/g, "")).to.equal(
+        clones[i].sequence
+      );
+    });
+  });
+  it("should never leave a column that is all gaps", () => {
+    const { alignedSequences } = multipleSequenceAlignment(clones);
+    const length = alignedSequences[0].alignedSequence.length;
+    for (let i = 0; i < length; i++) {
+      expect(alignedSequences.some(s => s.alignedSequence[i] !== "-")).to.equal(
+        true
+      );
+    }
+  });
+  it("should give the same alignment whatever order the sequences come in", () => {
+    const toAlignment = result =>
+      sortByName(result.alignedSequences).map(s => s.alignedSequence);
+    const forwards = toAlignment(multipleSequenceAlignment(clones));
+    const backwards = toAlignment(
+      multipleSequenceAlignment([...clones].reverse())
+    );
+    expect(backwards).to.deep.equal(forwards);
+  });
+  it("should line up a shared insertion in one column block", () => {
+    const { alignedSequences } = multipleSequenceAlignment([
+      "ACGTTGCAACGTTGCA",
+      "ACGTTGCAGGGGACGTTGCA",
+      "ACGTTGCAACGTTGCA",
+      "ACGTTGCAGGGGACGTTGCA"
+    ]);
+    expect(
+      sortByName(alignedSequences).map(s => s.alignedSequence)
+    ).to.have.members([
+      "ACGTTGCA----ACGTTGCA",
+      "ACGTTGCAGGGGACGTTGCA",
+      "ACGTTGCA----ACGTTGCA",
+      "ACGTTGCAGGGGACGTTGCA"
+    ]);
+  });
+  it("should return the sequences in guide tree order keeping their sequenceData", () => {
+    const { alignedSequences } = multipleSequenceAlignment([
+      { name: "x1", sequence: "GATTACAGATTACAGGCCTTAAGGCC", id: 1 },
+      { name: "y1", sequence: "TTTTCCCCGGGGAAAATTTTCCCCGG", id: 2 },
+      { name: "x2", sequence: "gattacagattacaggccttaaggca", id: 3 }
+    ]);
+    const names = alignedSequences.map(s => s.name);
+    expect(Math.abs(names.indexOf("x1") - names.indexOf("x2"))).to.equal(1);
+    const x2 = alignedSequences.find(s => s.name === "x2");
+    expect(x2.id).to.equal(3);
+    expect(x2.alignedSequence.replace(/-/g, "")).to.equal(
+      "gattacagattacaggccttaaggca"
+    );
+  });
+  it("should align proteins with a substitution matrix and report progress", () => {
+    const progress = [];
+    const { alignedSequences } = multipleSequenceAlignment(
+      [
+        "MKTAYIAKQRQISFVKSHFSRQ",
+        "MKTAYIAKQRQISFVKAHFSRQ",
+        "MKTAYIAKQISFVKSHFSRQ"
+      ],
+      {
+        substitutionMatrix: "BLOSUM62",
+        gapOpen: -11,
+        gapExtend: -1,
+        guideTreeMethod: "nj",
+        onProgress: fraction => progress.push(fraction)
+      }
+    );
+    expect(alignedSequences.map(s => s.alignedSequence)).to.include(
+      "MKTAYIAKQ--ISFVKSHFSRQ"
+    );
+    expect(progress[progress.length - 1]).to.equal(1);
+    progress.forEach((fraction, i) => {
+      i && expect(fraction).to.be.at.least(progress[i - 1]);
+    });
+  });
+  it("should handle a single sequence", () => {
+    expect(multipleSequenceAlignment(["ACGT"]).alignedSequences).to.deep.equal([
+      { sequence: "ACGT", alignedSequence: "ACGT" }
+    ]);
+  });
+});
@@ -0,0 +1,252 @@
+import aliasedEnzymesByName from "./aliasedEnzymesByName";
+import { ambiguous_dna_values } from "./bioData";
+import calculatePercentGC from "./calculatePercentGC";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+import { getCodonUsageTable } from "./codonUsageTables";
+import calculateCai, {
+  getAminoAcidForCodon,
+  getRelativeAdaptiveness
+} from "./calculateCai";
+import calculateTai from "./calculateTai";
+
+// fixed length patterns (an array of allowed bases per position) for both strands of every site
+function getMotifs(enzymes, sequences) {
+  const motifs = [];
+  const addMotif = (site, name) => {
+    const lowerSite = site.toLowerCase();
+    const rcSite = getReverseComplementSequenceString(lowerSite);
+    [lowerSite, ...(rcSite !== lowerSite ? [rcSite] : [])].forEach(s => {
+      motifs.push({
+        name,
+        pattern: s
+          .split("")
+          .map(base =>
+            (ambiguous_dna_values[base.toUpperCase()] || base).toLowerCase()
+          )
+      });
+    });
+  };
+  enzymes.forEach(_enzyme => {
+    const enzyme =
+      typeof _enzyme === "string"
+        ? aliasedEnzymesByName[_enzyme.toLowerCase()]
+        : _enzyme;
+    if (!enzyme) throw new Error(`Unknown enzyme: ${_enzyme}`);
+    addMotif(enzyme.site, `${enzyme.name} site`);
+  });
+  sequences.forEach(s => addMotif(s, s.toUpperCase()));
+  return motifs;
+}
+
+function getGcWarning({ start, end }, minGc, maxGc) {
+  return `Could not keep the GC content of ${start + 1}-${end + 1} within ${minGc}-${maxGc}%`;
+}
+
+/**
+ * Codon optimize a coding sequence for a host. Every codon is swapped for the host's most used
+ * synonymous codon (maximizing the CAI) unless that would create a restriction site or one of the
+ * avoidSequences (on either strand), a homopolymer run longer than maxHomopolymer or push a
+ * gcWindowSize window's GC content outside of minGc-maxGc. In those cases the next best codon is
+ * used. Anything that can't be avoided is reported in warnings.
+ *
+ * @param {string} sequence - the coding sequence (5'-3', starting in frame)
+ * @param {object} options
+ * @param {string|object} options.codonUsageTable - a codonUsageTables id or table (default "ecoli")
+ * @param {(string|object)[]} options.avoidEnzymes - names of (or) enzymes whose sites should be avoided
+ * @param {string[]} options.avoidSequences - other sequences (IUPAC codes allowed) to avoid
+ * @param {number} options.maxHomopolymer - longest allowed run of a single base (default 6)
+ * @param {number} options.gcWindowSize - bps per GC content window (default 50)
+ * @param {number} options.minGc - lowest allowed GC % of a window (default 30)
+ * @param {number} options.maxGc - highest allowed GC % of a window (default 70)
+ * @param {string} options.upstream - bases before the coding sequence so sites spanning the junctions are avoided too
+ * @param {string} options.downstream - bases after the coding sequence
+ * @returns {object} {sequence, changedCodons, caiBefore, caiAfter, taiBefore, taiAfter (undefined
+ *   when the table has no tRNA gene copy numbers), gcBefore, gcAfter, warnings}
+ */
+export default function optimizeCodons(sequence, options = {}) {
+  const {
+    codonUsageTable: _codonUsageTable = "ecoli",
+    avoidEnzymes = [],
+    avoidSequences = [],
+    maxHomopolymer = 6,
+    gcWindowSize = 50,
+    minGc = 30,
+    maxGc = 70
+  } = options;
+  const codonUsageTable = getCodonUsageTable(_codonUsageTable);
+  const original = sequence.toLowerCase();
+  if (original.length % 3) {
+    throw new Error("The coding sequence length must be a multiple of 3");
+  }
+  const motifs = getMotifs(avoidEnzymes, avoidSequences);
+  const weights = getRelativeAdaptiveness(codonUsageTable);
+  const codonsByAminoAcid = {};
+  Object.keys(weights).forEach(codon => {
+    const aa = getAminoAcidForCodon(codon);
+    codonsByAminoAcid[aa] = codonsByAminoAcid[aa] || [];
+    codonsByAminoAcid[aa].push(codon);
+  });
+  Object.keys(codonsByAminoAcid).forEach(aa => {
+    codonsByAminoAcid[aa].sort((a, b) => weights[b] - weights[a]);
+  });
+
+  const upstream = (options.upstream || "").toLowerCase();
+  const downstream = (options.downstream || "").toLowerCase();
+  const originalCodons = original.match(/.../g) || [];
+  // codons that aren't plain dna (or whose amino acid the table doesn't cover) are left alone
+  const alternatives = originalCodons.map(
+    codon => codonsByAminoAcid[getAminoAcidForCodon(codon)] || [codon]
+  );
+  const codons = [...originalCodons];
+  const offset = upstream.length;
+  const getFullSequence = () => upstream + codons.join("") + downstream;
+
+  // the motifs and homopolymers overlapping [start, end) of the full sequence
+  const getViolations = (full, start, end) => {
+    const violations = [];
+    motifs.forEach(({ name, pattern }) => {
+      const from = Math.max(0, start - pattern.length + 1);
+      const to = Math.min(end, full.length - pattern.length + 1);
+      for (let i = from; i < to; i++) {
+        if (pattern.every((bases, j) => bases.includes(full[i + j]))) {
+          violations.push({ name, start: i, end: i + pattern.length - 1 });
+        }
+      }
+    });
+    let runStart = Math.max(0, start - maxHomopolymer);
+    while (runStart > 0 && full[runStart - 1] === full[runStart]) runStart--;
+    for (let i = runStart; i < Math.min(end + maxHomopolymer, full.length); ) {
+      let j = i;
+      while (j + 1 < full.length && full[j + 1] === full[i]) j++;
+      if (j - i + 1 > maxHomopolymer && j >= start && i < end) {
+        violations.push({
+          name: `${full[i].toUpperCase()}${j - i + 1} homopolymer`,
+          start: i,
+          end: j
+        });
+      }
+      i = j + 1;
+    }
+    return violations;
+  };
+  const getCodonViolations = index =>
+    getViolations(getFullSequence(), offset + index * 3, offset + index * 3 + 3)
+      .length;
+
+  // pass 1: best codon first, falling back to the next best (or changing the previous codon too)
+  // when it creates a site or homopolymer
+  codons.forEach((codon, i) => {
+    const withoutLaterCodons = () =>
+      upstream +
+      codons.slice(0, i + 1).join("") +
+      (i === codons.length - 1 ? downstream : "");
+    const isClean = () =>
+      !getViolations(withoutLaterCodons(), offset + i * 3, offset + i * 3 + 3)
+        .length;
+    const found = alternatives[i].some(alt => {
+      codons[i] = alt;
+      return isClean();
+    });
+    if (found || i === 0) {
+      if (!found) codons[i] = alternatives[i][0];
+      return;
+    }
+    const previous = codons[i - 1];
+    const foundWithPrevious = alternatives[i - 1].some(prevAlt => {
+      codons[i - 1] = prevAlt;
+      return (
+        !getViolations(
+          upstream + codons.slice(0, i).join(""),
+          offset + (i - 1) * 3,
+          offset + i * 3
+        ).length &&
+        alternatives[i].some(alt => {
+          codons[i] = alt;
+          return isClean();
+        })
+      );
+    });
+    if (!foundWithPrevious) {
+      codons[i - 1] = previous;
+      codons[i] = alternatives[i][0];
+    }
+  });
+
+  // pass 2: swap the codons of windows with extreme GC for the best codons that bring it back in range
+  const windowSize = Math.min(gcWindowSize, codons.length * 3);
+  const getWindowGc = start =>
+    calculatePercentGC(codons.join("").slice(start, start + windowSize));
+  for (let start = 0; start + windowSize <= codons.length * 3; start += 3) {
+    let gc = getWindowGc(start);
+    if (gc >= minGc && gc <= maxGc) continue;
+    const tooHigh = gc > maxGc;
+    const swaps = [];
+    for (
+      let i = Math.floor(start / 3);
+      i < Math.ceil((start + windowSize) / 3);
+      i++
+    ) {
+      alternatives[i].forEach(alt => {
+        const change = calculatePercentGC(alt) - calculatePercentGC(codons[i]);
+        if (tooHigh ? change < 0 : change > 0) {
+          swaps.push({
+            index: i,
+            codon: alt,
+            loss: weights[codons[i]] - weights[alt]
+          });
+        }
+      });
+    }
+    swaps.sort((a, b) => a.loss - b.loss);
+    for (const { index, codon } of swaps) {
+      if (gc >= minGc && gc <= maxGc) break;
+      const current = codons[index];
+      // an earlier swap may have already changed this codon
+      const change = calculatePercentGC(codon) - calculatePercentGC(current);
+      if (tooHigh ? change >= 0 : change <= 0) continue;
+      const violationsBefore = getCodonViolations(index);
+      codons[index] = codon;
+      if (getCodonViolations(index) > violationsBefore) {
+        codons[index] = current;
+      } else {
+        gc = getWindowGc(start);
+      }
+    }
+  }
+
+  const optimized = codons.join("");
+  const warnings = [];
+  getViolations(getFullSequence(), offset, offset + optimized.length).forEach(
+    ({ name, start, end }) => {
+      warnings.push(
+        `Could not avoid the ${name} at ${start - offset + 1}-${end - offset + 1}`
+      );
+    }
+  );
+  // overlapping windows with extreme GC are reported as one region
+  let badRegion;
+  for (let start = 0; start + windowSize <= optimized.length; start += 3) {
+    const gc = calculatePercentGC(optimized.slice(start, start + windowSize));
+    const isBad = gc < minGc || gc > maxGc;
+    if (isBad && badRegion && start <= badRegion.end) {
+      badRegion.end = start + windowSize - 1;
+    } else if (isBad) {
+      if (badRegion) warnings.push(getGcWarning(badRegion, minGc, maxGc));
+      badRegion = { start, end: start + windowSize - 1 };
+    }
+  }
+  if (badRegion) warnings.push(getGcWarning(badRegion, minGc, maxGc));
+  const hasTRnas = !!codonUsageTable.tRnaGeneCopies;
+  return {
+    sequence: optimized,
+    changedCodons: codons.filter((codon, i) => codon !== originalCodons[i])
+      .length,
+    caiBefore: calculateCai(original, codonUsageTable),
+    caiAfter: calculateCai(optimized, codonUsageTable),
+    taiBefore: hasTRnas ? calculateTai(original, codonUsageTable) : undefined,
+    taiAfter: hasTRnas ? calculateTai(optimized, codonUsageTable) : undefined,
+    gcBefore: calculatePercentGC(original),
+    gcAfter: calculatePercentGC(optimized),
+    warnings
+  };
+}
@@ -0,0 +1,85 @@
+import { expect } from "chai";
+import optimizeCodons from "./optimizeCodons";
+import calculatePercentGC from "./calculatePercentGC";
+import getAminoAcidStringFromSequenceString from "./getAminoAcidStringFromSequenceString";
+
+const translate = s => getAminoAcidStringFromSequenceString(s);
+
+describe("optimizeCodons", () => {
+  it("should use the host's most used codons when nothing needs avoiding", () => {
+    const result = optimizeCodons("ctaagggggatataa", {
+      codonUsageTable: "ecoli"
+    });
+    expect(result.sequence).to.equal("ctgcgcggcatttaa");
+    expect(result.changedCodons).to.equal(4);
+    expect(result.caiAfter).to.be.closeTo(1, 1e-9);
+    expect(result.caiBefore).to.be.below(result.caiAfter);
+    expect(result.taiBefore).to.be.a("number");
+    expect(result.taiAfter).to.be.a("number");
+    expect(result.warnings).to.deep.equal([]);
+  });
+
+  it("should not report a tAI for tables without tRNA gene copy numbers", () => {
+    const result = optimizeCodons("ctaaaa", { codonUsageTable: "human" });
+    expect(result.sequence).to.equal("ctgaag");
+    expect(result.taiAfter).to.equal(undefined);
+  });
+
+  it("should avoid sites on both strands and across the junctions", () => {
+    // the best leucine codons would make CTGCTG
+    const result = optimizeCodons("ttattattattattatta", {
+      avoidSequences: ["CTGCTG"]
+    });
+    expect(translate(result.sequence)).to.equal("LLLLLL");
+    expect(result.sequence).not.to.match(/ctgctg|cagcag/);
+    expect(result.warnings).to.deep.equal([]);
+
+    // ACC (the best threonine codon) would finish a BsaI site (GAGACC) started upstream
+    const withUpstream = optimizeCodons("acgaaa", {
+      avoidEnzymes: ["BsaI"],
+      upstream: "ttgag"
+    });
+    expect(withUpstream.sequence).to.equal("acgaaa");
+    const withoutUpstream = optimizeCodons("acgaaa", {
+      avoidEnzymes: ["BsaI"]
+    });
+    expect(withoutUpstream.sequence).to.equal("accaaa");
+  });
+
+  it("should break up long homopolymers", () => {
+    const result = optimizeCodons("aagaagaagaagttcttcttc", {
+      maxHomopolymer: 5
+    });
+    expect(translate(result.sequence)).to.equal("KKKKFFF");
+    expect(result.sequence).not.to.match(/a{6}|c{6}|g{6}|t{6}/);
+  });
+
+  it("should keep windows within the GC limits", () => {
+    const protein = "GAPGAPGAPGAPGAPGAPGAPGAPGAPGAP";
+    const sequence = "ggagctcca".repeat(10);
+    const result = optimizeCodons(sequence, {
+      codonUsageTable: "human",
+      gcWindowSize: 30,
+      maxGc: 70
+    });
+    expect(translate(result.sequence)).to.equal(protein);
+    for (let i = 0; i + 30 <= result.sequence.length; i += 3) {
+      expect(
+        calculatePercentGC(result.sequence.slice(i, i + 30))
+      ).to.be.at.most(70);
+    }
+    expect(result.warnings).to.deep.equal([]);
+  });
+
+  it("should warn about what it could not avoid", () => {
+    const result = optimizeCodons("atgaaa", { avoidSequences: ["ATG"] });
+    expect(result.warnings).to.deep.equal(["Could not avoid the ATG at 1-3"]);
+  });
+
+  it("should throw for partial codons and unknown enzymes", () => {
+    expect(() => optimizeCodons("atga")).to.throw("multiple of 3");
+    expect(() => optimizeCodons("atg", { avoidEnzymes: ["NotI2"] })).to.throw(
+      "Unknown enzyme"
+    );
+  });
+});
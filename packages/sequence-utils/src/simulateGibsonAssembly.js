@@ -0,0 +1,251 @@
+import { normalizePositionByRangeLength } from "@teselagen/range-utils";
+import getOverlapBetweenTwoSequences from "./getOverlapBetweenTwoSequences";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+import calculateSantaLuciaTm from "./calculateSantaLuciaTm";
+import joinSequenceDataWithOverlaps from "./joinSequenceDataWithOverlaps";
+import tidyUpSequenceData from "./tidyUpSequenceData";
+
+//designed overlaps are grown until they reach the target Tm or this length
+const MAX_DESIGNED_OVERLAP_LENGTH = 40;
+
+/**
+ * Simulates a Gibson (or NEBuilder HiFi) assembly of a backbone and any number of inserts.
+ * - the pieces are joined in the order given, the last one joining back onto the backbone when circular
+ * - each junction uses the longest exact overlap between the end of one piece and the start of the next
+ * - junctions without an overlap get a pair of primers proposed whose 5' tails create one. The product
+ *   is then computed as if the pieces had been amplified with those primers (ie. a seamless join)
+ *
+ * @param  {array} sequences [backbone, ...inserts] as (linear) teselagen sequence jsons
+ * @param  {object} options
+ * @param  {boolean} options.circular whether the last insert joins back onto the backbone (default true)
+ * @param  {number} options.minOverlapLength shortest overlap that counts as one (default 15)
+ * @param  {number} options.maxOverlapLength longest overlap looked for (default 100)
+ * @param  {number} options.overlapTm the Tm a designed overlap should reach (default 48)
+ * @param  {number} options.primerTm the Tm the annealing part of a designed primer should reach (default 60)
+ * @param  {number} options.minPrimerLength shortest annealing part of a designed primer (default 18)
+ * @param  {number} options.maxPrimerLength longest annealing part of a designed primer (default 40)
+ * @param  {string} options.name the name of the assembled sequence
+ * @return {object} {sequenceData, junctions, primers, warnings}
+ */
+export default function simulateGibsonAssembly(sequences, options = {}) {
+  const {
+    circular = true,
+    minOverlapLength = 15,
+    maxOverlapLength = 100,
+    overlapTm = 48,
+    primerTm = 60,
+    minPrimerLength = 18,
+    maxPrimerLength = 40,
+    name
+  } = options;
+  if (!sequences || sequences.length < 2) {
+    throw new Error("A backbone and at least one insert are needed");
+  }
+  const pieces = sequences.map(seq =>
+    tidyUpSequenceData(seq, { doNotRemoveInvalidChars: true })
+  );
+  const warnings = [];
+  const primers = [];
+  const junctions = [];
+  const overlapLengths = pieces.map(() => 0);
+  const names = pieces.map((piece, i) => piece.name || `Fragment ${i + 1}`);
+
+  pieces.forEach((right, rightIndex) => {
+    if (rightIndex === 0 && !circular) return;
+    const leftIndex = (rightIndex || pieces.length) - 1;
+    const left = pieces[leftIndex];
+    const junctionName = `${names[leftIndex]} -> ${names[rightIndex]}`;
+    const overlapLength = findOverlapLength(left.sequence, right.sequence, {
+      minOverlapLength,
+      maxOverlapLength
+    });
+    if (overlapLength) {
+      const overlapSequence = right.sequence.slice(0, overlapLength);
+      const tm = getTm(overlapSequence);
+      if (!(tm >= overlapTm)) {
+        warnings.push(
+          `The overlap between ${junctionName} has a Tm of ${formatTm(
+            tm
+          )} which is below the target of ${overlapTm}°C`
+        );
+      }
+      overlapLengths[rightIndex] = overlapLength;
+      junctions.push({
+        leftIndex,
+        rightIndex,
+        overlapLength,
+        overlapSequence,
+        tm,
+        primers: []
+      });
+      return;
+    }
+
+    //no overlap so split a new one across the end of the left piece and the start of the right one
+    const designed = growUntilTm(
+      length =>
+        left.sequence.slice(-Math.ceil(length / 2)) +
+        right.sequence.slice(0, Math.floor(length / 2)),
+      {
+        minLength: minOverlapLength,
+        maxLength: MAX_DESIGNED_OVERLAP_LENGTH,
+        targetTm: overlapTm
+      }
+    );
+    const leftTail = left.sequence.slice(-Math.ceil(designed.length / 2));
+    const rightTail = right.sequence.slice(0, Math.floor(designed.length / 2));
+    const primerOpts = {
+      minLength: minPrimerLength,
+      maxLength: maxPrimerLength,
+      targetTm: primerTm
+    };
+    const forwardAnnealing = growUntilTm(
+      length => right.sequence.slice(0, length),
+      primerOpts
+    );
+    const reverseAnnealing = growUntilTm(
+      length =>
+        getReverseComplementSequenceString(left.sequence.slice(-length)),
+      primerOpts
+    );
+    const junctionPrimers = [
+      {
+        name: `${names[rightIndex]}_gibson_F`,
+        forward: true,
+        pieceIndex: rightIndex,
+        tail: leftTail,
+        annealingSequence: forwardAnnealing.sequence,
+        sequence: leftTail + forwardAnnealing.sequence,
+        tm: forwardAnnealing.tm
+      },
+      {
+        name: `${names[leftIndex]}_gibson_R`,
+        forward: false,
+        pieceIndex: leftIndex,
+        tail: getReverseComplementSequenceString(rightTail),
+        annealingSequence: reverseAnnealing.sequence,
+        sequence:
+          getReverseComplementSequenceString(rightTail) +
+          reverseAnnealing.sequence,
+        tm: reverseAnnealing.tm
+      }
+    ];
+    junctionPrimers.forEach(primer => {
+      if (!(primer.tm >= primerTm)) {
+        warnings.push(
+          `Primer ${primer.name} only reaches a Tm of ${formatTm(
+            primer.tm
+          )} (target ${primerTm}°C)`
+        );
+      }
+    });
+    if (!(designed.tm >= overlapTm)) {
+      warnings.push(
+        `The designed overlap for ${junctionName} only reaches a Tm of ${formatTm(
+          designed.tm
+        )} (target ${overlapTm}°C)`
+      );
+    }
+    primers.push(...junctionPrimers);
+    junctions.push({
+      leftIndex,
+      rightIndex,
+      overlapLength: 0,
+      designedOverlapSequence: designed.sequence,
+      tm: designed.tm,
+      primers: junctionPrimers
+    });
+  });
+
+  const sequenceData = joinSequenceDataWithOverlaps(
+    pieces.map((sequenceData, i) => ({
+      sequenceData,
+      overlapWithPrevious: overlapLengths[i]
+    })),
+    {
+      circular,
+      name: name || `Gibson Assembly of ${names[0]}`
+    }
+  );
+
+  //mark where the proposed primers bind in the product
+  const size = sequenceData.sequence.length;
+  const pieceStarts = [];
+  pieces.reduce((position, piece, i) => {
+    pieceStarts[i] = i === 0 ? position : position - overlapLengths[i];
+    return pieceStarts[i] + piece.sequence.length;
+  }, 0);
+  primers.forEach(primer => {
+    const junctionPosition = primer.forward
+      ? pieceStarts[primer.pieceIndex]
+      : pieceStarts[primer.pieceIndex] +
+        pieces[primer.pieceIndex].sequence.length;
+    const [start, end] = primer.forward
+      ? [
+          junctionPosition - primer.tail.length,
+          junctionPosition + primer.annealingSequence.length - 1
+        ]
+      : [
+          junctionPosition - primer.annealingSequence.length,
+          junctionPosition + primer.tail.length - 1
+        ];
+    sequenceData.primers.push({
+      name: primer.name,
+      type: "primer_bind",
+      start: normalizePositionByRangeLength(start, size),
+      end: normalizePositionByRangeLength(end, size),
+      forward: primer.forward,
+      strand: primer.forward ? 1 : -1
+    });
+  });
+
+  return {
+    sequenceData: tidyUpSequenceData(sequenceData, {
+      doNotRemoveInvalidChars: true
+    }),
+    junctions,
+    primers,
+    warnings
+  };
+}
+
+function findOverlapLength(
+  leftSequence,
+  rightSequence,
+  { minOverlapLength, maxOverlapLength }
+) {
+  const longest = Math.min(
+    maxOverlapLength,
+    leftSequence.length,
+    rightSequence.length
+  );
+  for (let length = longest; length >= minOverlapLength; length--) {
+    //both strings have the same length so only a match at the very start means they are the same
+    const overlap = getOverlapBetweenTwoSequences(
+      rightSequence.slice(0, length),
+      leftSequence.slice(-length)
+    );
+    if (overlap && overlap.start === 0) return length;
+  }
+  return 0;
+}
+
+function growUntilTm(getSequenceOfLength, { minLength, maxLength, targetTm }) {
+  let sequence, tm;
+  for (let length = minLength; length <= maxLength; length++) {
+    sequence = getSequenceOfLength(length);
+    tm = getTm(sequence);
+    if (tm >= targetTm) break;
+  }
+  return { sequence, tm, length: sequence.length };
+}
+
+//calculateSantaLuciaTm returns an error message for sequences it can't handle
+function getTm(sequence) {
+  const tm = calculateSantaLuciaTm(sequence);
+  return typeof tm === "number" ? tm : NaN;
+}
+
+function formatTm(tm) {
+  return isNaN(tm) ? "unknown" : `${Math.round(tm * 10) / 10}°C`;
+}
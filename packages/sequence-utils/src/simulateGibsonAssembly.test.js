@@ -0,0 +1,152 @@
+import { expect } from "chai";
+import simulateGibsonAssembly from "./simulateGibsonAssembly";
+import calculateSantaLuciaTm from "./calculateSantaLuciaTm";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+const backboneBody = "atgaccatgattacgccaagcttgcatgcctgcaggtcgactctagaggatc";
+const insertBody = "ggctagcaaaggagaagaacttttcactggagttgtcccaattcttgttgaatta";
+const overlap1 = "gtaaaacgacggccagtgaattc"; //backbone -> insert
+const overlap2 = "cgagctcggtacccggggatcctct"; //insert -> backbone
+
+describe("simulateGibsonAssembly", () => {
+  it("should join pieces on their overlaps and carry over their annotations", () => {
+    const backbone = {
+      name: "backbone",
+      sequence: overlap2 + backboneBody + overlap1,
+      features: [
+        {
+          name: "lacZ",
+          type: "CDS",
+          start: overlap2.length,
+          end: overlap2.length + backboneBody.length - 1,
+          forward: true
+        }
+      ]
+    };
+    const insert = {
+      name: "insert",
+      sequence: overlap1 + insertBody + overlap2,
+      features: [
+        {
+          name: "gfp",
+          type: "CDS",
+          start: overlap1.length,
+          end: overlap1.length + insertBody.length - 1,
+          forward: true
+        }
+      ]
+    };
+    const { sequenceData, junctions, primers } = simulateGibsonAssembly([
+      backbone,
+      insert
+    ]);
+    expect(sequenceData.sequence).to.equal(
+      overlap2 + backboneBody + overlap1 + insertBody
+    );
+    expect(sequenceData.circular).to.equal(true);
+    expect(sequenceData.name).to.equal("Gibson Assembly of backbone");
+    expect(primers).to.have.length(0);
+    expect(junctions.map(j => j.overlapLength)).to.deep.equal([
+      overlap2.length,
+      overlap1.length
+    ]);
+    const featuresByName = {};
+    sequenceData.features.forEach(f => (featuresByName[f.name] = f));
+    expect(featuresByName.lacZ).to.include({
+      start: overlap2.length,
+      end: overlap2.length + backboneBody.length - 1
+    });
+    const gfpStart = overlap2.length + backboneBody.length + overlap1.length;
+    expect(featuresByName.gfp).to.include({
+      start: gfpStart,
+      end: gfpStart + insertBody.length - 1
+    });
+  });
+
+  it("should keep an annotation lying within an overlap only once", () => {
+    const overlapFeature = start => ({
+      name: "overlapFeat",
+      type: "misc_feature",
+      start,
+      end: start + overlap1.length - 1
+    });
+    const { sequenceData } = simulateGibsonAssembly(
+      [
+        {
+          name: "a",
+          sequence: backboneBody + overlap1,
+          features: [overlapFeature(backboneBody.length)]
+        },
+        {
+          name: "b",
+          sequence: overlap1 + insertBody,
+          features: [overlapFeature(0)]
+        }
+      ],
+      { circular: false }
+    );
+    expect(sequenceData.circular).to.equal(false);
+    expect(sequenceData.sequence).to.equal(
+      backboneBody + overlap1 + insertBody
+    );
+    expect(sequenceData.features).to.have.length(1);
+    expect(sequenceData.features[0]).to.include({
+      start: backboneBody.length,
+      end: backboneBody.length + overlap1.length - 1
+    });
+  });
+
+  it("should propose primers with overlap tails when an overlap is missing", () => {
+    const { sequenceData, junctions, primers } = simulateGibsonAssembly(
+      [
+        { name: "vector", sequence: backboneBody },
+        { name: "gene", sequence: insertBody }
+      ],
+      { circular: false }
+    );
+    //the pieces are joined seamlessly
+    expect(sequenceData.sequence).to.equal(backboneBody + insertBody);
+    expect(junctions).to.have.length(1);
+    expect(junctions[0].overlapLength).to.equal(0);
+    expect(junctions[0].tm).to.be.at.least(48);
+    expect(primers).to.have.length(2);
+    const [forwardPrimer, reversePrimer] = primers;
+    expect(forwardPrimer.name).to.equal("gene_gibson_F");
+    expect(reversePrimer.name).to.equal("vector_gibson_R");
+    expect(insertBody.startsWith(forwardPrimer.annealingSequence)).to.equal(
+      true
+    );
+    expect(
+      backboneBody.endsWith(
+        getReverseComplementSequenceString(reversePrimer.annealingSequence)
+      )
+    ).to.equal(true);
+    [forwardPrimer, reversePrimer].forEach(primer => {
+      expect(primer.tm).to.equal(
+        calculateSantaLuciaTm(primer.annealingSequence)
+      );
+      expect(primer.tm).to.be.at.least(60);
+    });
+    //the tails of the two primers make up the new overlap
+    expect(
+      forwardPrimer.tail +
+        getReverseComplementSequenceString(reversePrimer.tail)
+    ).to.equal(junctions[0].designedOverlapSequence);
+    //and the primers are marked on the product
+    const product = sequenceData.sequence;
+    const primerAnnotations = {};
+    sequenceData.primers.forEach(p => (primerAnnotations[p.name] = p));
+    const f = primerAnnotations.gene_gibson_F;
+    expect(product.slice(f.start, f.end + 1)).to.equal(forwardPrimer.sequence);
+    const r = primerAnnotations.vector_gibson_R;
+    expect(
+      getReverseComplementSequenceString(product.slice(r.start, r.end + 1))
+    ).to.equal(reversePrimer.sequence);
+  });
+
+  it("should need at least two pieces", () => {
+    expect(() =>
+      simulateGibsonAssembly([{ sequence: backboneBody }])
+    ).to.throw();
+  });
+});
@@ -0,0 +1,253 @@
+import { flatMap, forEach, groupBy, maxBy, uniq } from "lodash-es";
+import {
+  checkIfPotentiallyCircularRangesOverlap,
+  getRangeLength,
+  normalizePositionByRangeLength
+} from "@teselagen/range-utils";
+import aliasedEnzymesByName from "./aliasedEnzymesByName";
+import cutSequenceByRestrictionEnzyme from "./cutSequenceByRestrictionEnzyme";
+import getCutsiteOverhang from "./getCutsiteOverhang";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+import getReverseComplementSequenceAndAnnotations from "./getReverseComplementSequenceAndAnnotations";
+import getSequenceDataBetweenRange from "./getSequenceDataBetweenRange";
+import isEnzymeType2S from "./isEnzymeType2S";
+import joinSequenceDataWithOverlaps from "./joinSequenceDataWithOverlaps";
+import tidyUpSequenceData from "./tidyUpSequenceData";
+
+/**
+ * Simulates a Golden Gate assembly of a destination vector and any number of parts.
+ * - every sequence is digested with the (Type IIS) enzyme and the fragment left without a recognition site is kept
+ * - the parts are ordered (and flipped if need be) by matching their overhangs, starting from the vector
+ * - the vector, parts and overhangs are checked for problems: overhangs used by more than one junction,
+ *   palindromic overhangs (which can ligate to themselves) and internal sites
+ *
+ * @param  {array} sequences [vector, ...parts] as teselagen sequence jsons
+ * @param  {object} options
+ * @param  {string|object} options.enzyme the enzyme (or its name) to digest with (default BsaI)
+ * @param  {string} options.name the name of the assembled sequence
+ * @return {object} {sequenceData, fragments, order, overhangConflicts, palindromicOverhangs, internalSites, errors, warnings}
+ *                  sequenceData is null if the parts could not be assembled (see errors)
+ */
+export default function simulateGoldenGateAssembly(sequences, options = {}) {
+  const { enzyme: _enzyme = "BsaI", name } = options;
+  const enzyme =
+    typeof _enzyme === "string"
+      ? aliasedEnzymesByName[_enzyme.toLowerCase()]
+      : _enzyme;
+  const result = {
+    sequenceData: null,
+    fragments: [],
+    order: [],
+    overhangConflicts: [],
+    palindromicOverhangs: [],
+    internalSites: [],
+    errors: [],
+    warnings: []
+  };
+  if (!enzyme) {
+    result.errors.push(`Unknown enzyme ${_enzyme}`);
+    return result;
+  }
+  if (!isEnzymeType2S(enzyme)) {
+    result.warnings.push(
+      `${enzyme.name} is not a Type IIS enzyme so its overhangs can't be designed freely`
+    );
+  }
+  if (!sequences || sequences.length < 2) {
+    result.errors.push("A destination vector and at least one part are needed");
+    return result;
+  }
+  const seqs = sequences.map(seq =>
+    tidyUpSequenceData(seq, { doNotRemoveInvalidChars: true })
+  );
+  const names = seqs.map((seq, i) =>
+    i === 0 ? seq.name || "Vector" : seq.name || `Part ${i}`
+  );
+
+  seqs.forEach((seqData, i) => {
+    const fragment = getFragmentWithoutSites(seqData, enzyme);
+    if (fragment.error) {
+      result.errors.push(`${names[i]}: ${fragment.error}`);
+      return;
+    }
+    fragment.internalSites.forEach(cutsite => {
+      result.internalSites.push({ sequenceIndex: i, cutsite });
+      result.warnings.push(
+        `${names[i]} has an internal ${enzyme.name} site at ${
+          cutsite.recognitionSiteRange.start + 1
+        }`
+      );
+    });
+    result.fragments[i] = { ...fragment, sequenceIndex: i, name: names[i] };
+  });
+  if (result.errors.length) return result;
+
+  //each overhang should only be shared by the two ends it joins together
+  const ends = flatMap(result.fragments, ({ left, right, sequenceIndex }) =>
+    [left, right].map(overhang => ({
+      overhang: overhang.sequence,
+      canonical: toCanonicalOverhang(overhang),
+      sequenceIndex
+    }))
+  );
+  forEach(groupBy(ends, "canonical"), sharedEnds => {
+    if (sharedEnds.length <= 2) return;
+    const sequenceIndices = uniq(sharedEnds.map(e => e.sequenceIndex));
+    result.overhangConflicts.push({
+      overhang: sharedEnds[0].overhang,
+      sequenceIndices
+    });
+    result.warnings.push(
+      `Overhang ${sharedEnds[0].overhang} is shared by ${sequenceIndices
+        .map(i => names[i])
+        .join(", ")}`
+    );
+  });
+  result.fragments.forEach(({ left, right, sequenceIndex }) => {
+    [left, right].forEach(overhang => {
+      if (
+        overhang.sequence &&
+        overhang.sequence ===
+          getReverseComplementSequenceString(overhang.sequence)
+      ) {
+        result.palindromicOverhangs.push({
+          overhang: overhang.sequence,
+          sequenceIndex
+        });
+        result.warnings.push(
+          `${names[sequenceIndex]} has the palindromic overhang ${overhang.sequence} which can ligate to itself`
+        );
+      }
+    });
+  });
+
+  //walk from the vector to the part whose left overhang matches, until we're back at the vector
+  const [vector, ...parts] = result.fragments;
+  const unused = parts.slice();
+  const order = [{ fragment: vector, reverseComplement: false }];
+  let current = order[0];
+  for (;;) {
+    const overhang = getEnd(current, "right");
+    const matches = flatMap(unused, fragment =>
+      [false, true]
+        .map(reverseComplement => ({ fragment, reverseComplement }))
+        .filter(candidate => isSameEnd(getEnd(candidate, "left"), overhang))
+    );
+    if (!matches.length) {
+      if (!isSameEnd(getEnd(order[0], "left"), overhang)) {
+        result.errors.push(
+          `Nothing ligates to the ${overhang.sequence} overhang of ${current.fragment.name}`
+        );
+        result.order = order.map(toOrderEntry);
+        return result;
+      }
+      break;
+    }
+    if (matches.length > 1) {
+      result.warnings.push(
+        `Several parts could ligate to the ${overhang.sequence} overhang of ${current.fragment.name}`
+      );
+    }
+    current = matches[0];
+    unused.splice(unused.indexOf(current.fragment), 1);
+    order.push(current);
+  }
+  unused.forEach(fragment => {
+    result.warnings.push(`${fragment.name} was left out of the assembly`);
+  });
+
+  result.sequenceData = joinSequenceDataWithOverlaps(
+    order.map(piece => ({
+      sequenceData: piece.reverseComplement
+        ? getReverseComplementSequenceAndAnnotations(
+            piece.fragment.sequenceData
+          )
+        : piece.fragment.sequenceData,
+      overlapWithPrevious: getEnd(piece, "left").sequence.length
+    })),
+    {
+      circular: true,
+      name: name || `Golden Gate Assembly of ${names[0]}`
+    }
+  );
+  result.order = order.map(toOrderEntry);
+  return result;
+}
+
+function toOrderEntry(piece) {
+  return {
+    sequenceIndex: piece.fragment.sequenceIndex,
+    reverseComplement: piece.reverseComplement,
+    leftOverhang: getEnd(piece, "left").sequence,
+    rightOverhang: getEnd(piece, "right").sequence
+  };
+}
+
+//digests the sequence and returns the fragment (including its overhangs) that no longer contains a recognition site
+function getFragmentWithoutSites(seqData, enzyme) {
+  const { sequence, circular } = seqData;
+  const size = sequence.length;
+  const cutsites = cutSequenceByRestrictionEnzyme(
+    sequence,
+    circular,
+    enzyme
+  ).sort((a, b) => a.topSnipPosition - b.topSnipPosition);
+  if (cutsites.length < 2) {
+    return {
+      error: `needs 2 ${enzyme.name} sites but has ${cutsites.length}`
+    };
+  }
+  const pairs = cutsites
+    .map((cut1, i) => [cut1, cutsites[i + 1] || (circular && cutsites[0])])
+    .filter(([, cut2]) => cut2);
+  const candidates = flatMap(pairs, ([cut1, cut2]) => {
+    const range = {
+      start: normalizePositionByRangeLength(
+        Math.min(cut1.topSnipPosition, cut1.bottomSnipPosition),
+        size
+      ),
+      end: normalizePositionByRangeLength(
+        Math.max(cut2.topSnipPosition, cut2.bottomSnipPosition) - 1,
+        size
+      )
+    };
+    const hasSite = cutsites.some(cutsite =>
+      checkIfPotentiallyCircularRangesOverlap(
+        cutsite.recognitionSiteRange,
+        range
+      )
+    );
+    return hasSite ? [] : { cut1, cut2, range };
+  });
+  if (!candidates.length) {
+    return {
+      error: `no fragment is left without a ${enzyme.name} site after digestion`
+    };
+  }
+  const { cut1, cut2, range } = maxBy(candidates, ({ range }) =>
+    getRangeLength(range, size)
+  );
+  return {
+    range,
+    sequenceData: getSequenceDataBetweenRange(seqData, range),
+    left: getCutsiteOverhang(cut1, sequence),
+    right: getCutsiteOverhang(cut2, sequence),
+    internalSites: cutsites.filter(c => c !== cut1 && c !== cut2)
+  };
+}
+
+function getEnd({ fragment, reverseComplement }, side) {
+  if (!reverseComplement) return fragment[side];
+  const { sequence, type } = fragment[side === "left" ? "right" : "left"];
+  return { sequence: getReverseComplementSequenceString(sequence), type };
+}
+
+function isSameEnd(a, b) {
+  return a.sequence === b.sequence && a.type === b.type;
+}
+
+//an overhang and its reverse complement make the same junction
+function toCanonicalOverhang({ sequence }) {
+  const reverseComplement = getReverseComplementSequenceString(sequence);
+  return sequence < reverseComplement ? sequence : reverseComplement;
+}
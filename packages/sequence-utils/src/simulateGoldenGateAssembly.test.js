@@ -0,0 +1,145 @@
+import { expect } from "chai";
+import simulateGoldenGateAssembly from "./simulateGoldenGateAssembly";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+const bsaIForward = "ggtctca"; //cuts 1 bp after the site
+const bsaIReverse = "agagacc"; //cuts 1 bp before the site
+const body = "ctagcataacccaccttggggcctctaaacgggtcttgaggggttttttg";
+const ins1 = "atgcgtaaaggagaagaacttttcactggagttgtcccaattcttgttgaa";
+const ins2 = "ttaattcgagctcggtacccgggcatgcaagcttggcactggccgtcgt";
+const [ohA, ohB, ohC] = ["GGAG", "TACT", "AATG"];
+
+const vector = {
+  name: "vector",
+  circular: true,
+  sequence: body + ohB + bsaIReverse + "ccccccccc" + bsaIForward + ohA,
+  features: [{ name: "bodyFeat", start: 0, end: body.length - 1 }]
+};
+const part1 = {
+  name: "part1",
+  sequence: "tt" + bsaIForward + ohB + ins1 + ohC + bsaIReverse + "tt",
+  features: [
+    {
+      name: "ins1Feat",
+      start: 2 + bsaIForward.length + ohB.length,
+      end: 2 + bsaIForward.length + ohB.length + ins1.length - 1
+    }
+  ]
+};
+const part2 = {
+  name: "part2",
+  sequence: bsaIForward + ohC + ins2 + ohA + bsaIReverse
+};
+const expectedProduct = ohA + body + ohB + ins1 + ohC + ins2;
+
+describe("simulateGoldenGateAssembly", () => {
+  it("should assemble parts by matching their overhangs", () => {
+    const result = simulateGoldenGateAssembly([vector, part2, part1], {
+      enzyme: "BsaI"
+    });
+    expect(result.errors).to.deep.equal([]);
+    expect(result.warnings).to.deep.equal([]);
+    expect(result.sequenceData.sequence.toUpperCase()).to.equal(
+      expectedProduct.toUpperCase()
+    );
+    expect(result.sequenceData.circular).to.equal(true);
+    expect(result.order).to.deep.equal([
+      {
+        sequenceIndex: 0,
+        reverseComplement: false,
+        leftOverhang: ohA,
+        rightOverhang: ohB
+      },
+      {
+        sequenceIndex: 2,
+        reverseComplement: false,
+        leftOverhang: ohB,
+        rightOverhang: ohC
+      },
+      {
+        sequenceIndex: 1,
+        reverseComplement: false,
+        leftOverhang: ohC,
+        rightOverhang: ohA
+      }
+    ]);
+    const featuresByName = {};
+    result.sequenceData.features.forEach(f => (featuresByName[f.name] = f));
+    expect(featuresByName.bodyFeat).to.include({
+      start: ohA.length,
+      end: ohA.length + body.length - 1
+    });
+    const ins1Start = ohA.length + body.length + ohB.length;
+    expect(featuresByName.ins1Feat).to.include({
+      start: ins1Start,
+      end: ins1Start + ins1.length - 1
+    });
+  });
+
+  it("should flip parts that are given in the reverse orientation", () => {
+    const result = simulateGoldenGateAssembly([
+      vector,
+      part1,
+      {
+        ...part2,
+        sequence: getReverseComplementSequenceString(part2.sequence)
+      }
+    ]);
+    expect(result.errors).to.deep.equal([]);
+    expect(result.order[2]).to.include({
+      sequenceIndex: 2,
+      reverseComplement: true
+    });
+    expect(result.sequenceData.sequence.toUpperCase()).to.equal(
+      expectedProduct.toUpperCase()
+    );
+  });
+
+  it("should report overhang conflicts", () => {
+    const result = simulateGoldenGateAssembly([
+      vector,
+      part1,
+      part2,
+      { name: "part3", sequence: part1.sequence }
+    ]);
+    expect(result.overhangConflicts).to.deep.equal([
+      { overhang: ohB, sequenceIndices: [0, 1, 3] },
+      { overhang: ohC, sequenceIndices: [1, 2, 3] }
+    ]);
+    expect(result.warnings).to.include(
+      `Several parts could ligate to the ${ohB} overhang of vector`
+    );
+  });
+
+  it("should report palindromic overhangs and internal sites", () => {
+    const palindromic = "GATC";
+    const result = simulateGoldenGateAssembly([
+      vector,
+      {
+        name: "part1",
+        sequence: part1.sequence.replace(ins1, ins1 + bsaIForward + ins1)
+      },
+      {
+        name: "part2",
+        sequence: bsaIForward + palindromic + ins2 + ohA + bsaIReverse
+      }
+    ]);
+    expect(result.internalSites).to.have.length(1);
+    expect(result.internalSites[0].sequenceIndex).to.equal(1);
+    expect(result.palindromicOverhangs).to.deep.equal([
+      { overhang: palindromic, sequenceIndex: 2 }
+    ]);
+  });
+
+  it("should error if a part can't be cut out or nothing ligates to an overhang", () => {
+    expect(
+      simulateGoldenGateAssembly([vector, { name: "noSites", sequence: ins1 }])
+        .errors
+    ).to.deep.equal(["noSites: needs 2 BsaI sites but has 0"]);
+    const result = simulateGoldenGateAssembly([vector, part1]);
+    expect(result.sequenceData).to.equal(null);
+    expect(result.errors).to.deep.equal([
+      `Nothing ligates to the ${ohC} overhang of part1`
+    ]);
+  });
+});
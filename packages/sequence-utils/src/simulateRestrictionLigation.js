@@ -0,0 +1,142 @@
+import { flatMap } from "lodash-es";
+import { normalizePositionByRangeLength } from "@teselagen/range-utils";
+import getCutsiteOverhang from "./getCutsiteOverhang";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+import getReverseComplementSequenceAndAnnotations from "./getReverseComplementSequenceAndAnnotations";
+import getSequenceDataBetweenRange from "./getSequenceDataBetweenRange";
+import joinSequenceDataWithOverlaps from "./joinSequenceDataWithOverlaps";
+import tidyUpSequenceData from "./tidyUpSequenceData";
+
+/**
+ * Simulates ligating an insert digest fragment into a vector digest fragment, giving a circular product.
+ * The ends that meet need to be compatible: matching sticky ends or two blunt ends. With fillIn, any
+ * other ends are blunted first (5' overhangs are filled in, 3' overhangs are chewed back).
+ *
+ * @param  {object} vector {sequenceData, fragment} where fragment is one found by getVirtualDigest or getDigestFragmentsForCutsites
+ * @param  {object} insert {sequenceData, fragment}
+ * @param  {object} options
+ * @param  {boolean} options.reverseInsert ligate the insert in the reverse orientation
+ * @param  {boolean} options.fillIn blunt incompatible ends instead of failing
+ * @param  {string} options.name the name of the ligated sequence
+ * @return {object} {sequenceData, junctions, errors} sequenceData is null if any ends can't be ligated
+ */
+export default function simulateRestrictionLigation(
+  vector,
+  insert,
+  options = {}
+) {
+  const { reverseInsert = false, fillIn = false, name } = options;
+  const pieces = [
+    getLigationPiece(vector, false),
+    getLigationPiece(insert, reverseInsert)
+  ];
+  const names = [
+    pieces[0].seqData.name || "Vector",
+    pieces[1].seqData.name || "Insert"
+  ];
+  const errors = [];
+  const junctions = pieces.map((piece, i) => {
+    const next = pieces[(i + 1) % 2];
+    const compatibility = getEndCompatibility(piece.right, next.left, fillIn);
+    if (compatibility === "incompatible") {
+      errors.push(
+        `The ${describeEnd(piece.right)} end of ${names[i]} can't be ligated to the ${describeEnd(
+          next.left
+        )} end of ${names[(i + 1) % 2]}`
+      );
+    }
+    return {
+      leftEnd: piece.right,
+      rightEnd: next.left,
+      compatibility
+    };
+  });
+  if (errors.length) {
+    return { sequenceData: null, junctions, errors };
+  }
+
+  const sequenceData = joinSequenceDataWithOverlaps(
+    flatMap(pieces, (piece, i) =>
+      getPieceSequenceData(piece, junctions[i].compatibility === "fillIn")
+    ).map(sequenceData => ({ sequenceData })),
+    {
+      circular: true,
+      name: name || `${names[0]} with ${names[1]}`
+    }
+  );
+  return { sequenceData, junctions, errors };
+}
+
+/**
+ * @param  {object} end1 the end on the left of the junction ({type, sequence} like getCutsiteOverhang returns)
+ * @param  {object} end2 the end on the right of the junction
+ * @param  {boolean} fillIn whether incompatible ends can be blunted
+ * @return {string} "sticky", "blunt", "fillIn" or "incompatible"
+ */
+export function getEndCompatibility(end1, end2, fillIn) {
+  if (end1.type === "blunt" && end2.type === "blunt") return "blunt";
+  if (end1.type === end2.type && end1.sequence === end2.sequence) {
+    return "sticky";
+  }
+  return fillIn ? "fillIn" : "incompatible";
+}
+
+//the piece is kept as its top strand (in the orientation it is ligated in) with both of its ends described
+function getLigationPiece({ sequenceData, fragment }, reverse) {
+  const seqData = tidyUpSequenceData(sequenceData, {
+    doNotRemoveInvalidChars: true
+  });
+  //fragments running up to the end of a linear sequence have no real cutsite there
+  const toSnips = (cut, position) =>
+    cut && cut.topSnipPosition !== undefined
+      ? cut
+      : { topSnipPosition: position, bottomSnipPosition: position };
+  const cut1 = toSnips(fragment.cut1, fragment.start);
+  const cut2 = toSnips(fragment.cut2, fragment.end + 1);
+  const [left, right] = [cut1, cut2].map(cut =>
+    getCutsiteOverhang(cut, seqData.sequence)
+  );
+  return {
+    seqData,
+    reverse,
+    cut1,
+    cut2,
+    left: reverse ? reverseComplementEnd(right) : left,
+    right: reverse ? reverseComplementEnd(left) : right
+  };
+}
+
+function getPieceSequenceData(piece, bluntRightEnd) {
+  const { seqData, reverse, cut1, cut2, right } = piece;
+  //the bottom strand of the fragment becomes the top strand when it is flipped
+  let start = reverse ? cut1.bottomSnipPosition : cut1.topSnipPosition;
+  let end = (reverse ? cut2.bottomSnipPosition : cut2.topSnipPosition) - 1;
+  let filledInBases = "";
+  if (bluntRightEnd && right.type === "3'") {
+    //chew back the overhang
+    if (reverse) start = cut1.topSnipPosition;
+    else end = cut2.bottomSnipPosition - 1;
+  } else if (bluntRightEnd && right.type === "5'") {
+    filledInBases = right.sequence;
+  }
+  const size = seqData.sequence.length;
+  const range = {
+    start: normalizePositionByRangeLength(start, size),
+    end: normalizePositionByRangeLength(end, size)
+  };
+  let pieceSeqData = getSequenceDataBetweenRange(seqData, range);
+  if (reverse) {
+    pieceSeqData = getReverseComplementSequenceAndAnnotations(pieceSeqData);
+  }
+  return filledInBases
+    ? [pieceSeqData, { sequence: filledInBases }]
+    : [pieceSeqData];
+}
+
+function reverseComplementEnd({ type, sequence }) {
+  return { type, sequence: getReverseComplementSequenceString(sequence) };
+}
+
+function describeEnd({ type, sequence }) {
+  return type === "blunt" ? "blunt" : `${type} ${sequence}`;
+}
@@ -0,0 +1,175 @@
+import { expect } from "chai";
+import simulateRestrictionLigation from "./simulateRestrictionLigation";
+import aliasedEnzymesByName from "./aliasedEnzymesByName";
+import cutSequenceByRestrictionEnzyme from "./cutSequenceByRestrictionEnzyme";
+import getVirtualDigest from "./getVirtualDigest";
+import getReverseComplementSequenceString from "./getReverseComplementSequenceString";
+
+const backbone = "ctagcataacccaccttggggcctctaaacgggtcttgaggggttttttg";
+const ins = "atgcgtaaaggagaagaacttttcactggagttgtcccaattcttgttgaa";
+
+//digests the sequence and returns the fragment that starts with the given enzyme's cut
+function digest(sequenceData, enzymeNames, firstEnzymeName) {
+  const cutsites = [];
+  enzymeNames.forEach(enzymeName => {
+    cutsites.push(
+      ...cutSequenceByRestrictionEnzyme(
+        sequenceData.sequence,
+        sequenceData.circular,
+        aliasedEnzymesByName[enzymeName.toLowerCase()]
+      )
+    );
+  });
+  const { fragments } = getVirtualDigest({
+    cutsites,
+    sequenceLength: sequenceData.sequence.length,
+    isCircular: sequenceData.circular
+  });
+  return {
+    sequenceData,
+    fragment: fragments.find(
+      f =>
+        f.cut1.restrictionEnzyme.name === firstEnzymeName &&
+        f.cut2.restrictionEnzyme.name !== "End Of Seq"
+    )
+  };
+}
+
+const vectorSeq = {
+  name: "vector",
+  circular: true,
+  sequence: backbone + "gaattc" + "aaaaaaaaaa" + "ggatcc",
+  features: [{ name: "backboneFeat", start: 0, end: backbone.length - 1 }]
+};
+const insertSeq = {
+  name: "insert",
+  sequence: "tt" + "gaattc" + ins + "ggatcc" + "tt",
+  features: [{ name: "insFeat", start: 8, end: 8 + ins.length - 1 }]
+};
+
+describe("simulateRestrictionLigation", () => {
+  it("should ligate matching sticky ends and keep the annotations of both pieces", () => {
+    const vector = digest(vectorSeq, ["BamHI", "EcoRI"], "BamHI");
+    const insert = digest(insertSeq, ["BamHI", "EcoRI"], "EcoRI");
+    const result = simulateRestrictionLigation(vector, insert);
+    expect(result.errors).to.deep.equal([]);
+    expect(result.junctions.map(j => j.compatibility)).to.deep.equal([
+      "sticky",
+      "sticky"
+    ]);
+    expect(result.junctions[0].leftEnd).to.deep.equal({
+      type: "5'",
+      sequence: "AATT"
+    });
+    expect(result.sequenceData.circular).to.equal(true);
+    expect(result.sequenceData.name).to.equal("vector with insert");
+    expect(result.sequenceData.sequence.toUpperCase()).to.equal(
+      ("gatcc" + backbone + "g" + "aattc" + ins + "g").toUpperCase()
+    );
+    const featuresByName = {};
+    result.sequenceData.features.forEach(f => (featuresByName[f.name] = f));
+    expect(featuresByName.backboneFeat).to.include({
+      start: 5,
+      end: 5 + backbone.length - 1
+    });
+    expect(featuresByName.insFeat).to.include({
+      start: 5 + backbone.length + 6,
+      end: 5 + backbone.length + 6 + ins.length - 1
+    });
+  });
+
+  it("should ligate an insert digested with different enzymes that leave compatible ends", () => {
+    const vector = digest(vectorSeq, ["BamHI", "EcoRI"], "BamHI");
+    //BglII leaves the same GATC overhang as BamHI
+    const insert = digest(
+      {
+        name: "insert",
+        sequence: "tt" + "gaattc" + ins + "agatct" + "tt"
+      },
+      ["BglII", "EcoRI"],
+      "EcoRI"
+    );
+    const result = simulateRestrictionLigation(vector, insert);
+    expect(result.errors).to.deep.equal([]);
+    expect(result.junctions.map(j => j.compatibility)).to.deep.equal([
+      "sticky",
+      "sticky"
+    ]);
+    expect(result.junctions[1].leftEnd).to.deep.equal({
+      type: "5'",
+      sequence: "GATC"
+    });
+    //the BamHI/BglII junction can't be cut by either enzyme again
+    expect(result.sequenceData.sequence.toUpperCase()).to.equal(
+      ("gatcc" + backbone + "g" + "aattc" + ins + "a").toUpperCase()
+    );
+  });
+
+  it("should only ligate directional ends in the orientation that matches", () => {
+    const vector = digest(vectorSeq, ["BamHI", "EcoRI"], "BamHI");
+    const insert = digest(insertSeq, ["BamHI", "EcoRI"], "EcoRI");
+    const result = simulateRestrictionLigation(vector, insert, {
+      reverseInsert: true
+    });
+    expect(result.sequenceData).to.equal(null);
+    expect(result.errors).to.deep.equal([
+      "The 5' AATT end of vector can't be ligated to the 5' GATC end of insert",
+      "The 5' AATT end of insert can't be ligated to the 5' GATC end of vector"
+    ]);
+  });
+
+  it("should ligate blunt ends in either orientation", () => {
+    const vector = digest(
+      { ...vectorSeq, sequence: backbone + "gatatc" },
+      ["EcoRV"],
+      "EcoRV"
+    );
+    const insert = digest(
+      { ...insertSeq, sequence: "gatatc" + ins + "gatatc" },
+      ["EcoRV"],
+      "EcoRV"
+    );
+    const result = simulateRestrictionLigation(vector, insert, {
+      reverseInsert: true
+    });
+    expect(result.errors).to.deep.equal([]);
+    expect(result.junctions.map(j => j.compatibility)).to.deep.equal([
+      "blunt",
+      "blunt"
+    ]);
+    expect(result.sequenceData.sequence.toUpperCase()).to.equal(
+      (
+        "atc" +
+        backbone +
+        "gat" +
+        getReverseComplementSequenceString("atc" + ins + "gat")
+      ).toUpperCase()
+    );
+  });
+
+  it("should fill in incompatible ends when asked to", () => {
+    const vector = digest(
+      { ...vectorSeq, sequence: backbone + "gaattc" },
+      ["EcoRI"],
+      "EcoRI"
+    );
+    const insert = digest(
+      { ...insertSeq, sequence: "gatatc" + ins + "gatatc" },
+      ["EcoRV"],
+      "EcoRV"
+    );
+    expect(
+      simulateRestrictionLigation(vector, insert).junctions.map(
+        j => j.compatibility
+      )
+    ).to.deep.equal(["incompatible", "incompatible"]);
+    const result = simulateRestrictionLigation(vector, insert, {
+      fillIn: true
+    });
+    expect(result.errors).to.deep.equal([]);
+    //the 5' overhang of the vector is filled in on both sides of the insert
+    expect(result.sequenceData.sequence.toUpperCase()).to.equal(
+      ("aattc" + backbone + "g" + "aatt" + "atc" + ins + "gat").toUpperCase()
+    );
+  });
+});
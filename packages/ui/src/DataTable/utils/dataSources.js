@@ -0,0 +1,254 @@
+import qs from "qs";
+import { getFieldsMappedByCCDisplayName } from "./tableQueryParamsToHasuraClauses";
+
+/**
+ * Data sources let a withTableParams() table page, sort and filter against any backend, not
+ * just hasura. A data source is an object with a
+ *   fetchEntities(params) => Promise<{entities, entityCount}>
+ * method, called with the backend agnostic params below every time the table's query
+ * params change. createRestDataSource and createGraphQLDataSource cover the common cases,
+ * anything else can be passed as long as it has fetchEntities.
+ */
+
+const listFilters = ["inList", "notInList"];
+const rangeFilters = ["inRange", "outsideRange", "isBetween", "notBetween"];
+
+/**
+ * Turns the table's query params into backend agnostic ones:
+ * {page, pageSize, limit, offset, searchTerm, sort: [{field, direction}],
+ *  filters: [{field, operator, value}], additionalFilter}
+ *
+ * Fields are schema paths, operators are the table's filter names (contains, startsWith,
+ * greaterThan, inList, isBetween...) with the true/false filters turned into isExactly, and
+ * values are numbers for number columns and arrays for the list and range filters.
+ * customColumnFilter only makes sense for hasura so columns using it are left out.
+ */
+export function tableQueryParamsToDataSourceParams({
+  page,
+  pageSize,
+  searchTerm,
+  filters = [],
+  order = [],
+  schema,
+  additionalFilter
+}) {
+  const ccFields = getFieldsMappedByCCDisplayName(schema);
+  const limit = pageSize || 25;
+  const offset = page && pageSize ? (page - 1) * pageSize : 0;
+
+  const sort = order.map(item => ({
+    field: item.replace(/^-/, ""),
+    direction: item.startsWith("-") ? "desc" : "asc"
+  }));
+
+  const dataSourceFilters = [];
+  filters.forEach(({ selectedFilter, filterOn, filterValue }) => {
+    const field = ccFields[filterOn] || {};
+    const { path, reference, type, customColumnFilter, normalizeFilter } =
+      field;
+    if (selectedFilter === "none" || customColumnFilter) return;
+
+    let operator = selectedFilter;
+    let value = filterValue;
+    if (selectedFilter === "true" || selectedFilter === "false") {
+      operator = "isExactly";
+      value = selectedFilter === "true";
+    } else if (
+      listFilters.includes(selectedFilter) ||
+      rangeFilters.includes(selectedFilter)
+    ) {
+      value = Array.isArray(filterValue)
+        ? filterValue
+        : String(filterValue ?? "").split(";");
+    }
+    if ((type === "number" || type === "integer") && operator !== "isEmpty") {
+      value = Array.isArray(value) ? value.map(Number) : Number(value);
+    }
+    if (normalizeFilter) {
+      value = normalizeFilter(value, selectedFilter, filterOn);
+    }
+    dataSourceFilters.push({
+      field: reference ? reference.sourceField : path || filterOn,
+      operator,
+      ...(operator !== "isEmpty" && operator !== "notEmpty" && { value })
+    });
+  });
+
+  return {
+    page,
+    pageSize,
+    limit,
+    offset,
+    searchTerm: searchTerm || undefined,
+    sort,
+    filters: dataSourceFilters,
+    additionalFilter
+  };
+}
+
+// eg. offset=0&limit=25&sort=-age,name&search=bob&filter[age][inRange]=1,5
+function defaultToRestQuery({ limit, offset, sort, searchTerm, filters }) {
+  const filter = {};
+  filters.forEach(({ field, operator, value }) => {
+    filter[field] = {
+      ...filter[field],
+      [operator]: value === undefined ? "" : value
+    };
+  });
+  return {
+    offset,
+    limit,
+    sort: sort.length
+      ? sort
+          .map(({ field, direction }) =>
+            direction === "desc" ? `-${field}` : field
+          )
+          .join(",")
+      : undefined,
+    search: searchTerm,
+    filter: filters.length ? filter : undefined
+  };
+}
+
+// entities are the response itself or under data/entities/items/results/nodes
+function defaultGetEntities(body) {
+  if (Array.isArray(body)) return body;
+  return (
+    body?.data ??
+    body?.entities ??
+    body?.items ??
+    body?.results ??
+    body?.nodes ??
+    []
+  );
+}
+
+function defaultGetEntityCount(body, entities, response) {
+  const totalHeader = response?.headers?.get("X-Total-Count");
+  if (totalHeader) return Number(totalHeader);
+  return body?.total ?? body?.totalCount ?? body?.count ?? entities.length;
+}
+
+/**
+ * A data source for a REST endpoint that pages, sorts and filters through its query string
+ * (see defaultToRestQuery for what gets sent). The response can be an array of entities
+ * (with the total in an X-Total-Count header) or an object holding them under
+ * data/entities/items/results and the total under total/totalCount/count.
+ *
+ * @param {object} options
+ * @param {string} options.url - the endpoint to GET the entities from
+ * @param {Function} [options.toQuery] - (params) => the object to send as the query string
+ * @param {Function} [options.getEntities] - (body, response) => the entities
+ * @param {Function} [options.getEntityCount] - (body, entities, response) => the total count
+ * @param {object} [options.fetchOptions] - passed on to fetch (eg. headers)
+ * @param {Function} [options.fetch] - defaults to the global fetch
+ */
+export function createRestDataSource({
+  url,
+  toQuery = defaultToRestQuery,
+  getEntities = defaultGetEntities,
+  getEntityCount = defaultGetEntityCount,
+  fetchOptions,
+  fetch: _fetch
+}) {
+  const getUrl = params => {
+    const queryString = qs.stringify(toQuery(params), {
+      arrayFormat: "comma",
+      encodeValuesOnly: true,
+      skipNulls: true
+    });
+    if (!queryString) return url;
+    return `${url}${url.includes("?") ? "&" : "?"}${queryString}`;
+  };
+  return {
+    getUrl,
+    fetchEntities: async params => {
+      const response = await (_fetch || globalThis.fetch)(
+        getUrl(params),
+        fetchOptions
+      );
+      if (!response.ok) {
+        throw new Error(
+          `Fetching ${url} failed: ${response.status} ${response.statusText}`
+        );
+      }
+      const body = await response.json();
+      const entities = getEntities(body, response);
+      return {
+        entities,
+        entityCount: getEntityCount(body, entities, response)
+      };
+    }
+  };
+}
+
+function defaultGetGraphQLVariables({
+  limit,
+  offset,
+  sort,
+  searchTerm,
+  filters
+}) {
+  return { limit, offset, sort, searchTerm, filters };
+}
+
+/**
+ * A data source for any GraphQL endpoint. The query is sent with the table's params as its
+ * variables ({limit, offset, sort, searchTerm, filters} by default, getVariables maps them
+ * onto the server's own arguments) and the entities are read from data[rootField] (the
+ * first field when not given), either a list or an object with nodes/items/entities and
+ * totalCount/count/total.
+ *
+ * @param {object} options
+ * @param {string} options.url - the GraphQL endpoint
+ * @param {string} options.query - the query to POST
+ * @param {string} [options.rootField] - the field of data holding the entities
+ * @param {Function} [options.getVariables] - (params) => the query's variables
+ * @param {Function} [options.getEntities] - (data) => the entities
+ * @param {Function} [options.getEntityCount] - (data, entities) => the total count
+ * @param {object} [options.fetchOptions] - passed on to fetch (eg. headers)
+ * @param {Function} [options.fetch] - defaults to the global fetch
+ */
+export function createGraphQLDataSource({
+  url,
+  query,
+  rootField,
+  getVariables = defaultGetGraphQLVariables,
+  getEntities,
+  getEntityCount,
+  fetchOptions = {},
+  fetch: _fetch
+}) {
+  const getRoot = data => data?.[rootField || Object.keys(data || {})[0]];
+  return {
+    fetchEntities: async params => {
+      const response = await (_fetch || globalThis.fetch)(url, {
+        method: "POST",
+        ...fetchOptions,
+        headers: {
+          "Content-Type": "application/json",
+          ...fetchOptions.headers
+        },
+        body: JSON.stringify({ query, variables: getVariables(params) })
+      });
+      if (!response.ok) {
+        throw new Error(
+          `Fetching ${url} failed: ${response.status} ${response.statusText}`
+        );
+      }
+      const { data, errors } = await response.json();
+      if (errors?.length) {
+        throw new Error(errors.map(({ message }) => message).join("\n"));
+      }
+      const entities = getEntities
+        ? getEntities(data)
+        : defaultGetEntities(getRoot(data));
+      return {
+        entities,
+        entityCount: getEntityCount
+          ? getEntityCount(data, entities)
+          : defaultGetEntityCount(getRoot(data), entities)
+      };
+    }
+  };
+}
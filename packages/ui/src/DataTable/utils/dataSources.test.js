@@ -0,0 +1,261 @@
+import qs from "qs";
+import { afterAll, beforeAll, describe, expect, it } from "bun:test";
+import {
+  createGraphQLDataSource,
+  createRestDataSource,
+  tableQueryParamsToDataSourceParams
+} from "./dataSources";
+
+const schema = {
+  fields: [
+    { path: "name", type: "string" },
+    { path: "age", type: "number" },
+    { path: "isActive", type: "boolean" },
+    { path: "owner.name", displayName: "Owner", type: "string" }
+  ]
+};
+
+const people = [
+  { id: 1, name: "Ann", age: 31, isActive: true },
+  { id: 2, name: "Bob", age: 25, isActive: false },
+  { id: 3, name: "Cat", age: 42, isActive: true },
+  { id: 4, name: "Dan", age: 25, isActive: true },
+  { id: 5, name: "Eve", age: 37, isActive: false }
+];
+
+// pages, sorts and filters people the way a backend would
+function queryPeople({ limit, offset, sort = [], filters = [], searchTerm }) {
+  let rows = people.filter(
+    p => !searchTerm || p.name.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+  filters.forEach(({ field, operator, value }) => {
+    rows = rows.filter(p => {
+      if (operator === "greaterThan") return p[field] > Number(value);
+      if (operator === "inList") return value.map(String).includes(p[field]);
+      if (operator === "isExactly") return String(p[field]) === String(value);
+      throw new Error(`Unsupported filter ${operator}`);
+    });
+  });
+  sort
+    .slice()
+    .reverse()
+    .forEach(({ field, direction }) => {
+      rows = rows
+        .slice()
+        .sort(
+          (a, b) =>
+            (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) *
+            (direction === "desc" ? -1 : 1)
+        );
+    });
+  return {
+    entities: rows.slice(Number(offset), Number(offset) + Number(limit)),
+    total: rows.length
+  };
+}
+
+let server;
+let baseUrl;
+const requests = [];
+
+beforeAll(() => {
+  server = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      const url = new URL(req.url);
+      if (url.pathname === "/people") {
+        const query = qs.parse(url.search.slice(1), { comma: true });
+        requests.push(query);
+        const { entities, total } = queryPeople({
+          limit: query.limit,
+          offset: query.offset,
+          searchTerm: query.search,
+          sort: query.sort
+            ? [].concat(query.sort).map(s => ({
+                field: s.replace(/^-/, ""),
+                direction: s.startsWith("-") ? "desc" : "asc"
+              }))
+            : [],
+          filters: Object.entries(query.filter || {}).flatMap(([field, ops]) =>
+            Object.entries(ops).map(([operator, value]) => ({
+              field,
+              operator,
+              value: operator === "inList" ? [].concat(value) : value
+            }))
+          )
+        });
+        return Response.json(entities, {
+          headers: { "X-Total-Count": String(total) }
+        });
+      }
+      if (url.pathname === "/graphql") {
+        const { query, variables } = await req.json();
+        if (!query.includes("people")) {
+          return Response.json({ errors: [{ message: "Unknown query" }] });
+        }
+        const { entities, total } = queryPeople(variables);
+        return Response.json({
+          data: { people: { nodes: entities, totalCount: total } }
+        });
+      }
+      return new Response("Not Found", { status: 404 });
+    }
+  });
+  baseUrl = `http://localhost:${server.port}`;
+});
+
+afterAll(() => {
+  server.stop(true);
+});
+
+describe("tableQueryParamsToDataSourceParams", () => {
+  it("should turn paging, sorting, searching and filters into plain params", () => {
+    const result = tableQueryParamsToDataSourceParams({
+      page: 3,
+      pageSize: 10,
+      searchTerm: "an",
+      order: ["-age", "name"],
+      schema,
+      filters: [
+        { selectedFilter: "greaterThan", filterOn: "age", filterValue: "30" },
+        { selectedFilter: "inList", filterOn: "name", filterValue: "Ann;Bob" },
+        { selectedFilter: "true", filterOn: "isActive" },
+        { selectedFilter: "contains", filterOn: "owner", filterValue: "jo" },
+        { selectedFilter: "isEmpty", filterOn: "name" },
+        { selectedFilter: "none", filterOn: "name" }
+      ]
+    });
+    expect(result).toEqual({
+      page: 3,
+      pageSize: 10,
+      limit: 10,
+      offset: 20,
+      searchTerm: "an",
+      sort: [
+        { field: "age", direction: "desc" },
+        { field: "name", direction: "asc" }
+      ],
+      filters: [
+        { field: "age", operator: "greaterThan", value: 30 },
+        { field: "name", operator: "inList", value: ["Ann", "Bob"] },
+        { field: "isActive", operator: "isExactly", value: true },
+        { field: "owner.name", operator: "contains", value: "jo" },
+        { field: "name", operator: "isEmpty" }
+      ],
+      additionalFilter: undefined
+    });
+  });
+
+  it("should default to the first page of 25", () => {
+    const result = tableQueryParamsToDataSourceParams({ schema });
+    expect(result).toMatchObject({
+      limit: 25,
+      offset: 0,
+      sort: [],
+      filters: []
+    });
+  });
+});
+
+describe("createRestDataSource", () => {
+  it("should page, sort and filter through the query string", async () => {
+    const dataSource = createRestDataSource({ url: `${baseUrl}/people` });
+    const params = tableQueryParamsToDataSourceParams({
+      page: 1,
+      pageSize: 2,
+      order: ["-age"],
+      schema,
+      filters: [
+        { selectedFilter: "true", filterOn: "isActive" },
+        { selectedFilter: "greaterThan", filterOn: "age", filterValue: "20" }
+      ]
+    });
+    expect(decodeURIComponent(dataSource.getUrl(params))).toBe(
+      `${baseUrl}/people?offset=0&limit=2&sort=-age&filter[isActive][isExactly]=true&filter[age][greaterThan]=20`
+    );
+    const result = await dataSource.fetchEntities(params);
+    expect(result.entityCount).toBe(3);
+    expect(result.entities.map(p => p.name)).toEqual(["Cat", "Ann"]);
+
+    const page2 = await dataSource.fetchEntities({
+      ...params,
+      offset: 2
+    });
+    expect(page2.entities.map(p => p.name)).toEqual(["Dan"]);
+  });
+
+  it("should send list filters comma separated", async () => {
+    const dataSource = createRestDataSource({ url: `${baseUrl}/people` });
+    const result = await dataSource.fetchEntities(
+      tableQueryParamsToDataSourceParams({
+        schema,
+        order: ["name"],
+        filters: [
+          { selectedFilter: "inList", filterOn: "name", filterValue: "Eve;Bob" }
+        ]
+      })
+    );
+    expect(requests[requests.length - 1].filter).toEqual({
+      name: { inList: ["Eve", "Bob"] }
+    });
+    expect(result).toEqual({
+      entities: [people[1], people[4]],
+      entityCount: 2
+    });
+  });
+
+  it("should throw when the request fails", async () => {
+    const dataSource = createRestDataSource({ url: `${baseUrl}/nowhere` });
+    await expect(
+      dataSource.fetchEntities(tableQueryParamsToDataSourceParams({ schema }))
+    ).rejects.toThrow("404");
+  });
+});
+
+describe("createGraphQLDataSource", () => {
+  it("should send the params as variables and read the root field", async () => {
+    const dataSource = createGraphQLDataSource({
+      url: `${baseUrl}/graphql`,
+      query: `query people($limit: Int, $offset: Int) { people { nodes { id name } totalCount } }`
+    });
+    const result = await dataSource.fetchEntities(
+      tableQueryParamsToDataSourceParams({
+        page: 2,
+        pageSize: 2,
+        searchTerm: "a",
+        order: ["name"],
+        schema
+      })
+    );
+    // Ann, Cat, Dan match "a"
+    expect(result.entityCount).toBe(3);
+    expect(result.entities.map(p => p.name)).toEqual(["Dan"]);
+  });
+
+  it("should map variables and entities with the given functions", async () => {
+    const dataSource = createGraphQLDataSource({
+      url: `${baseUrl}/graphql`,
+      query: "query people { people { nodes { id } totalCount } }",
+      getVariables: ({ limit }) => ({ limit, offset: 1 }),
+      getEntities: data => data.people.nodes.map(({ id }) => ({ id })),
+      getEntityCount: data => data.people.totalCount
+    });
+    const result = await dataSource.fetchEntities(
+      tableQueryParamsToDataSourceParams({ pageSize: 2, page: 1, schema })
+    );
+    expect(result).toEqual({
+      entities: [{ id: 2 }, { id: 3 }],
+      entityCount: 5
+    });
+  });
+
+  it("should throw the GraphQL errors", async () => {
+    const dataSource = createGraphQLDataSource({
+      url: `${baseUrl}/graphql`,
+      query: "query animals { animals { id } }"
+    });
+    await expect(
+      dataSource.fetchEntities(tableQueryParamsToDataSourceParams({ schema }))
+    ).rejects.toThrow("Unknown query");
+  });
+});
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useDeepEqualMemo } from "../../utils/hooks/useDeepEqualMemo";
+import { tableQueryParamsToDataSourceParams } from "./dataSources";
+
+/**
+ * Fetches a page of entities from a data source (see dataSources.js) whenever the table's
+ * query params change. Responses to requests that have since been superseded are dropped
+ * so fast paging/typing can't leave the table showing an older page.
+ *
+ * Does nothing when no dataSource is passed, so it can always be called.
+ *
+ * The dataSource doesn't need to be memoized: a new dataSource object on its own doesn't
+ * refetch (an inline createRestDataSource({...}) would otherwise fetch in a loop), the latest one
+ * is used the next time the params change or onRefresh is called.
+ */
+export const useDataSource = (dataSource, queryParams) => {
+  const params = useDeepEqualMemo(
+    dataSource ? tableQueryParamsToDataSourceParams(queryParams) : undefined
+  );
+  const [result, setResult] = useState({ entities: [], entityCount: 0 });
+  const [isLoading, setIsLoading] = useState(!!dataSource);
+  const [error, setError] = useState();
+  const [refreshCount, setRefreshCount] = useState(0);
+  const latestRequest = useRef(0);
+  const dataSourceRef = useRef(dataSource);
+  dataSourceRef.current = dataSource;
+  const hasDataSource = !!dataSource;
+
+  useEffect(() => {
+    if (!hasDataSource) return;
+    const request = ++latestRequest.current;
+    setIsLoading(true);
+    dataSourceRef.current
+      .fetchEntities(params)
+      .then(({ entities = [], entityCount = entities.length }) => {
+        if (request !== latestRequest.current) return;
+        setResult({ entities, entityCount });
+        setError(undefined);
+      })
+      .catch(e => {
+        if (request !== latestRequest.current) return;
+        console.error("Error fetching the table's entities:", e);
+        window.toastr?.error(`Error loading the table: ${e.message}`);
+        setError(e);
+      })
+      .finally(() => {
+        if (request === latestRequest.current) setIsLoading(false);
+      });
+  }, [hasDataSource, params, refreshCount]);
+
+  const onRefresh = useCallback(() => setRefreshCount(c => c + 1), []);
+
+  if (!dataSource) return {};
+  return {
+    entities: result.entities,
+    entityCount: result.entityCount,
+    isLoading,
+    dataSourceError: error,
+    onRefresh
+  };
+};
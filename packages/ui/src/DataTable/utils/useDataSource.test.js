@@ -0,0 +1,61 @@
+import React from "react";
+import { describe, expect, it } from "bun:test";
+import { act, render, waitFor } from "@testing-library/react";
+import { useDataSource } from "./useDataSource";
+
+const schema = { fields: [{ path: "name", type: "string" }] };
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// builds a new data source object on every render, like passing createRestDataSource({...}) inline
+function InlineDataSourceTable({ page, onFetch, hooks }) {
+  const dataSourceProps = useDataSource(
+    {
+      fetchEntities: params => {
+        onFetch(params);
+        return Promise.resolve({ entities: [{ id: params.page }] });
+      }
+    },
+    { page, pageSize: 10, schema }
+  );
+  hooks.onRefresh = dataSourceProps.onRefresh;
+  return (
+    <div className="page">
+      {dataSourceProps.entities.map(e => e.id).join(",")}
+    </div>
+  );
+}
+
+describe("useDataSource", () => {
+  it("should not refetch just because the data source object is new", async () => {
+    const fetches = [];
+    const hooks = {};
+    const { container, rerender } = render(
+      <InlineDataSourceTable
+        page={1}
+        onFetch={p => fetches.push(p)}
+        hooks={hooks}
+      />
+    );
+    await waitFor(() =>
+      expect(container.querySelector(".page").textContent).toBe("1")
+    );
+    await wait(50);
+    expect(fetches.length).toBe(1);
+
+    // a new page or a refresh still fetch (once)
+    rerender(
+      <InlineDataSourceTable
+        page={2}
+        onFetch={p => fetches.push(p)}
+        hooks={hooks}
+      />
+    );
+    await waitFor(() =>
+      expect(container.querySelector(".page").textContent).toBe("2")
+    );
+    await act(async () => hooks.onRefresh());
+    await wait(50);
+    expect(fetches.map(p => p.page)).toEqual([1, 2, 2]);
+  });
+});
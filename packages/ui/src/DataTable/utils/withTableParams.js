@@ -13,6 +13,7 @@ import getTableConfigFromStorage from "./getTableConfigFromStorage";
 import { useDeepEqualMemo } from "../../utils/hooks/useDeepEqualMemo";
 import { branch, compose } from "recompose";
 import { getCCDisplayName } from "./tableQueryParamsToHasuraClauses";
+import { useDataSource } from "./useDataSource";
 
 /**
  *  Note all these options can be passed at Design Time or at Runtime (like reduxForm())
@@ -28,11 +29,14 @@ import { getCCDisplayName } from "./tableQueryParamsToHasuraClauses";
  * @property {boolean} isCodeModel - whether the model is keyed by code instead of id in the db
  * @property {object} defaults - tableParam defaults such as pageSize, filter, etc
  * @property {boolean} noOrderError - won't console an error if an order is not found on schema
+ * @property {object} dataSource - fetch the entities from a non-hasura backend, see createRestDataSource and createGraphQLDataSource
+ * (it can be created inline, a new dataSource object only gets used on the next page/filter change or refresh)
  */
 export const useTableParams = props => {
   const {
     additionalFilter,
     controlled_pageSize,
+    dataSource,
     defaults: _defaults,
     doNotCoercePageSize,
     entities,
@@ -216,6 +220,17 @@ export const useTableParams = props => {
     isCodeModel
   ]);
 
+  // with a data source the table fetches its own entities, otherwise withQuery() does it
+  const dataSourceProps = useDataSource(dataSource, {
+    page: queryParams.page,
+    pageSize: queryParams.pageSize,
+    order: queryParams.order,
+    filters: queryParams.filters,
+    searchTerm: queryParams.searchTerm,
+    schema: convertedSchema,
+    additionalFilter
+  });
+
   const dispatch = useDispatch();
   const change = useCallback(
     (...args) => dispatch(_change(formName, ...args)),
@@ -258,6 +273,7 @@ export const useTableParams = props => {
       currentParams,
       withDisplayOptions,
       ...queryParams,
+      ...dataSourceProps,
       ...dispatchProps,
       form: formName, //this will override the default redux form name
       isTableParamsConnected: true //let the table know not to do local sorting/filtering etc.
@@ -266,6 +282,7 @@ export const useTableParams = props => {
       _tableParams,
       change,
       currentParams,
+      dataSourceProps,
       dispatchProps,
       formName,
       initialValues,
@@ -281,6 +298,7 @@ export const useTableParams = props => {
     isLocalCall,
     schema,
     ...queryParams,
+    ...dataSourceProps,
     ...(withSelectedEntities &&
       typeof withSelectedEntities === "string" && {
         [withSelectedEntities]: selectedEntities
@@ -47,6 +47,11 @@ export {
   default as withTableParams,
   useTableParams
 } from "./DataTable/utils/withTableParams";
+export {
+  createRestDataSource,
+  createGraphQLDataSource,
+  tableQueryParamsToDataSourceParams
+} from "./DataTable/utils/dataSources";
 export { default as InfoHelper } from "./InfoHelper";
 export { default as showConfirmationDialog } from "./showConfirmationDialog";
 export { default as showAppSpinner } from "./showAppSpinner";
@@ -97,6 +97,15 @@ export default ({ name, dir }: { name: string; dir: string }) =>
             ]
           : [])
       ],
+      //worker bundles (eg. the alignment worker) get their own plugin pipeline so they need the path aliases too
+      worker: {
+        format: "es",
+        plugins: () => [
+          viteTsConfigPaths({
+            root: "../../"
+          })
+        ]
+      },
       esbuild: {
         loader: "jsx",
         include: sourceJSPattern,